@@ -2,19 +2,38 @@
  * Shopify GraphQL Data Extractor - Frontend Application
  */
 
+// Records shown per page in the JSON viewer
+const JSON_VIEW_PAGE_SIZE = 100;
+
+// Deepest level the field tree expands to, the server's limit for named field paths
+const MAX_FIELD_DEPTH = 6;
+
+// Delay before the query preview is rebuilt after the field selection changes
+const QUERY_PREVIEW_DELAY = 400;
+
 // State management
 const appState = {
   connected: false,
   credentials: {
     storeName: '',
     clientId: '',
-    accessToken: ''
+    apiVersion: '',
+    profile: null
   },
+  profiles: [],
   schema: null,
   selectedResource: null,
   selectedFields: [],
-  extractionData: null,
-  extractionInProgress: false
+  typeFields: {},
+  previewRequest: 0,
+  previewTimer: null,
+  estimateRequest: 0,
+  resultJobId: null,
+  jsonViewOffset: 0,
+  extractionInProgress: false,
+  checkpointId: null,
+  currentJobId: null,
+  logIndex: 0
 };
 
 // DOM Elements
@@ -28,6 +47,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const alwaysLatestCheckbox = document.getElementById('always-latest');
   const connectBtn = document.getElementById('connect-btn');
   const connectionStatus = document.getElementById('connection-status');
+  const profileSelect = document.getElementById('profile-select');
+  const profileNameInput = document.getElementById('profile-name');
+  const profileHelp = document.getElementById('profile-help');
+  const deleteProfileBtn = document.getElementById('delete-profile-btn');
   
   // API version handling
   alwaysLatestCheckbox.addEventListener('change', () => {
@@ -53,6 +76,23 @@ document.addEventListener('DOMContentLoaded', () => {
   const apiListBody = document.getElementById('api-list-body');
   const schemaLoading = document.getElementById('schema-loading');
   
+  // Query Editor
+  const queryEditorBtn = document.getElementById('query-editor-btn');
+  const queryEditorSection = document.getElementById('query-editor-section');
+  const backFromEditorBtn = document.getElementById('back-from-editor-btn');
+  const savedQuerySelect = document.getElementById('saved-query-select');
+  const loadSavedQueryBtn = document.getElementById('load-saved-query-btn');
+  const deleteSavedQueryBtn = document.getElementById('delete-saved-query-btn');
+  const queryNameInput = document.getElementById('query-name');
+  const queryDescriptionInput = document.getElementById('query-description');
+  const queryConnectionPathInput = document.getElementById('query-connection-path');
+  const queryEditorInput = document.getElementById('query-editor');
+  const queryVariablesInput = document.getElementById('query-variables');
+  const queryValidationResults = document.getElementById('query-validation-results');
+  const validateQueryBtn = document.getElementById('validate-query-btn');
+  const saveQueryBtn = document.getElementById('save-query-btn');
+  const runQueryBtn = document.getElementById('run-query-btn');
+  
   // Field Selection
   const fieldSelectionSection = document.getElementById('field-selection-section');
   const selectedResourceName = document.getElementById('selected-resource-name');
@@ -62,6 +102,28 @@ document.addEventListener('DOMContentLoaded', () => {
   const fieldsListBody = document.getElementById('fields-list-body');
   const selectAllFields = document.getElementById('select-all-fields');
   const extractDataBtn = document.getElementById('extract-data-btn');
+  const estimateExtractionBtn = document.getElementById('estimate-extraction-btn');
+  const extractionEstimate = document.getElementById('extraction-estimate');
+  const bulkModeCustomCheckbox = document.getElementById('bulk-mode-custom');
+  const queryPreview = document.getElementById('query-preview');
+  const queryPreviewStatus = document.getElementById('query-preview-status');
+  const queryPreviewWarnings = document.getElementById('query-preview-warnings');
+  const bulkModePredefinedCheckbox = document.getElementById('bulk-mode-predefined');
+  const incrementalSyncCheckbox = document.getElementById('incremental-sync-predefined');
+  const incrementalSyncInfo = document.getElementById('incremental-sync-info');
+  
+  // Record Filters
+  const recordFiltersCard = document.getElementById('record-filters-card');
+  const recordFilterStatus = document.getElementById('record-filter-status');
+  const recordFilterTag = document.getElementById('record-filter-tag');
+  const recordFilterVendor = document.getElementById('record-filter-vendor');
+  const recordFilterCreatedAfter = document.getElementById('record-filter-created-after');
+  const recordFilterCreatedBefore = document.getElementById('record-filter-created-before');
+  const recordFilterUpdatedAfter = document.getElementById('record-filter-updated-after');
+  const recordFilterUpdatedBefore = document.getElementById('record-filter-updated-before');
+  const recordFilterRaw = document.getElementById('record-filter-raw');
+  const recordFilterSortKey = document.getElementById('record-filter-sort-key');
+  const recordFilterReverse = document.getElementById('record-filter-reverse');
   
   // Field Filters
   const fieldSearchInput = document.getElementById('field-search');
@@ -76,13 +138,20 @@ document.addEventListener('DOMContentLoaded', () => {
   const recordsCount = document.getElementById('records-count');
   const extractionLogs = document.getElementById('extraction-logs');
   const downloadDataBtn = document.getElementById('download-data-btn');
+  const downloadFormatSelect = document.getElementById('download-format');
   const viewJsonBtn = document.getElementById('view-json-btn');
+  const resumeExtractionBtn = document.getElementById('resume-extraction-btn');
+  const pauseExtractionBtn = document.getElementById('pause-extraction-btn');
+  const continueExtractionBtn = document.getElementById('continue-extraction-btn');
+  const cancelExtractionBtn = document.getElementById('cancel-extraction-btn');
   
   // JSON View Modal Elements
   const jsonViewModal = document.getElementById('json-view-modal');
   const jsonViewContent = document.getElementById('json-view-content');
   const jsonRecordCount = document.getElementById('json-record-count');
   const copyJsonBtn = document.getElementById('copy-json-btn');
+  const jsonPrevPageBtn = document.getElementById('json-prev-page-btn');
+  const jsonNextPageBtn = document.getElementById('json-next-page-btn');
   
   // Hidden Fields
   const currentQueryInput = document.getElementById('current-query');
@@ -90,13 +159,23 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Event Listeners
   connectionForm.addEventListener('submit', handleConnect);
+  profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+  deleteProfileBtn.addEventListener('click', deleteSelectedProfile);
   fetchSchemaBtn.addEventListener('click', fetchAvailableApis);
   backToApisBtn.addEventListener('click', showApiSelectionSection);
   backToPredefinedBtn.addEventListener('click', showPredefinedQueriesSection);
   selectAllFields.addEventListener('change', toggleSelectAllFields);
   extractDataBtn.addEventListener('click', startExtraction);
+  estimateExtractionBtn.addEventListener('click', estimateExtraction);
   downloadDataBtn.addEventListener('click', downloadExtractedData);
-  viewJsonBtn.addEventListener('click', viewJsonData);
+  viewJsonBtn.addEventListener('click', () => viewJsonData(0));
+  jsonPrevPageBtn.addEventListener('click', () => viewJsonData(Math.max(0, appState.jsonViewOffset - JSON_VIEW_PAGE_SIZE)));
+  jsonNextPageBtn.addEventListener('click', () => viewJsonData(appState.jsonViewOffset + JSON_VIEW_PAGE_SIZE));
+  resumeExtractionBtn.addEventListener('click', resumeExtraction);
+  pauseExtractionBtn.addEventListener('click', () => controlExtraction('pause'));
+  continueExtractionBtn.addEventListener('click', () => controlExtraction('resume'));
+  cancelExtractionBtn.addEventListener('click', () => controlExtraction('cancel'));
+  incrementalSyncCheckbox.addEventListener('change', showSyncState);
   
   // Custom extraction button
   customExtractionBtn.addEventListener('click', () => {
@@ -105,6 +184,15 @@ document.addEventListener('DOMContentLoaded', () => {
     fetchAvailableApis(); // Auto-fetch schema
   });
   
+  // Query editor
+  queryEditorBtn.addEventListener('click', showQueryEditorSection);
+  backFromEditorBtn.addEventListener('click', showPredefinedQueriesSection);
+  loadSavedQueryBtn.addEventListener('click', loadSavedQuery);
+  deleteSavedQueryBtn.addEventListener('click', deleteSavedQuery);
+  validateQueryBtn.addEventListener('click', validateCustomQuery);
+  saveQueryBtn.addEventListener('click', saveCustomQuery);
+  runQueryBtn.addEventListener('click', startCustomQueryExtraction);
+  
   // Predefined extraction buttons
   predefinedExtractBtns.forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -125,8 +213,25 @@ document.addEventListener('DOMContentLoaded', () => {
     checkbox.addEventListener('change', applyFilters);
   });
   
-  // Try to load saved credentials
+  // Field tree: expand nested types and preview the query as the selection changes
+  fieldsListBody.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.field-expand-toggle');
+    if (toggle) {
+      toggleNestedFields(toggle);
+    }
+  });
+  fieldsListBody.addEventListener('change', (e) => {
+    if (e.target.classList.contains('nested-field-checkbox')) {
+      scheduleQueryPreview();
+    }
+  });
+  
+  // Estimates depend on the record filters too
+  recordFiltersCard.addEventListener('change', clearExtractionEstimate);
+  
+  // Try to load saved credentials, then the profiles stored on the server
   loadCredentials();
+  loadProfiles(appState.credentials.profile);
   
   // Connection Form Handler
   async function handleConnect(event) {
@@ -135,11 +240,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const storeName = storeNameInput.value.trim();
     const clientId = clientIdInput.value.trim();
     const accessToken = accessTokenInput.value.trim();
+    const selectedProfile = appState.profiles.find(profile => profile.id === profileSelect.value) || null;
+    const profileName = selectedProfile ? selectedProfile.name : profileNameInput.value.trim();
     
     // Get API version - either selected or latest
     const apiVersion = alwaysLatestCheckbox.checked ? '2025-01' : apiVersionSelect.value;
     
-    if (!storeName || !clientId || !accessToken) {
+    // A saved profile already holds its client ID and access token
+    if (!storeName || (!selectedProfile && (!clientId || !accessToken))) {
       alert('Please fill in all required fields');
       return;
     }
@@ -152,17 +260,49 @@ document.addEventListener('DOMContentLoaded', () => {
       // Show selected API version
       console.log(`Using Shopify Admin API version: ${apiVersion}`);
       
-      // Save credentials to server
-      const response = await fetch('/api/credentials', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ storeName, clientId, accessToken, apiVersion })
-      });
+      let profileId = null;
       
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
+      if (profileName) {
+        profileId = selectedProfile ? selectedProfile.id : null;
+        
+        // Save new credentials, or changes to the selected profile, encrypted on the server
+        const changed = !selectedProfile || clientId || accessToken ||
+          selectedProfile.storeName !== storeName || selectedProfile.apiVersion !== apiVersion;
+        if (changed) {
+          const saveResponse = await fetch('/api/profiles', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name: profileName, storeName, clientId, accessToken, apiVersion })
+          });
+          const saved = await saveResponse.json();
+          
+          if (!saveResponse.ok) {
+            throw new Error(saved.details ? `${saved.error}: ${saved.details.join(', ')}` : saved.error);
+          }
+          profileId = saved.id;
+        }
+        
+        // Connect the server to the profile's store
+        const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}/connect`, { method: 'POST' });
+        if (!response.ok) {
+          const result = await response.json();
+          throw new Error(result.error || `Server error: ${response.status}`);
+        }
+      } else {
+        // Save credentials to server
+        const response = await fetch('/api/credentials', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ storeName, clientId, accessToken, apiVersion })
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Server error: ${response.status}`);
+        }
       }
       
       // Test connection
@@ -173,49 +313,68 @@ document.addEventListener('DOMContentLoaded', () => {
         throw new Error(testResult.message || 'Connection test failed');
       }
       
+      // Switching stores leaves the schema and selections of the previous one behind
+      if (appState.connected) {
+        appState.schema = null;
+        fieldSelectionSection.style.display = 'none';
+        showPredefinedQueriesSection();
+      }
+      
       // Update state
       appState.connected = true;
-      appState.credentials = { storeName, clientId, accessToken, apiVersion };
+      appState.credentials = { storeName, clientId, apiVersion, profile: profileId };
       
       // Update UI
       connectionStatus.className = 'badge bg-success';
-      connectionStatus.textContent = 'Connected';
+      connectionStatus.textContent = profileName ? `Connected: ${profileName}` : 'Connected';
       connectBtn.innerHTML = `<i class="bi bi-check-circle-fill me-1"></i> Connected (API v${apiVersion})`;
       connectBtn.classList.remove('btn-primary');
       connectBtn.classList.add('btn-success');
       
-      // Keep the input values in the form
+      // Keep the input values in the form, the secrets of a profile stay on the server
       storeNameInput.value = storeName;
-      clientIdInput.value = clientId;
-      accessTokenInput.value = accessToken;
+      clientIdInput.value = profileId ? '' : clientId;
+      accessTokenInput.value = profileId ? '' : accessToken;
       
       // Show predefined queries section
       predefinedQueriesSection.style.display = 'block';
       
-      // Save credentials to localStorage
-      saveCredentials({ storeName, clientId, accessToken, apiVersion });
+      // Save the connection to localStorage, without the access token
+      saveCredentials({ storeName, clientId: profileId ? '' : clientId, apiVersion, profile: profileId });
+      
+      if (profileId) {
+        await loadProfiles(profileId);
+      }
       
     } catch (error) {
       console.error('Connection error:', error);
       alert(`Failed to connect: ${error.message}`);
       
       // Reset button but keep the input values
-      connectBtn.disabled = false;
-      connectBtn.innerHTML = '<i class="bi bi-plug-fill me-1"></i> Connect to Shopify';
+      resetConnectButton();
     }
   }
   
-  // Save credentials to localStorage
+  // Let the form connect again, e.g. to another profile
+  function resetConnectButton() {
+    connectBtn.disabled = false;
+    connectBtn.innerHTML = '<i class="bi bi-plug-fill me-1"></i> Connect to Shopify';
+    connectBtn.classList.remove('btn-success');
+    connectBtn.classList.add('btn-primary');
+  }
+  
+  // Save the connection to localStorage. Access tokens are never stored in the browser.
   function saveCredentials(credentials) {
     try {
-      localStorage.setItem('shopifyCredentials', JSON.stringify(credentials));
-      console.log('Credentials saved to localStorage');
+      const { accessToken, ...connection } = credentials;
+      localStorage.setItem('shopifyCredentials', JSON.stringify(connection));
+      console.log('Connection saved to localStorage');
     } catch (error) {
       console.error('Error saving credentials to localStorage:', error);
     }
   }
   
-  // Load credentials from localStorage
+  // Load the connection from localStorage
   function loadCredentials() {
     try {
       const savedCredentials = localStorage.getItem('shopifyCredentials');
@@ -226,7 +385,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Fill the form with saved credentials
         storeNameInput.value = credentials.storeName || '';
         clientIdInput.value = credentials.clientId || '';
-        accessTokenInput.value = credentials.accessToken || '';
+        appState.credentials.profile = credentials.profile || null;
         
         if (credentials.apiVersion) {
           // Set API version if available
@@ -235,6 +394,11 @@ document.addEventListener('DOMContentLoaded', () => {
           }
         }
         
+        // Earlier versions kept the access token here, drop it
+        if (credentials.accessToken) {
+          saveCredentials(credentials);
+        }
+        
         console.log('Credentials loaded from localStorage');
       }
     } catch (error) {
@@ -242,6 +406,105 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  // Load the connection profiles stored on the server into the profile switcher
+  async function loadProfiles(selectedId = profileSelect.value) {
+    try {
+      const response = await fetch('/api/profiles');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || response.status);
+      }
+      
+      appState.profiles = result.profiles;
+      profileSelect.innerHTML = '<option value="">New connection</option>';
+      result.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `${profile.name} (${profile.storeName})`;
+        profileSelect.appendChild(option);
+      });
+      
+      // Without a master key the server can list profiles but not save or use them
+      profileNameInput.disabled = !result.masterKey;
+      profileHelp.textContent = result.masterKey
+        ? 'Switch between stores saved on the server'
+        : 'Set PROFILES_MASTER_KEY on the server to save and use profiles';
+      
+      const id = result.profiles.some(profile => profile.id === selectedId) ? selectedId : '';
+      profileSelect.value = id;
+      showProfile(id);
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+  }
+  
+  // Show a profile in the form. Its client ID and access token aren't sent to the
+  // browser, they are only needed to change them.
+  function showProfile(id) {
+    const profile = appState.profiles.find(entry => entry.id === id) || null;
+    
+    deleteProfileBtn.disabled = !profile;
+    clientIdInput.required = !profile;
+    accessTokenInput.required = !profile;
+    clientIdInput.placeholder = profile ? 'Stored in the profile' : '';
+    accessTokenInput.placeholder = profile ? 'Stored in the profile' : '';
+    profileNameInput.value = profile ? profile.name : '';
+    profileNameInput.readOnly = Boolean(profile);
+    
+    if (!profile) return;
+    
+    storeNameInput.value = profile.storeName;
+    clientIdInput.value = '';
+    accessTokenInput.value = '';
+    
+    if (!apiVersionSelect.querySelector(`option[value="${profile.apiVersion}"]`)) {
+      const option = document.createElement('option');
+      option.value = profile.apiVersion;
+      option.textContent = profile.apiVersion;
+      apiVersionSelect.appendChild(option);
+    }
+    alwaysLatestCheckbox.checked = profile.apiVersion === '2025-01';
+    apiVersionSelect.disabled = alwaysLatestCheckbox.checked;
+    apiVersionSelect.value = profile.apiVersion;
+  }
+  
+  // Switch to another profile, or to a new connection
+  function selectProfile(id) {
+    showProfile(id);
+    
+    if (!id) {
+      storeNameInput.value = '';
+      clientIdInput.value = '';
+      accessTokenInput.value = '';
+    }
+    
+    // Connecting again switches the server to the selected store
+    if (appState.connected) {
+      resetConnectButton();
+    }
+  }
+  
+  // Delete the selected profile from the server
+  async function deleteSelectedProfile() {
+    const profile = appState.profiles.find(entry => entry.id === profileSelect.value);
+    if (!profile || !confirm(`Delete the profile ${profile.name}? Its credentials are removed from the server.`)) return;
+    
+    try {
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profile.id)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || response.status);
+      }
+      
+      profileSelect.value = '';
+      selectProfile('');
+      await loadProfiles('');
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      alert(`Failed to delete profile: ${error.message}`);
+    }
+  }
+  
   // Fetch Available APIs from GraphQL Schema
   async function fetchAvailableApis() {
     if (!appState.connected) {
@@ -367,8 +630,90 @@ document.addEventListener('DOMContentLoaded', () => {
     selectedResourceName.textContent = resourceName;
     
     // Show field selection section and fetch fields
+    clearExtractionEstimate();
     showFieldSelectionSection();
     fetchResourceFields(resourceName);
+    loadRecordFilters(resourceName);
+  }
+  
+  // Set up the record filter builder for the filters a resource supports
+  async function loadRecordFilters(resourceName) {
+    recordFiltersCard.style.display = 'none';
+    
+    // Clear values left over from another resource
+    [recordFilterTag, recordFilterVendor, recordFilterCreatedAfter, recordFilterCreatedBefore,
+      recordFilterUpdatedAfter, recordFilterUpdatedBefore, recordFilterRaw].forEach(input => {
+      input.value = '';
+    });
+    recordFilterReverse.checked = false;
+    
+    try {
+      const response = await fetch(`/api/resource-filters?resource=${encodeURIComponent(resourceName)}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch filters: ${response.status}`);
+      }
+      
+      const options = await response.json();
+      
+      // Ignore the answer if another resource was selected in the meantime
+      if (appState.selectedResource !== resourceName) return;
+      
+      recordFilterStatus.innerHTML = '<option value="">Any</option>' + options.statusValues
+        .map(value => `<option value="${value}">${value}</option>`)
+        .join('');
+      recordFilterSortKey.innerHTML = '<option value="">Default</option>' + options.sortKeys
+        .map(value => `<option value="${value}">${value}</option>`)
+        .join('');
+      
+      const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? 'block' : 'none';
+      };
+      show('record-filter-status-group', options.supportsQuery && options.statusValues.length > 0);
+      show('record-filter-tag-group', options.supportsQuery && options.hasTags);
+      show('record-filter-vendor-group', options.supportsQuery && options.hasVendor);
+      show('record-filter-created-group', options.supportsQuery && options.hasCreatedAt);
+      show('record-filter-updated-group', options.supportsQuery && options.hasUpdatedAt);
+      show('record-filter-raw-group', options.supportsQuery);
+      show('record-filter-sort-group', options.sortKeys.length > 0 || options.supportsReverse);
+      
+      if (options.supportsQuery || options.sortKeys.length > 0 || options.supportsReverse) {
+        recordFiltersCard.style.display = 'block';
+      }
+    } catch (error) {
+      // Filters are optional, the extraction still works without them
+      console.error('Error fetching record filters:', error);
+    }
+  }
+  
+  // Collect the record filters that have a value
+  function collectRecordFilters() {
+    if (recordFiltersCard.style.display === 'none') return null;
+    
+    const filters = {
+      status: recordFilterStatus.value,
+      tag: recordFilterTag.value.split(',').map(tag => tag.trim()).filter(Boolean),
+      vendor: recordFilterVendor.value.trim(),
+      createdAfter: recordFilterCreatedAfter.value,
+      createdBefore: recordFilterCreatedBefore.value,
+      updatedAfter: recordFilterUpdatedAfter.value,
+      updatedBefore: recordFilterUpdatedBefore.value,
+      raw: recordFilterRaw.value.trim(),
+      sortKey: recordFilterSortKey.value
+    };
+    
+    // Drop empty values so the server only validates what was set
+    Object.keys(filters).forEach(key => {
+      const value = filters[key];
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        delete filters[key];
+      }
+    });
+    
+    if (recordFilterReverse.checked) {
+      filters.reverse = true;
+    }
+    
+    return Object.keys(filters).length > 0 ? filters : null;
   }
   
   // Fetch fields for a selected resource
@@ -376,6 +721,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Show loading
     fieldsLoading.style.display = 'block';
     fieldsContainer.style.display = 'none';
+    appState.typeFields = {};
     
     try {
       const response = await fetch(`/api/resource-fields?resource=${encodeURIComponent(resourceName)}`);
@@ -446,7 +792,7 @@ document.addEventListener('DOMContentLoaded', () => {
                    data-category="${category}">
           </div>
         </td>
-        <td>${field.name}</td>
+        <td>${getExpandToggle(field, field.name, 1)}${field.name}${getFieldNotes(field)}</td>
         <td><span class="category-badge">${category}</span></td>
         <td><span class="badge ${typeClass}">${typeDisplay}</span></td>
         <td>${field.description || 'No description available'}</td>
@@ -483,6 +829,290 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // Expand/collapse button for fields that have subfields, a spacer for the others
+  function getExpandToggle(field, path, depth) {
+    if (!field.expandsTo || depth >= MAX_FIELD_DEPTH) {
+      return '<span class="field-expand-spacer"></span>';
+    }
+    
+    return `
+      <button type="button" class="btn btn-link btn-sm p-0 field-expand-toggle" aria-expanded="false"
+              data-path="${path}" data-expands-to="${field.expandsTo}" data-depth="${depth}"
+              title="Show the fields of ${field.expandsTo}">
+        <i class="bi bi-chevron-right"></i>
+      </button>`;
+  }
+  
+  // Notes next to a field name: the type an interface or union field comes from,
+  // and required arguments, which keep a field out of built queries (e.g. metafield(key:))
+  function getFieldNotes(field) {
+    let notes = '';
+    if (field.onType) {
+      notes += `<span class="field-parent ms-1">on ${field.onType}</span>`;
+    }
+    if (field.requiredArguments && field.requiredArguments.length > 0) {
+      notes += `<span class="field-parent ms-1">needs ${field.requiredArguments.join(', ')}</span>`;
+    }
+    return notes;
+  }
+  
+  // Fetch the selectable fields of a nested type, once per type
+  async function fetchTypeFields(typeName) {
+    if (!appState.typeFields[typeName]) {
+      const response = await fetch(`/api/resource-fields?type=${encodeURIComponent(typeName)}`);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to fetch fields: ${response.status}`);
+      }
+      
+      const { fields } = await response.json();
+      appState.typeFields[typeName] = [...fields].sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    return appState.typeFields[typeName];
+  }
+  
+  // Expand or collapse a field in the tree, loading its subfields the first time
+  async function toggleNestedFields(toggle) {
+    const expand = toggle.getAttribute('aria-expanded') !== 'true';
+    toggle.setAttribute('aria-expanded', String(expand));
+    toggle.querySelector('i').className = expand ? 'bi bi-chevron-down' : 'bi bi-chevron-right';
+    
+    if (expand && !toggle.dataset.loaded) {
+      toggle.disabled = true;
+      try {
+        const fields = await fetchTypeFields(toggle.dataset.expandsTo);
+        insertNestedRows(toggle.closest('tr'), toggle.dataset.path, Number(toggle.dataset.depth) + 1, fields);
+        toggle.dataset.loaded = 'true';
+      } catch (error) {
+        console.error('Error fetching nested fields:', error);
+        alert(`Failed to fetch fields of ${toggle.dataset.expandsTo}: ${error.message}`);
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.querySelector('i').className = 'bi bi-chevron-right';
+      } finally {
+        toggle.disabled = false;
+      }
+    }
+    
+    updateNestedRowVisibility();
+  }
+  
+  // Add the subfields of an expanded field below its row
+  function insertNestedRows(parentRow, parentPath, depth, fields) {
+    let previousRow = parentRow;
+    
+    if (fields.length === 0) {
+      const row = document.createElement('tr');
+      row.className = 'nested-field-row';
+      row.dataset.path = `${parentPath}.`;
+      row.innerHTML = `<td></td><td colspan="4" class="text-muted small" style="padding-left: ${depth}rem">No selectable fields</td>`;
+      previousRow.after(row);
+      return;
+    }
+    
+    fields.forEach(field => {
+      const path = `${parentPath}.${field.name}`;
+      const row = document.createElement('tr');
+      row.className = 'nested-field-row';
+      row.dataset.path = path;
+      
+      row.innerHTML = `
+        <td>
+          <div class="form-check">
+            <input class="form-check-input nested-field-checkbox" type="checkbox" value="${path}" 
+                   id="field-${path}" data-field-path="${path}">
+          </div>
+        </td>
+        <td style="padding-left: ${depth}rem">
+          ${getExpandToggle(field, path, depth)}<label for="field-${path}">${field.name}</label>${getFieldNotes(field)}
+        </td>
+        <td></td>
+        <td><span class="badge ${getTypeClass(field.type)}">${getTypeDisplay(field.type)}</span></td>
+        <td>${field.description || 'No description available'}</td>
+      `;
+      
+      previousRow.after(row);
+      previousRow = row;
+    });
+  }
+  
+  // Show nested rows whose top-level field passes the filters and whose parents are all expanded
+  function updateNestedRowVisibility() {
+    const expandedPaths = new Set(Array.from(document.querySelectorAll('.field-expand-toggle[aria-expanded="true"]'))
+      .map(toggle => toggle.dataset.path));
+    
+    document.querySelectorAll('.nested-field-row').forEach(row => {
+      const parts = row.dataset.path.split('.');
+      const rootRow = document.querySelector(`.field-row[data-field-name="${parts[0]}"]`);
+      const parentsExpanded = parts.slice(0, -1).every((part, index) => expandedPaths.has(parts.slice(0, index + 1).join('.')));
+      
+      row.style.display = rootRow && rootRow.style.display !== 'none' && parentsExpanded ? '' : 'none';
+    });
+  }
+  
+  // Selected fields as paths: top-level names and dotted nested paths such as variants.sku
+  function getSelectedFieldPaths() {
+    const topLevel = Array.from(document.querySelectorAll('.field-checkbox:checked'))
+      .map(checkbox => checkbox.dataset.fieldName);
+    const nested = Array.from(document.querySelectorAll('.nested-field-checkbox:checked'))
+      .map(checkbox => checkbox.dataset.fieldPath);
+    
+    return topLevel.concat(nested);
+  }
+  
+  // Rebuild the query preview shortly after the last selection change
+  function scheduleQueryPreview() {
+    clearExtractionEstimate();
+    clearTimeout(appState.previewTimer);
+    appState.previewTimer = setTimeout(updateQueryPreview, QUERY_PREVIEW_DELAY);
+  }
+  
+  // Show the query the server builds for the current selection
+  async function updateQueryPreview() {
+    const fields = getSelectedFieldPaths();
+    const requestId = ++appState.previewRequest;
+    
+    queryPreviewWarnings.innerHTML = '';
+    queryPreviewWarnings.style.display = 'none';
+    
+    if (fields.length === 0) {
+      queryPreview.textContent = 'Select fields to preview the query';
+      queryPreviewStatus.textContent = '';
+      return;
+    }
+    
+    queryPreviewStatus.textContent = 'Building...';
+    
+    try {
+      const response = await fetch('/api/build-query', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          resource: appState.selectedResource,
+          fields
+        })
+      });
+      
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || response.status);
+      }
+      
+      // A newer selection has been sent meanwhile
+      if (requestId !== appState.previewRequest) return;
+      
+      queryPreview.textContent = result.query.trim();
+      queryPreviewStatus.textContent = `${fields.length} field${fields.length === 1 ? '' : 's'} selected`;
+      
+      (result.warnings || []).forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        queryPreviewWarnings.appendChild(item);
+      });
+      queryPreviewWarnings.style.display = result.warnings && result.warnings.length > 0 ? 'block' : 'none';
+    } catch (error) {
+      if (requestId !== appState.previewRequest) return;
+      queryPreviewStatus.textContent = `Preview failed: ${error.message}`;
+    }
+  }
+  
+  // An estimate only holds for the selection it was made for
+  function clearExtractionEstimate() {
+    appState.estimateRequest++;
+    extractionEstimate.innerHTML = '';
+    extractionEstimate.style.display = 'none';
+  }
+  
+  // Estimate requests, cost and duration of extracting the current selection
+  async function estimateExtraction() {
+    const fields = getSelectedFieldPaths();
+    if (fields.length === 0) {
+      alert('Please select at least one field to estimate');
+      return;
+    }
+    
+    const requestId = ++appState.estimateRequest;
+    extractionEstimate.style.display = 'block';
+    extractionEstimate.className = 'small mt-2 text-muted';
+    extractionEstimate.textContent = 'Estimating with a one-record dry run...';
+    estimateExtractionBtn.disabled = true;
+    
+    try {
+      const response = await fetch('/api/estimate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          resource: appState.selectedResource,
+          fields,
+          filters: collectRecordFilters()
+        })
+      });
+      
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = result.details ? `: ${result.details.join('; ')}` : '';
+        throw new Error(`${result.error || response.status}${details}`);
+      }
+      
+      // The selection changed while the estimate ran
+      if (requestId !== appState.estimateRequest) return;
+      
+      showExtractionEstimate(result);
+    } catch (error) {
+      if (requestId !== appState.estimateRequest) return;
+      extractionEstimate.className = 'small mt-2 text-danger';
+      extractionEstimate.textContent = `Estimate failed: ${error.message}`;
+    } finally {
+      estimateExtractionBtn.disabled = false;
+    }
+  }
+  
+  // Show an estimate from /api/estimate under the extract button
+  function showExtractionEstimate(estimate) {
+    extractionEstimate.innerHTML = '';
+    extractionEstimate.className = 'small mt-2';
+    
+    const summary = document.createElement('div');
+    if (estimate.count === null) {
+      summary.textContent = `About ${estimate.cost.perPage.actual.toLocaleString()} cost points per page of ${estimate.pageSize} records`;
+    } else {
+      const records = `${estimate.countPrecision === 'AT_LEAST' ? 'At least ' : ''}${estimate.count.toLocaleString()} records`;
+      summary.textContent = `${records}, ${estimate.requests.toLocaleString()} request${estimate.requests === 1 ? '' : 's'}, ` +
+        `about ${estimate.cost.total.toLocaleString()} cost points, ${formatDuration(estimate.estimatedSeconds)}`;
+    }
+    extractionEstimate.appendChild(summary);
+    
+    const notes = [...estimate.warnings];
+    if (bulkModeCustomCheckbox.checked) {
+      notes.push('Bulk operations run on Shopify\'s side, this estimate is for a paginated extraction');
+    }
+    
+    if (notes.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'text-danger text-start ps-3 mb-0';
+      notes.forEach(note => {
+        const item = document.createElement('li');
+        item.textContent = note;
+        list.appendChild(item);
+      });
+      extractionEstimate.appendChild(list);
+    }
+  }
+  
+  // Helper function to describe a duration in seconds
+  function formatDuration(seconds) {
+    if (seconds < 60) return `about ${seconds} s`;
+    
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `about ${minutes} min`;
+    
+    return `about ${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+  
   // Categorize fields based on their name and type
   function categorizeFields(fields) {
     const categories = {};
@@ -710,6 +1340,8 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('.field-checkbox, .field-checkbox-categorized').forEach(checkbox => {
       checkbox.checked = isChecked;
     });
+    
+    scheduleQueryPreview();
   }
   
   // Update the "select all" checkbox state
@@ -742,6 +1374,9 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Update category counters
     updateCategorySelectionCounters();
+    
+    // Rebuild the query preview for the new selection
+    scheduleQueryPreview();
   }
   
   // Update the category selection counters
@@ -879,6 +1514,9 @@ document.addEventListener('DOMContentLoaded', () => {
       checkbox.closest('.field-row-grouped').style.display = 
         (matchesSearch && matchesType && matchesCategory) ? '' : 'none';
     });
+    
+    // Nested fields follow their top-level field
+    updateNestedRowVisibility();
   }
   
   // Start the data extraction process
@@ -886,7 +1524,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Get selected fields (from either view - table or categorized)
     const selectedCheckboxes = document.querySelectorAll('.field-checkbox:checked');
     
-    if (selectedCheckboxes.length === 0) {
+    // Nested fields ticked in the field tree, as paths such as variants.sku
+    const selectedPaths = Array.from(document.querySelectorAll('.nested-field-checkbox:checked'))
+      .map(checkbox => checkbox.dataset.fieldPath);
+    
+    if (selectedCheckboxes.length === 0 && selectedPaths.length === 0) {
       alert('Please select at least one field to extract');
       return;
     }
@@ -915,7 +1557,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
     
-    appState.selectedFields = selectedFields.concat(selectedConnections);
+    appState.selectedFields = selectedFields.concat(selectedConnections, selectedPaths);
     
     // Log the fields by category for reference
     console.log('Selected fields by category:', fieldsByCategory);
@@ -929,10 +1571,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Reset buttons
     downloadDataBtn.disabled = true;
     viewJsonBtn.disabled = true;
+    resumeExtractionBtn.style.display = 'none';
     
     try {
       // Build the GraphQL query
-      const query = await buildGraphQLQuery(appState.selectedResource, selectedFields, selectedConnections);
+      const query = await buildGraphQLQuery(appState.selectedResource, selectedFields, selectedConnections, selectedPaths);
       currentQueryInput.value = query;
       
       // Log summary of selected fields by category
@@ -941,6 +1584,9 @@ document.addEventListener('DOMContentLoaded', () => {
         .join(', ');
       
       appendToLogs(`Selected ${appState.selectedFields.length} fields across categories: ${categoryLog}`);
+      if (selectedPaths.length > 0) {
+        appendToLogs(`Nested fields: ${selectedPaths.join(', ')}`);
+      }
       
       // Log the query
       appendToLogs(`Extraction query built for ${appState.selectedResource}`);
@@ -959,16 +1605,23 @@ document.addEventListener('DOMContentLoaded', () => {
         body: JSON.stringify({
           resource: appState.selectedResource,
           query,
-          fields: appState.selectedFields
+          fields: appState.selectedFields,
+          mode: bulkModeCustomCheckbox.checked ? 'bulk' : 'paginated',
+          filters: collectRecordFilters()
         })
       });
       
       if (!initResponse.ok) {
-        throw new Error(`Failed to initialize extraction: ${initResponse.status}`);
+        const errorData = await initResponse.json().catch(() => ({}));
+        const details = errorData.details ? `: ${errorData.details.join('; ')}` : '';
+        throw new Error(`Failed to initialize extraction: ${errorData.error || initResponse.status}${details}`);
       }
       
+      const { jobId } = await initResponse.json();
+      appendToLogs(`Extraction job ${jobId} started`);
+      
       // Start listening for extraction updates
-      startExtractionUpdates();
+      startExtractionUpdates(jobId);
       
     } catch (error) {
       console.error('Extraction initialization error:', error);
@@ -998,6 +1651,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Reset buttons
     downloadDataBtn.disabled = true;
     viewJsonBtn.disabled = true;
+    resumeExtractionBtn.style.display = 'none';
     
     try {
       // Şemayı kontrol edip güvenli ve güncel bir sorgu alalım
@@ -1013,7 +1667,9 @@ document.addEventListener('DOMContentLoaded', () => {
         body: JSON.stringify({
           resource: resource,
           query: predefinedQuery.query,
-          fields: predefinedQuery.fields
+          fields: predefinedQuery.fields,
+          mode: bulkModePredefinedCheckbox.checked ? 'bulk' : 'paginated',
+          incremental: incrementalSyncCheckbox.checked
         })
       });
       
@@ -1021,6 +1677,9 @@ document.addEventListener('DOMContentLoaded', () => {
         throw new Error(`Failed to initialize extraction: ${initResponse.status}`);
       }
       
+      const { jobId } = await initResponse.json();
+      appendToLogs(`Extraction job ${jobId} started`);
+      
       // Set app state to track
       appState.extractionInProgress = true;
       appState.selectedResource = resource;
@@ -1030,7 +1689,7 @@ document.addEventListener('DOMContentLoaded', () => {
       currentQueryInput.value = predefinedQuery.query;
       
       // Start listening for extraction updates
-      startExtractionUpdates();
+      startExtractionUpdates(jobId);
       
     } catch (error) {
       console.error('Extraction initialization error:', error);
@@ -1039,16 +1698,253 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
-  // Monitor extraction progress
-  function startExtractionUpdates() {
+  // Query, variables and connection path from the query editor
+  function getQueryEditorValues() {
+    let variables;
+    try {
+      variables = JSON.parse(queryVariablesInput.value.trim() || '{}');
+    } catch (error) {
+      throw new Error(`Variables are not valid JSON: ${error.message}`);
+    }
+    
+    return {
+      query: queryEditorInput.value,
+      variables,
+      connectionPath: queryConnectionPathInput.value.trim() || null
+    };
+  }
+  
+  // Show validation errors, warnings and the connection that will be paginated
+  function showQueryValidation(result) {
+    queryValidationResults.innerHTML = '';
+    queryValidationResults.style.display = 'block';
+    
+    const addList = (items, className) => {
+      if (items.length === 0) return;
+      const list = document.createElement('ul');
+      list.className = className;
+      items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = item.line ? `Line ${item.line}:${item.column}: ${item.message}` : item.message;
+        list.appendChild(entry);
+      });
+      queryValidationResults.appendChild(list);
+    };
+    
+    if (result.connection) {
+      const { path, afterVariable, firstVariable } = result.connection;
+      const summary = document.createElement('div');
+      summary.className = 'text-success mb-2';
+      summary.textContent = `Paginates ${path.join('.')} with $${afterVariable}` +
+        (firstVariable ? `, page size from $${firstVariable}` : '');
+      queryValidationResults.appendChild(summary);
+    }
+    
+    addList(result.errors || [], 'text-danger');
+    addList(result.warnings || [], 'text-warning');
+  }
+  
+  // Check the query in the editor against the store's schema
+  async function validateCustomQuery() {
+    try {
+      const response = await fetch('/api/custom-query/validate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(getQueryEditorValues())
+      });
+      
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || response.status);
+      }
+      
+      showQueryValidation(result);
+      return result.valid;
+    } catch (error) {
+      showQueryValidation({ errors: [{ message: error.message }] });
+      return false;
+    }
+  }
+  
+  // Fill the saved query list
+  async function loadSavedQueryList(selectedId = savedQuerySelect.value) {
+    try {
+      const response = await fetch('/api/saved-queries');
+      const { queries } = await response.json();
+      
+      savedQuerySelect.innerHTML = '<option value="">Saved queries...</option>';
+      queries.forEach(query => {
+        const option = document.createElement('option');
+        option.value = query.id;
+        option.textContent = query.description ? `${query.name} - ${query.description}` : query.name;
+        savedQuerySelect.appendChild(option);
+      });
+      savedQuerySelect.value = queries.some(query => query.id === selectedId) ? selectedId : '';
+    } catch (error) {
+      console.error('Error loading saved queries:', error);
+    }
+  }
+  
+  // Load the selected saved query into the editor
+  async function loadSavedQuery() {
+    if (!savedQuerySelect.value) return;
+    
+    try {
+      const response = await fetch(`/api/saved-queries/${encodeURIComponent(savedQuerySelect.value)}`);
+      const saved = await response.json();
+      if (!response.ok) {
+        throw new Error(saved.error || response.status);
+      }
+      
+      queryNameInput.value = saved.name;
+      queryDescriptionInput.value = saved.description || '';
+      queryConnectionPathInput.value = saved.connectionPath || '';
+      queryEditorInput.value = saved.query;
+      queryVariablesInput.value = JSON.stringify(saved.variables || {}, null, 2);
+      queryValidationResults.style.display = 'none';
+    } catch (error) {
+      alert(`Could not load the query: ${error.message}`);
+    }
+  }
+  
+  // Save the editor's query under its name
+  async function saveCustomQuery() {
+    try {
+      const response = await fetch('/api/saved-queries', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          name: queryNameInput.value.trim(),
+          description: queryDescriptionInput.value.trim(),
+          ...getQueryEditorValues()
+        })
+      });
+      
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const details = result.details ? `: ${result.details.join('; ')}` : '';
+        throw new Error(`${result.error || response.status}${details}`);
+      }
+      
+      await loadSavedQueryList(result.query.id);
+    } catch (error) {
+      alert(`Could not save the query: ${error.message}`);
+    }
+  }
+  
+  // Delete the selected saved query
+  async function deleteSavedQuery() {
+    const selected = savedQuerySelect.options[savedQuerySelect.selectedIndex];
+    if (!savedQuerySelect.value || !confirm(`Delete the saved query ${selected.textContent}?`)) return;
+    
+    try {
+      const response = await fetch(`/api/saved-queries/${encodeURIComponent(savedQuerySelect.value)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || response.status);
+      }
+      
+      await loadSavedQueryList('');
+    } catch (error) {
+      alert(`Could not delete the query: ${error.message}`);
+    }
+  }
+  
+  // Extract the editor's query page by page through the connection it selects
+  async function startCustomQueryExtraction() {
+    // Problems are shown next to the editor instead of starting a job that would fail
+    if (!(await validateCustomQuery())) return;
+    const values = getQueryEditorValues();
+    
+    // Show extraction section
+    extractionSection.style.display = 'block';
+    extractionSection.scrollIntoView({ behavior: 'smooth' });
+    
+    updateProgressBar(0);
+    extractionStatus.textContent = 'Initializing extraction...';
+    recordsCount.textContent = '0';
+    extractionLogs.textContent = '';
+    
+    // Reset buttons
+    downloadDataBtn.disabled = true;
+    viewJsonBtn.disabled = true;
+    resumeExtractionBtn.style.display = 'none';
+    
+    try {
+      const initResponse = await fetch('/api/extract', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          custom: true,
+          ...values
+        })
+      });
+      
+      if (!initResponse.ok) {
+        const errorData = await initResponse.json().catch(() => ({}));
+        const details = errorData.details ? `: ${errorData.details.join('; ')}` : '';
+        throw new Error(`Failed to initialize extraction: ${errorData.error || initResponse.status}${details}`);
+      }
+      
+      const { jobId } = await initResponse.json();
+      appendToLogs(`Extraction job ${jobId} started for the custom query`);
+      
+      appState.extractionInProgress = true;
+      currentQueryInput.value = values.query;
+      
+      // Start listening for extraction updates
+      startExtractionUpdates(jobId);
+      
+    } catch (error) {
+      console.error('Extraction initialization error:', error);
+      appendToLogs(`Error: ${error.message}`);
+      extractionStatus.textContent = 'Failed to start extraction';
+    }
+  }
+  
+  // Show when each predefined resource was last synced
+  async function showSyncState() {
+    incrementalSyncInfo.textContent = '';
+    if (!incrementalSyncCheckbox.checked) return;
+    
+    try {
+      const response = await fetch('/api/sync-state');
+      if (!response.ok) {
+        throw new Error(`Failed to load sync state: ${response.status}`);
+      }
+      
+      const syncState = await response.json();
+      const resources = Object.keys(syncState);
+      
+      incrementalSyncInfo.textContent = resources.length > 0
+        ? resources.map(resource => `${resource}: ${syncState[resource].recordCount} records, changes since ${syncState[resource].highWaterMark || 'the start'}`).join(' · ')
+        : 'No earlier syncs, the first run fetches everything.';
+    } catch (error) {
+      console.error('Error loading sync state:', error);
+      incrementalSyncInfo.textContent = error.message;
+    }
+  }
+  
+  // Monitor the progress of an extraction job
+  function startExtractionUpdates(jobId) {
+    appState.currentJobId = jobId;
+    appState.logIndex = 0;
+    
     const updateInterval = setInterval(async () => {
-      if (!appState.extractionInProgress) {
+      // Stop when the extraction ended or another job took over this view
+      if (!appState.extractionInProgress || appState.currentJobId !== jobId) {
         clearInterval(updateInterval);
         return;
       }
       
       try {
-        const response = await fetch('/api/extraction-status');
+        const response = await fetch(`/api/jobs/${jobId}`);
         if (!response.ok) {
           throw new Error(`Failed to get extraction status: ${response.status}`);
         }
@@ -1058,21 +1954,40 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update progress bar
         updateProgressBar(statusData.progress);
         
-        // Update status text
-        extractionStatus.textContent = getStatusText(statusData.status);
+        // Handle dependent query states
+        if (statusData.status === 'fetching-primary' || statusData.status === 'fetching-secondary') {
+          updateDependentExtractionStatus(statusData.status, null, statusData.stages);
+        } else if (statusData.status === 'failed') {
+          // Pass the error message for better handling
+          updateDependentExtractionStatus(statusData.status, statusData.log);
+        } else {
+          // Update status text
+          extractionStatus.textContent = getStatusText(statusData.status);
+        }
         
         // Update records count
         recordsCount.textContent = statusData.recordsProcessed.toString();
         
-        // Add log if available
-        if (statusData.log) {
-          appendToLogs(statusData.log);
+        // Show the pause, continue and cancel buttons that apply right now
+        updateJobControls(statusData);
+        
+        // Add the logs written since the last update
+        if (statusData.logCount > appState.logIndex) {
+          const logsResponse = await fetch(`/api/jobs/${jobId}/logs?since=${appState.logIndex}`);
+          if (logsResponse.ok) {
+            const logsData = await logsResponse.json();
+            logsData.logs.forEach(log => appendToLogs(log));
+            appState.logIndex = logsData.logCount;
+          }
         }
         
         // Check if extraction is complete
         if (statusData.status === 'completed') {
           appState.extractionInProgress = false;
-          appState.extractionData = statusData.data;
+          clearInterval(updateInterval);
+          
+          // Results stay on the server and are read page by page
+          appState.resultJobId = jobId;
           
           // Enable download and view JSON buttons
           downloadDataBtn.disabled = false;
@@ -1080,15 +1995,30 @@ document.addEventListener('DOMContentLoaded', () => {
           
           // Final log
           appendToLogs(`Extraction completed: ${statusData.recordsProcessed} records extracted`);
-          
-          // Clear the interval
+        } else if (statusData.status === 'cancelled') {
+          appState.extractionInProgress = false;
           clearInterval(updateInterval);
-        } else if (statusData.status === 'failed') {
+          
+          // Cancelled jobs keep what they fetched, marked as incomplete
+          if (statusData.resultFile) {
+            appState.resultJobId = jobId;
+            downloadDataBtn.disabled = false;
+            viewJsonBtn.disabled = false;
+          }
+          
+          appendToLogs(`Extraction cancelled: ${statusData.recordsProcessed} records kept (incomplete)`);
+          
+          // A cancelled paginated extraction can still pick up where it stopped
+          showResumeOption(statusData.checkpointId);
+        } else if (statusData.status === 'failed' || statusData.status === 'interrupted') {
           appState.extractionInProgress = false;
           
           // Final log
           appendToLogs(`Extraction failed: ${statusData.log || 'Unknown error'}`);
           
+          // Offer to continue from the saved checkpoint
+          showResumeOption(statusData.checkpointId);
+          
           // Clear the interval
           clearInterval(updateInterval);
         }
@@ -1100,157 +2030,132 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 1000); // Check every second
   }
   
-  // Download the extracted data as JSON or CSV
-  function downloadExtractedData() {
-    if (!appState.extractionData) {
-      alert('No data available to download');
+  // Show the job control buttons that match the job's state
+  function updateJobControls(statusData) {
+    const running = ['completed', 'failed', 'cancelled', 'interrupted'].indexOf(statusData.status) === -1;
+    
+    pauseExtractionBtn.style.display = running && !statusData.paused && statusData.mode !== 'bulk' ? 'inline-block' : 'none';
+    continueExtractionBtn.style.display = running && statusData.paused ? 'inline-block' : 'none';
+    cancelExtractionBtn.style.display = running ? 'inline-block' : 'none';
+  }
+  
+  // Pause, continue or cancel the job being tracked
+  async function controlExtraction(action) {
+    if (!appState.currentJobId) return;
+    
+    if (action === 'cancel' && !confirm('Cancel this extraction? Records fetched so far will be kept as incomplete data.')) {
       return;
     }
     
-    // Ask user for format preference
-    const format = confirm('Download as CSV? (Click Cancel for JSON format)') ? 'csv' : 'json';
-    
-    if (format === 'json') {
-      // Create a JSON blob
-      const dataStr = JSON.stringify(appState.extractionData, null, 2);
-      const blob = new Blob([dataStr], { type: 'application/json' });
-      
-      // Create a download link
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${appState.selectedResource}_${new Date().toISOString().split('T')[0]}.json`;
-      
-      // Trigger download
-      document.body.appendChild(a);
-      a.click();
-      
-      // Clean up
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
-    } else {
-      // Convert JSON to CSV
-      const csv = convertToCSV(appState.extractionData);
-      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    try {
+      const response = await fetch(`/api/jobs/${appState.currentJobId}/${action}`, {
+        method: 'POST'
+      });
       
-      // Create a download link
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${appState.selectedResource}_${new Date().toISOString().split('T')[0]}.csv`;
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Request failed: ${response.status}`);
+      }
       
-      // Trigger download
-      document.body.appendChild(a);
-      a.click();
+      appendToLogs(result.message);
       
-      // Clean up
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 100);
+      // Reflect the change right away instead of waiting for the next poll
+      if (action === 'pause') {
+        pauseExtractionBtn.style.display = 'none';
+        continueExtractionBtn.style.display = 'inline-block';
+      } else if (action === 'resume') {
+        continueExtractionBtn.style.display = 'none';
+        pauseExtractionBtn.style.display = 'inline-block';
+      }
+    } catch (error) {
+      console.error(`Extraction ${action} error:`, error);
+      appendToLogs(`Error: ${error.message}`);
     }
   }
   
-  // Helper function to convert JSON to CSV
-  function convertToCSV(jsonData) {
-    if (!Array.isArray(jsonData) || jsonData.length === 0) {
-      return '';
+  // Show the resume button when the failed extraction left a checkpoint
+  function showResumeOption(checkpointId) {
+    appState.checkpointId = checkpointId || null;
+    
+    if (appState.checkpointId) {
+      resumeExtractionBtn.style.display = 'inline-block';
+      appendToLogs('Progress was saved. Click "Resume Extraction" to continue from the last fetched page.');
     }
+  }
+  
+  // Resume a failed extraction from its checkpoint
+  async function resumeExtraction() {
+    if (!appState.checkpointId) {
+      alert('No saved progress to resume');
+      return;
+    }
+    
+    resumeExtractionBtn.style.display = 'none';
+    appendToLogs(`Resuming extraction from checkpoint ${appState.checkpointId}...`);
     
     try {
-      // Collect all unique keys from all flattened objects
-      const headers = new Set();
-      jsonData.forEach(item => {
-        Object.keys(flattenObject(item)).forEach(key => headers.add(key));
+      const response = await fetch('/api/extract/resume', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ checkpointId: appState.checkpointId })
       });
       
-      const headerArray = Array.from(headers);
+      if (!response.ok) {
+        throw new Error(`Failed to resume extraction: ${response.status}`);
+      }
       
-      // Create header row with proper escaping
-      const headerRow = headerArray.map(header => escapeCsvValue(header)).join(',');
+      const { jobId } = await response.json();
       
-      // Create data rows
-      const rows = jsonData.map(item => {
-        const flatItem = flattenObject(item);
-        return headerArray.map(header => {
-          const value = flatItem[header] !== undefined ? flatItem[header] : '';
-          return escapeCsvValue(value);
-        }).join(',');
-      });
+      appState.extractionInProgress = true;
+      extractionStatus.textContent = 'Resuming extraction...';
+      
+      // Start listening for extraction updates
+      startExtractionUpdates(jobId);
       
-      // Add UTF-8 BOM for Excel compatibility and use CRLF for line breaks (RFC 4180)
-      const BOM = '\uFEFF';
-      return BOM + [headerRow, ...rows].join('\r\n');
     } catch (error) {
-      console.error('Error converting to CSV:', error);
-      alert('Error creating CSV: ' + error.message);
-      return '';
+      console.error('Extraction resume error:', error);
+      appendToLogs(`Error: ${error.message}`);
+      resumeExtractionBtn.style.display = 'inline-block';
     }
   }
   
-  /**
-   * Escapes special characters in CSV values according to RFC 4180
-   * @param {any} value - Value to escape
-   * @returns {string} Escaped CSV value
-   */
-  function escapeCsvValue(value) {
-    if (value === null || value === undefined) {
-      return '';
+  // Download the extracted data in the selected format
+  function downloadExtractedData() {
+    if (!appState.resultJobId) {
+      alert('No data available to download');
+      return;
     }
     
-    const stringValue = String(value);
-    
-    // If the value contains commas, newlines, or double quotes, enclose in double quotes
-    if (stringValue.includes(',') || stringValue.includes('\n') || stringValue.includes('\r') || stringValue.includes('"')) {
-      // Replace double quotes with two double quotes (escape them)
-      return `"${stringValue.replace(/"/g, '""')}"`;
+    // The server converts and streams the file, so large results never pass through the page
+    const format = downloadFormatSelect.value;
+    const a = document.createElement('a');
+    if (format === 'json') {
+      a.href = `/api/jobs/${appState.resultJobId}/download`;
+    } else if (format === 'csv-tables') {
+      // Nested connections as their own CSV files, linked by the parent id
+      a.href = `/api/jobs/${appState.resultJobId}/export?format=csv&explode=true`;
+    } else {
+      a.href = `/api/jobs/${appState.resultJobId}/export?format=${format}`;
     }
     
-    return stringValue;
+    // Trigger download
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    appendToLogs(`Downloading results as ${format.toUpperCase()}...`);
   }
   
-  /**
-   * Flattens nested objects for CSV conversion
-   * @param {Object} obj - Object to flatten
-   * @param {string} prefix - Prefix for nested keys
-   * @returns {Object} Flattened object
-   */
-  function flattenObject(obj, prefix = '') {
-    if (obj === null || obj === undefined) {
-      return {};
-    }
-    
-    return Object.keys(obj).reduce((acc, key) => {
-      const pre = prefix.length ? `${prefix}.` : '';
-      const value = obj[key];
-      
-      if (value === null || value === undefined) {
-        acc[`${pre}${key}`] = '';
-      } else if (typeof value === 'object' && !Array.isArray(value)) {
-        // Recursively flatten nested objects
-        Object.assign(acc, flattenObject(value, `${pre}${key}`));
-      } else if (Array.isArray(value)) {
-        // Format arrays as pipe-separated values (more standard than semicolons)
-        acc[`${pre}${key}`] = value.map(item => {
-          if (item === null || item === undefined) {
-            return '';
-          } else if (typeof item === 'object') {
-            return JSON.stringify(item);
-          }
-          return String(item);
-        }).join('|');
-      } else if (value instanceof Date) {
-        // Format dates as ISO strings
-        acc[`${pre}${key}`] = value.toISOString();
-      } else {
-        // Convert all other values to strings
-        acc[`${pre}${key}`] = String(value);
-      }
-      
-      return acc;
-    }, {});
+  // Fetch one page of the results of a job
+  async function fetchResultsPage(jobId, offset, limit) {
+    const response = await fetch(`/api/jobs/${jobId}/results?offset=${offset}&limit=${limit}`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `Failed to load extraction results: ${response.status}`);
+    }
+    return response.json();
   }
   
   // Helper function to get status text
@@ -1264,12 +2169,22 @@ document.addEventListener('DOMContentLoaded', () => {
         return 'Extraction in progress...';
       case 'paginating':
         return 'Fetching data pages...';
+      case 'bulk-running':
+        return 'Bulk operation running on Shopify...';
+      case 'downloading':
+        return 'Downloading bulk operation results...';
       case 'processing':
         return 'Processing extracted data...';
       case 'completed':
         return 'Extraction completed!';
       case 'failed':
         return 'Extraction failed';
+      case 'paused':
+        return 'Extraction paused';
+      case 'cancelled':
+        return 'Extraction cancelled (incomplete data)';
+      case 'interrupted':
+        return 'Extraction interrupted by a server restart';
       default:
         return status;
     }
@@ -1330,9 +2245,17 @@ document.addEventListener('DOMContentLoaded', () => {
   // Helper function to show predefined queries section
   function showPredefinedQueriesSection() {
     apiSelectionSection.style.display = 'none';
+    queryEditorSection.style.display = 'none';
     predefinedQueriesSection.style.display = 'block';
   }
   
+  // Helper function to show the query editor section
+  function showQueryEditorSection() {
+    predefinedQueriesSection.style.display = 'none';
+    queryEditorSection.style.display = 'block';
+    loadSavedQueryList();
+  }
+  
   // Helper function to show field selection section
   function showFieldSelectionSection() {
     apiSelectionSection.style.display = 'none';
@@ -1347,8 +2270,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Get the base type (unwrap non-null and list types)
     const baseType = getBaseType(type);
     
-    // Check if the base type is a scalar
-    return scalarTypes.includes(baseType.name);
+    // Check if the base type is a scalar, custom scalars such as DateTime and enums included
+    return baseType.kind === 'SCALAR' || baseType.kind === 'ENUM' || scalarTypes.includes(baseType.name);
   }
   
   // Helper function to get the base type (unwrap non-null and list types)
@@ -1421,7 +2344,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   // Helper function to build a GraphQL query
-  async function buildGraphQLQuery(resourceName, scalarFields, connectionFields) {
+  async function buildGraphQLQuery(resourceName, scalarFields, connectionFields, nestedPaths = []) {
     try {
       // Dinamik sorgu oluştur
       const response = await fetch('/api/build-query', {
@@ -1431,7 +2354,7 @@ document.addEventListener('DOMContentLoaded', () => {
         },
         body: JSON.stringify({
           resource: resourceName,
-          fields: [...scalarFields, ...connectionFields]
+          fields: [...scalarFields, ...connectionFields, ...nestedPaths]
         })
       });
       
@@ -1440,6 +2363,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       const result = await response.json();
+      (result.warnings || []).forEach(warning => appendToLogs(`Warning: ${warning}`));
       return result.query;
     } catch (error) {
       console.error('Error building GraphQL query:', error);
@@ -1475,38 +2399,55 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
-  // View JSON data with syntax highlighting
-  function viewJsonData() {
-    if (!appState.extractionData) {
+  // View one page of the extracted data with syntax highlighting
+  async function viewJsonData(offset) {
+    if (!appState.resultJobId) {
       alert('No data available to view');
       return;
     }
     
+    let page;
+    try {
+      page = await fetchResultsPage(appState.resultJobId, offset, JSON_VIEW_PAGE_SIZE);
+    } catch (error) {
+      console.error('Error loading JSON:', error);
+      alert('Error loading JSON data: ' + error.message);
+      return;
+    }
+    
+    appState.jsonViewOffset = page.offset;
+    jsonRecordCount.textContent = page.records.length > 0
+      ? `${page.offset + 1}-${page.offset + page.records.length} of ${page.total} records`
+      : `${page.total} records`;
+    jsonPrevPageBtn.disabled = page.offset === 0;
+    jsonNextPageBtn.disabled = !page.hasMore;
+    
     try {
       // Format JSON with syntax highlighting
-      const formattedJson = formatJsonForDisplay(appState.extractionData);
+      const formattedJson = formatJsonForDisplay(page.records);
       
       // Populate JSON view modal with highlighted HTML
       jsonViewContent.innerHTML = formattedJson;
-      jsonRecordCount.textContent = `${appState.extractionData.length} records`;
       
       // Add a class to enable styling
       jsonViewContent.classList.add('json-content');
-      
-      // Show modal using Bootstrap
-      const modal = new bootstrap.Modal(jsonViewModal);
-      modal.show();
     } catch (error) {
       console.error('Error displaying JSON:', error);
       alert('Error displaying JSON data: ' + error.message);
       
       // Fallback to plain text if highlighting fails
       try {
-        jsonViewContent.textContent = JSON.stringify(appState.extractionData, null, 2);
+        jsonViewContent.textContent = JSON.stringify(page.records, null, 2);
       } catch (e) {
         jsonViewContent.textContent = 'Error formatting JSON data';
       }
     }
+    
+    // Show modal using Bootstrap, unless it is already open for paging
+    if (!jsonViewModal.classList.contains('show')) {
+      const modal = new bootstrap.Modal(jsonViewModal);
+      modal.show();
+    }
   }
   
   /**
@@ -1584,7 +2525,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <p class="mb-0"><a href="/dependent-queries-info.html" target="_blank" class="alert-link">Learn more about dependent queries <i class="bi bi-box-arrow-up-right ms-1"></i></a></p>
               </div>
               
-              <h6 class="mb-3">Select a dependent query type:</h6>
+              <h6 class="mb-3 dependent-query-list-title">Select a dependent query type:</h6>
               <div class="list-group dependent-query-list">
                 <div class="text-center my-5">
                   <div class="spinner-border text-primary" role="status">
@@ -1593,9 +2534,16 @@ document.addEventListener('DOMContentLoaded', () => {
                   <p class="mt-2">Loading query templates...</p>
                 </div>
               </div>
+              
+              <div class="dependent-query-parameters" style="display: none;">
+                <h6 class="mb-3 dependent-query-parameters-title"></h6>
+                <form class="dependent-query-parameters-form"></form>
+              </div>
             </div>
             <div class="modal-footer">
               <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-outline-secondary dependent-query-back-btn" style="display: none;">Back</button>
+              <button type="button" class="btn btn-primary dependent-query-start-btn" style="display: none;">Start Extraction</button>
             </div>
           </div>
         </div>
@@ -1608,11 +2556,84 @@ document.addEventListener('DOMContentLoaded', () => {
     // Load query templates when modal is shown
     const modal = document.getElementById('dependent-query-modal');
     modal.addEventListener('show.bs.modal', loadDependentQueryTemplates);
+    
+    modal.querySelector('.dependent-query-back-btn').addEventListener('click', () => showDependentQueryParameters(null));
+    modal.querySelector('.dependent-query-start-btn').addEventListener('click', () => {
+      const form = modal.querySelector('.dependent-query-parameters-form');
+      const parameters = {};
+      form.querySelectorAll('[data-parameter]').forEach(input => {
+        if (input.value.trim() !== '') {
+          parameters[input.dataset.parameter] = input.value.trim();
+        }
+      });
+      
+      bootstrap.Modal.getInstance(modal).hide();
+      startDependentExtraction(form.dataset.template, parameters);
+    });
+  }
+  
+  // Show the parameter form of a template in the dependent query modal,
+  // or go back to the template list when template is null
+  function showDependentQueryParameters(template) {
+    const modal = document.getElementById('dependent-query-modal');
+    const showForm = Boolean(template);
+    
+    modal.querySelector('.dependent-query-list').style.display = showForm ? 'none' : '';
+    modal.querySelector('.dependent-query-list-title').style.display = showForm ? 'none' : '';
+    modal.querySelector('.dependent-query-parameters').style.display = showForm ? 'block' : 'none';
+    modal.querySelector('.dependent-query-back-btn').style.display = showForm ? 'inline-block' : 'none';
+    modal.querySelector('.dependent-query-start-btn').style.display = showForm ? 'inline-block' : 'none';
+    
+    if (!showForm) return;
+    
+    const form = modal.querySelector('.dependent-query-parameters-form');
+    form.dataset.template = template.name;
+    modal.querySelector('.dependent-query-parameters-title').textContent = `${template.label} options`;
+    
+    form.innerHTML = template.parameters.map(parameter => {
+      const id = `dependent-parameter-${parameter.name}`;
+      const input = parameter.type === 'select'
+        ? `<select class="form-select" id="${id}" data-parameter="${parameter.name}">
+            ${parameter.options.map(option => `
+              <option value="${option}" ${option === parameter.default ? 'selected' : ''}>${option}</option>
+            `).join('')}
+          </select>`
+        : `<input type="text" class="form-control" id="${id}" data-parameter="${parameter.name}"
+            value="${parameter.default || ''}" ${parameter.required ? 'required' : ''}>`;
+      
+      return `
+        <div class="mb-3">
+          <label for="${id}" class="form-label">${parameter.label}</label>
+          ${input}
+          ${parameter.description ? `<div class="form-text">${parameter.description}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+  
+  // Badge showing whether a template matches the schema of the store's API version,
+  // with the problems found in its tooltip
+  function getCompatibilityBadge(compatibility) {
+    const badges = {
+      compatible: { className: 'bg-success', text: 'Compatible' },
+      warnings: { className: 'bg-warning text-dark', text: 'Deprecated fields' },
+      incompatible: { className: 'bg-danger', text: 'Incompatible' },
+      unknown: { className: 'bg-secondary', text: 'Not checked' }
+    };
+    const status = compatibility ? compatibility.status : 'unknown';
+    const badge = badges[status] || badges.unknown;
+    const problems = compatibility ? [...compatibility.errors, ...compatibility.warnings] : [];
+    const title = problems.length > 0
+      ? problems.join('\n').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+      : (status === 'unknown' ? 'Connect to a store to check this template' : 'All fields and arguments exist in this API version');
+    
+    return `<span class="badge ${badge.className} ms-1" title="${title}">${badge.text}</span>`;
   }
   
   // Fetch and display dependent query templates
   async function loadDependentQueryTemplates() {
     const queryList = document.querySelector('.dependent-query-list');
+    showDependentQueryParameters(null);
     
     try {
       const response = await fetch('/api/dependent-query-templates');
@@ -1632,12 +2653,13 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       
-      // Create template list
+      // Create template list; templates that don't match the store's schema can't be started
       queryList.innerHTML = templates.map(template => `
-        <button class="list-group-item list-group-item-action dependent-query-option" data-type="${template.name}">
+        <button class="list-group-item list-group-item-action dependent-query-option" data-type="${template.name}"
+          ${template.compatibility && template.compatibility.status === 'incompatible' ? 'disabled' : ''}>
           <div class="d-flex w-100 justify-content-between">
-            <h6 class="mb-1">${template.label}</h6>
-            <small class="text-muted">${template.name}</small>
+            <h6 class="mb-1">${template.label} ${getCompatibilityBadge(template.compatibility)}</h6>
+            <small class="text-muted">${template.source || template.name}</small>
           </div>
           <p class="mb-1">${template.description}</p>
           <small class="text-muted">${template.help}</small>
@@ -1648,6 +2670,14 @@ document.addEventListener('DOMContentLoaded', () => {
       document.querySelectorAll('.dependent-query-option').forEach(button => {
         button.addEventListener('click', (e) => {
           const queryType = e.currentTarget.dataset.type;
+          
+          // Templates with parameters ask for them before starting
+          const template = templates.find(candidate => candidate.name === queryType);
+          if (template && template.parameters && template.parameters.length > 0) {
+            showDependentQueryParameters(template);
+            return;
+          }
+          
           // Close the modal
           const modal = bootstrap.Modal.getInstance(document.getElementById('dependent-query-modal'));
           modal.hide();
@@ -1689,7 +2719,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // Start dependent extraction process
-  async function startDependentExtraction(queryType) {
+  async function startDependentExtraction(queryType, parameters = {}) {
     if (!appState.connected) {
       alert('Please connect to your Shopify store first');
       return;
@@ -1711,6 +2741,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Disable download buttons until complete
     downloadDataBtn.disabled = true;
     viewJsonBtn.disabled = true;
+    resumeExtractionBtn.style.display = 'none';
     
     try {
       // Initialize the extraction on the server
@@ -1719,19 +2750,24 @@ document.addEventListener('DOMContentLoaded', () => {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ queryType })
+        body: JSON.stringify({ queryType, parameters })
       });
       
       if (!response.ok) {
-        throw new Error(`Failed to start extraction: ${response.status}`);
+        const errorData = await response.json().catch(() => ({}));
+        const details = errorData.details ? `: ${errorData.details.join('; ')}` : '';
+        throw new Error(`${errorData.error || `Failed to start extraction: ${response.status}`}${details}`);
       }
       
+      const { jobId } = await response.json();
+      appendToLogs(`Extraction job ${jobId} started`);
+      
       // Set app state for tracking
       appState.extractionInProgress = true;
       appState.selectedResource = queryType;
       
       // Start monitoring progress
-      startExtractionUpdates();
+      startExtractionUpdates(jobId);
       
     } catch (error) {
       console.error('Failed to start dependent extraction:', error);
@@ -1745,11 +2781,21 @@ document.addEventListener('DOMContentLoaded', () => {
   addDependentQueryButton();
   
   // Update the extraction status display for dependent queries
-  function updateDependentExtractionStatus(status, errorMessage) {
+  function updateDependentExtractionStatus(status, errorMessage, stages) {
     // Update status based on extraction state
     let statusText;
     let statusClass;
     
+    // Pipelines with more than two stages name the stage that is running
+    const runningIndex = stages && stages.length > 2 ? stages.findIndex(stage => stage.status === 'running') : -1;
+    if (runningIndex !== -1) {
+      const stage = stages[runningIndex];
+      const requests = runningIndex > 0 && stage.requests > 0 ? ` (${stage.completedRequests}/${stage.requests} requests)` : '';
+      extractionStatus.textContent = `Stage ${runningIndex + 1}/${stages.length}: fetching ${stage.name}${requests}...`;
+      extractionStatus.className = runningIndex === 0 ? 'text-primary' : 'text-info';
+      return;
+    }
+    
     switch (status) {
       case 'fetching-primary':
         statusText = 'Fetching primary data...';
@@ -1784,74 +2830,4 @@ document.addEventListener('DOMContentLoaded', () => {
     extractionStatus.textContent = statusText;
     extractionStatus.className = statusClass;
   }
-  
-  // Add an update to startExtractionUpdates function to handle dependent queries
-  const originalStartExtractionUpdates = startExtractionUpdates;
-  startExtractionUpdates = function() {
-    const updateInterval = setInterval(async () => {
-      if (!appState.extractionInProgress) {
-        clearInterval(updateInterval);
-        return;
-      }
-      
-      try {
-        const response = await fetch('/api/extraction-status');
-        if (!response.ok) {
-          throw new Error(`Failed to get extraction status: ${response.status}`);
-        }
-        
-        const statusData = await response.json();
-        
-        // Update progress bar
-        updateProgressBar(statusData.progress);
-        
-        // Handle dependent query states
-        if (statusData.status === 'fetching-primary' || statusData.status === 'fetching-secondary') {
-          updateDependentExtractionStatus(statusData.status);
-        } else if (statusData.status === 'failed') {
-          // Pass the error message for better handling
-          updateDependentExtractionStatus(statusData.status, statusData.log);
-        } else {
-          // Update status text
-          extractionStatus.textContent = getStatusText(statusData.status);
-        }
-        
-        // Update records count
-        recordsCount.textContent = statusData.recordsProcessed.toString();
-        
-        // Add log if available
-        if (statusData.log) {
-          appendToLogs(statusData.log);
-        }
-        
-        // Check if extraction is complete
-        if (statusData.status === 'completed') {
-          appState.extractionInProgress = false;
-          appState.extractionData = statusData.data;
-          
-          // Enable download and view JSON buttons
-          downloadDataBtn.disabled = false;
-          viewJsonBtn.disabled = false;
-          
-          // Final log
-          appendToLogs(`Extraction completed: ${statusData.recordsProcessed} records extracted`);
-          
-          // Clear the interval
-          clearInterval(updateInterval);
-        } else if (statusData.status === 'failed') {
-          appState.extractionInProgress = false;
-          
-          // Final log
-          appendToLogs(`Extraction failed: ${statusData.log || 'Unknown error'}`);
-          
-          // Clear the interval
-          clearInterval(updateInterval);
-        }
-        
-      } catch (error) {
-        console.error('Error getting extraction status:', error);
-        appendToLogs(`Error getting status: ${error.message}`);
-      }
-    }, 1000); // Check every second
-  };
 });
\ No newline at end of file
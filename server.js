@@ -1,16 +1,89 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const axios = require('axios');
 const bodyParser = require('body-parser');
 const { fetchSchema } = require('./src/utils/schema');
-const { buildDynamicQuery, validateAndUpdatePredefinedQuery } = require('./src/utils/queryBuilder');
-const { executeDependentQueries } = require('./src/utils/dependentQueries');
+const {
+  buildDynamicQuery,
+  buildDynamicQueryWithWarnings,
+  validateSelectionOptions,
+  getSelectableFields,
+  validateAndUpdatePredefinedQuery
+} = require('./src/utils/queryBuilder');
+const { getPredefinedProductsQuery, getPredefinedOrdersQuery, getPredefinedCustomersQuery } = require('./src/queries/predefinedQueries');
+const { getFilterOptions, resolveFilters } = require('./src/utils/searchFilters');
+const { findPaginatedConnection, getConnectionPage, getDeclaredVariables, validateCustomQuery } = require('./src/utils/customQueries');
+const { estimateExtraction } = require('./src/utils/costEstimate');
+const {
+  validateSavedQuery,
+  saveQuery,
+  loadSavedQuery,
+  listSavedQueries,
+  deleteSavedQuery
+} = require('./src/utils/savedQueries');
+const {
+  getProfileId,
+  hasMasterKey,
+  validateProfile,
+  saveProfile,
+  getProfile,
+  profileExists,
+  listProfiles,
+  deleteProfile
+} = require('./src/utils/profiles');
+const { executeDependentPipeline, getTemplateStages } = require('./src/utils/dependentQueries');
+const { getThrottle, isThrottledPayload } = require('./src/utils/throttle');
+const { runBulkExtraction } = require('./src/utils/bulkOperations');
+const { iterateRecords, pipeAsJsonArray } = require('./src/utils/recordStream');
+const { EXPORT_FORMATS, exportRecords } = require('./src/utils/exporters');
+const {
+  createCheckpoint,
+  loadCheckpoint,
+  findCheckpoint,
+  listCheckpoints,
+  deleteCheckpoint,
+  recordPage,
+  failCheckpoint,
+  moveCheckpointRecords,
+  keepCheckpointRecords,
+  resumeCheckpoint
+} = require('./src/utils/checkpoints');
+const {
+  createJob,
+  getJob,
+  getLatestJob,
+  listJobs,
+  getJobSummary,
+  createResultWriter,
+  finalizeJobResults,
+  discardJobResults,
+  saveJobResults,
+  getJobResultPath,
+  getJobExportPath,
+  readJobResults,
+  loadJobs,
+  isFinished,
+  isCancelledError,
+  getJobSignal,
+  waitIfPaused,
+  pauseJob,
+  continueJob,
+  cancelJob
+} = require('./src/utils/jobManager');
+const {
+  loadSyncState,
+  resetSyncState,
+  getIncrementalFilter,
+  mergeIntoSnapshot
+} = require('./src/utils/incrementalSync');
 // Using template queries instead of the old query module
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+const PAGE_SIZE = 250; // Maximum page size for Shopify queries
 
 // Middleware
 app.use(bodyParser.json());
@@ -24,17 +97,14 @@ let shopifyCredentials = {
   apiVersion: '2025-01' // Latest API version by default
 };
 
-// Store extraction state
-let extractionState = {
-  status: 'idle',
-  progress: 0,
-  recordsProcessed: 0,
-  totalRecords: 0,
-  logs: [],
-  data: null,
-  resource: null,
-  query: null
-};
+// Profile the credentials above were loaded from, null when they were entered directly
+let activeProfile = null;
+
+// Load jobs from earlier runs, marking any that were cut off by a restart
+const loadedJobs = loadJobs();
+if (loadedJobs > 0) {
+  console.log(`Loaded ${loadedJobs} extraction jobs from disk`);
+}
 
 // Save credentials to .env file
 function saveCredentialsToFile(credentials) {
@@ -47,6 +117,31 @@ SHOPIFY_API_VERSION=${credentials.apiVersion}`;
   fs.writeFileSync(path.join(__dirname, '.env'), envContent);
 }
 
+// Every endpoint runs against the connected store, or against a saved profile
+// named in the X-Connection-Profile header, a profile query parameter or a profile body field
+app.use('/api', (req, res, next) => {
+  const name = req.get('X-Connection-Profile') || req.query.profile || (req.body && req.body.profile);
+  
+  if (!name) {
+    req.credentials = shopifyCredentials;
+    req.profileId = activeProfile;
+    return next();
+  }
+  
+  try {
+    const profile = getProfile(String(name));
+    if (!profile) {
+      return res.status(404).json({ error: `Profile not found: ${name}` });
+    }
+    req.credentials = profile;
+    req.profileId = profile.id;
+    next();
+  } catch (error) {
+    console.error('Error loading profile:', error.message);
+    res.status(500).json({ error: 'Failed to load profile: ' + error.message });
+  }
+});
+
 // API Routes
 
 // Save API credentials
@@ -65,28 +160,127 @@ app.post('/api/credentials', (req, res) => {
     apiVersion: apiVersion || '2025-01' // Use provided version or default to latest
   };
   
+  activeProfile = null;
+  
   console.log(`Credentials saved with API version: ${shopifyCredentials.apiVersion}`);
   
-  // Save to .env file
+  // With a master key set, credentials are kept in encrypted profiles instead of plaintext .env
+  if (!hasMasterKey()) {
+    try {
+      saveCredentialsToFile(shopifyCredentials);
+    } catch (error) {
+      console.error('Error saving credentials to file:', error);
+      // Continue anyway, as we have the credentials in memory
+    }
+  }
+  
+  res.status(200).json({ success: true, message: 'Credentials saved' });
+});
+
+// List connection profiles, without their secrets
+app.get('/api/profiles', (req, res) => {
+  try {
+    res.status(200).json({
+      profiles: listProfiles(),
+      activeProfile,
+      masterKey: hasMasterKey()
+    });
+  } catch (error) {
+    console.error('Error listing profiles:', error);
+    res.status(500).json({ error: 'Failed to list profiles: ' + error.message });
+  }
+});
+
+// Get a connection profile, without its secrets
+app.get('/api/profiles/:name', (req, res) => {
   try {
-    saveCredentialsToFile(shopifyCredentials);
+    const profile = listProfiles().find(entry => entry.id === getProfileId(req.params.name));
+    if (!profile) {
+      return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+    }
+    
+    res.status(200).json(profile);
   } catch (error) {
-    console.error('Error saving credentials to file:', error);
-    // Continue anyway, as we have the credentials in memory
+    console.error('Error getting profile:', error);
+    res.status(500).json({ error: 'Failed to get profile: ' + error.message });
   }
+});
+
+// Save a connection profile, encrypting its client ID and access token. When
+// an existing profile is updated without them, its stored ones are kept.
+app.post('/api/profiles', (req, res) => {
+  const { name, storeName, clientId, accessToken, apiVersion } = req.body;
   
-  res.status(200).json({ success: true, message: 'Credentials saved' });
+  if (!hasMasterKey()) {
+    return res.status(400).json({ error: 'Set PROFILES_MASTER_KEY on the server to store connection profiles' });
+  }
+  
+  const errors = validateProfile(
+    { name, storeName, clientId, accessToken, apiVersion },
+    { isNew: !(typeof name === 'string' && profileExists(name)) }
+  );
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid profile', details: errors });
+  }
+  
+  try {
+    res.status(200).json(saveProfile({ name, storeName, clientId, accessToken, apiVersion }));
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    res.status(500).json({ error: 'Failed to save profile: ' + error.message });
+  }
+});
+
+// Delete a connection profile
+app.delete('/api/profiles/:name', (req, res) => {
+  try {
+    if (!deleteProfile(req.params.name)) {
+      return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+    }
+    
+    // The credentials stay connected in memory, they just no longer belong to a profile
+    if (activeProfile === getProfileId(req.params.name)) {
+      activeProfile = null;
+    }
+    
+    res.status(200).json({ success: true, message: `Profile ${req.params.name} deleted` });
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    res.status(500).json({ error: 'Failed to delete profile: ' + error.message });
+  }
+});
+
+// Connect to the store of a profile, so requests without a profile use it
+app.post('/api/profiles/:name/connect', (req, res) => {
+  let profile;
+  try {
+    profile = getProfile(req.params.name);
+  } catch (error) {
+    console.error('Error loading profile:', error.message);
+    return res.status(500).json({ error: 'Failed to load profile: ' + error.message });
+  }
+  
+  if (!profile) {
+    return res.status(404).json({ error: `Profile not found: ${req.params.name}` });
+  }
+  
+  const { storeName, clientId, accessToken, apiVersion } = profile;
+  shopifyCredentials = { storeName, clientId, accessToken, apiVersion };
+  activeProfile = profile.id;
+  
+  console.log(`Connected with profile ${profile.name} (API version ${apiVersion})`);
+  res.status(200).json({ success: true, message: `Connected with profile ${profile.name}`, profile: profile.id, storeName, apiVersion });
 });
 
 // Test connection to Shopify API
 app.get('/api/test-connection', async (req, res) => {
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ success: false, message: 'Missing credentials' });
   }
   
   try {
     // Simple GraphQL query to test connection
-    const endpoint = `https://${shopifyCredentials.storeName}.myshopify.com/admin/api/${shopifyCredentials.apiVersion}/graphql.json`;
+    const endpoint = `https://${req.credentials.storeName}.myshopify.com/admin/api/${req.credentials.apiVersion}/graphql.json`;
     const testQuery = `{
       shop {
         name
@@ -101,7 +295,7 @@ app.get('/api/test-connection', async (req, res) => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyCredentials.accessToken
+        'X-Shopify-Access-Token': req.credentials.accessToken
       },
       data: { query: testQuery }
     });
@@ -132,12 +326,12 @@ app.get('/api/test-connection', async (req, res) => {
 
 // Fetch GraphQL schema
 app.get('/api/schema', async (req, res) => {
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ error: 'Missing credentials' });
   }
   
   try {
-    const schemaTypes = await fetchSchema(shopifyCredentials);
+    const schemaTypes = await fetchSchema(req.credentials);
     res.status(200).json(schemaTypes);
   } catch (error) {
     console.error('Error fetching schema:', error);
@@ -145,75 +339,36 @@ app.get('/api/schema', async (req, res) => {
   }
 });
 
-// Get fields for a specific resource
+// Get fields for a specific resource, or for a nested type when the field picker expands one
 app.get('/api/resource-fields', async (req, res) => {
-  const { resource } = req.query;
+  const { resource, type: typeName } = req.query;
   
-  if (!resource) {
-    return res.status(400).json({ error: 'Resource name is required' });
+  if (!resource && !typeName) {
+    return res.status(400).json({ error: 'Resource name or type is required' });
   }
   
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ error: 'Missing credentials' });
   }
   
   try {
-    const endpoint = `https://${shopifyCredentials.storeName}.myshopify.com/admin/api/${shopifyCredentials.apiVersion}/graphql.json`;
-    
-    // Query to get resource type and fields
-    const typeQuery = `
-      query GetResourceType {
-        __type(name: "${getTypeName(resource)}") {
-          name
-          kind
-          description
-          fields {
-            name
-            description
-            type {
-              kind
-              name
-              ofType {
-                kind
-                name
-                ofType {
-                  kind
-                  name
-                  ofType {
-                    kind
-                    name
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-    
-    const response = await axios({
-      url: endpoint,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyCredentials.accessToken
-      },
-      data: { query: typeQuery }
-    });
+    // Type and its selectable fields, from the cached schema
+    const schemaTypes = await fetchSchema(req.credentials);
+    const name = typeName || getTypeName(resource);
+    const type = schemaTypes.find(candidate => candidate.name === name);
+    const fields = getSelectableFields(schemaTypes, name);
     
-    if (response.data && response.data.data && response.data.data.__type) {
-      // Remove internal fields (starting with __)
-      const fields = response.data.data.__type.fields.filter(field => !field.name.startsWith('__'));
-      
-      return res.status(200).json({
-        resource,
-        type: response.data.data.__type.name,
-        description: response.data.data.__type.description,
-        fields
-      });
+    if (!type || !fields) {
+      return res.status(400).json({ error: typeName ? `Unknown type: ${name}` : `Unknown resource type: ${name}` });
     }
     
-    res.status(400).json({ error: 'Invalid type response from Shopify' });
+    res.status(200).json({
+      resource: resource || null,
+      type: type.name,
+      kind: type.kind,
+      description: type.description,
+      fields
+    });
     
   } catch (error) {
     console.error('Fields fetch error:', error.message);
@@ -223,72 +378,568 @@ app.get('/api/resource-fields', async (req, res) => {
 
 // Start data extraction
 app.post('/api/extract', async (req, res) => {
-  const { resource, query, fields } = req.body;
+  const {
+    query,
+    fields,
+    depth,
+    connectionSizes,
+    mode = 'paginated',
+    incremental = false,
+    filters = null,
+    custom = false,
+    variables = {},
+    connectionPath = null
+  } = req.body;
+  let { resource } = req.body;
   
-  if (!resource) {
+  if (!resource && !custom) {
     return res.status(400).json({ error: 'Resource name is required' });
   }
   
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  // Hand-written queries are paged through the connection found in them, with their own variables
+  if (custom) {
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+    if (mode === 'bulk' || incremental || (filters && Object.keys(filters).length > 0)) {
+      return res.status(400).json({ error: 'Custom queries are extracted page by page, without bulk mode, incremental sync or record filters' });
+    }
+  }
+  
+  if (!['paginated', 'bulk'].includes(mode)) {
+    return res.status(400).json({ error: `Unknown extraction mode: ${mode}` });
+  }
+  
+  const selectionErrors = validateSelectionOptions({ depth, connectionSizes });
+  if (selectionErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid field selection options', details: selectionErrors });
+  }
+  
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ error: 'Missing credentials' });
   }
   
   try {
     // Şemayı çek
-    const schemaTypes = await fetchSchema(shopifyCredentials);
+    const schemaTypes = await fetchSchema(req.credentials);
     
     // Sorguyu doğrula veya yenisini oluştur
     let validatedQuery = query;
     
-    if (!query) {
+    if (custom) {
+      const validation = validateCustomQuery(schemaTypes, query, variables, { connectionPath });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid query', details: validation.errors.map(formatQueryError) });
+      }
+      
+      // Results are named after the connection unless a name is given
+      resource = resource || validation.connection.path[validation.connection.path.length - 1];
+    } else if (!query) {
       // Sorgu yoksa dinamik olarak oluştur
-      validatedQuery = buildDynamicQuery(schemaTypes, resource, fields);
+      validatedQuery = buildDynamicQuery(schemaTypes, resource, fields, { depth, connectionSizes });
       console.log('Generated dynamic query for extraction');
     }
     
-    // Reset extraction state
-    extractionState = {
-      status: 'initializing',
-      progress: 0,
-      recordsProcessed: 0,
-      totalRecords: 0,
-      logs: [`Starting extraction for ${resource}`],
-      data: [],
+    // Turn the filter builder values into query variables, checked against the connection's arguments
+    let filterVariables = {};
+    if (filters && Object.keys(filters).length > 0) {
+      const resolved = resolveFilters(schemaTypes, resource, filters);
+      if (resolved.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filters', details: resolved.errors });
+      }
+      
+      const declared = getDeclaredVariables(validatedQuery);
+      const undeclared = Object.keys(resolved.variables).filter(name => !declared.includes(name));
+      if (undeclared.length > 0) {
+        return res.status(400).json({ error: `The query does not declare the filter variables: ${undeclared.map(name => `$${name}`).join(', ')}` });
+      }
+      
+      filterVariables = resolved.variables;
+    }
+    
+    // Incremental syncs filter on updated_at and merge by id, so the query has to support both
+    if (incremental) {
+      // The sync state covers the whole resource, a filtered run would leave gaps in the snapshot
+      if (Object.keys(filterVariables).length > 0) {
+        return res.status(400).json({ error: 'Filters cannot be combined with incremental sync' });
+      }
+      if (!getDeclaredVariables(validatedQuery).includes('query')) {
+        return res.status(400).json({ error: 'Incremental sync needs a query that declares a $query variable for the search filter' });
+      }
+      
+      // The records merged into the snapshot are the nodes of the paginated connection
+      const { connection, errors: connectionErrors } = findPaginatedConnection(validatedQuery);
+      if (!connection) {
+        return res.status(400).json({ error: 'Incremental sync needs a paginated connection', details: connectionErrors });
+      }
+      if (!connection.nodeFields.includes('id') || !connection.nodeFields.includes('updatedAt')) {
+        return res.status(400).json({ error: `Incremental sync needs a query that selects id and updatedAt on the nodes of ${connection.path.join('.')}` });
+      }
+    }
+    
+    // Register a new job for this extraction
+    const job = createJob({
+      type: 'extract',
       resource,
-      query: validatedQuery
-    };
+      query: validatedQuery,
+      mode,
+      profile: req.profileId,
+      message: `Starting ${mode === 'bulk' ? 'bulk ' : ''}${incremental ? 'incremental ' : ''}extraction for ${resource}`
+    });
+    
+    // Only fetch what changed since the last sync of this resource
+    if (incremental) {
+      const incrementalFilter = getIncrementalFilter(req.credentials.storeName, resource);
+      job.incremental = true;
+      job.logs.push(incrementalFilter
+        ? `Only fetching ${resource} changed since the last sync`
+        : `No earlier sync of ${resource} found, fetching everything`);
+      
+      if (incrementalFilter) {
+        filterVariables = { query: incrementalFilter };
+      }
+    }
+    
+    if (Object.keys(filterVariables).length > 0) {
+      job.filters = filterVariables;
+      job.logs.push(`Filters: ${JSON.stringify(filterVariables)}`);
+    }
     
     // Start extraction in the background
-    extractData(resource, validatedQuery, fields, schemaTypes).catch(error => {
+    const extraction = mode === 'bulk'
+      ? extractBulkData(job, resource, validatedQuery, { credentials: req.credentials, schemaTypes, filterVariables, incremental })
+      : extractData(job, resource, validatedQuery, fields, schemaTypes, {
+        credentials: req.credentials,
+        profile: req.profileId,
+        filterVariables,
+        incremental,
+        custom,
+        variables: custom ? variables : {},
+        connectionPath: custom ? connectionPath : null
+      });
+    
+    extraction.catch(error => {
       console.error('Extraction error:', error);
-      extractionState.status = 'failed';
-      extractionState.logs.push(`Error: ${error.message}`);
+      job.status = 'failed';
+      job.logs.push(`Error: ${error.message}`);
     });
     
-    res.status(200).json({ success: true, message: 'Extraction started' });
+    res.status(200).json({ success: true, message: 'Extraction started', jobId: job.id, mode });
   } catch (error) {
     console.error('Error preparing extraction:', error);
     res.status(500).json({ error: 'Failed to prepare extraction: ' + error.message });
   }
 });
 
-// Get extraction status
+// Get extraction status of a job (defaults to the most recent one)
 app.get('/api/extraction-status', (req, res) => {
-  // Return the current status and extract the most recent log
-  const latestLog = extractionState.logs.length > 0 
-    ? extractionState.logs[extractionState.logs.length - 1] 
-    : null;
+  const job = req.query.jobId ? getJob(req.query.jobId) : getLatestJob();
+  
+  if (!job) {
+    if (req.query.jobId) {
+      return res.status(404).json({ error: `Job not found: ${req.query.jobId}` });
+    }
+    return res.status(200).json({
+      status: 'idle',
+      progress: 0,
+      recordsProcessed: 0,
+      totalRecords: 0,
+      log: null,
+      checkpointId: null,
+      resultFile: null
+    });
+  }
+  
+  const summary = getJobSummary(job);
+  res.status(200).json({
+    jobId: job.id,
+    status: summary.status,
+    progress: summary.progress,
+    recordsProcessed: summary.recordsProcessed,
+    totalRecords: summary.totalRecords,
+    log: summary.log,
+    checkpointId: summary.checkpointId,
+    resultFile: summary.resultFile
+  });
+});
+
+// List extraction jobs, newest first
+app.get('/api/jobs', (req, res) => {
+  res.status(200).json(listJobs());
+});
+
+// Get the status of a job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
   
+  res.status(200).json(getJobSummary(job));
+});
+
+// Get the logs of a job, optionally only those after a given index
+app.get('/api/jobs/:id/logs', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  
+  const since = Math.max(0, parseInt(req.query.since, 10) || 0);
   res.status(200).json({
-    status: extractionState.status,
-    progress: extractionState.progress,
-    recordsProcessed: extractionState.recordsProcessed,
-    totalRecords: extractionState.totalRecords,
-    log: latestLog,
-    data: extractionState.status === 'completed' ? extractionState.data : null
+    logs: job.logs.slice(since),
+    logCount: job.logs.length
   });
 });
 
+// Largest page of records served by the results endpoint
+const MAX_RESULTS_PAGE_SIZE = 1000;
+
+/**
+ * Look up a job whose results can be read, or send the error response
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Object|null} Job and result file path, or null if a response was sent
+ */
+function getJobWithResults(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    return null;
+  }
+  
+  if (job.status !== 'completed' && job.status !== 'cancelled') {
+    res.status(409).json({ error: `Job is ${job.status}, results are only available once it has completed` });
+    return null;
+  }
+  
+  const filePath = getJobResultPath(job);
+  if (!filePath) {
+    res.status(404).json({ error: 'Result file not found for this job' });
+    return null;
+  }
+  
+  // Partial output of a cancelled job
+  if (job.incomplete) {
+    res.set('X-Extraction-Incomplete', 'true');
+  }
+  
+  return { job, filePath };
+}
+
+// Get a page of the results of a completed job
+app.get('/api/jobs/:id/results', async (req, res) => {
+  const found = getJobWithResults(req, res);
+  if (!found) return;
+  
+  const { job } = found;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(MAX_RESULTS_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  
+  try {
+    // One extra record tells whether there is another page
+    const records = await readJobResults(job, { offset, limit: limit + 1 });
+    
+    res.status(200).json({
+      records: records.slice(0, limit),
+      offset,
+      limit,
+      total: job.totalRecords,
+      hasMore: records.length > limit
+    });
+  } catch (error) {
+    console.error('Error loading job results:', error);
+    res.status(500).json({ error: 'Failed to load job results: ' + error.message });
+  }
+});
+
+// Download all results of a completed job, streamed from disk
+app.get('/api/jobs/:id/download', async (req, res) => {
+  const found = getJobWithResults(req, res);
+  if (!found) return;
+  
+  const { job, filePath } = found;
+  const format = req.query.format || 'json';
+  
+  if (!['json', 'ndjson'].includes(format)) {
+    return res.status(400).json({ error: `Unknown download format: ${format}` });
+  }
+  
+  const baseName = path.basename(job.resultFile, path.extname(job.resultFile));
+  
+  try {
+    // Results saved as a JSON array before the streaming writer existed
+    if (filePath.endsWith('.json')) {
+      return res.download(filePath);
+    }
+    
+    res.attachment(`${baseName}.${format}`);
+    
+    if (format === 'ndjson') {
+      res.type('application/x-ndjson');
+      await pipeline(fs.createReadStream(filePath), res);
+      return;
+    }
+    
+    res.type('application/json');
+    await pipeAsJsonArray(filePath, res);
+  } catch (error) {
+    // The client went away mid-download, the file has already been closed
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    
+    console.error('Error downloading job results:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to download job results: ' + error.message });
+    }
+  }
+});
+
+// Exports being written, keyed by file path, so parallel requests share one run
+const pendingExports = {};
+
+/**
+ * Table name of the top-level records of a job: its resource, or the primary
+ * connection of a dependent template (e.g. orders for order-line-items)
+ * @param {Object} job Job
+ * @returns {string} Table name
+ */
+function getJobTableName(job) {
+  if (job.type !== 'dependent') return job.resource;
+  
+  const baseTemplate = getQueryTemplate(job.resource);
+  const template = baseTemplate && applyTemplateParameters(baseTemplate, job.parameters || {}).template;
+  const connection = template && findPaginatedConnection(getTemplateStages(template)[0].query).connection;
+  return connection ? connection.path[connection.path.length - 1] : job.resource;
+}
+
+// Export the results of a completed job as NDJSON, CSV, XLSX or Parquet.
+// With explode=true a CSV export becomes a zip with one file per nested connection.
+app.get('/api/jobs/:id/export', async (req, res) => {
+  const format = req.query.format;
+  const explode = req.query.explode === 'true';
+  
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown export format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  if (explode && format !== 'csv') {
+    return res.status(400).json({ error: 'explode is only supported for the csv format' });
+  }
+  
+  const found = getJobWithResults(req, res);
+  if (!found) return;
+  
+  const { job, filePath } = found;
+  const { extension, contentType } = explode
+    ? { extension: 'tables.zip', contentType: 'application/zip' }
+    : EXPORT_FORMATS[format];
+  
+  try {
+    let exportPath;
+    
+    if (format === 'ndjson' && filePath.endsWith('.ndjson')) {
+      // The results are stored as NDJSON already
+      exportPath = filePath;
+    } else {
+      // Results of a finished job don't change, so an export is only written once
+      exportPath = getJobExportPath(job, extension);
+      
+      if (!fs.existsSync(exportPath)) {
+        if (!pendingExports[exportPath]) {
+          job.logs.push(`Exporting results as ${explode ? 'one CSV file per table' : format}...`);
+          pendingExports[exportPath] = exportRecords(() => iterateRecords(filePath), format, exportPath, { tableName: getJobTableName(job), explode })
+            .then(result => job.logs.push(`Exported ${result.recordCount} records to ${path.basename(exportPath)}`))
+            .finally(() => delete pendingExports[exportPath]);
+        }
+        
+        await pendingExports[exportPath];
+      }
+    }
+    
+    res.type(contentType);
+    res.download(exportPath, path.basename(getJobExportPath(job, extension)));
+  } catch (error) {
+    console.error('Error exporting job results:', error);
+    res.status(500).json({ error: 'Failed to export job results: ' + error.message });
+  }
+});
+
+// Get the incremental sync state of every resource of the connected store
+app.get('/api/sync-state', (req, res) => {
+  if (!req.credentials.storeName) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  res.status(200).json(loadSyncState(req.credentials.storeName));
+});
+
+// Forget the sync state of a resource so the next incremental run fetches everything
+app.delete('/api/sync-state/:resource', (req, res) => {
+  if (!req.credentials.storeName) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  if (!resetSyncState(req.credentials.storeName, req.params.resource)) {
+    return res.status(404).json({ error: `No sync state for ${req.params.resource}` });
+  }
+  
+  res.status(200).json({ success: true, message: `Sync state of ${req.params.resource} reset` });
+});
+
+// Cancel a running job
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  
+  if (!cancelJob(job)) {
+    return res.status(409).json({ error: `Job is ${job.status} and can no longer be cancelled` });
+  }
+  
+  res.status(200).json({ success: true, message: 'Cancellation requested', jobId: job.id });
+});
+
+// Pause a running job after its current page or batch
+app.post('/api/jobs/:id/pause', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  
+  if (job.mode === 'bulk') {
+    return res.status(409).json({ error: 'Bulk operations run on Shopify and cannot be paused' });
+  }
+  
+  if (!pauseJob(job)) {
+    return res.status(409).json({ error: `Job is ${job.status} and can no longer be paused` });
+  }
+  
+  res.status(200).json({ success: true, message: 'Pause requested', jobId: job.id });
+});
+
+// Continue a paused job
+app.post('/api/jobs/:id/resume', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  
+  if (!continueJob(job)) {
+    return res.status(409).json({ error: 'Job is not paused' });
+  }
+  
+  res.status(200).json({ success: true, message: 'Job resumed', jobId: job.id });
+});
+
+// List saved extraction checkpoints
+app.get('/api/checkpoints', (req, res) => {
+  try {
+    res.status(200).json(listCheckpoints());
+  } catch (error) {
+    console.error('Error listing checkpoints:', error);
+    res.status(500).json({ error: 'Failed to list checkpoints: ' + error.message });
+  }
+});
+
+// Discard a checkpoint and the records it kept
+app.delete('/api/checkpoints/:id', (req, res) => {
+  const checkpoint = loadCheckpoint(req.params.id);
+  if (!checkpoint) {
+    return res.status(404).json({ error: `Checkpoint not found: ${req.params.id}` });
+  }
+  
+  const owner = listJobs().find(job => job.checkpointId === checkpoint.id && !isFinished(job));
+  if (owner) {
+    return res.status(409).json({ error: `Checkpoint ${checkpoint.id} is being used by job ${owner.id}` });
+  }
+  
+  deleteCheckpoint(checkpoint.id);
+  res.status(200).json({ success: true, message: `Checkpoint ${checkpoint.id} deleted` });
+});
+
+// Resume an extraction from its checkpoint
+app.post('/api/extract/resume', async (req, res) => {
+  const { checkpointId } = req.body;
+  
+  if (!checkpointId) {
+    return res.status(400).json({ error: 'Checkpoint ID is required' });
+  }
+  
+  const checkpoint = loadCheckpoint(checkpointId);
+  if (!checkpoint) {
+    return res.status(404).json({ error: `Checkpoint not found: ${checkpointId}` });
+  }
+  
+  // The cursor only means something to the store it came from, so resume with the checkpoint's profile
+  let credentials = req.credentials;
+  let profile = req.profileId;
+  if (checkpoint.profile && checkpoint.profile !== profile) {
+    try {
+      credentials = getProfile(checkpoint.profile);
+    } catch (error) {
+      return res.status(500).json({ error: 'Failed to load profile: ' + error.message });
+    }
+    if (!credentials) {
+      return res.status(409).json({ error: `The checkpoint was made with profile ${checkpoint.profile}, which no longer exists` });
+    }
+    profile = checkpoint.profile;
+  }
+  
+  if (!credentials.storeName || !credentials.accessToken) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  try {
+    const schemaTypes = await fetchSchema(credentials);
+    
+    // Checked right before the job is created, so two resumes can't both get past it
+    const owner = listJobs().find(job => job.checkpointId === checkpoint.id && !isFinished(job));
+    if (owner) {
+      return res.status(409).json({ error: `Checkpoint ${checkpoint.id} is being used by job ${owner.id}` });
+    }
+    
+    const job = createJob({
+      type: 'extract',
+      resource: checkpoint.resource,
+      query: checkpoint.query,
+      mode: 'paginated',
+      profile,
+      message: `Resuming extraction for ${checkpoint.resource}`
+    });
+    job.recordsProcessed = checkpoint.recordsWritten;
+    job.checkpointId = checkpoint.id;
+    job.incremental = Boolean(checkpoint.incremental);
+    
+    // Filters are part of the checkpoint's variables, next to the page size
+    const { first, after, ...filterVariables } = checkpoint.variables;
+    
+    // Custom queries keep all their variables, their page size included
+    const variableOptions = checkpoint.custom
+      ? { custom: true, variables: checkpoint.variables, connectionPath: checkpoint.connectionPath || null }
+      : { filterVariables };
+    
+    extractData(job, checkpoint.resource, checkpoint.query, null, schemaTypes, {
+      credentials,
+      profile,
+      checkpoint,
+      incremental: job.incremental,
+      ...variableOptions
+    }).catch(error => {
+      console.error('Extraction error:', error);
+      job.status = 'failed';
+      job.logs.push(`Error: ${error.message}`);
+    });
+    
+    res.status(200).json({ success: true, message: 'Extraction resumed', jobId: job.id, checkpointId: checkpoint.id });
+  } catch (error) {
+    console.error('Error resuming extraction:', error);
+    res.status(500).json({ error: 'Failed to resume extraction: ' + error.message });
+  }
+});
+
 // Sorgu doğrulama endpoint'i
 app.post('/api/validate-query', async (req, res) => {
   const { resourceType, predefinedType } = req.body;
@@ -297,13 +948,13 @@ app.post('/api/validate-query', async (req, res) => {
     return res.status(400).json({ error: 'Resource type is required' });
   }
   
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ error: 'Missing credentials' });
   }
   
   try {
     // Şemayı çek
-    const schemaTypes = await fetchSchema(shopifyCredentials);
+    const schemaTypes = await fetchSchema(req.credentials);
     
     let validatedQuery;
     
@@ -343,133 +994,385 @@ app.post('/api/validate-query', async (req, res) => {
   }
 });
 
+// Filters the filter builder can offer for a resource
+app.get('/api/resource-filters', async (req, res) => {
+  const { resource } = req.query;
+  
+  if (!resource) {
+    return res.status(400).json({ error: 'Resource name is required' });
+  }
+  
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  try {
+    const schemaTypes = await fetchSchema(req.credentials);
+    res.status(200).json(getFilterOptions(schemaTypes, resource));
+  } catch (error) {
+    console.error('Error getting resource filters:', error);
+    res.status(500).json({ error: 'Failed to get resource filters: ' + error.message });
+  }
+});
+
 // Yeni endpoint: Dinamik Sorgu Oluşturma
 app.post('/api/build-query', async (req, res) => {
-  const { resource, fields } = req.body;
+  const { resource, fields, depth, connectionSizes } = req.body;
   
   if (!resource) {
     return res.status(400).json({ error: 'Resource name is required' });
   }
   
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  const selectionErrors = validateSelectionOptions({ depth, connectionSizes });
+  if (selectionErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid field selection options', details: selectionErrors });
+  }
+  
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ error: 'Missing credentials' });
   }
   
   try {
     // Şemayı çek
-    const schemaTypes = await fetchSchema(shopifyCredentials);
+    const schemaTypes = await fetchSchema(req.credentials);
     
-    // Dinamik sorgu oluştur
-    const query = buildDynamicQuery(schemaTypes, resource, fields);
+    // Dinamik sorgu oluştur, atlanan ve eskimiş alanları bildir
+    const { query, warnings } = buildDynamicQueryWithWarnings(schemaTypes, resource, fields, { depth, connectionSizes });
     
-    res.status(200).json({ query });
+    res.status(200).json({ query, warnings });
   } catch (error) {
     console.error('Error building query:', error);
     res.status(500).json({ error: 'Failed to build query: ' + error.message });
   }
 });
 
-// Data extraction function
-async function extractData(resource, query, fields, schemaTypes) {
+// Estimate the cost and duration of an extraction before starting it, for a
+// generated query or the first stage of a dependent query template
+app.post('/api/estimate', async (req, res) => {
+  const { resource, fields, depth, connectionSizes, filters = null, template: templateName, parameters } = req.body;
+  
+  if (!resource && !templateName) {
+    return res.status(400).json({ error: 'Resource name or template is required' });
+  }
+  
+  const selectionErrors = validateSelectionOptions({ depth, connectionSizes });
+  if (selectionErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid field selection options', details: selectionErrors });
+  }
+  
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  try {
+    const schemaTypes = await fetchSchema(req.credentials);
+    
+    let query;
+    let variables = {};
+    let connectionName = resource;
+    let pageSize = PAGE_SIZE;
+    const notes = [];
+    
+    if (templateName) {
+      const baseTemplate = getQueryTemplate(templateName);
+      if (!baseTemplate) {
+        return res.status(400).json({ error: `Unknown query type: ${templateName}` });
+      }
+      
+      const { template, errors } = applyTemplateParameters(baseTemplate, parameters);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid parameters for ${baseTemplate.label}`, details: errors });
+      }
+      
+      // Later stages look records up in batches, by ids that only the first stage returns
+      const [primary, ...laterStages] = getTemplateStages(template);
+      const { first = 50, after, ...primaryVariables } = primary.variables || {};
+      query = primary.query;
+      variables = primaryVariables;
+      pageSize = first;
+      
+      const connection = findPaginatedConnection(query).connection;
+      connectionName = connection && connection.path.length === 1 ? connection.path[0] : null;
+      if (laterStages.length > 0) {
+        notes.push(`Only the first stage of ${template.label} is estimated, its ${laterStages.length} later stage${laterStages.length === 1 ? '' : 's'} add requests per batch of records`);
+      }
+    } else {
+      query = buildDynamicQuery(schemaTypes, resource, fields, { depth, connectionSizes });
+      
+      if (filters && Object.keys(filters).length > 0) {
+        const resolved = resolveFilters(schemaTypes, resource, filters);
+        if (resolved.errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid filters', details: resolved.errors });
+        }
+        variables = resolved.variables;
+      }
+    }
+    
+    const estimate = await estimateExtraction({
+      credentials: req.credentials,
+      schemaTypes,
+      query,
+      connectionName,
+      variables,
+      pageSize
+    });
+    
+    res.status(200).json({ query, ...estimate, warnings: [...notes, ...estimate.warnings] });
+  } catch (error) {
+    console.error('Error estimating extraction:', error);
+    res.status(500).json({ error: 'Failed to estimate extraction: ' + error.message });
+  }
+});
+
+// Validate a hand-written query against the schema and find the connection it pages through
+app.post('/api/custom-query/validate', async (req, res) => {
+  const { query, variables = {}, connectionPath = null } = req.body;
+  
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  try {
+    const schemaTypes = await fetchSchema(req.credentials);
+    
+    res.status(200).json(validateCustomQuery(schemaTypes, query, variables, { connectionPath }));
+  } catch (error) {
+    console.error('Error validating custom query:', error);
+    res.status(500).json({ error: 'Failed to validate query: ' + error.message });
+  }
+});
+
+// Saved custom queries
+app.get('/api/saved-queries', (req, res) => {
+  res.status(200).json({ queries: listSavedQueries() });
+});
+
+app.get('/api/saved-queries/:name', (req, res) => {
+  const saved = loadSavedQuery(req.params.name);
+  if (!saved) {
+    return res.status(404).json({ error: `Saved query not found: ${req.params.name}` });
+  }
+  
+  res.status(200).json(saved);
+});
+
+app.post('/api/saved-queries', (req, res) => {
+  const { name, query, variables = {}, description = '', connectionPath = null } = req.body;
+  
+  const errors = validateSavedQuery({ name, query, variables, connectionPath });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid saved query', details: errors });
+  }
+  
+  try {
+    const saved = saveQuery({ name, query, variables, description, connectionPath });
+    res.status(200).json({ success: true, query: saved });
+  } catch (error) {
+    console.error('Error saving query:', error);
+    res.status(500).json({ error: 'Failed to save query: ' + error.message });
+  }
+});
+
+app.delete('/api/saved-queries/:name', (req, res) => {
+  if (!deleteSavedQuery(req.params.name)) {
+    return res.status(404).json({ error: `Saved query not found: ${req.params.name}` });
+  }
+  
+  res.status(200).json({ success: true });
+});
+
+/**
+ * Format a query validation error for API responses
+ * @param {Object} error { message, line, column }
+ * @returns {string} Message with its position in the query
+ */
+function formatQueryError(error) {
+  return error.line ? `Line ${error.line}:${error.column}: ${error.message}` : error.message;
+}
+
+/**
+ * Data extraction function
+ * @param {Object} job Job to report progress on
+ * @param {string} resource Resource name
+ * @param {string} query Paginated GraphQL query
+ * @param {Array} fields Selected fields
+ * @param {Array} schemaTypes Schema types, used to regenerate the query on errors
+ * @param {Object} options Extraction options
+ * @param {Object} options.credentials Credentials of the store to extract from
+ * @param {string} options.profile Connection profile the credentials belong to, recorded in the checkpoint (optional)
+ * @param {Object} options.checkpoint Checkpoint to resume from (optional)
+ * @param {Object} options.filterVariables Filter variables such as query, sortKey and reverse (optional)
+ * @param {boolean} options.incremental Merge the results into the resource snapshot
+ * @param {boolean} options.custom The query was written by hand, so it isn't regenerated on errors
+ * @param {Object} options.variables Variables of a custom query (optional)
+ * @param {string} options.connectionPath Connection of a custom query to page through (optional)
+ */
+async function extractData(job, resource, query, fields, schemaTypes, options = {}) {
+  const {
+    credentials,
+    profile = null,
+    filterVariables = {},
+    incremental = false,
+    custom = false,
+    variables: queryVariables = {},
+    connectionPath = null
+  } = options;
+  let { checkpoint = null } = options;
+  
   try {
-    const endpoint = `https://${shopifyCredentials.storeName}.myshopify.com/admin/api/${shopifyCredentials.apiVersion}/graphql.json`;
+    // Captured when the job starts, so switching the connection mid-run can't mix stores
+    const storeName = credentials.storeName;
+    const endpoint = `https://${credentials.storeName}.myshopify.com/admin/api/${credentials.apiVersion}/graphql.json`;
     console.log(`Extraction initiated for ${resource} using endpoint: ${endpoint}`);
-    console.log(`API Version: ${shopifyCredentials.apiVersion}`);
+    console.log(`API Version: ${credentials.apiVersion}`);
+    
+    // Shared cost-aware throttle for this store
+    const throttle = getThrottle(credentials.storeName);
+    const onWait = (ms, reason) => {
+      const seconds = (ms / 1000).toFixed(1);
+      job.logs.push(reason === 'cost'
+        ? `Waiting ${seconds}s for API rate limit capacity...`
+        : `Rate limited by Shopify, retrying in ${seconds}s...`);
+    };
     
-    const PAGE_SIZE = 250; // Maximum page size for Shopify queries
+    // Aborts in-flight requests when the job is cancelled
+    const signal = getJobSignal(job);
+    
+    // The connection to page through, at the root for generated and predefined queries
+    const found = findPaginatedConnection(query, { connectionPath });
+    if (custom && !found.connection) {
+      throw new Error(found.errors.join('; '));
+    }
+    const connection = found.connection || { path: [resource], afterVariable: 'after', firstVariable: 'first' };
+    
+    // Filters are only sent when set, so queries without filter variables keep working
+    const baseVariables = {
+      ...(connection.firstVariable ? { [connection.firstVariable]: PAGE_SIZE } : {}),
+      ...queryVariables,
+      ...filterVariables
+    };
     
     let hasNextPage = true;
     let cursor = null;
-    let allItems = [];
     let pageCount = 0;
+    let cancelled = false;
+    
+    // Pages are appended to the result file as they arrive instead of piling up in memory
+    const writer = createResultWriter(job);
+    
+    if (checkpoint) {
+      // Continue after the last page that was written
+      await resumeCheckpoint(checkpoint, writer);
+      cursor = checkpoint.endCursor;
+      pageCount = checkpoint.pageCount;
+      job.recordsProcessed = writer.count;
+      job.logs.push(`Resuming ${resource} from page ${pageCount + 1} (${writer.count} records already fetched)`);
+    } else {
+      // Each job has a checkpoint of its own, an earlier run's stays resumable
+      const earlier = findCheckpoint(resource, query, baseVariables, profile);
+      if (earlier) {
+        job.logs.push(`An earlier run of this extraction left checkpoint ${earlier.id}, it is kept and can still be resumed`);
+      }
+      checkpoint = createCheckpoint({ resource, query, variables: baseVariables, incremental, custom, connectionPath, profile, recordsPath: writer.filePath, runId: job.id });
+    }
+    job.checkpointId = checkpoint.id;
     
-    extractionState.status = 'running';
+    job.status = 'running';
     
     while (hasNextPage) {
       pageCount++;
-      extractionState.logs.push(`Fetching page ${pageCount} of ${resource}...`);
-      extractionState.status = 'paginating';
       
       // Set variables for the query
-      const variables = {
-        first: PAGE_SIZE,
-        after: cursor
-      };
+      const variables = { ...baseVariables, [connection.afterVariable]: cursor };
       
       try {
+        // Stop here if the job was paused or cancelled
+        await waitIfPaused(job);
+        
+        job.logs.push(`Fetching page ${pageCount} of ${resource}...`);
+        job.status = 'paginating';
+        
         console.log(`Sending GraphQL query for ${resource} (page ${pageCount})...`);
         
-        const response = await axios({
+        let pageItems;
+        
+        const response = await throttle.run(() => axios({
           url: endpoint,
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': shopifyCredentials.accessToken
+            'X-Shopify-Access-Token': credentials.accessToken
           },
           data: {
             query,
             variables
-          }
-        });
+          },
+          signal
+        }), { key: query, onWait, signal });
+        
+        if (isThrottledPayload(response.data)) {
+          throw new Error('Request was still throttled by Shopify after repeated retries');
+        }
         
         if (response.data.errors) {
           console.error(`GraphQL errors:`, JSON.stringify(response.data.errors));
           
+          // Elle yazılmış sorgular yeniden oluşturulamaz
+          if (custom) {
+            throw new Error(`GraphQL error: ${response.data.errors[0].message}`);
+          }
+          
           // Hata durumunda dinamik sorgu oluşturmayı dene
-          extractionState.logs.push(`Encountered schema errors, regenerating query...`);
+          job.logs.push(`Encountered schema errors, regenerating query...`);
           
           // Zaten şema varsa yeniden oluşturmaya gerek yok
           const newQuery = buildDynamicQuery(schemaTypes, resource);
           
-          extractionState.logs.push(`Retrying with dynamically generated query`);
-          extractionState.query = newQuery;
+          job.logs.push(`Retrying with dynamically generated query`);
+          job.query = newQuery;
           
           // Yeni sorguyla tekrar dene
-          const retryResponse = await axios({
+          const retryResponse = await throttle.run(() => axios({
             url: endpoint,
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
-              'X-Shopify-Access-Token': shopifyCredentials.accessToken
+              'X-Shopify-Access-Token': credentials.accessToken
             },
             data: {
               query: newQuery,
               variables
-            }
-          });
+            },
+            signal
+          }), { key: newQuery, onWait, signal });
           
           if (retryResponse.data.errors) {
             throw new Error(`Query regeneration failed: ${retryResponse.data.errors[0].message}`);
           }
           
           // Yeni sorguyla başarılı cevap aldık
-          const retryData = retryResponse.data.data[resource];
-          const retryEdges = retryData.edges || [];
-          
-          // Extract items from edges
-          const pageItems = retryEdges.map(edge => edge.node);
-          allItems = [...allItems, ...pageItems];
+          const retryPage = getConnectionPage(retryResponse.data.data, [resource]);
+          pageItems = retryPage.items;
           
           // Update pagination state
-          hasNextPage = retryData.pageInfo.hasNextPage || false;
-          cursor = retryData.pageInfo.endCursor || null;
+          hasNextPage = retryPage.pageInfo.hasNextPage || false;
+          cursor = retryPage.pageInfo.endCursor || null;
         } else {
-          // Extract data and pagination info
-          const responseData = response.data.data[resource];
-          const edges = responseData.edges || [];
-          const pageInfo = responseData.pageInfo || {};
-          
-          // Extract items from edges
-          const pageItems = edges.map(edge => edge.node);
-          allItems = [...allItems, ...pageItems];
+          // Extract items and pagination info from the connection
+          const page = getConnectionPage(response.data.data, connection.path);
+          pageItems = page.items;
           
           // Update pagination state
-          hasNextPage = pageInfo.hasNextPage || false;
-          cursor = pageInfo.endCursor || null;
+          hasNextPage = page.pageInfo.hasNextPage || false;
+          cursor = page.pageInfo.endCursor || null;
         }
         
+        // Persist the page so a failure later on can resume from here
+        writer.write(pageItems);
+        recordPage(checkpoint, pageItems, cursor);
+        
         // Update progress
-        extractionState.recordsProcessed = allItems.length;
+        job.recordsProcessed = writer.count;
         
         // Calculate progress percentage more clearly
         let progressPercent = 0;
@@ -486,62 +1389,184 @@ async function extractData(resource, query, fields, schemaTypes) {
           progressPercent = 100;
         }
         
-        console.log(`Extraction progress: ${progressPercent}% (page ${pageCount}, ${allItems.length} records)`);
-        extractionState.progress = progressPercent;
-        
-        // Make sure edges is defined before using it
-        const edgesForLog = response.data.data && response.data.data[resource] && response.data.data[resource].edges ? response.data.data[resource].edges : [];
-        extractionState.logs.push(`Retrieved ${edgesForLog.length} ${resource} (total: ${allItems.length})`);
+        console.log(`Extraction progress: ${progressPercent}% (page ${pageCount}, ${writer.count} records)`);
+        job.progress = progressPercent;
         
-        // Add a small delay to avoid hitting rate limits
-        await new Promise(resolve => setTimeout(resolve, 500));
+        job.logs.push(`Retrieved ${pageItems.length} ${resource} (total: ${writer.count})`);
       } catch (error) {
-        extractionState.logs.push(`Error on page ${pageCount}: ${error.message}`);
+        if (isCancelledError(error)) {
+          // Keep the checkpoint so a cancelled extraction can still be resumed
+          hasNextPage = false;
+          cancelled = true;
+          failCheckpoint(checkpoint, error);
+          job.logs.push(`Extraction cancelled before page ${pageCount}. Progress saved after page ${checkpoint.pageCount} (${checkpoint.recordsWritten} records). Resume with checkpoint ${checkpoint.id}`);
+          break;
+        }
+        
+        job.logs.push(`Error on page ${pageCount}: ${error.message}`);
         console.error(`Error fetching page ${pageCount}:`, error.message);
         if (error.response && error.response.data) {
           console.error('API Error:', error.response.data);
-          extractionState.logs.push(`API Error: ${JSON.stringify(error.response.data)}`);
+          job.logs.push(`API Error: ${JSON.stringify(error.response.data)}`);
         }
-        // Break out of the loop on error
+        // Break out of the loop on error, keeping the checkpoint for a later resume
         hasNextPage = false;
-        extractionState.status = 'failed';
+        job.status = 'failed';
+        failCheckpoint(checkpoint, error);
+        job.logs.push(`Progress saved after page ${checkpoint.pageCount} (${checkpoint.recordsWritten} records). Resume with checkpoint ${checkpoint.id}`);
       }
     }
     
-    if (extractionState.status !== 'failed') {
-      extractionState.status = 'processing';
-      extractionState.logs.push(`Processing ${allItems.length} items...`);
+    job.totalRecords = writer.count;
+    
+    if (cancelled) {
+      // Keep what was fetched, marked as incomplete
+      try {
+        const filename = finalizeJobResults(job, { incomplete: true });
+        moveCheckpointRecords(checkpoint, getJobResultPath(job));
+        job.logs.push(`Partial data (${writer.count} records) saved to file: ${filename}`);
+      } catch (fileError) {
+        job.logs.push(`Warning: Could not save partial data: ${fileError.message}`);
+      }
       
-      // Save results
-      extractionState.data = allItems;
-      extractionState.totalRecords = allItems.length;
+      job.status = 'cancelled';
+    } else if (job.status === 'failed') {
+      // The checkpoint keeps the fetched records for a resume, a half-written result file would only mislead
+      keepCheckpointRecords(checkpoint, getJobResultPath(job));
+      discardJobResults(job);
+    } else {
+      job.status = 'processing';
+      job.logs.push(`Processing ${writer.count} items...`);
       
-      // Save to file if requested
       try {
-        const dataDir = path.join(__dirname, 'data');
-        if (!fs.existsSync(dataDir)) {
-          fs.mkdirSync(dataDir);
-        }
-        
-        const filename = `${resource}_${new Date().toISOString().split('T')[0]}.json`;
-        fs.writeFileSync(
-          path.join(dataDir, filename),
-          JSON.stringify(allItems, null, 2)
-        );
-        
-        extractionState.logs.push(`Data saved to file: ${filename}`);
+        const filename = finalizeJobResults(job);
+        job.logs.push(`Data saved to file: ${filename}`);
       } catch (fileError) {
-        extractionState.logs.push(`Warning: Could not save to file: ${fileError.message}`);
+        job.logs.push(`Warning: Could not save to file: ${fileError.message}`);
+      }
+      
+      if (incremental) {
+        // A failed merge leaves the snapshot and the high-water mark as they were,
+        // the next incremental run fetches the same records again
+        try {
+          const merge = await mergeIntoSnapshot(storeName, resource, getJobResultPath(job));
+          job.logs.push(`Merged into snapshot: ${merge.added} new, ${merge.updated} updated, ${merge.total} total. Next sync fetches records updated since ${merge.highWaterMark}`);
+        } catch (mergeError) {
+          console.error('Snapshot merge error:', mergeError);
+          job.logs.push(`Warning: Could not merge into snapshot, the results of this run are kept: ${mergeError.message}`);
+        }
       }
       
+      // The extraction is complete, the checkpoint is no longer needed
+      deleteCheckpoint(checkpoint.id);
+      job.checkpointId = null;
+      
       // Mark as complete
-      extractionState.status = 'completed';
-      extractionState.logs.push(`Extraction of ${allItems.length} ${resource} completed successfully!`);
+      job.status = 'completed';
+      job.logs.push(`Extraction of ${writer.count} ${resource} completed successfully!`);
     }
   } catch (error) {
     console.error('Extraction error:', error);
-    extractionState.status = 'failed';
-    extractionState.logs.push(`Error: ${error.message}`);
+    job.status = 'failed';
+    job.logs.push(`Error: ${error.message}`);
+    
+    if (job.resultFile) {
+      if (checkpoint) {
+        keepCheckpointRecords(checkpoint, getJobResultPath(job));
+      }
+      discardJobResults(job);
+    }
+  }
+}
+
+/**
+ * Bulk Operations API extraction function
+ * @param {Object} job Job to report progress on
+ * @param {string} resource Resource name
+ * @param {string} query Paginated GraphQL query, converted to a bulk query
+ * @param {Object} options Extraction options
+ * @param {Object} options.credentials Credentials of the store to extract from
+ * @param {Array} options.schemaTypes Schema types, to tell the nested connections of the results apart
+ * @param {Object} options.filterVariables Filter variables inlined into the bulk query (optional)
+ * @param {boolean} options.incremental Merge the results into the resource snapshot
+ */
+async function extractBulkData(job, resource, query, options = {}) {
+  const { credentials, schemaTypes = [], filterVariables = {}, incremental = false } = options;
+  
+  try {
+    const storeName = credentials.storeName;
+    
+    job.status = 'bulk-running';
+    job.progress = 10;
+    
+    // The download is rebuilt and written one record at a time instead of being collected in memory
+    const writer = createResultWriter(job);
+    
+    const count = await runBulkExtraction({
+      credentials,
+      query,
+      variables: filterVariables,
+      writer,
+      schemaTypes,
+      log: message => {
+        console.log(message);
+        job.logs.push(message);
+        
+        if (message.startsWith('Downloading')) {
+          job.status = 'downloading';
+          job.progress = 80;
+        } else if (message.startsWith('Bulk operation RUNNING')) {
+          // Bulk operations report no total, so hold progress steady while running
+          job.progress = 50;
+        }
+      },
+      signal: getJobSignal(job)
+    });
+    
+    job.status = 'processing';
+    job.progress = 90;
+    job.logs.push(`Processing ${count} items...`);
+    
+    job.recordsProcessed = count;
+    job.totalRecords = count;
+    
+    try {
+      const filename = finalizeJobResults(job);
+      job.logs.push(`Data saved to file: ${filename}`);
+    } catch (fileError) {
+      job.logs.push(`Warning: Could not save to file: ${fileError.message}`);
+    }
+    
+    if (incremental) {
+      // A failed merge leaves the snapshot and the high-water mark as they were,
+      // the next incremental run fetches the same records again
+      try {
+        const merge = await mergeIntoSnapshot(storeName, resource, getJobResultPath(job));
+        job.logs.push(`Merged into snapshot: ${merge.added} new, ${merge.updated} updated, ${merge.total} total. Next sync fetches records updated since ${merge.highWaterMark}`);
+      } catch (mergeError) {
+        console.error('Snapshot merge error:', mergeError);
+        job.logs.push(`Warning: Could not merge into snapshot, the results of this run are kept: ${mergeError.message}`);
+      }
+    }
+    
+    job.progress = 100;
+    job.status = 'completed';
+    job.logs.push(`Bulk extraction of ${count} ${resource} completed successfully!`);
+  } catch (error) {
+    // A bulk operation can't be resumed, so a half-written download is of no use
+    if (job.resultFile) {
+      discardJobResults(job);
+    }
+    
+    if (isCancelledError(error)) {
+      job.logs.push('Bulk extraction cancelled, no data was kept');
+      job.status = 'cancelled';
+      return;
+    }
+    
+    console.error('Bulk extraction error:', error);
+    job.status = 'failed';
+    job.logs.push(`Error: ${error.message}`);
   }
 }
 
@@ -599,347 +1624,44 @@ function extractFieldsFromQuery(query) {
   return fields;
 }
 
-// Predefined sorgu yardımcıları
-function getPredefinedProductsQuery() {
-  return {
-    query: `
-query GetProducts($first: Int!, $after: String) {
-  products(first: $first, after: $after) {
-    pageInfo {
-      hasNextPage
-      endCursor
-    }
-    edges {
-      node {
-        id
-        title
-        handle
-        description
-        productType
-        vendor
-        status
-        tags
-        createdAt
-        updatedAt
-        publishedAt
-        onlineStoreUrl
-        featuredImage {
-          id
-          url
-          altText
-        }
-        priceRangeV2 {
-          minVariantPrice {
-            amount
-            currencyCode
-          }
-          maxVariantPrice {
-            amount
-            currencyCode
-          }
-        }
-        totalInventory
-        variants(first: 50) {
-          edges {
-            node {
-              id
-              title
-              sku
-              price
-              compareAtPrice
-              inventoryQuantity
-              barcode
-              availableForSale
-              taxable
-              selectedOptions {
-                name
-                value
-              }
-            }
-          }
-        }
-        images(first: 20) {
-          edges {
-            node {
-              id
-              url
-              width
-              height
-              altText
-            }
-          }
-        }
-        metafields(first: 10) {
-          edges {
-            node {
-              id
-              namespace
-              key
-              value
-              type
-            }
-          }
-        }
-      }
-    }
-  }
-}`,
-    fields: ["id", "title", "handle", "description", "productType", "vendor", "status", "tags", 
-             "createdAt", "updatedAt", "publishedAt", "onlineStoreUrl", "featuredImage", 
-             "priceRangeV2", "totalInventory", "variants", "images", "metafields"]
-  };
-}
-
-function getPredefinedOrdersQuery() {
-  return {
-    query: `
-query GetOrders($first: Int!, $after: String) {
-  orders(first: $first, after: $after) {
-    pageInfo {
-      hasNextPage
-      endCursor
-    }
-    edges {
-      node {
-        id
-        name
-        email
-        phone
-        closed
-        cancelReason
-        cancelledAt
-        processedAt
-        createdAt
-        updatedAt
-        displayFulfillmentStatus
-        displayFinancialStatus
-        note
-        tags
-        subtotalLineItemsQuantity
-        totalPriceSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        subtotalPriceSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        totalShippingPriceSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        totalTaxSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        totalDiscountsSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        customer {
-          id
-          firstName
-          lastName
-          email
-          phone
-        }
-        shippingAddress {
-          firstName
-          lastName
-          address1
-          address2
-          city
-          province
-          country
-          zip
-          phone
-          company
-          formatted
-        }
-        billingAddress {
-          firstName
-          lastName
-          address1
-          address2
-          city
-          province
-          country
-          zip
-          phone
-          company
-          formatted
-        }
-        lineItems(first: 50) {
-          edges {
-            node {
-              id
-              title
-              quantity
-              discountedTotalSet {
-                shopMoney {
-                  amount
-                  currencyCode
-                }
-              }
-              originalTotalSet {
-                shopMoney {
-                  amount
-                  currencyCode
-                }
-              }
-              variant {
-                id
-                title
-                sku
-                price
-                product {
-                  id
-                  title
-                  handle
-                }
-              }
-            }
-          }
-        }
-        transactions {
-          id
-          status
-          kind
-          gateway
-          createdAt
-          amountSet {
-            shopMoney {
-              amount
-              currencyCode
-            }
-          }
-        }
-      }
-    }
-  }
-}`,
-    fields: ["id", "name", "email", "phone", "closed", "cancelReason", "cancelledAt", "processedAt", 
-            "createdAt", "updatedAt", "displayFinancialStatus", "displayFulfillmentStatus", 
-            "note", "tags", "subtotalLineItemsQuantity", "totalPriceSet", "subtotalPriceSet", 
-            "totalShippingPriceSet", "totalTaxSet", "totalDiscountsSet", "customer", 
-            "shippingAddress", "billingAddress", "lineItems", "transactions"]
-  };
-}
+// Import additional modules
+const { getQueryTemplate, getTemplateList, applyTemplateParameters } = require('./src/queries/dependentQueryTemplates');
+const { getApiSchema, validateVersionRange, getSchemaDiffReport } = require('./src/utils/schemaVersioning');
+const { listSchemaCache, loadSchemaFromCache, clearSchemaCache } = require('./src/utils/schemaCache');
+const { validateTemplate } = require('./src/utils/templateValidation');
 
-function getPredefinedCustomersQuery() {
-  return {
-    query: `
-query GetCustomers($first: Int!, $after: String) {
-  customers(first: $first, after: $after) {
-    pageInfo {
-      hasNextPage
-      endCursor
-    }
-    edges {
-      node {
-        id
-        firstName
-        lastName
-        email
-        phone
-        displayName
-        createdAt
-        updatedAt
-        defaultAddress {
-          id
-          address1
-          address2
-          city
-          country
-          firstName
-          lastName
-          company
-          phone
-          province
-          zip
-          formatted
-        }
-        addresses {
-          id
-          address1
-          address2
-          city
-          country
-          firstName
-          lastName
-          company
-          phone
-          province
-          zip
-          formatted
-        }
-        note
-        tags
-        state
-        taxExempt
-        metafields(first: 10) {
-          edges {
-            node {
-              id
-              namespace
-              key
-              value
-              type
-            }
-          }
-        }
-        orders(first: 5) {
-          edges {
-            node {
-              id
-              name
-              processedAt
-              displayFulfillmentStatus
-              displayFinancialStatus
-              totalPriceSet {
-                shopMoney {
-                  amount
-                  currencyCode
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-}`,
-    fields: ["id", "firstName", "lastName", "email", "phone", "displayName", "createdAt", "updatedAt", 
-             "defaultAddress", "addresses", "note", "tags", "state", "taxExempt", 
-             "metafields", "orders"]
-  };
+/**
+ * Schema dependent templates are validated against, read through the
+ * schema cache of the store and API version
+ * @param {Object} credentials Shopify API credentials
+ * @param {Function} log Called with progress messages (optional)
+ * @returns {Promise<Object>} Schema
+ */
+async function loadTemplateSchema(credentials, log = () => {}) {
+  return getApiSchema(credentials, { log });
 }
 
-// Import additional modules
-const { saveResultsToFile } = require('./src/utils/dependentQueries');
-const { getQueryTemplate, getTemplateList } = require('./src/queries/dependentQueryTemplates');
-const { 
-  getApiSchema, 
-  saveSchemaToCache,
-  loadSchemaFromCache,
-  clearSchemaCache
-} = require('./src/utils/schemaVersioning');
-
-// Get dependent query template list
-app.get('/api/dependent-query-templates', (req, res) => {
+// Get dependent query template list, with how well each template matches the
+// schema of the current API version
+app.get('/api/dependent-query-templates', async (req, res) => {
   try {
     const templates = getTemplateList();
-    res.status(200).json(templates);
+    
+    let schema = null;
+    if (req.credentials.storeName && req.credentials.accessToken) {
+      try {
+        schema = await loadTemplateSchema(req.credentials);
+      } catch (error) {
+        console.warn('Could not load the schema to validate templates:', error.message);
+      }
+    }
+    
+    res.status(200).json(templates.map(template => ({
+      ...template,
+      compatibility: schema
+        ? validateTemplate(schema, getTemplateStages(applyTemplateParameters(getQueryTemplate(template.name)).template))
+        : { status: 'unknown', errors: [], warnings: [] }
+    })));
   } catch (error) {
     console.error('Error getting query templates:', error);
     res.status(500).json({ error: 'Failed to get query templates: ' + error.message });
@@ -948,13 +1670,13 @@ app.get('/api/dependent-query-templates', (req, res) => {
 
 // Add new endpoint for dependent extractions
 app.post('/api/dependent-extract', async (req, res) => {
-  const { queryType } = req.body;
+  const { queryType, parameters } = req.body;
   
   if (!queryType) {
     return res.status(400).json({ error: 'Query type is required' });
   }
   
-  if (!shopifyCredentials.storeName || !shopifyCredentials.accessToken) {
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
     return res.status(400).json({ error: 'Missing credentials' });
   }
   
@@ -965,26 +1687,34 @@ app.post('/api/dependent-extract', async (req, res) => {
       return res.status(400).json({ error: `Unknown query type: ${queryType}` });
     }
     
-    // Reset extraction state for new operation
-    extractionState = {
-      status: 'initializing',
-      progress: 0,
-      recordsProcessed: 0,
-      totalRecords: 0,
-      logs: [`Starting dependent extraction for ${template.label}`],
-      data: [],
+    const { values, errors } = applyTemplateParameters(template, parameters);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid parameters for ${template.label}`, details: errors });
+    }
+    
+    // Describe the parameters that were set, e.g. "ownerType: customers, namespace: custom"
+    const parameterText = Object.keys(values)
+      .filter(name => values[name] !== null)
+      .map(name => `${name}: ${values[name]}`)
+      .join(', ');
+    
+    // Register a new job for this operation
+    const job = createJob({
+      type: 'dependent',
       resource: queryType,
-      query: null
-    };
+      parameters: Object.keys(values).length > 0 ? values : null,
+      profile: req.profileId,
+      message: `Starting dependent extraction for ${template.label}${parameterText ? ` (${parameterText})` : ''}`
+    });
     
     // Start dependent extraction in background
-    startDependentExtraction(queryType).catch(error => {
+    startDependentExtraction(job, queryType, req.credentials).catch(error => {
       console.error('Dependent extraction error:', error);
-      extractionState.status = 'failed';
-      extractionState.logs.push(`Error: ${error.message}`);
+      job.status = 'failed';
+      job.logs.push(`Error: ${error.message}`);
     });
     
-    res.status(200).json({ success: true, message: 'Dependent extraction started' });
+    res.status(200).json({ success: true, message: 'Dependent extraction started', jobId: job.id });
   } catch (error) {
     console.error('Error starting dependent extraction:', error);
     res.status(500).json({ error: 'Failed to start dependent extraction: ' + error.message });
@@ -994,15 +1724,20 @@ app.post('/api/dependent-extract', async (req, res) => {
 // Get schema information
 app.get('/api/schema-info', async (req, res) => {
   try {
-    // Get cached schema
-    const cachedData = loadSchemaFromCache();
+    // Cached schema of the connected store and version, and every cache entry
+    const cachedData = req.credentials.storeName
+      ? loadSchemaFromCache(req.credentials.storeName, req.credentials.apiVersion)
+      : null;
     
     res.status(200).json({
-      apiVersion: shopifyCredentials.apiVersion,
+      apiVersion: req.credentials.apiVersion,
       schemaCache: cachedData ? {
         timestamp: cachedData.timestamp,
-        apiVersion: cachedData.apiVersion
-      } : null
+        apiVersion: cachedData.apiVersion,
+        storeName: cachedData.storeName,
+        checksum: cachedData.checksum
+      } : null,
+      cachedSchemas: listSchemaCache()
     });
   } catch (error) {
     console.error('Error getting schema info:', error);
@@ -1010,10 +1745,37 @@ app.get('/api/schema-info', async (req, res) => {
   }
 });
 
-// Clear schema cache
+// Compare the schemas of two API versions and list what the upgrade would break
+app.get('/api/schema-diff', async (req, res) => {
+  const { from, to } = req.query;
+  
+  const errors = validateVersionRange(from, to);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid API versions', details: errors });
+  }
+  
+  if (!req.credentials.storeName || !req.credentials.accessToken) {
+    return res.status(400).json({ error: 'Missing credentials' });
+  }
+  
+  try {
+    res.status(200).json(await getSchemaDiffReport(req.credentials, from, to));
+  } catch (error) {
+    console.error('Error comparing schemas:', error);
+    res.status(500).json({ error: 'Failed to compare schemas: ' + error.message });
+  }
+});
+
+// Clear schema cache: one store and version, one store, or everything
 app.post('/api/clear-schema-cache', (req, res) => {
+  const { storeName, apiVersion } = req.body || {};
+  
+  if (apiVersion && !storeName) {
+    return res.status(400).json({ error: 'storeName is required when clearing an API version' });
+  }
+  
   try {
-    clearSchemaCache();
+    clearSchemaCache(storeName, apiVersion);
     res.status(200).json({ success: true, message: 'Schema cache cleared' });
   } catch (error) {
     console.error('Error clearing schema cache:', error);
@@ -1021,71 +1783,78 @@ app.post('/api/clear-schema-cache', (req, res) => {
   }
 });
 
-// Function to start dependent extraction
-async function startDependentExtraction(queryType) {
+// Function to start dependent extraction, against the store of the given credentials
+async function startDependentExtraction(job, queryType, credentials) {
   try {
-    extractionState.status = 'initializing';
+    job.status = 'initializing';
     
-    // Get query template
-    const template = getQueryTemplate(queryType);
-    if (!template) {
+    // Get query template, filled in with the job's parameters
+    const baseTemplate = getQueryTemplate(queryType);
+    if (!baseTemplate) {
       throw new Error(`Unknown query type: ${queryType}`);
     }
+    const template = applyTemplateParameters(baseTemplate, job.parameters || {}).template;
     
-    // Check for cached schema
-    let schema = null;
-    const cachedData = loadSchemaFromCache();
-    
-    if (cachedData && cachedData.apiVersion === shopifyCredentials.apiVersion) {
-      extractionState.logs.push('Using cached schema');
-      schema = cachedData.schema;
-    } else {
-      extractionState.logs.push('Fetching current schema from Shopify...');
-      schema = await getApiSchema(shopifyCredentials);
-      saveSchemaToCache(schema, shopifyCredentials.apiVersion);
-      extractionState.logs.push('Schema fetched and cached');
-    }
+    const schema = await loadTemplateSchema(credentials, message => job.logs.push(message));
+    const stages = getTemplateStages(template);
     
-    // Check if the template needs adjustment for the current API version
-    extractionState.logs.push(`Validating ${template.label} template against schema...`);
+    // Check every query of the template before sending any of them
+    job.logs.push(`Validating ${template.label} template against schema...`);
+    const validation = validateTemplate(schema, stages);
     
-    // Here we would ideally validate the primary query and secondary query against the schema
-    // but for simplicity, we'll continue with the extraction
+    validation.warnings.forEach(warning => job.logs.push(`Warning: ${warning}`));
+    if (validation.errors.length > 0) {
+      validation.errors.forEach(error => job.logs.push(`Error: ${error}`));
+      throw new Error(`Schema compatibility issue: ${template.label} doesn't match the ${credentials.apiVersion} schema (${validation.errors.length} problem${validation.errors.length === 1 ? '' : 's'}, see the log)`);
+    }
     
-    extractionState.logs.push(`Starting ${template.label} extraction with primary query...`);
+    job.logs.push(`Starting ${template.label} extraction with primary query...`);
     
-    const results = await executeDependentQueries({
-      credentials: shopifyCredentials,
-      primaryQuery: template.primaryQuery,
-      secondaryQueryBuilder: template.buildSecondaryQuery,
-      idExtractor: template.idExtractor,
-      resultMerger: template.resultMerger,
-      extractionState: extractionState
+    const results = await executeDependentPipeline({
+      credentials,
+      stages,
+      extractionState: job
     });
     
-    // Update extraction state with results
-    extractionState.status = 'completed';
-    extractionState.data = results;
-    extractionState.recordsProcessed = Array.isArray(results) ? results.length : 1;
-    extractionState.totalRecords = extractionState.recordsProcessed;
-    extractionState.progress = 100;
+    // Update job with results
+    job.recordsProcessed = Array.isArray(results) ? results.length : 1;
+    job.totalRecords = job.recordsProcessed;
+    job.progress = 100;
     
     // Save results to file
-    const filename = saveResultsToFile(queryType, results);
-    extractionState.logs.push(`Extraction completed: ${extractionState.recordsProcessed} records extracted`);
-    extractionState.logs.push(`Results saved to file: ${filename}`);
+    const filename = saveJobResults(job, results);
+    job.logs.push(`Extraction completed: ${job.recordsProcessed} records extracted`);
+    job.logs.push(`Results saved to file: ${filename}`);
+    job.status = 'completed';
     
     return results;
   } catch (error) {
-    extractionState.status = 'failed';
+    if (isCancelledError(error)) {
+      // Keep what was merged so far, marked as incomplete
+      const partialResults = error.partialResults || [];
+      job.recordsProcessed = Array.isArray(partialResults) ? partialResults.length : 1;
+      job.totalRecords = job.recordsProcessed;
+      
+      try {
+        const filename = saveJobResults(job, partialResults, { incomplete: true });
+        job.logs.push(`Extraction cancelled: partial data (${job.recordsProcessed} records) saved to file: ${filename}`);
+      } catch (fileError) {
+        job.logs.push(`Warning: Could not save partial data: ${fileError.message}`);
+      }
+      
+      job.status = 'cancelled';
+      return partialResults;
+    }
+    
+    job.status = 'failed';
     
     // Handle schema compatibility errors gracefully
     if (error.message.includes("Schema compatibility") || error.message.includes("doesn't exist on type")) {
-      extractionState.logs.push(`Schema Compatibility Error: ${error.message}`);
-      extractionState.logs.push("This template may not be compatible with your Shopify API version or shop configuration.");
-      extractionState.logs.push("Consider trying a different template or customizing this template for your shop.");
+      job.logs.push(`Schema Compatibility Error: ${error.message}`);
+      job.logs.push("This template may not be compatible with your Shopify API version or shop configuration.");
+      job.logs.push("Consider trying a different template or customizing this template for your shop.");
     } else {
-      extractionState.logs.push(`Error: ${error.message}`);
+      job.logs.push(`Error: ${error.message}`);
     }
     
     throw error;
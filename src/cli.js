@@ -3,6 +3,16 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { fetchAllPages } = require('./utils/pagination');
+const { runBulkExtraction } = require('./utils/bulkOperations');
+const { getIncrementalFilter, mergeIntoSnapshot } = require('./utils/incrementalSync');
+const { EXPORT_FORMATS, exportRecords, writeCsvTables } = require('./utils/exporters');
+const { createRecordWriter, iterateRecords } = require('./utils/recordStream');
+const { getSchemaDiffReport } = require('./utils/schemaVersioning');
+const { setCredentials, getCredentials } = require('./graphql');
+const { fetchSchema } = require('./utils/schema');
+const { validateCustomQuery } = require('./utils/customQueries');
+const { getSavedQueryId, loadSavedQuery, listSavedQueries } = require('./utils/savedQueries');
+const { validateProfile, saveProfile, getProfile, listProfiles } = require('./utils/profiles');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '../data');
@@ -10,15 +20,342 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir);
 }
 
+/**
+ * Extract a resource either page by page or through the Bulk Operations API
+ * @param {string} dataType Resource name (products, orders, customers)
+ * @param {string} query Paginated GraphQL query
+ * @param {Object} variables Query variables
+ * @param {Object} options CLI options, plus dataPath and cursorVariable for custom queries
+ * @returns {Promise<Object>} { filePath, count }: NDJSON file with the extracted items and their number
+ */
+async function extractResource(dataType, query, variables, options) {
+  const credentials = getCredentials();
+  const { storeName } = credentials;
+  
+  if (options.incremental) {
+    // Only fetch what changed since the last sync of this resource
+    const filter = getIncrementalFilter(storeName, dataType);
+    console.log(filter
+      ? `Incremental sync: fetching ${dataType} matching ${filter}`
+      : `Incremental sync: no earlier sync of ${dataType} found, fetching everything`);
+    variables = { ...variables, query: filter };
+  }
+  
+  let result;
+  
+  if (!options.bulk) {
+    result = await fetchAllPages(dataType, query, variables, options.dataPath || dataType, {
+      resume: options.resume,
+      cursorVariable: options.cursorVariable,
+      custom: Boolean(options.dataPath),
+      profile: options.profile
+    });
+  } else {
+    const writer = createRecordWriter(path.join(dataDir, `${dataType}_all.ndjson`));
+    
+    await runBulkExtraction({
+      credentials,
+      query,
+      variables: { query: variables.query },
+      writer,
+      schemaTypes: await fetchSchema(credentials),
+      log: message => console.log(message)
+    });
+    
+    result = { filePath: writer.filePath, count: writer.count };
+    
+    console.log(`Completed bulk extraction for ${dataType}. Total items: ${writer.count}`);
+  }
+  
+  if (options.incremental) {
+    const merge = await mergeIntoSnapshot(storeName, dataType, result.filePath);
+    console.log(`Merged into ${merge.snapshotPath}: ${merge.added} new, ${merge.updated} updated, ${merge.total} total`);
+  }
+  
+  if (options.explode) {
+    // One CSV file per table, joined on their foreign keys
+    const tablesDir = path.join(dataDir, `${dataType}_tables`);
+    const tables = await writeCsvTables(() => iterateRecords(result.filePath), tablesDir, { tableName: dataType });
+    console.log(`Exported ${tables.recordCount} ${dataType} to ${tablesDir}: ${tables.files.join(', ')}`);
+  } else if (options.format === 'ndjson') {
+    console.log(`${dataType} are already saved as NDJSON in ${result.filePath}`);
+  } else if (options.format) {
+    // The NDJSON file is always written, the export comes on top of it
+    const { extension } = EXPORT_FORMATS[options.format];
+    const exported = await exportRecords(() => iterateRecords(result.filePath), options.format, path.join(dataDir, `${dataType}_all.${extension}`), { sheetName: dataType });
+    console.log(`Exported ${exported.recordCount} ${dataType} to ${exported.filePath}`);
+  }
+  
+  return result;
+}
+
+/**
+ * Print the schema changes between two API versions and the predefined
+ * queries and dependent templates they would break
+ * @param {string} fromVersion Older API version
+ * @param {string} toVersion Newer API version
+ * @param {Object} options CLI options
+ */
+async function runSchemaDiff(fromVersion, toVersion, options) {
+  const credentials = getCredentials();
+  
+  if (!credentials.storeName || !credentials.accessToken) {
+    throw new Error('Missing Shopify API credentials');
+  }
+  
+  // Progress goes to stderr so --json output can be piped
+  const report = await getSchemaDiffReport(credentials, fromVersion, toVersion, {
+    log: message => console.error(message)
+  });
+  
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  
+  const { summary } = report;
+  console.log(`\nSchema changes from ${report.from} to ${report.to} (${report.storeName})`);
+  console.log(`Types: ${summary.types.added} added, ${summary.types.removed} removed, ${summary.types.changed} changed`);
+  console.log(`Fields: ${summary.fields.added} added, ${summary.fields.removed} removed, ${summary.fields.changed} changed`);
+  console.log(`Arguments: ${summary.arguments.added} added, ${summary.arguments.removed} removed, ${summary.arguments.changed} changed`);
+  console.log(`Enum values: ${summary.enumValues.added} added, ${summary.enumValues.removed} removed`);
+  console.log(`Newly deprecated: ${summary.deprecated}`);
+  
+  const section = (title, entries, format) => {
+    if (entries.length === 0) return;
+    console.log(`\n${title}:`);
+    entries.forEach(entry => console.log(`  - ${format(entry)}`));
+  };
+  
+  section('Removed types', report.types.removed, type => `${type.name} (${type.kind})`);
+  section('Changed types', report.types.changed, type => `${type.name}: ${type.from} -> ${type.to}`);
+  section('Removed fields', report.fields.removed, field => `${field.path} (${field.type})`);
+  section('Changed fields', report.fields.changed, field => `${field.path}: ${field.from} -> ${field.to}`);
+  section('Removed arguments', report.arguments.removed, arg => `${arg.path} (${arg.type})`);
+  section('Changed arguments', report.arguments.changed, arg => `${arg.path}: ${arg.from} -> ${arg.to}`);
+  section('New required arguments', report.arguments.added.filter(arg => arg.required), arg => `${arg.path} (${arg.type})`);
+  section('Removed enum values', report.enumValues.removed, value => value.path);
+  section('Newly deprecated', report.deprecated, entry => `${entry.path}${entry.reason ? `: ${entry.reason}` : ''}`);
+  
+  if (report.breaking.length === 0) {
+    console.log(`\nNone of the predefined queries or dependent templates break on ${report.to}.`);
+  } else {
+    console.log(`\nWould break on ${report.to}:`);
+    report.breaking.forEach(result => {
+      console.log(`  - ${result.label}${result.alreadyBroken ? ` (already broken on ${report.from})` : ''}`);
+      result.errors.forEach(error => console.log(`      ${error}`));
+    });
+  }
+  
+  console.log('\nAdded types, fields and arguments are listed with --json.');
+}
+
+/**
+ * Run a saved query, or a query from a .graphql file, page by page through
+ * the connection it selects
+ * @param {string} target Saved query name or query file
+ * @param {number} limit Page size, when the query takes it as a variable
+ * @param {Object} options CLI options
+ */
+async function runCustomQuery(target, limit, options) {
+  let saved;
+  if (target && /\.(graphql|gql)$/.test(target)) {
+    if (!fs.existsSync(target)) {
+      throw new Error(`Query file not found: ${target}`);
+    }
+    saved = {
+      id: getSavedQueryId(path.basename(target, path.extname(target))),
+      query: fs.readFileSync(target, 'utf8'),
+      variables: {},
+      connectionPath: null
+    };
+  } else {
+    saved = target ? loadSavedQuery(target) : null;
+    if (!saved) {
+      throw new Error(`No saved query named ${target}, list them with: node cli.js saved-queries`);
+    }
+  }
+  
+  let variables = { ...saved.variables };
+  if (options.variables) {
+    try {
+      variables = { ...variables, ...JSON.parse(options.variables) };
+    } catch (error) {
+      throw new Error(`--variables must be a JSON object: ${error.message}`);
+    }
+  }
+  const connectionPath = options.connection || saved.connectionPath || null;
+  
+  // Checked against the schema of the API version the query runs on
+  const schemaTypes = await fetchSchema(getCredentials());
+  const validation = validateCustomQuery(schemaTypes, saved.query, variables, { connectionPath });
+  validation.warnings.forEach(warning => console.warn(`Warning: ${warning.message}`));
+  if (!validation.valid) {
+    validation.errors.forEach(error => console.error(`  ${error.line ? `Line ${error.line}: ` : ''}${error.message}`));
+    throw new Error(`The query ${saved.name || target} is not valid`);
+  }
+  
+  const { connection } = validation;
+  if (connection.firstVariable && variables[connection.firstVariable] == null) {
+    variables[connection.firstVariable] = limit;
+  }
+  
+  console.log(`Paging through ${connection.path.join('.')}`);
+  await extractResource(saved.id, saved.query, variables, {
+    ...options,
+    dataPath: connection.path,
+    cursorVariable: connection.afterVariable
+  });
+}
+
 async function cli() {
   const args = process.argv.slice(2);
-  const dataType = args[0];
-  const limit = parseInt(args[1], 10) || 50;
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const options = {
+    bulk: args.includes('--bulk'),
+    resume: args.includes('--resume'),
+    incremental: args.includes('--incremental'),
+    format: (args.find(arg => arg.startsWith('--format=')) || '').split('=')[1] || null,
+    explode: args.includes('--explode'),
+    json: args.includes('--json'),
+    variables: (args.find(arg => arg.startsWith('--variables=')) || '').slice('--variables='.length) || null,
+    connection: (args.find(arg => arg.startsWith('--connection=')) || '').split('=')[1] || null,
+    profile: (args.find(arg => arg.startsWith('--profile=')) || '').slice('--profile='.length) || null
+  };
+  const dataType = positional[0];
+  const limit = parseInt(positional[1], 10) || 50;
+  
+  if (dataType === 'profiles') {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+      console.log('No connection profiles. Save one from the web interface or with: node cli.js save-profile <name>');
+    }
+    profiles.forEach(profile => {
+      console.log(`${profile.id}  ${profile.name} - ${profile.storeName}.myshopify.com (${profile.apiVersion})`);
+    });
+    return;
+  }
+  
+  if (dataType === 'save-profile') {
+    // Moves the credentials of .env into an encrypted profile, after which they can be removed from .env
+    const profile = {
+      name: positional[1],
+      storeName: process.env.SHOPIFY_STORE_NAME,
+      clientId: process.env.SHOPIFY_CLIENT_ID,
+      accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+      apiVersion: process.env.SHOPIFY_API_VERSION
+    };
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`  ${error}`));
+      console.error('Usage: node cli.js save-profile <name>, with the credentials set in .env');
+      process.exit(1);
+    }
+    
+    try {
+      const saved = saveProfile(profile);
+      console.log(`Saved profile ${saved.name} for ${saved.storeName}.myshopify.com, use it with --profile=${saved.id}`);
+    } catch (error) {
+      console.error('Error saving profile:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+  
+  // Every command below runs against the selected profile instead of the credentials in .env
+  if (options.profile) {
+    try {
+      const profile = getProfile(options.profile);
+      if (!profile) {
+        throw new Error(`No profile named ${options.profile}, list them with: node cli.js profiles`);
+      }
+      setCredentials(profile);
+      options.profile = profile.id;
+      console.log(`Using profile ${profile.name} (${profile.storeName}.myshopify.com)`);
+    } catch (error) {
+      console.error('Error loading profile:', error.message);
+      process.exit(1);
+    }
+  }
+  
+  if (dataType === 'schema-diff') {
+    try {
+      await runSchemaDiff(positional[1], positional[2], options);
+    } catch (error) {
+      console.error('Error comparing schemas:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+  
+  if (dataType === 'saved-queries') {
+    const queries = listSavedQueries();
+    if (queries.length === 0) {
+      console.log('No saved queries. Save one from the query editor of the web interface.');
+    }
+    queries.forEach(query => {
+      console.log(`${query.id}  ${query.name}${query.description ? ` - ${query.description}` : ''}`);
+    });
+    return;
+  }
+  
+  if (options.format && !EXPORT_FORMATS[options.format]) {
+    console.error(`Unknown export format: ${options.format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+  
+  if (options.explode && options.format !== 'csv') {
+    console.error('--explode is only supported together with --format=csv');
+    process.exit(1);
+  }
+  
+  if (dataType === 'run-query') {
+    if (options.bulk || options.incremental) {
+      console.error('Saved queries are extracted page by page, --bulk and --incremental are not supported');
+      process.exit(1);
+    }
+    
+    try {
+      await runCustomQuery(positional[1], parseInt(positional[2], 10) || 50, options);
+    } catch (error) {
+      console.error('Error running query:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
   
   if (!dataType || !['products', 'orders', 'customers', 'all'].includes(dataType)) {
-    console.log('Usage: node cli.js <data-type> [limit]');
+    console.log('Usage: node cli.js <data-type> [limit] [--bulk] [--resume] [--incremental] [--format=<format> [--explode]]');
+    console.log('       node cli.js schema-diff <from-version> <to-version> [--json]');
+    console.log('       node cli.js run-query <saved-query|file.graphql> [page-size] [--variables=<json>] [--connection=<path>] [--resume] [--format=<format>]');
+    console.log('       node cli.js saved-queries');
+    console.log('       node cli.js profiles');
+    console.log('       node cli.js save-profile <name>');
     console.log('Available data types: products, orders, customers, all');
+    console.log('Options:');
+    console.log('  --bulk     Use the Bulk Operations API instead of cursor pagination (limit is ignored)');
+    console.log('  --resume   Continue a failed extraction from its last checkpoint (use the same limit)');
+    console.log('  --incremental  Only fetch records updated since the last sync and merge them into data/sync/');
+    console.log(`  --format   Also export the results as ${Object.keys(EXPORT_FORMATS).join(', ')} (e.g. --format=csv)`);
+    console.log('  --explode  With --format=csv, write one CSV file per nested connection to data/<data-type>_tables/');
+    console.log('  --variables  Values for the variables of a saved query, merged over the saved ones');
+    console.log('  --connection Connection a saved query pages through, when it selects several (e.g. shop.products)');
+    console.log('  --profile  Run against a saved connection profile instead of the credentials in .env (any command)');
     console.log('Example: node cli.js products 100');
+    console.log('Example: node cli.js orders --bulk');
+    console.log('Example: node cli.js orders 250 --resume');
+    console.log('Example: node cli.js orders 250 --incremental');
+    console.log('Example: node cli.js orders 250 --format=xlsx');
+    console.log('Example: node cli.js orders 250 --format=csv --explode');
+    console.log('Example: node cli.js schema-diff 2024-10 2025-01');
+    console.log('Example: node cli.js run-query "Draft orders" --variables=\'{"query":"status:open"}\'');
+    console.log('Example: node cli.js orders 250 --profile=eu-store');
+    process.exit(1);
+  }
+  
+  const { storeName, accessToken } = getCredentials();
+  if (!storeName || !accessToken) {
+    console.error('Error: Missing required environment variables. Please check your .env file or select a profile with --profile=<name>.');
     process.exit(1);
   }
   
@@ -31,21 +368,21 @@ async function cli() {
       console.log('\n--- EXTRACTING PRODUCTS ---');
       const { productQuery, variables } = require('./queries/products');
       variables.first = limit;
-      await fetchAllPages('products', productQuery, variables, 'products');
+      await extractResource('products', productQuery, variables, options);
     }
     
     if (dataType === 'orders' || dataType === 'all') {
       console.log('\n--- EXTRACTING ORDERS ---');
       const { orderQuery, variables } = require('./queries/orders');
       variables.first = limit;
-      await fetchAllPages('orders', orderQuery, variables, 'orders');
+      await extractResource('orders', orderQuery, variables, options);
     }
     
     if (dataType === 'customers' || dataType === 'all') {
       console.log('\n--- EXTRACTING CUSTOMERS ---');
       const { customerQuery, variables } = require('./queries/customers');
       variables.first = limit;
-      await fetchAllPages('customers', customerQuery, variables, 'customers');
+      await extractResource('customers', customerQuery, variables, options);
     }
     
     // Calculate duration
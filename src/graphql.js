@@ -1,18 +1,33 @@
 const axios = require('axios');
+const { getThrottle } = require('./utils/throttle');
 
-// Load environment variables
-const clientId = process.env.SHOPIFY_CLIENT_ID;
-const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-const storeName = process.env.SHOPIFY_STORE_NAME;
+// Credentials come from the environment (.env) unless a profile is selected
+let credentials = null;
 
-// Validate environment variables
-if (!clientId || !accessToken || !storeName) {
-  console.error('Error: Missing required environment variables. Please check your .env file.');
-  process.exit(1);
+/**
+ * Use these credentials instead of the environment variables, e.g. those of
+ * a connection profile
+ * @param {Object} nextCredentials { storeName, clientId, accessToken, apiVersion }
+ */
+function setCredentials(nextCredentials) {
+  credentials = { ...nextCredentials };
 }
 
-// Configure GraphQL endpoint
-const endpoint = `https://${storeName}.myshopify.com/admin/api/2023-10/graphql.json`;
+/**
+ * Credentials queries are sent with
+ * @returns {Object} { storeName, clientId, accessToken, apiVersion }
+ */
+function getCredentials() {
+  if (!credentials) {
+    credentials = {
+      storeName: process.env.SHOPIFY_STORE_NAME,
+      clientId: process.env.SHOPIFY_CLIENT_ID,
+      accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+      apiVersion: process.env.SHOPIFY_API_VERSION || '2023-10'
+    };
+  }
+  return credentials;
+}
 
 /**
  * Execute a GraphQL query against the Shopify Admin API
@@ -21,9 +36,24 @@ const endpoint = `https://${storeName}.myshopify.com/admin/api/2023-10/graphql.j
  * @returns {Promise<Object>} - The query result
  */
 async function executeQuery(query, variables = {}) {
+  const { storeName, accessToken, apiVersion } = getCredentials();
+  
+  // Validate credentials
+  if (!accessToken || !storeName) {
+    throw new Error('Missing Shopify API credentials. Please check your .env file or select a profile with --profile');
+  }
+  
   try {
-    const response = await axios({
-      url: endpoint,
+    const throttle = getThrottle(storeName);
+    const onWait = (ms, reason) => {
+      const seconds = (ms / 1000).toFixed(1);
+      console.log(reason === 'cost'
+        ? `Waiting ${seconds}s for API rate limit capacity...`
+        : `Rate limited by Shopify, retrying in ${seconds}s...`);
+    };
+    
+    const response = await throttle.run(() => axios({
+      url: `https://${storeName}.myshopify.com/admin/api/${apiVersion}/graphql.json`,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -34,7 +64,7 @@ async function executeQuery(query, variables = {}) {
         query,
         variables
       }
-    });
+    }), { key: query, onWait });
     
     return response.data;
   } catch (error) {
@@ -57,5 +87,7 @@ async function executeQuery(query, variables = {}) {
 }
 
 module.exports = {
+  setCredentials,
+  getCredentials,
   executeQuery
 };
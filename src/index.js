@@ -26,7 +26,7 @@ async function main() {
       productVariables,
       'products'
     );
-    console.log(`Total products extracted: ${products.length}`);
+    console.log(`Total products extracted: ${products.count}`);
     
     // Extract orders with pagination
     console.log('\n--- EXTRACTING ORDERS ---');
@@ -36,7 +36,7 @@ async function main() {
       orderVariables,
       'orders'
     );
-    console.log(`Total orders extracted: ${orders.length}`);
+    console.log(`Total orders extracted: ${orders.count}`);
     
     // Extract customers with pagination
     console.log('\n--- EXTRACTING CUSTOMERS ---');
@@ -46,7 +46,7 @@ async function main() {
       customerVariables,
       'customers'
     );
-    console.log(`Total customers extracted: ${customers.length}`);
+    console.log(`Total customers extracted: ${customers.count}`);
     
     // Create a summary file
     const endTime = new Date();
@@ -58,9 +58,9 @@ async function main() {
       extractionDate: endTime.toISOString(),
       duration: `${durationMinutes} minutes, ${durationSeconds} seconds`,
       counts: {
-        products: products.length,
-        orders: orders.length,
-        customers: customers.length,
+        products: products.count,
+        orders: orders.count,
+        customers: customers.count,
       }
     };
     
@@ -73,9 +73,9 @@ async function main() {
     console.log(`Duration: ${durationMinutes} minutes, ${durationSeconds} seconds`);
     console.log(`Results saved to ${dataDir}`);
     console.log('Summary:');
-    console.log(`- Products: ${products.length}`);
-    console.log(`- Orders: ${orders.length}`);
-    console.log(`- Customers: ${customers.length}`);
+    console.log(`- Products: ${products.count}`);
+    console.log(`- Orders: ${orders.count}`);
+    console.log(`- Customers: ${customers.count}`);
   } catch (error) {
     console.error('Error during data extraction:', error.message);
     if (error.response) {
@@ -2,8 +2,8 @@
  * GraphQL query to fetch customers from Shopify Admin API
  */
 const customerQuery = `
-  query GetCustomers($first: Int!, $after: String) {
-    customers(first: $first, after: $after) {
+  query GetCustomers($first: Int!, $after: String, $query: String) {
+    customers(first: $first, after: $after, query: $query) {
       pageInfo {
         hasNextPage
         endCursor
@@ -89,5 +89,6 @@ module.exports = {
   variables: {
     first: 50, // Adjust based on your needs
     after: null, // For pagination
+    query: null, // Search filter, e.g. "updated_at:>='2024-01-01T00:00:00Z'"
   }
 };
\ No newline at end of file
@@ -2,12 +2,36 @@
  * Templates for Shopify Dependent Query Scenarios
  */
 
+const { loadTemplates } = require('../utils/templateLoader');
+
+// Variant fields fetched for each variant, by ID or in batches
+const productVariantFields = `
+          id
+          title
+          sku
+          price
+          compareAtPrice
+          barcode
+          inventoryQuantity
+          selectedOptions {
+            name
+            value
+          }
+          inventoryItem {
+            id
+            tracked
+          }
+          product {
+            id
+          }
+`;
+
 // 1. Product Variants
 const productVariantsTemplate = {
   name: 'product-variants',
   label: 'Product Variants',
   description: 'Extract detailed variant information including inventory, prices, and options.',
-  help: 'First fetches products, then queries each variant individually.',
+  help: 'First fetches products, then looks up the variants in batches of 100.',
   primaryQuery: `
     query GetProductsWithVariantIds($first: Int!, $after: String) {
       products(first: $first, after: $after) {
@@ -22,6 +46,10 @@ const productVariantsTemplate = {
             handle
             status
             variants(first: 20) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
               edges {
                 node {
                   id
@@ -37,29 +65,26 @@ const productVariantsTemplate = {
     query: `
       query GetProductVariant($id: ID!) {
         productVariant(id: $id) {
-          id
-          title
-          sku
-          price
-          compareAtPrice
-          barcode
-          inventoryQuantity
-          selectedOptions {
-            name
-            value
-          }
-          inventoryItem {
-            id
-            tracked
-          }
-          product {
-            id
-          }
+          ${productVariantFields}
         }
       }
     `,
     variables: { id: variantId }
   }),
+  // Roughly 4 cost points per variant, so a batch stays well under Shopify's 1000 point query limit
+  batchSecondaryQuery: {
+    batchSize: 100,
+    resultKey: 'productVariant',
+    query: `
+      query GetProductVariants($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            ${productVariantFields}
+          }
+        }
+      }
+    `
+  },
   idExtractor: (products) => {
     const variantIds = [];
     products.forEach(product => {
@@ -105,69 +130,163 @@ const productVariantsTemplate = {
 };
 
 // 2. Metafields
-const metafieldsTemplate = {
-  name: 'metafields',
-  label: 'Metafields',
-  description: 'Extract metafields for products, orders, customers, etc.',
-  help: 'First fetches resources, then queries metafields for each item.',
-  primaryQuery: `
-    query GetProductsForMetafields($first: Int!, $after: String) {
-      products(first: $first, after: $after) {
+// Owners the metafields template can read: the root connection listing them
+// (or the single root field, for the shop) and the fields kept on each owner
+const METAFIELD_OWNERS = {
+  products: { connection: 'products', fields: ['id', 'title', 'handle'] },
+  variants: { connection: 'productVariants', fields: ['id', 'title', 'sku', 'displayName'] },
+  customers: { connection: 'customers', fields: ['id', 'displayName'] },
+  orders: { connection: 'orders', fields: ['id', 'name', 'createdAt'] },
+  collections: { connection: 'collections', fields: ['id', 'title', 'handle'] },
+  locations: { connection: 'locations', fields: ['id', 'name'] },
+  shop: { single: 'shop', fields: ['id', 'name'] }
+};
+
+// Metafield fields fetched for each owner, by ID or in batches. Every owner
+// type implements HasMetafields, so one query serves them all.
+const ownerMetafieldFields = `
+          id
+          ... on HasMetafields {
+            metafields(first: 50, namespace: $namespace, keys: $keys) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {
+                  id
+                  namespace
+                  key
+                  value
+                  type
+                }
+              }
+            }
+          }
+`;
+
+/**
+ * Build the metafields template for one owner type
+ * @param {Object} parameters Template parameters
+ * @param {string} parameters.ownerType Key of METAFIELD_OWNERS
+ * @param {string} parameters.namespace Only metafields in this namespace (optional)
+ * @param {string} parameters.key Only this key, as key or namespace.key (optional)
+ * @returns {Object} Template queries, extractor and merger
+ */
+function configureMetafieldsTemplate({ ownerType = 'products', namespace = null, key = null }) {
+  const owner = METAFIELD_OWNERS[ownerType];
+  const ownerFields = owner.fields.join('\n            ');
+  
+  // Shopify filters keys written as namespace.key
+  const keys = key ? [key.includes('.') ? key : `${namespace}.${key}`] : null;
+  const filterVariables = { namespace, keys };
+  
+  const primaryQuery = owner.single
+    ? `
+    query GetShopForMetafields {
+      ${owner.single} {
+        ${owner.fields.join('\n        ')}
+      }
+    }
+  `
+    : `
+    query GetOwnersForMetafields($first: Int!, $after: String) {
+      ${owner.connection}(first: $first, after: $after) {
         pageInfo {
           hasNextPage
           endCursor
         }
         edges {
           node {
-            id
-            title
-            handle
+            ${ownerFields}
           }
         }
       }
     }
-  `,
-  buildSecondaryQuery: (productId) => ({
-    query: `
-      query GetProductMetafields($id: ID!) {
-        product(id: $id) {
-          id
-          metafields(first: 20) {
-            edges {
-              node {
-                id
-                namespace
-                key
-                value
-                type
-              }
-            }
-          }
+  `;
+  
+  return {
+    primaryQuery,
+    buildSecondaryQuery: (ownerId) => ({
+      query: `
+      query GetOwnerMetafields($id: ID!, $namespace: String, $keys: [String!]) {
+        node(id: $id) {
+          ${ownerMetafieldFields}
         }
       }
     `,
-    variables: { id: productId }
-  }),
-  idExtractor: (products) => {
-    return products.map(product => product.id);
-  },
-  resultMerger: (products, metafieldResults) => {
-    // Create a map of metafields by product ID
-    const metafieldMap = {};
-    metafieldResults.forEach(result => {
-      if (result.product) {
-        metafieldMap[result.product.id] = result.product.metafields.edges.map(edge => edge.node);
+      variables: { id: ownerId, ...filterVariables }
+    }),
+    // metafields(first: 50) costs around 50 points per owner
+    batchSecondaryQuery: {
+      batchSize: 15,
+      resultKey: 'node',
+      variables: filterVariables,
+      query: `
+      query GetOwnersMetafields($ids: [ID!]!, $namespace: String, $keys: [String!]) {
+        nodes(ids: $ids) {
+          ${ownerMetafieldFields}
+        }
       }
-    });
-    
-    // Merge metafields into products
-    return products.map(product => {
-      return {
-        ...product,
-        detailedMetafields: metafieldMap[product.id] || []
-      };
-    });
-  }
+    `
+    },
+    idExtractor: (owners) => {
+      return owners.map(ownerRecord => ownerRecord.id);
+    },
+    resultMerger: (owners, metafieldResults) => {
+      // Create a map of metafields by owner ID
+      const metafieldMap = {};
+      metafieldResults.forEach(result => {
+        if (result.node && result.node.metafields) {
+          metafieldMap[result.node.id] = result.node.metafields.edges.map(edge => edge.node);
+        }
+      });
+      
+      // Merge metafields into owners
+      return owners.map(ownerRecord => {
+        return {
+          ...ownerRecord,
+          detailedMetafields: metafieldMap[ownerRecord.id] || []
+        };
+      });
+    }
+  };
+}
+
+const metafieldsTemplate = {
+  name: 'metafields',
+  label: 'Metafields',
+  description: 'Extract metafields for products, variants, customers, orders, collections, locations or the shop.',
+  help: 'First fetches the owners, then queries their metafields. Filter by namespace and key to fetch only your custom data.',
+  parameters: [
+    {
+      name: 'ownerType',
+      label: 'Owner type',
+      type: 'select',
+      options: Object.keys(METAFIELD_OWNERS),
+      default: 'products'
+    },
+    {
+      name: 'namespace',
+      label: 'Namespace',
+      type: 'text',
+      description: 'Only metafields in this namespace (e.g. custom)'
+    },
+    {
+      name: 'key',
+      label: 'Key',
+      type: 'text',
+      description: 'Only this key; needs a namespace unless written as namespace.key'
+    }
+  ],
+  validateParameters: ({ namespace, key }) => {
+    if (key && !key.includes('.') && !namespace) {
+      return ['Key needs a namespace, or write it as namespace.key'];
+    }
+    return [];
+  },
+  configure: configureMetafieldsTemplate,
+  ...configureMetafieldsTemplate({ ownerType: 'products' })
 };
 
 // 3. Order Line Items
@@ -207,6 +326,10 @@ const orderLineItemsTemplate = {
         order(id: $id) {
           id
           lineItems(first: 250) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
                 id
@@ -296,6 +419,10 @@ const customerOrderHistoryTemplate = {
         customer(id: $id) {
           id
           orders(first: 250) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
                 id
@@ -363,106 +490,88 @@ const inventoryAcrossLocationsTemplate = {
   label: 'Inventory Across Locations',
   description: 'Extract inventory levels for all items across all locations.',
   help: 'Complete inventory visibility across multiple store locations.',
-  primaryQuery: `
-    query GetLocationsAndInventoryItems($first: Int!, $after: String) {
-      locations(first: $first) {
-        edges {
-          node {
-            id
-            name
-            isActive
-          }
-        }
-      }
-      inventoryItems(first: $first, after: $after) {
-        pageInfo {
-          hasNextPage
-          endCursor
-        }
-        edges {
-          node {
-            id
-            sku
-            tracked
-            variant {
-              id
-              displayName
-              product {
-                id
-                title
-              }
+  stages: [
+    {
+      name: 'inventoryItems',
+      query: `
+        query GetInventoryItems($first: Int!, $after: String) {
+          inventoryItems(first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
             }
-          }
-        }
-      }
-    }
-  `,
-  buildSecondaryQuery: (inventoryItemId) => ({
-    query: `
-      query GetInventoryLevels($id: ID!) {
-        inventoryItem(id: $id) {
-          id
-          inventoryLevels(first: 20) {
             edges {
               node {
                 id
-                quantity
-                location {
+                sku
+                tracked
+                variant {
                   id
-                  name
+                  displayName
+                  product {
+                    id
+                    title
+                  }
                 }
               }
             }
           }
         }
+      `
+    },
+    {
+      name: 'inventoryLevels',
+      buildQuery: (inventoryItemId) => ({
+        query: `
+          query GetInventoryLevels($id: ID!) {
+            inventoryItem(id: $id) {
+              id
+              inventoryLevels(first: 20) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                edges {
+                  node {
+                    id
+                    quantities(names: ["available", "on_hand"]) {
+                      name
+                      quantity
+                    }
+                    location {
+                      id
+                      name
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `,
+        variables: { id: inventoryItemId }
+      }),
+      idExtractor: (inventoryItems) => {
+        return inventoryItems.map(item => item.id);
+      },
+      resultMerger: (inventoryItems, inventoryLevelResults) => {
+        // Create map of inventory levels by inventory item ID
+        const inventoryLevelMap = {};
+        inventoryLevelResults.forEach(result => {
+          if (result.inventoryItem && result.inventoryItem.inventoryLevels) {
+            inventoryLevelMap[result.inventoryItem.id] = result.inventoryItem.inventoryLevels.edges.map(edge => edge.node);
+          }
+        });
+        
+        // Merge inventory levels into inventory items; each level names its location
+        return inventoryItems.map(item => {
+          return {
+            ...item,
+            inventoryLevels: inventoryLevelMap[item.id] || []
+          };
+        });
       }
-    `,
-    variables: { id: inventoryItemId }
-  }),
-  idExtractor: (data) => {
-    // Extract inventory item IDs
-    if (data[0] && data[0].inventoryItems && data[0].inventoryItems.edges) {
-      return data[0].inventoryItems.edges.map(edge => edge.node.id);
     }
-    
-    // For paginated results, this will be a flat array of inventory items
-    return data.map(item => item.id);
-  },
-  resultMerger: (primaryData, inventoryLevelResults) => {
-    // Extract locations and inventory items from primary data
-    let locations = [];
-    let inventoryItems = [];
-    
-    if (primaryData[0] && primaryData[0].locations) {
-      // First page of results
-      locations = primaryData[0].locations.edges.map(edge => edge.node);
-      inventoryItems = primaryData[0].inventoryItems.edges.map(edge => edge.node);
-    } else {
-      // Handle pagination (location data will be in first page only)
-      inventoryItems = primaryData;
-    }
-    
-    // Create map of inventory levels by inventory item ID
-    const inventoryLevelMap = {};
-    inventoryLevelResults.forEach(result => {
-      if (result.inventoryItem && result.inventoryItem.inventoryLevels) {
-        inventoryLevelMap[result.inventoryItem.id] = result.inventoryItem.inventoryLevels.edges.map(edge => edge.node);
-      }
-    });
-    
-    // Merge inventory levels into inventory items
-    const enrichedInventoryItems = inventoryItems.map(item => {
-      return {
-        ...item,
-        inventoryLevels: inventoryLevelMap[item.id] || []
-      };
-    });
-    
-    return {
-      locations,
-      inventoryItems: enrichedInventoryItems
-    };
-  }
+  ]
 };
 
 // 6. Fulfillment Details
@@ -494,30 +603,36 @@ const fulfillmentDetailsTemplate = {
       query GetOrderFulfillments($id: ID!) {
         order(id: $id) {
           id
-          fulfillments(first: 20) {
-            edges {
-              node {
-                id
-                status
-                createdAt
-                updatedAt
-                trackingInfo {
-                  company
-                  number
-                  url
-                }
-                deliveredAt
-                estimatedDeliveryAt
-                shipmentStatus
-                service
-                totalQuantity
-                lineItems(first: 10) {
-                  edges {
-                    node {
-                      id
-                      title
-                      quantity
-                    }
+          fulfillments {
+            id
+            status
+            createdAt
+            updatedAt
+            trackingInfo {
+              company
+              number
+              url
+            }
+            deliveredAt
+            estimatedDeliveryAt
+            displayStatus
+            service {
+              id
+              serviceName
+            }
+            totalQuantity
+            fulfillmentLineItems(first: 10) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {
+                  id
+                  quantity
+                  lineItem {
+                    id
+                    title
                   }
                 }
               }
@@ -536,7 +651,7 @@ const fulfillmentDetailsTemplate = {
     const fulfillmentMap = {};
     fulfillmentResults.forEach(result => {
       if (result.order && result.order.fulfillments) {
-        fulfillmentMap[result.order.id] = result.order.fulfillments.edges.map(edge => edge.node);
+        fulfillmentMap[result.order.id] = result.order.fulfillments;
       }
     });
     
@@ -556,33 +671,12 @@ const productCollectionsTemplate = {
   label: 'Product Collections',
   description: 'Extract all products within each collection.',
   help: 'Analyze collection performance and product categorization.',
-  primaryQuery: `
-    query GetCollections($first: Int!, $after: String) {
-      collections(first: $first, after: $after) {
-        pageInfo {
-          hasNextPage
-          endCursor
-        }
-        edges {
-          node {
-            id
-            title
-            handle
-            productsCount {
-          count
-        }
-            updatedAt
-          }
-        }
-      }
-    }
-  `,
-  buildSecondaryQuery: (collectionId) => ({
-    query: `
-      query GetCollectionProducts($id: ID!) {
-        collection(id: $id) {
-          id
-          products(first: 250) {
+  stages: [
+    {
+      name: 'collections',
+      query: `
+        query GetCollections($first: Int!, $after: String) {
+          collections(first: $first, after: $after) {
             pageInfo {
               hasNextPage
               endCursor
@@ -592,53 +686,90 @@ const productCollectionsTemplate = {
                 id
                 title
                 handle
-                productType
-                vendor
-                publishedAt
-                images(first: 1) {
-                  edges {
-                    node {
-                      id
-                      url
-                    }
-                  }
+                productsCount {
+              count
+            }
+                updatedAt
+              }
+            }
+          }
+        }
+      `
+    },
+    {
+      name: 'products',
+      buildQuery: (collectionId) => ({
+        query: `
+          query GetCollectionProducts($id: ID!) {
+            collection(id: $id) {
+              id
+              products(first: 25) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
                 }
-                variants(first: 1) {
-                  edges {
-                    node {
-                      id
-                      price
+                edges {
+                  node {
+                    id
+                    title
+                    handle
+                    productType
+                    vendor
+                    publishedAt
+                    images(first: 10) {
+                      pageInfo {
+                        hasNextPage
+                        endCursor
+                      }
+                      edges {
+                        node {
+                          id
+                          url
+                        }
+                      }
+                    }
+                    variants(first: 10) {
+                      pageInfo {
+                        hasNextPage
+                        endCursor
+                      }
+                      edges {
+                        node {
+                          id
+                          price
+                        }
+                      }
                     }
                   }
                 }
               }
             }
           }
-        }
-      }
-    `,
-    variables: { id: collectionId }
-  }),
-  idExtractor: (collections) => {
-    return collections.map(collection => collection.id);
-  },
-  resultMerger: (collections, productResults) => {
-    // Create a map of products by collection ID
-    const productMap = {};
-    productResults.forEach(result => {
-      if (result.collection && result.collection.products) {
-        productMap[result.collection.id] = result.collection.products.edges.map(edge => edge.node);
-      }
-    });
+        `,
+        variables: { id: collectionId }
+      }),
+      idExtractor: (collections) => {
+        return collections.map(collection => collection.id);
+      },
+      resultMerger: (collections, productResults) => {
+        // Create a map of products by collection ID
+        const productMap = {};
+        productResults.forEach(result => {
+          if (result.collection && result.collection.products) {
+            productMap[result.collection.id] = result.collection.products.edges.map(edge => edge.node);
+          }
+        });
     
-    // Merge products into collections
-    return collections.map(collection => {
-      return {
-        ...collection,
-        detailedProducts: productMap[collection.id] || []
-      };
-    });
-  }
+        // Merge products into collections
+        return collections.map(collection => {
+          return {
+            ...collection,
+            detailedProducts: productMap[collection.id] || []
+          };
+        });
+      }
+    }
+  ]
 };
 
 // 8. Discount Usage (DISABLED - Not compatible with all API versions)
@@ -675,6 +806,10 @@ const discountUsageTemplate = {
         priceRule(id: $id) {
           id
           discountCodes(first: 50) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
                 id
@@ -743,6 +878,10 @@ const customerTagsTemplate = {
         customer(id: $id) {
           id
           metafields(first: 50, namespace: "customer") {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
                 id
@@ -821,6 +960,10 @@ const productMediaTemplate = {
         product(id: $id) {
           id
           images(first: 50) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
                 id
@@ -832,6 +975,10 @@ const productMediaTemplate = {
             }
           }
           media(first: 50) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
                 id
@@ -878,6 +1025,31 @@ const productMediaTemplate = {
   }
 };
 
+// Transaction fields fetched for each order, by ID or in batches
+const orderTransactionFields = `
+          id
+          transactions {
+            id
+            status
+            kind
+            gateway
+            test
+            amountSet {
+              shopMoney {
+                amount
+                currencyCode
+              }
+            }
+            # Removed paymentDetails as it's a union type that requires special handling
+            createdAt
+            formattedGateway
+            parentTransaction {
+              id
+              kind
+            }
+          }
+`;
+
 // 11. Order Transactions
 const orderTransactionsTemplate = {
   name: 'order-transactions',
@@ -912,32 +1084,26 @@ const orderTransactionsTemplate = {
     query: `
       query GetOrderTransactions($id: ID!) {
         order(id: $id) {
-          id
-          transactions {
-            id
-            status
-            kind
-            gateway
-            test
-            amountSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
-            # Removed paymentDetails as it's a union type that requires special handling
-            createdAt
-            formattedGateway
-            parentTransaction {
-              id
-              kind
-            }
-          }
+          ${orderTransactionFields}
         }
       }
     `,
     variables: { id: orderId }
   }),
+  // Transactions add a few cost points per order, keep a batch well under the 1000 point limit
+  batchSecondaryQuery: {
+    batchSize: 50,
+    resultKey: 'order',
+    query: `
+      query GetOrdersTransactions($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Order {
+            ${orderTransactionFields}
+          }
+        }
+      }
+    `
+  },
   idExtractor: (orders) => {
     return orders.map(order => order.id);
   },
@@ -960,6 +1126,40 @@ const orderTransactionsTemplate = {
   }
 };
 
+// Details fetched for each draft order, by ID or in batches
+const draftOrderDetailFields = `
+          id
+          completedAt
+          # invoice field removed - not available in all API versions
+          order {
+            id
+            name
+            createdAt
+            displayFinancialStatus
+            displayFulfillmentStatus
+            totalPriceSet {
+              shopMoney {
+                amount
+                currencyCode
+              }
+            }
+          }
+          lineItems(first: 10) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                id
+                title
+                quantity
+                variantTitle
+              }
+            }
+          }
+`;
+
 // 12. Draft Order Conversions
 const draftOrdersTemplate = {
   name: 'draft-orders',
@@ -995,37 +1195,26 @@ const draftOrdersTemplate = {
     query: `
       query GetDraftOrderDetails($id: ID!) {
         draftOrder(id: $id) {
-          id
-          completedAt
-          # invoice field removed - not available in all API versions
-          order {
-            id
-            name
-            createdAt
-            displayFinancialStatus
-            displayFulfillmentStatus
-            totalPriceSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
-          }
-          lineItems(first: 10) {
-            edges {
-              node {
-                id
-                title
-                quantity
-                variantTitle
-              }
-            }
-          }
+          ${draftOrderDetailFields}
         }
       }
     `,
     variables: { id: draftOrderId }
   }),
+  // lineItems(first: 10) makes each draft order cost around 15 points, so batches stay small
+  batchSecondaryQuery: {
+    batchSize: 25,
+    resultKey: 'draftOrder',
+    query: `
+      query GetDraftOrdersDetails($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on DraftOrder {
+            ${draftOrderDetailFields}
+          }
+        }
+      }
+    `
+  },
   idExtractor: (draftOrders) => {
     return draftOrders.map(draftOrder => draftOrder.id);
   },
@@ -1058,6 +1247,194 @@ const draftOrdersTemplate = {
   }
 };
 
+// 13. Collection Inventory (collections → products → variants → inventory levels)
+const collectionInventoryTemplate = {
+  name: 'collection-inventory',
+  label: 'Collection Inventory',
+  description: 'Extract inventory levels per location for every variant in every collection.',
+  help: 'Runs four stages: collections, their products, the variants of each product and the inventory levels of each variant.',
+  stages: [
+    {
+      name: 'collections',
+      query: `
+        query GetCollectionsForInventory($first: Int!, $after: String) {
+          collections(first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                id
+                title
+                handle
+              }
+            }
+          }
+        }
+      `
+    },
+    {
+      name: 'products',
+      buildQuery: (collectionId) => ({
+        query: `
+          query GetCollectionProductIds($id: ID!) {
+            collection(id: $id) {
+              id
+              products(first: 250) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                edges {
+                  node {
+                    id
+                    title
+                  }
+                }
+              }
+            }
+          }
+        `,
+        variables: { id: collectionId }
+      }),
+      idExtractor: (collections) => {
+        return collections.map(collection => collection.id);
+      },
+      resultMerger: (collections, collectionResults) => {
+        // collectionResults come from the variants stage: { id, products }
+        const productMap = {};
+        collectionResults.forEach(result => {
+          productMap[result.id] = result.products;
+        });
+        
+        return collections.map(collection => {
+          return {
+            ...collection,
+            products: productMap[collection.id] || []
+          };
+        });
+      }
+    },
+    {
+      name: 'variants',
+      buildQuery: (productId) => ({
+        query: `
+          query GetProductVariantInventoryItems($id: ID!) {
+            product(id: $id) {
+              id
+              variants(first: 100) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                edges {
+                  node {
+                    id
+                    title
+                    sku
+                    inventoryItem {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `,
+        variables: { id: productId }
+      }),
+      idExtractor: (collectionResults) => {
+        const productIds = [];
+        collectionResults.forEach(result => {
+          if (result.collection && result.collection.products) {
+            result.collection.products.edges.forEach(edge => productIds.push(edge.node.id));
+          }
+        });
+        return productIds;
+      },
+      resultMerger: (collectionResults, productResults) => {
+        // productResults come from the inventory levels stage: { id, variants }
+        const variantMap = {};
+        productResults.forEach(result => {
+          variantMap[result.id] = result.variants;
+        });
+        
+        return collectionResults
+          .filter(result => result.collection)
+          .map(result => ({
+            id: result.collection.id,
+            products: result.collection.products.edges.map(edge => ({
+              ...edge.node,
+              variants: variantMap[edge.node.id] || []
+            }))
+          }));
+      }
+    },
+    {
+      name: 'inventoryLevels',
+      buildQuery: (inventoryItemId) => ({
+        query: `
+          query GetInventoryItemLevels($id: ID!) {
+            inventoryItem(id: $id) {
+              id
+              inventoryLevels(first: 20) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                edges {
+                  node {
+                    id
+                    quantities(names: ["available", "on_hand"]) {
+                      name
+                      quantity
+                    }
+                    location {
+                      id
+                      name
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `,
+        variables: { id: inventoryItemId }
+      }),
+      idExtractor: (productResults) => {
+        const inventoryItemIds = [];
+        productResults.forEach(result => {
+          if (result.product && result.product.variants) {
+            result.product.variants.edges.forEach(edge => {
+              if (edge.node.inventoryItem) inventoryItemIds.push(edge.node.inventoryItem.id);
+            });
+          }
+        });
+        return inventoryItemIds;
+      },
+      resultMerger: (productResults, inventoryLevelResults) => {
+        const inventoryLevelMap = {};
+        inventoryLevelResults.forEach(result => {
+          if (result.inventoryItem && result.inventoryItem.inventoryLevels) {
+            inventoryLevelMap[result.inventoryItem.id] = result.inventoryItem.inventoryLevels.edges.map(edge => edge.node);
+          }
+        });
+        
+        return productResults
+          .filter(result => result.product)
+          .map(result => ({
+            id: result.product.id,
+            variants: result.product.variants.edges.map(edge => ({
+              ...edge.node,
+              inventoryLevels: edge.node.inventoryItem ? inventoryLevelMap[edge.node.inventoryItem.id] || [] : []
+            }))
+          }));
+      }
+    }
+  ]
+};
+
 // Export all templates
 const dependentQueryTemplates = {
   'product-variants': productVariantsTemplate,
@@ -1071,28 +1448,97 @@ const dependentQueryTemplates = {
   'customer-tags': customerTagsTemplate,
   'product-media': productMediaTemplate,
   'order-transactions': orderTransactionsTemplate,
-  'draft-orders': draftOrdersTemplate
+  'draft-orders': draftOrdersTemplate,
+  'collection-inventory': collectionInventoryTemplate
 };
 
+// Whether name is one of the built-in templates above, not a property
+// inherited from Object.prototype such as constructor or toString
+function isBuiltInTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(dependentQueryTemplates, name);
+}
+
+// Templates from the templates/ directory, read on every call so new files
+// show up without a restart. Built-in names can't be overridden.
+function getFileTemplates() {
+  return loadTemplates().filter(template => {
+    if (isBuiltInTemplate(template.name)) {
+      console.warn(`Template ${template.source} is skipped, ${template.name} is a built-in template`);
+      return false;
+    }
+    return true;
+  });
+}
+
 // Get template by name
 function getQueryTemplate(name) {
-  return dependentQueryTemplates[name];
+  if (isBuiltInTemplate(name)) {
+    return dependentQueryTemplates[name];
+  }
+  return getFileTemplates().find(template => template.name === name);
 }
 
 // Get all template names
 function getAllTemplateNames() {
-  return Object.keys(dependentQueryTemplates);
+  return [...Object.keys(dependentQueryTemplates), ...getFileTemplates().map(template => template.name)];
+}
+
+/**
+ * Check the parameters given for a template against the ones it declares and
+ * fill the template in with them. Missing parameters take their default.
+ * @param {Object} template Dependent query template
+ * @param {Object} parameters Parameter values by name
+ * @returns {Object} { template, values, errors } where template is the filled
+ *   in template (the template itself if it has no parameters or errors)
+ */
+function applyTemplateParameters(template, parameters = {}) {
+  const declared = template.parameters || [];
+  const given = parameters || {};
+  const errors = [];
+  const values = {};
+  
+  Object.keys(given)
+    .filter(name => !declared.some(parameter => parameter.name === name))
+    .forEach(name => errors.push(`Unknown parameter for ${template.name}: ${name}`));
+  
+  declared.forEach(parameter => {
+    let value = typeof given[parameter.name] === 'string' ? given[parameter.name].trim() : given[parameter.name];
+    if (value === undefined || value === null || value === '') {
+      value = parameter.default !== undefined ? parameter.default : null;
+    }
+    
+    if (value === null) {
+      if (parameter.required) errors.push(`${parameter.label} is required`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${parameter.label} must be text`);
+    } else if (parameter.type === 'select' && !parameter.options.includes(value)) {
+      errors.push(`${parameter.label} must be one of ${parameter.options.join(', ')}`);
+    }
+    
+    values[parameter.name] = value;
+  });
+  
+  if (errors.length === 0 && template.validateParameters) {
+    errors.push(...template.validateParameters(values));
+  }
+  
+  if (errors.length > 0 || !template.configure) {
+    return { template, values, errors };
+  }
+  
+  return { template: { ...template, ...template.configure(values) }, values, errors };
 }
 
 // Get template list with basic info for UI
 function getTemplateList() {
-  return Object.values(dependentQueryTemplates)
-    .filter(template => template.name !== 'discount-usage') // Filter out incompatible templates
+  return [...Object.values(dependentQueryTemplates), ...getFileTemplates()]
     .map(template => ({
       name: template.name,
       label: template.label,
       description: template.description,
-      help: template.help
+      help: template.help,
+      source: template.source,
+      parameters: template.parameters || []
     }));
 }
 
@@ -1100,5 +1546,6 @@ module.exports = {
   getQueryTemplate,
   getAllTemplateNames,
   getTemplateList,
+  applyTemplateParameters,
   dependentQueryTemplates
 };
\ No newline at end of file
@@ -2,8 +2,8 @@
  * GraphQL query to fetch orders from Shopify Admin API
  */
 const orderQuery = `
-  query GetOrders($first: Int!, $after: String) {
-    orders(first: $first, after: $after) {
+  query GetOrders($first: Int!, $after: String, $query: String) {
+    orders(first: $first, after: $after, query: $query) {
       pageInfo {
         hasNextPage
         endCursor
@@ -144,5 +144,6 @@ module.exports = {
   variables: {
     first: 50, // Adjust based on your needs
     after: null, // For pagination
+    query: null, // Search filter, e.g. "updated_at:>='2024-01-01T00:00:00Z'"
   }
 };
\ No newline at end of file
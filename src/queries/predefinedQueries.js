@@ -0,0 +1,334 @@
+/**
+ * Predefined queries of the web interface, with the record fields they select
+ */
+
+function getPredefinedProductsQuery() {
+  return {
+    query: `
+query GetProducts($first: Int!, $after: String, $query: String) {
+  products(first: $first, after: $after, query: $query) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        id
+        title
+        handle
+        description
+        productType
+        vendor
+        status
+        tags
+        createdAt
+        updatedAt
+        publishedAt
+        onlineStoreUrl
+        featuredImage {
+          id
+          url
+          altText
+        }
+        priceRangeV2 {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+          maxVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+        totalInventory
+        variants(first: 50) {
+          edges {
+            node {
+              id
+              title
+              sku
+              price
+              compareAtPrice
+              inventoryQuantity
+              barcode
+              availableForSale
+              taxable
+              selectedOptions {
+                name
+                value
+              }
+            }
+          }
+        }
+        images(first: 20) {
+          edges {
+            node {
+              id
+              url
+              width
+              height
+              altText
+            }
+          }
+        }
+        metafields(first: 10) {
+          edges {
+            node {
+              id
+              namespace
+              key
+              value
+              type
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+    fields: ["id", "title", "handle", "description", "productType", "vendor", "status", "tags", 
+             "createdAt", "updatedAt", "publishedAt", "onlineStoreUrl", "featuredImage", 
+             "priceRangeV2", "totalInventory", "variants", "images", "metafields"]
+  };
+}
+
+function getPredefinedOrdersQuery() {
+  return {
+    query: `
+query GetOrders($first: Int!, $after: String, $query: String) {
+  orders(first: $first, after: $after, query: $query) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        id
+        name
+        email
+        phone
+        closed
+        cancelReason
+        cancelledAt
+        processedAt
+        createdAt
+        updatedAt
+        displayFulfillmentStatus
+        displayFinancialStatus
+        note
+        tags
+        subtotalLineItemsQuantity
+        totalPriceSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        subtotalPriceSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        totalShippingPriceSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        totalTaxSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        totalDiscountsSet {
+          shopMoney {
+            amount
+            currencyCode
+          }
+        }
+        customer {
+          id
+          firstName
+          lastName
+          email
+          phone
+        }
+        shippingAddress {
+          firstName
+          lastName
+          address1
+          address2
+          city
+          province
+          country
+          zip
+          phone
+          company
+          formatted
+        }
+        billingAddress {
+          firstName
+          lastName
+          address1
+          address2
+          city
+          province
+          country
+          zip
+          phone
+          company
+          formatted
+        }
+        lineItems(first: 50) {
+          edges {
+            node {
+              id
+              title
+              quantity
+              discountedTotalSet {
+                shopMoney {
+                  amount
+                  currencyCode
+                }
+              }
+              originalTotalSet {
+                shopMoney {
+                  amount
+                  currencyCode
+                }
+              }
+              variant {
+                id
+                title
+                sku
+                price
+                product {
+                  id
+                  title
+                  handle
+                }
+              }
+            }
+          }
+        }
+        transactions {
+          id
+          status
+          kind
+          gateway
+          createdAt
+          amountSet {
+            shopMoney {
+              amount
+              currencyCode
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+    fields: ["id", "name", "email", "phone", "closed", "cancelReason", "cancelledAt", "processedAt", 
+            "createdAt", "updatedAt", "displayFinancialStatus", "displayFulfillmentStatus", 
+            "note", "tags", "subtotalLineItemsQuantity", "totalPriceSet", "subtotalPriceSet", 
+            "totalShippingPriceSet", "totalTaxSet", "totalDiscountsSet", "customer", 
+            "shippingAddress", "billingAddress", "lineItems", "transactions"]
+  };
+}
+
+function getPredefinedCustomersQuery() {
+  return {
+    query: `
+query GetCustomers($first: Int!, $after: String, $query: String) {
+  customers(first: $first, after: $after, query: $query) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        id
+        firstName
+        lastName
+        email
+        phone
+        displayName
+        createdAt
+        updatedAt
+        defaultAddress {
+          id
+          address1
+          address2
+          city
+          country
+          firstName
+          lastName
+          company
+          phone
+          province
+          zip
+          formatted
+        }
+        addresses {
+          id
+          address1
+          address2
+          city
+          country
+          firstName
+          lastName
+          company
+          phone
+          province
+          zip
+          formatted
+        }
+        note
+        tags
+        state
+        taxExempt
+        metafields(first: 10) {
+          edges {
+            node {
+              id
+              namespace
+              key
+              value
+              type
+            }
+          }
+        }
+        orders(first: 5) {
+          edges {
+            node {
+              id
+              name
+              processedAt
+              displayFulfillmentStatus
+              displayFinancialStatus
+              totalPriceSet {
+                shopMoney {
+                  amount
+                  currencyCode
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+    fields: ["id", "firstName", "lastName", "email", "phone", "displayName", "createdAt", "updatedAt", 
+             "defaultAddress", "addresses", "note", "tags", "state", "taxExempt", 
+             "metafields", "orders"]
+  };
+}
+
+module.exports = {
+  getPredefinedProductsQuery,
+  getPredefinedOrdersQuery,
+  getPredefinedCustomersQuery
+};
@@ -2,8 +2,8 @@
  * GraphQL query to fetch products from Shopify Admin API
  */
 const productQuery = `
-  query GetProducts($first: Int!, $after: String) {
-    products(first: $first, after: $after) {
+  query GetProducts($first: Int!, $after: String, $query: String) {
+    products(first: $first, after: $after, query: $query) {
       pageInfo {
         hasNextPage
         endCursor
@@ -78,5 +78,6 @@ module.exports = {
   variables: {
     first: 50, // Adjust based on your needs
     after: null, // For pagination
+    query: null, // Search filter, e.g. "updated_at:>='2024-01-01T00:00:00Z'"
   }
 };
\ No newline at end of file
@@ -0,0 +1,625 @@
+const axios = require('axios');
+const readline = require('readline');
+const { Kind, parse, print, visit } = require('graphql');
+const { getThrottle, sleep } = require('./throttle');
+
+// Statuses after which a bulk operation will not change anymore
+const FINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// Pagination arguments have no meaning in a bulk query, Shopify returns everything
+const PAGINATION_ARGUMENTS = ['first', 'last', 'after', 'before'];
+
+// Rebuilt records written to the result file at a time
+const WRITE_BATCH_SIZE = 250;
+
+// Types whose values are written as GraphQL literals other than enums
+const LITERAL_TYPES = ['String', 'ID', 'Int', 'Float', 'Boolean', 'DateTime', 'Date', 'URL', 'HTML', 'JSON', 'Decimal', 'Money', 'UnsignedInt64'];
+
+/**
+ * Get the named type of a type node, e.g. ProductSortKeys for [ProductSortKeys!]
+ * @param {Object} typeNode Type node of a variable definition
+ * @returns {string} Type name
+ */
+function getNamedType(typeNode) {
+  let current = typeNode;
+  while (current.kind !== Kind.NAMED_TYPE) {
+    current = current.type;
+  }
+  return current.name.value;
+}
+
+/**
+ * Write a variable value as a GraphQL literal
+ * @param {*} value Variable value
+ * @param {string} typeName Declared type of the variable
+ * @returns {Object} Value node
+ */
+function toValueNode(value, typeName) {
+  if (value === null || value === undefined) {
+    return { kind: Kind.NULL };
+  }
+  if (Array.isArray(value)) {
+    return { kind: Kind.LIST, values: value.map(item => toValueNode(item, typeName)) };
+  }
+  if (typeof value === 'object') {
+    // Input object fields have types of their own, their values are written as they are
+    return {
+      kind: Kind.OBJECT,
+      fields: Object.entries(value).map(([name, fieldValue]) => ({
+        kind: Kind.OBJECT_FIELD,
+        name: { kind: Kind.NAME, value: name },
+        value: toValueNode(fieldValue, null)
+      }))
+    };
+  }
+  if (typeof value === 'boolean') {
+    return { kind: Kind.BOOLEAN, value };
+  }
+  if (typeof value === 'number') {
+    return { kind: Number.isInteger(value) ? Kind.INT : Kind.FLOAT, value: String(value) };
+  }
+
+  // Enum values are bare names, other strings are quoted
+  if (typeName && !LITERAL_TYPES.includes(typeName)) {
+    return { kind: Kind.ENUM, value: String(value) };
+  }
+  return { kind: Kind.STRING, value: String(value) };
+}
+
+/**
+ * Add __typename to the node selection of a connection's edges, so every
+ * line of the bulk result names its type
+ * @param {Object} edges Field node of the edges
+ * @returns {Object} Edges field node
+ */
+function selectNodeTypename(edges) {
+  if (!edges.selectionSet) return edges;
+
+  const selections = edges.selectionSet.selections.map(selection => {
+    if (selection.kind !== Kind.FIELD || selection.name.value !== 'node' || !selection.selectionSet) {
+      return selection;
+    }
+
+    const hasTypename = selection.selectionSet.selections.some(child =>
+      child.kind === Kind.FIELD && !child.alias && child.name.value === '__typename');
+    if (hasTypename) return selection;
+
+    const typename = { kind: Kind.FIELD, name: { kind: Kind.NAME, value: '__typename' } };
+    return { ...selection, selectionSet: { ...selection.selectionSet, selections: [...selection.selectionSet.selections, typename] } };
+  });
+
+  return { ...edges, selectionSet: { ...edges.selectionSet, selections } };
+}
+
+/**
+ * Convert a paginated extraction query into a bulk operation query.
+ * Drops the operation name and variable definitions, removes pagination
+ * arguments and pageInfo selections, and inlines any remaining variables.
+ * Arguments whose variable has no value are left out. Connection nodes get
+ * __typename, which tells which connection a child line belongs to.
+ * @param {string} query Paginated GraphQL query (e.g. from buildDynamicQuery)
+ * @param {Object} variables Variable values to inline (optional)
+ * @returns {string} Query usable with bulkOperationRunQuery
+ */
+function toBulkQuery(query, variables = {}) {
+  const document = parse(query);
+
+  const variableTypes = {};
+  document.definitions
+    .filter(definition => definition.kind === Kind.OPERATION_DEFINITION)
+    .forEach(operation => {
+      (operation.variableDefinitions || []).forEach(definition => {
+        variableTypes[definition.variable.name.value] = getNamedType(definition.type);
+      });
+    });
+
+  const hasValue = name => variables[name] !== undefined && variables[name] !== null;
+
+  const bulkDocument = visit(document, {
+    OperationDefinition(node) {
+      return { ...node, name: undefined, variableDefinitions: [] };
+    },
+    Field(node) {
+      // pageInfo is not supported in bulk queries
+      if (node.name.value === 'pageInfo') return null;
+      return node.name.value === 'edges' ? selectNodeTypename(node) : undefined;
+    },
+    Argument(node) {
+      if (PAGINATION_ARGUMENTS.includes(node.name.value)) return null;
+      if (node.value.kind === Kind.VARIABLE && !hasValue(node.value.name.value)) return null;
+      return undefined;
+    },
+    Variable(node) {
+      const name = node.name.value;
+      return toValueNode(variables[name], variableTypes[name]);
+    }
+  });
+
+  return print(bulkDocument);
+}
+
+/**
+ * Get the named type of a field of a schema type
+ * @param {Array} schemaTypes Schema types
+ * @param {string} typeName Type the field is selected on
+ * @param {string} fieldName Field name
+ * @returns {string|null} Type name, or null if it is unknown
+ */
+function getFieldTypeName(schemaTypes, typeName, fieldName) {
+  const type = typeName ? schemaTypes.find(candidate => candidate.name === typeName) : null;
+  const field = type && type.fields ? type.fields.find(candidate => candidate.name === fieldName) : null;
+  if (!field) return null;
+
+  let fieldType = field.type;
+  while (fieldType.ofType) {
+    fieldType = fieldType.ofType;
+  }
+  return fieldType.name;
+}
+
+/**
+ * Parse the selection set of a query into a tree of fields, named by the key
+ * they appear under in the data (their alias, if they have one). Arguments
+ * are skipped; inline fragments and named fragment spreads are merged into
+ * their parent selection. With the schema types, every field also gets the
+ * name of its type.
+ * @param {string} query GraphQL query
+ * @param {Array} schemaTypes Schema types (optional)
+ * @returns {Array} Top level fields as { name, typeName, children }
+ */
+function parseSelectionTree(query, schemaTypes = []) {
+  const document = parse(query);
+  const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  const fragments = new Map(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+
+  // Fields selected more than once (e.g. in the query and in a fragment) are merged
+  const collect = (selectionSet, typeName, fields, expanded) => {
+    selectionSet.selections.forEach(selection => {
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        collect(selection.selectionSet, selection.typeCondition ? selection.typeCondition.name.value : typeName, fields, expanded);
+        return;
+      }
+
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const name = selection.name.value;
+        // A fragment that spreads itself is invalid, don't follow it around
+        if (fragments.has(name) && !expanded.has(name)) {
+          const fragment = fragments.get(name);
+          collect(fragment.selectionSet, fragment.typeCondition.name.value, fields, new Set([...expanded, name]));
+        }
+        return;
+      }
+
+      const name = selection.alias ? selection.alias.value : selection.name.value;
+      let field = fields.find(existing => existing.name === name);
+      if (!field) {
+        field = { name, typeName: getFieldTypeName(schemaTypes, typeName, selection.name.value), children: [] };
+        fields.push(field);
+      }
+      if (selection.selectionSet) {
+        collect(selection.selectionSet, field.typeName, field.children, expanded);
+      }
+    });
+    return fields;
+  };
+
+  return operation ? collect(operation.selectionSet, 'QueryRoot', [], new Set()) : [];
+}
+
+/**
+ * Find the connection fields (fields selecting edges { node }) within a selection
+ * @param {Array} fields Selection fields from parseSelectionTree
+ * @param {Array} schemaTypes Schema types (optional)
+ * @returns {Array} Connection fields as { name, node, nodeTypes } where node is
+ *   the node selection and nodeTypes the object types its lines can have
+ */
+function getConnectionFields(fields, schemaTypes = []) {
+  const connections = [];
+
+  fields.forEach(field => {
+    const edges = field.children.find(child => child.name === 'edges');
+    const node = edges && edges.children.find(child => child.name === 'node');
+    if (!node) return;
+
+    // Interface and union nodes come back as one of their possible types
+    const nodeType = node.typeName ? schemaTypes.find(type => type.name === node.typeName) : null;
+    const nodeTypes = nodeType && nodeType.possibleTypes && nodeType.possibleTypes.length > 0
+      ? nodeType.possibleTypes.map(type => type.name)
+      : [node.typeName].filter(Boolean);
+
+    connections.push({ name: field.name, node, nodeTypes });
+  });
+
+  return connections;
+}
+
+/**
+ * Check that the lines of a bulk result can be told apart: a parent with
+ * more than one connection needs connections whose nodes have different
+ * types, since a child line only names its parent and its own type
+ * @param {Array} fields Selection fields from parseSelectionTree
+ * @param {Array} schemaTypes Schema types
+ * @returns {Array<string>} Problems, empty when the results can be rebuilt
+ */
+function findAmbiguousConnections(fields, schemaTypes) {
+  const problems = [];
+
+  const walk = (selection, path) => {
+    const connections = getConnectionFields(selection, schemaTypes);
+
+    if (connections.length > 1) {
+      connections.forEach((connection, index) => {
+        const others = connections.slice(index + 1);
+        const clash = connection.nodeTypes.length === 0
+          ? others[0]
+          : others.find(other => other.nodeTypes.length === 0 || other.nodeTypes.some(type => connection.nodeTypes.includes(type)));
+
+        if (clash) {
+          problems.push(`${[...path, connection.name].join('.')} and ${[...path, clash.name].join('.')} can't be told apart in a bulk result, their nodes have the same or an unknown type`);
+        }
+      });
+    }
+
+    selection.forEach(field => walk(field.children, [...path, field.name]));
+  };
+
+  walk(fields, []);
+  return problems;
+}
+
+/**
+ * Choose which connection of the parent a bulk JSONL child line belongs to,
+ * by the type the line names in __typename
+ * @param {Array} candidates Connection fields selected on the parent
+ * @param {Object} child Child record
+ * @returns {Object|null} Matching connection field, or null if there isn't exactly one
+ */
+function matchConnection(candidates, child) {
+  if (candidates.length === 1) return candidates[0];
+
+  const matches = candidates.filter(candidate => candidate.nodeTypes.includes(child.__typename));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Rebuild nested records from bulk operation JSONL lines.
+ * Child lines carry a __parentId and are attached to their parent as
+ * `{ edges: [{ node }] }`, the same shape paginated extraction returns.
+ * Shopify writes every child after its parent and before the next root
+ * line, so a root record is complete, and yielded, once the next root line
+ * arrives. Only one root record and its children are held at a time.
+ * A child goes to the connection of its parent whose node type matches its
+ * __typename (added by toBulkQuery); __typename is removed again unless the
+ * query selects it.
+ * @param {AsyncIterable<Object>|Iterable<Object>} records Parsed JSONL records in file order
+ * @param {string} query The query the bulk query was made from
+ * @param {Array} schemaTypes Schema types, needed when a parent selects more than one connection
+ * @returns {AsyncGenerator<Object>} Root records with their connections nested
+ */
+async function* rebuildNestedRecords(records, query, schemaTypes = []) {
+  const tree = parseSelectionTree(query, schemaTypes);
+  const rootConnection = getConnectionFields(tree, schemaTypes)[0];
+  const rootSelection = rootConnection ? rootConnection.node.children : [];
+
+  let current = null;
+  // id -> { record, connections } for every record of the current root that can be a parent
+  let index = new Map();
+
+  const register = (record, selection) => {
+    const connections = getConnectionFields(selection, schemaTypes);
+
+    if (!selection.some(field => field.name === '__typename')) {
+      delete record.__typename;
+    }
+
+    // Start every selected connection empty so records keep a stable shape
+    connections.forEach(connection => {
+      record[connection.name] = { edges: [] };
+    });
+
+    if (record.id) {
+      index.set(record.id, { record, connections });
+    }
+  };
+
+  for await (const record of records) {
+    const parentId = record.__parentId;
+    delete record.__parentId;
+
+    const parent = parentId ? index.get(parentId) : null;
+
+    if (!parent) {
+      // A new root, or an orphan whose parent is unknown (kept visible as a root)
+      if (current) yield current;
+
+      // Children of earlier roots can't follow a new root, so their index can go
+      if (!parentId) {
+        index = new Map();
+      }
+
+      current = record;
+      register(record, parentId ? [] : rootSelection);
+      continue;
+    }
+
+    // Filing a line under the wrong connection would corrupt the data without anyone noticing
+    const connection = matchConnection(parent.connections, record);
+    if (!connection) {
+      throw new Error(`Could not tell which connection of ${parentId} a ${record.__typename || 'child'} line belongs to (${parent.connections.map(candidate => candidate.name).join(', ') || 'none selected'})`);
+    }
+
+    register(record, connection.node.children);
+    parent.record[connection.name].edges.push({ node: record });
+  }
+
+  if (current) yield current;
+}
+
+/**
+ * Send a GraphQL request to the Admin API, through the store's shared
+ * throttle so bulk requests draw from the same bucket as paginated ones
+ * @param {Object} credentials Shopify API credentials
+ * @param {string} query GraphQL query or mutation
+ * @param {Object} variables Query variables
+ * @param {AbortSignal} signal Aborts the request (optional)
+ * @returns {Promise<Object>} GraphQL data
+ */
+async function sendGraphQL(credentials, query, variables = {}, signal) {
+  const response = await getThrottle(credentials.storeName).run(() => axios({
+    url: `https://${credentials.storeName}.myshopify.com/admin/api/${credentials.apiVersion}/graphql.json`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': credentials.accessToken
+    },
+    data: { query, variables },
+    signal
+  }), { key: query, signal });
+
+  if (response.data.errors) {
+    throw new Error(`GraphQL Error: ${response.data.errors[0].message}`);
+  }
+
+  return response.data.data;
+}
+
+/**
+ * Start a bulk query operation
+ * @param {Object} credentials Shopify API credentials
+ * @param {string} bulkQuery Query produced by toBulkQuery
+ * @returns {Promise<Object>} The created bulk operation
+ */
+async function startBulkOperation(credentials, bulkQuery) {
+  const mutation = `
+    mutation RunBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await sendGraphQL(credentials, mutation, { query: bulkQuery });
+  const result = data.bulkOperationRunQuery;
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new Error(`Bulk operation rejected: ${result.userErrors.map(error => error.message).join('; ')}`);
+  }
+
+  return result.bulkOperation;
+}
+
+/**
+ * Cancel a running bulk operation
+ * @param {Object} credentials Shopify API credentials
+ * @param {string} id Bulk operation ID
+ * @returns {Promise<Object>} The bulk operation after the cancel request
+ */
+async function cancelBulkOperation(credentials, id) {
+  const mutation = `
+    mutation CancelBulkOperation($id: ID!) {
+      bulkOperationCancel(id: $id) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await sendGraphQL(credentials, mutation, { id });
+  const result = data.bulkOperationCancel;
+
+  if (result.userErrors && result.userErrors.length > 0) {
+    throw new Error(`Bulk operation cancel rejected: ${result.userErrors.map(error => error.message).join('; ')}`);
+  }
+
+  return result.bulkOperation;
+}
+
+/**
+ * Poll a bulk operation until it reaches a final status. The operation is
+ * looked up by its ID, so a bulk operation someone else starts on the store
+ * in the meantime is never mistaken for it.
+ * @param {Object} credentials Shopify API credentials
+ * @param {string} id Bulk operation ID
+ * @param {Object} options Polling options
+ * @param {number} options.interval Milliseconds between polls
+ * @param {Function} options.onProgress Called with the operation after each poll
+ * @param {AbortSignal} options.signal Stops polling (optional)
+ * @returns {Promise<Object>} The finished bulk operation
+ */
+async function pollBulkOperation(credentials, id, options = {}) {
+  const { interval = 5000, onProgress, signal } = options;
+
+  const statusQuery = `
+    query BulkOperationStatus($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          fileSize
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `;
+
+  while (true) {
+    const data = await sendGraphQL(credentials, statusQuery, { id }, signal);
+    const operation = data.node;
+
+    if (!operation || operation.id !== id) {
+      throw new Error(`Bulk operation ${id} was not found`);
+    }
+
+    if (onProgress) onProgress(operation);
+
+    if (FINAL_STATUSES.includes(operation.status)) {
+      return operation;
+    }
+
+    await sleep(interval, signal);
+  }
+}
+
+/**
+ * Download a bulk operation JSONL result file and parse it line by line
+ * as it arrives, without keeping the file in memory
+ * @param {string} url Result file URL
+ * @param {AbortSignal} signal Aborts the download (optional)
+ * @returns {AsyncGenerator<Object>} Parsed records in file order
+ */
+async function* downloadBulkResults(url, signal) {
+  const response = await axios({
+    url,
+    method: 'GET',
+    responseType: 'stream',
+    signal
+  });
+
+  const lines = readline.createInterface({
+    input: response.data,
+    crlfDelay: Infinity
+  });
+
+  try {
+    for await (const line of lines) {
+      if (line.trim().length > 0) {
+        yield JSON.parse(line);
+      }
+    }
+  } finally {
+    // Stop downloading when the caller stops early or fails
+    lines.close();
+    response.data.destroy();
+  }
+}
+
+/**
+ * Run a full extraction through the Bulk Operations API. The results are
+ * streamed from the download into the writer, one rebuilt record at a time.
+ * @param {Object} options Bulk extraction options
+ * @param {Object} options.credentials Shopify API credentials
+ * @param {string} options.query Paginated query to convert (e.g. from buildDynamicQuery)
+ * @param {Object} options.variables Variables to inline into the bulk query
+ * @param {Object} options.writer Record writer the results are written to (see recordStream.createRecordWriter)
+ * @param {Array} options.schemaTypes Schema types, to tell the connections of a record apart
+ * @param {number} options.pollInterval Milliseconds between status polls
+ * @param {Function} options.log Called with progress messages
+ * @param {AbortSignal} options.signal Cancels the extraction and the bulk operation (optional)
+ * @returns {Promise<number>} Number of records written
+ */
+async function runBulkExtraction(options) {
+  const {
+    credentials,
+    query,
+    variables = {},
+    writer,
+    schemaTypes = [],
+    pollInterval = 5000,
+    log = () => {},
+    signal
+  } = options;
+
+  const bulkQuery = toBulkQuery(query, variables);
+
+  // Refuse before the operation runs for hours, not when its results come in
+  const ambiguous = findAmbiguousConnections(parseSelectionTree(query, schemaTypes), schemaTypes);
+  if (ambiguous.length > 0) {
+    throw new Error(`The query can't be run as a bulk operation: ${ambiguous.join('; ')}`);
+  }
+
+  log('Starting bulk operation...');
+  const operation = await startBulkOperation(credentials, bulkQuery);
+  log(`Bulk operation ${operation.id} created (${operation.status})`);
+
+  let finished;
+  try {
+    finished = await pollBulkOperation(credentials, operation.id, {
+      interval: pollInterval,
+      onProgress: current => log(`Bulk operation ${current.status}: ${current.objectCount || 0} objects`),
+      signal
+    });
+  } catch (error) {
+    // Don't leave the operation running on Shopify's side
+    if (signal && signal.aborted) {
+      log(`Cancelling bulk operation ${operation.id}...`);
+      await cancelBulkOperation(credentials, operation.id).catch(cancelError => {
+        log(`Could not cancel bulk operation: ${cancelError.message}`);
+      });
+    }
+    throw error;
+  }
+
+  if (finished.status !== 'COMPLETED') {
+    throw new Error(`Bulk operation ${finished.status.toLowerCase()}${finished.errorCode ? `: ${finished.errorCode}` : ''}`);
+  }
+
+  if (!finished.url) {
+    // Shopify returns no file when the query matched nothing
+    log('Bulk operation returned no data');
+    return 0;
+  }
+
+  log(`Downloading bulk results (${finished.fileSize || 'unknown'} bytes) and rebuilding nested records...`);
+
+  const startCount = writer.count;
+  let batch = [];
+  for await (const record of rebuildNestedRecords(downloadBulkResults(finished.url, signal), query, schemaTypes)) {
+    batch.push(record);
+    if (batch.length === WRITE_BATCH_SIZE) {
+      writer.write(batch);
+      batch = [];
+    }
+  }
+  writer.write(batch);
+
+  return writer.count - startCount;
+}
+
+module.exports = {
+  toBulkQuery,
+  parseSelectionTree,
+  rebuildNestedRecords,
+  startBulkOperation,
+  cancelBulkOperation,
+  pollBulkOperation,
+  downloadBulkResults,
+  runBulkExtraction
+};
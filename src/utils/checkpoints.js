@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readLines } = require('./recordStream');
+
+const CHECKPOINT_DIR = path.join(__dirname, '../../data/checkpoints');
+
+// Records copied into the writer at a time when an extraction is resumed
+const COPY_BATCH_SIZE = 1000;
+
+/**
+ * Ensure the checkpoint directory exists
+ */
+function ensureCheckpointDir() {
+  if (!fs.existsSync(CHECKPOINT_DIR)) {
+    fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Hash a query together with its variables (the pagination cursor excluded)
+ * and the connection profile it runs against
+ * @param {string} query GraphQL query
+ * @param {Object} variables Query variables
+ * @param {string} profile Connection profile name (optional)
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function getQueryHash(query, variables = {}, profile = null) {
+  const { after, ...stableVariables } = variables;
+  const hash = crypto
+    .createHash('sha256')
+    .update(query)
+    .update(JSON.stringify(stableVariables));
+
+  // The same query against another store gets a checkpoint of its own
+  if (profile) {
+    hash.update(`profile:${profile}`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Build the checkpoint ID of one run of a resource and query
+ * @param {string} resource Resource name
+ * @param {string} queryHash Hash from getQueryHash
+ * @param {string} runId ID of the run, e.g. its job ID
+ * @returns {string} Checkpoint ID
+ */
+function getCheckpointId(resource, queryHash, runId) {
+  return `${resource}-${queryHash.slice(0, 12)}-${runId}`;
+}
+
+/**
+ * Path of a checkpoint file
+ * @param {string} id Checkpoint ID
+ * @returns {string} File path
+ */
+function getCheckpointPath(id) {
+  return path.join(CHECKPOINT_DIR, `${id}.json`);
+}
+
+/**
+ * Path of the file a checkpoint keeps its records in while no extraction writes them
+ * @param {string} id Checkpoint ID
+ * @returns {string} File path
+ */
+function getPartialPath(id) {
+  return path.join(CHECKPOINT_DIR, `${id}.partial.ndjson`);
+}
+
+/**
+ * Path of the file holding the records written so far. While an extraction
+ * runs that is its own result file, so records are only stored once.
+ * @param {Object} checkpoint Checkpoint
+ * @returns {string} File path
+ */
+function getRecordsPath(checkpoint) {
+  // Checkpoints saved before records lived in the result file only have a partial file
+  return checkpoint.recordsPath || getPartialPath(checkpoint.id);
+}
+
+/**
+ * Save a checkpoint. Written to a temporary file first so a crash
+ * mid-write never leaves a corrupt checkpoint behind.
+ * @param {Object} checkpoint Checkpoint to save
+ */
+function saveCheckpoint(checkpoint) {
+  ensureCheckpointDir();
+
+  checkpoint.updatedAt = new Date().toISOString();
+
+  const filePath = getCheckpointPath(checkpoint.id);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Start a new checkpoint. Every run gets one of its own, so starting the same
+ * extraction again, or twice at once, never touches another run's checkpoint.
+ * @param {Object} options Checkpoint options
+ * @param {string} options.resource Resource name
+ * @param {string} options.query GraphQL query
+ * @param {Object} options.variables Query variables
+ * @param {boolean} options.incremental Whether the extraction is an incremental sync
+ * @param {boolean} options.custom Whether the query was written by hand
+ * @param {string} options.connectionPath Connection a custom query pages through (optional)
+ * @param {string} options.profile Connection profile the extraction runs against (optional)
+ * @param {string} options.recordsPath File the extraction appends its records to
+ * @param {string} options.runId ID of the run, e.g. its job ID (optional, generated when left out)
+ * @returns {Object} The new checkpoint
+ */
+function createCheckpoint({ resource, query, variables = {}, incremental = false, custom = false, connectionPath = null, profile = null, recordsPath, runId = null }) {
+  const queryHash = getQueryHash(query, variables, profile);
+  const id = getCheckpointId(resource, queryHash, runId || `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`);
+
+  const checkpoint = {
+    id,
+    resource,
+    queryHash,
+    query,
+    variables,
+    incremental,
+    custom,
+    connectionPath,
+    profile,
+    recordsPath,
+    endCursor: null,
+    pageCount: 0,
+    recordsWritten: 0,
+    status: 'running',
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+
+  saveCheckpoint(checkpoint);
+  return checkpoint;
+}
+
+/**
+ * Load a checkpoint by ID
+ * @param {string} id Checkpoint ID
+ * @returns {Object|null} Checkpoint or null if not found
+ */
+function loadCheckpoint(id) {
+  // IDs are used as file names, don't let them point outside the directory
+  if (!id || id !== path.basename(id)) return null;
+
+  try {
+    const filePath = getCheckpointPath(id);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Error loading checkpoint ${id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Load all saved checkpoints, most recently updated first
+ * @returns {Array} Checkpoints
+ */
+function loadCheckpoints() {
+  if (!fs.existsSync(CHECKPOINT_DIR)) return [];
+
+  return fs.readdirSync(CHECKPOINT_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadCheckpoint(path.basename(file, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Find the most recent checkpoint for a resource and query, if one exists
+ * @param {string} resource Resource name
+ * @param {string} query GraphQL query
+ * @param {Object} variables Query variables
+ * @param {string} profile Connection profile name (optional)
+ * @returns {Object|null} Checkpoint or null if not found
+ */
+function findCheckpoint(resource, query, variables = {}, profile = null) {
+  const queryHash = getQueryHash(query, variables, profile);
+  return loadCheckpoints().find(checkpoint => checkpoint.resource === resource && checkpoint.queryHash === queryHash) || null;
+}
+
+/**
+ * List all saved checkpoints, most recently updated first
+ * @returns {Array} Checkpoints without their query text and records file
+ */
+function listCheckpoints() {
+  return loadCheckpoints().map(({ query, recordsPath, ...summary }) => summary);
+}
+
+/**
+ * Delete a checkpoint and the records it kept itself. Records in the result
+ * file of an extraction belong to that extraction and are left alone.
+ * @param {string} id Checkpoint ID
+ */
+function deleteCheckpoint(id) {
+  [getCheckpointPath(id), getPartialPath(id)].forEach(filePath => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+/**
+ * Record a fetched page and move the cursor forward. Its records must
+ * already be appended to the records file of the checkpoint.
+ * @param {Object} checkpoint Checkpoint to update
+ * @param {Array} items Records of the page
+ * @param {string} endCursor Cursor after the page
+ */
+function recordPage(checkpoint, items, endCursor) {
+  checkpoint.endCursor = endCursor;
+  checkpoint.pageCount++;
+  checkpoint.recordsWritten += items.length;
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * Mark a checkpoint as failed so it can be resumed later
+ * @param {Object} checkpoint Checkpoint to update
+ * @param {Error} error The error that stopped the extraction
+ */
+function failCheckpoint(checkpoint, error) {
+  checkpoint.status = 'failed';
+  checkpoint.lastError = error.message;
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * Point a checkpoint at the new name of its records file, e.g. after the
+ * result file of a cancelled extraction was renamed
+ * @param {Object} checkpoint Checkpoint to update
+ * @param {string} filePath New path of the records file
+ */
+function moveCheckpointRecords(checkpoint, filePath) {
+  checkpoint.recordsPath = filePath;
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * Take over the records of a failed extraction: its result file is moved
+ * next to the checkpoint, where it is kept until the extraction is resumed
+ * @param {Object} checkpoint Checkpoint
+ * @param {string} filePath Result file of the extraction
+ */
+function keepCheckpointRecords(checkpoint, filePath) {
+  if (!filePath || checkpoint.recordsPath !== filePath || !fs.existsSync(filePath)) return;
+
+  ensureCheckpointDir();
+  fs.renameSync(filePath, getPartialPath(checkpoint.id));
+  moveCheckpointRecords(checkpoint, getPartialPath(checkpoint.id));
+}
+
+/**
+ * Move the records of every checkpoint kept in a file next to their
+ * checkpoint, before the file is written over (e.g. the fixed output file
+ * of the CLI, which a killed run may have left its records in)
+ * @param {string} filePath File about to be truncated
+ */
+function keepRecordsOfFile(filePath) {
+  loadCheckpoints()
+    .filter(checkpoint => checkpoint.recordsPath === filePath)
+    .forEach(checkpoint => keepCheckpointRecords(checkpoint, filePath));
+}
+
+/**
+ * Resume a checkpoint: copy the records fetched so far into the writer of
+ * the resuming extraction, line by line, and mark it running again. The
+ * records file becomes the writer's file from then on.
+ * @param {Object} checkpoint Checkpoint to resume
+ * @param {Object} writer Record writer of the resuming extraction (see recordStream.createRecordWriter)
+ * @returns {Promise<number>} Number of records copied
+ */
+async function resumeCheckpoint(checkpoint, writer) {
+  const recordsPath = getRecordsPath(checkpoint);
+  const hasRecords = checkpoint.recordsWritten > 0;
+
+  if (hasRecords && !fs.existsSync(recordsPath)) {
+    throw new Error(`The records of checkpoint ${checkpoint.id} are gone (${recordsPath}), start the extraction over`);
+  }
+
+  let copied = 0;
+  let batch = [];
+
+  if (hasRecords) {
+    // A crash between appending and saving the checkpoint can leave extra
+    // lines behind; only copy what the checkpoint has counted
+    for await (const line of readLines(recordsPath)) {
+      if (copied >= checkpoint.recordsWritten) break;
+
+      batch.push(JSON.parse(line));
+      copied++;
+
+      if (batch.length === COPY_BATCH_SIZE) {
+        writer.write(batch);
+        batch = [];
+      }
+    }
+    writer.write(batch);
+  }
+
+  if (copied < checkpoint.recordsWritten) {
+    throw new Error(`Checkpoint ${checkpoint.id} counted ${checkpoint.recordsWritten} records but only ${copied} were found, start the extraction over`);
+  }
+
+  // The copy in the writer's file is the only one that is still needed
+  const partialPath = getPartialPath(checkpoint.id);
+  if (fs.existsSync(partialPath) && partialPath !== writer.filePath) {
+    fs.unlinkSync(partialPath);
+  }
+
+  checkpoint.recordsPath = writer.filePath;
+  checkpoint.status = 'running';
+  checkpoint.lastError = null;
+  saveCheckpoint(checkpoint);
+
+  return copied;
+}
+
+module.exports = {
+  getQueryHash,
+  createCheckpoint,
+  loadCheckpoint,
+  findCheckpoint,
+  listCheckpoints,
+  saveCheckpoint,
+  deleteCheckpoint,
+  recordPage,
+  failCheckpoint,
+  moveCheckpointRecords,
+  keepCheckpointRecords,
+  keepRecordsOfFile,
+  resumeCheckpoint
+};
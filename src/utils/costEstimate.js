@@ -0,0 +1,219 @@
+const axios = require('axios');
+const { getThrottle, isThrottledPayload } = require('./throttle');
+const { getFieldType } = require('./schema');
+
+// Shopify rejects a single query requesting more than this, whatever the bucket holds
+const MAX_QUERY_COST = 1000;
+
+// A connection costs 2 points plus the cost of every record it asks for
+const CONNECTION_BASE_COST = 2;
+
+// Used when the dry run doesn't report the bucket
+const DEFAULT_RESTORE_RATE = 50;
+
+/**
+ * Build the query counting the records of a root connection through its
+ * `<connection>Count` field (e.g. productsCount)
+ * @param {Array} schemaTypes Schema types
+ * @param {string} connectionName Root connection (e.g. products)
+ * @param {Object} variables Variables of the extraction, whose search query is passed on
+ * @returns {Object|null} { query, variables, field }, or null when the connection has no count field
+ */
+function buildCountQuery(schemaTypes, connectionName, variables = {}) {
+  const field = `${connectionName}Count`;
+  const queryRoot = schemaTypes.find(type => type.name === 'QueryRoot');
+  const countField = queryRoot && (queryRoot.fields || []).find(rootField => rootField.name === field);
+  if (!countField) return null;
+
+  const argNames = (countField.args || []).map(arg => arg.name);
+  const args = [];
+  const countVariables = {};
+
+  if (variables.query && argNames.includes('query')) {
+    args.push('query: $query');
+    countVariables.query = variables.query;
+  }
+  // Counts stop at a default limit (10,000 records) unless it is lifted
+  if (argNames.includes('limit')) {
+    args.push('limit: null');
+  }
+
+  // Newer API versions return a Count object, older ones a plain number
+  const countType = getFieldType(schemaTypes, 'QueryRoot', field);
+  const countObject = countType && countType.kind === 'OBJECT'
+    ? schemaTypes.find(type => type.name === countType.name)
+    : null;
+  const selection = countObject
+    ? ` { count${countObject.fields.some(countObjectField => countObjectField.name === 'precision') ? ' precision' : ''} }`
+    : '';
+
+  const declaration = countVariables.query ? '($query: String)' : '';
+  const argumentList = args.length > 0 ? `(${args.join(', ')})` : '';
+
+  return {
+    query: `query Count${declaration} { ${field}${argumentList}${selection} }`,
+    variables: countVariables,
+    field
+  };
+}
+
+/**
+ * Project pages, requests, cost and time of an extraction from the cost of
+ * a one-record dry run. Shopify charges a connection 2 points plus `first`
+ * times the cost of one record, so the cost of a full page is scaled up
+ * from the dry run. Throughput is bounded by the actual cost of the pages
+ * and the bucket's restore rate, or by the request latency if that is slower.
+ * @param {Object} input Measurements
+ * @param {number|null} input.count Records to extract, null if unknown
+ * @param {string} input.countPrecision EXACT or AT_LEAST
+ * @param {number} input.pageSize Records per page
+ * @param {Object} input.dryRunCost { requestedQueryCost, actualQueryCost } of the dry run
+ * @param {Object} input.throttleStatus { maximumAvailable, currentlyAvailable, restoreRate } (optional)
+ * @param {number} input.latencyMs Duration of the dry run request
+ * @returns {Object} Projection
+ */
+function projectExtraction({ count, countPrecision = 'EXACT', pageSize, dryRunCost, throttleStatus = null, latencyMs }) {
+  const warnings = [];
+  const perRecord = cost => Math.max(0, cost - CONNECTION_BASE_COST);
+  const pageCost = cost => CONNECTION_BASE_COST + pageSize * perRecord(cost);
+
+  const requestedPerPage = pageCost(dryRunCost.requestedQueryCost);
+  const actualPerPage = typeof dryRunCost.actualQueryCost === 'number'
+    ? Math.min(requestedPerPage, pageCost(dryRunCost.actualQueryCost))
+    : requestedPerPage;
+
+  const recordCost = perRecord(dryRunCost.requestedQueryCost);
+  const maxPageSize = recordCost > 0
+    ? Math.max(1, Math.floor((MAX_QUERY_COST - CONNECTION_BASE_COST) / recordCost))
+    : pageSize;
+
+  if (requestedPerPage > MAX_QUERY_COST) {
+    warnings.push(`A page of ${pageSize} records requests about ${requestedPerPage} points, above Shopify's limit of ${MAX_QUERY_COST} per query. Remove fields or nested connections; pages of up to ${maxPageSize} records would fit`);
+  }
+
+  const bucket = {
+    maximumAvailable: (throttleStatus && throttleStatus.maximumAvailable) || MAX_QUERY_COST,
+    currentlyAvailable: throttleStatus && typeof throttleStatus.currentlyAvailable === 'number'
+      ? throttleStatus.currentlyAvailable
+      : (throttleStatus && throttleStatus.maximumAvailable) || MAX_QUERY_COST,
+    restoreRate: (throttleStatus && throttleStatus.restoreRate) || DEFAULT_RESTORE_RATE
+  };
+
+  if (count === null) {
+    warnings.push('The number of records is unknown, so pages and time are not projected');
+  } else if (countPrecision === 'AT_LEAST') {
+    warnings.push(`There are at least ${count} records, so the projection is a lower bound`);
+  }
+
+  // An empty result still takes one request
+  const pages = count === null ? null : Math.max(1, Math.ceil(count / pageSize));
+  const totalCost = pages === null ? null : pages * actualPerPage;
+
+  // The bucket covers the start, after that it refills at the restore rate
+  let estimatedSeconds = null;
+  if (pages !== null) {
+    const throttleSeconds = Math.max(0, totalCost - bucket.currentlyAvailable) / bucket.restoreRate;
+    const requestSeconds = (pages * latencyMs) / 1000;
+    estimatedSeconds = Math.ceil(Math.max(throttleSeconds, requestSeconds));
+  }
+
+  return {
+    count,
+    countPrecision: count === null ? null : countPrecision,
+    pageSize,
+    pages,
+    requests: pages,
+    cost: {
+      dryRun: { requested: dryRunCost.requestedQueryCost, actual: dryRunCost.actualQueryCost },
+      perPage: { requested: requestedPerPage, actual: actualPerPage },
+      total: totalCost
+    },
+    throttle: bucket,
+    latencyMs,
+    estimatedSeconds,
+    maxPageSize,
+    warnings
+  };
+}
+
+/**
+ * Estimate an extraction before it starts: run the query once for a single
+ * record to learn its cost, count the records of the connection and project
+ * the whole run from the two
+ * @param {Object} options Estimate options
+ * @param {Object} options.credentials Shopify API credentials
+ * @param {Array} options.schemaTypes Schema types
+ * @param {string} options.query Paginated query taking the page size as $first
+ * @param {string} options.connectionName Root connection the query pages through (e.g. products)
+ * @param {Object} options.variables Variables of the extraction, without first and after (optional)
+ * @param {number} options.pageSize Records per page of the extraction
+ * @returns {Promise<Object>} Projection from projectExtraction
+ */
+async function estimateExtraction(options) {
+  const { credentials, schemaTypes, query, connectionName, variables = {}, pageSize } = options;
+
+  const throttle = getThrottle(credentials.storeName);
+  const sendQuery = (requestQuery, requestVariables) => throttle.run(() => axios({
+    url: `https://${credentials.storeName}.myshopify.com/admin/api/${credentials.apiVersion}/graphql.json`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': credentials.accessToken
+    },
+    data: { query: requestQuery, variables: requestVariables }
+  }));
+
+  // The dry run gets no throttle key, so its one-record cost isn't taken for the extraction's
+  const startedAt = Date.now();
+  const dryRun = await sendQuery(query, { ...variables, first: 1, after: null });
+  const latencyMs = Date.now() - startedAt;
+
+  if (dryRun.data.errors && !isThrottledPayload(dryRun.data)) {
+    throw new Error(`The dry run failed: ${dryRun.data.errors[0].message}`);
+  }
+
+  const cost = dryRun.data.extensions && dryRun.data.extensions.cost;
+  if (!cost || typeof cost.requestedQueryCost !== 'number') {
+    throw new Error('Shopify did not report the cost of the dry run');
+  }
+
+  let count = null;
+  let countPrecision = null;
+  const countWarnings = [];
+  const countQuery = connectionName ? buildCountQuery(schemaTypes, connectionName, variables) : null;
+
+  if (!countQuery) {
+    countWarnings.push(`${connectionName || 'The connection'} has no count query`);
+  } else {
+    const response = await sendQuery(countQuery.query, countQuery.variables);
+    const value = response.data.data && response.data.data[countQuery.field];
+
+    if (response.data.errors || value == null) {
+      const reason = response.data.errors ? response.data.errors[0].message : 'no result';
+      countWarnings.push(`Could not count ${connectionName}: ${reason}`);
+    } else if (typeof value === 'number') {
+      count = value;
+      countPrecision = 'EXACT';
+    } else {
+      count = value.count;
+      countPrecision = value.precision || 'EXACT';
+    }
+  }
+
+  const projection = projectExtraction({
+    count,
+    countPrecision,
+    pageSize,
+    dryRunCost: cost,
+    throttleStatus: cost.throttleStatus,
+    latencyMs
+  });
+
+  return { ...projection, warnings: [...countWarnings, ...projection.warnings] };
+}
+
+module.exports = {
+  buildCountQuery,
+  projectExtraction,
+  estimateExtraction
+};
@@ -0,0 +1,300 @@
+const { Kind, parse, print } = require('graphql');
+const { validateQuery } = require('./queryValidation');
+
+/**
+ * Get the single operation of a parsed query
+ * @param {Object} document Parsed query
+ * @returns {Object} { operation, error }
+ */
+function getOperation(document) {
+  const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+
+  if (operations.length !== 1) {
+    return { operation: null, error: `The query must contain exactly one operation, found ${operations.length}` };
+  }
+  if (operations[0].operation !== 'query') {
+    return { operation: null, error: `Only queries can be extracted, found a ${operations[0].operation}` };
+  }
+  return { operation: operations[0], error: null };
+}
+
+/**
+ * Collect the fields of a selection set, with the fields of inline
+ * fragments and fragment spreads merged in
+ * @param {Object} selectionSet Selection set
+ * @param {Map<string, Object>} fragments Fragment definitions by name
+ * @param {Array<string>} visited Fragments being expanded, to stop cycles
+ * @returns {Array<Object>} Field nodes
+ */
+function collectFields(selectionSet, fragments, visited = []) {
+  if (!selectionSet) return [];
+
+  return selectionSet.selections.flatMap(selection => {
+    if (selection.kind === Kind.FIELD) return [selection];
+    if (selection.kind === Kind.INLINE_FRAGMENT) return collectFields(selection.selectionSet, fragments, visited);
+
+    const name = selection.name.value;
+    const fragment = fragments.get(name);
+    if (!fragment || visited.includes(name)) return [];
+    return collectFields(fragment.selectionSet, fragments, [...visited, name]);
+  });
+}
+
+/**
+ * Describe a field that selects a connection page: pageInfo plus edges or nodes
+ * @param {Object} field Field node
+ * @param {Map<string, Object>} fragments Fragment definitions by name
+ * @returns {Object|null} { pageInfoFields, items, nodeFields } or null when it isn't one,
+ *   nodeFields being the response keys selected on the connection's nodes
+ */
+function describeConnectionSelection(field, fragments) {
+  const fields = collectFields(field.selectionSet, fragments);
+  const pageInfo = fields.filter(child => child.name.value === 'pageInfo');
+  const items = fields.find(child => child.name.value === 'edges' || child.name.value === 'nodes');
+  if (pageInfo.length === 0 || !items) return null;
+
+  const pageInfoFields = pageInfo
+    .flatMap(child => collectFields(child.selectionSet, fragments))
+    .map(child => child.name.value);
+
+  const nodes = items.name.value === 'edges'
+    ? fields
+      .filter(child => child.name.value === 'edges')
+      .flatMap(edges => collectFields(edges.selectionSet, fragments))
+      .filter(child => child.name.value === 'node')
+    : fields.filter(child => child.name.value === 'nodes');
+  const nodeFields = nodes
+    .flatMap(node => collectFields(node.selectionSet, fragments))
+    .map(child => (child.alias ? child.alias.value : child.name.value));
+
+  return { pageInfoFields, items: items.name.value, nodeFields: [...new Set(nodeFields)] };
+}
+
+/**
+ * Get the names of the variables a query declares
+ * @param {string} query GraphQL query
+ * @returns {Array<string>} Variable names without the $, empty when the query can't be parsed
+ */
+function getDeclaredVariables(query) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return [];
+  }
+
+  const { operation } = getOperation(document);
+  return ((operation && operation.variableDefinitions) || []).map(definition => definition.variable.name.value);
+}
+
+/**
+ * Find the connection a query pages through. The connection is the outermost
+ * field selecting pageInfo and edges or nodes whose `after` argument is bound
+ * to a variable; its response keys from the root make up its path, so it can
+ * sit below other fields (`shop { ... }`) or carry an alias.
+ * @param {string} query GraphQL query
+ * @param {Object} options Options
+ * @param {string} options.connectionPath Dotted response keys of the connection, when the query has several (optional)
+ * @returns {Object} { connection, errors } where connection is
+ *   { path, afterVariable, firstVariable, items, nodeFields } or null
+ */
+function findPaginatedConnection(query, options = {}) {
+  const { connectionPath = null } = options;
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { connection: null, errors: [`Syntax error: ${error.message}`] };
+  }
+
+  const { operation, error } = getOperation(document);
+  if (error) return { connection: null, errors: [error] };
+
+  const fragments = new Map(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+
+  // Outermost connections; their nested connections are paged by the extraction itself
+  const candidates = [];
+  const walk = (selectionSet, path) => {
+    collectFields(selectionSet, fragments).forEach(field => {
+      const fieldPath = [...path, field.alias ? field.alias.value : field.name.value];
+      const selection = describeConnectionSelection(field, fragments);
+
+      if (!selection) {
+        walk(field.selectionSet, fieldPath);
+        return;
+      }
+
+      const variableArgument = name => {
+        const argument = (field.arguments || []).find(arg => arg.name.value === name);
+        return argument && argument.value.kind === Kind.VARIABLE ? argument.value.name.value : null;
+      };
+
+      candidates.push({
+        path: fieldPath,
+        afterVariable: variableArgument('after'),
+        firstVariable: variableArgument('first'),
+        backwards: (field.arguments || []).some(arg => arg.name.value === 'last' || arg.name.value === 'before'),
+        ...selection
+      });
+    });
+  };
+  walk(operation.selectionSet, []);
+
+  let candidate;
+  if (connectionPath) {
+    candidate = candidates.find(entry => entry.path.join('.') === connectionPath);
+    if (!candidate) {
+      const found = candidates.map(entry => entry.path.join('.')).join(', ') || 'none';
+      return { connection: null, errors: [`No connection at ${connectionPath}, the query has: ${found}`] };
+    }
+  } else {
+    const paginated = candidates.filter(entry => entry.afterVariable);
+    if (paginated.length > 1) {
+      return {
+        connection: null,
+        errors: [`The query pages through several connections (${paginated.map(entry => entry.path.join('.')).join(', ')}), choose one with a connection path`]
+      };
+    }
+    candidate = paginated[0] || (candidates.length === 1 ? candidates[0] : null);
+    if (!candidate) {
+      return {
+        connection: null,
+        errors: [candidates.length === 0
+          ? 'No connection found, select one with pageInfo { hasNextPage endCursor } and edges { node } or nodes'
+          : `The query has several connections (${candidates.map(entry => entry.path.join('.')).join(', ')}) and none has an after argument bound to a variable`]
+      };
+    }
+  }
+
+  const label = candidate.path.join('.');
+  const errors = [];
+  if (!candidate.afterVariable) {
+    errors.push(`${label} needs an after argument bound to a variable, e.g. after: $after`);
+  }
+  if (candidate.backwards) {
+    errors.push(`${label} pages backwards with last/before, use first/after`);
+  }
+  ['hasNextPage', 'endCursor']
+    .filter(name => !candidate.pageInfoFields.includes(name))
+    .forEach(name => errors.push(`${label} needs pageInfo.${name}`));
+
+  const { path, afterVariable, firstVariable, items, nodeFields } = candidate;
+  return { connection: errors.length === 0 ? { path, afterVariable, firstVariable, items, nodeFields } : null, errors };
+}
+
+/**
+ * Get one page of the paginated connection from a response
+ * @param {Object} data Response data
+ * @param {Array<string>} path Response keys of the connection
+ * @returns {Object} { items, pageInfo }
+ */
+function getConnectionPage(data, path) {
+  let value = data;
+  path.forEach((key, index) => {
+    if (Array.isArray(value)) {
+      throw new Error(`The connection at ${path.join('.')} is inside the list ${path.slice(0, index).join('.')}, paginate a connection that isn't`);
+    }
+    value = value ? value[key] : undefined;
+  });
+
+  if (!value) {
+    throw new Error(`The response has no connection at ${path.join('.')}`);
+  }
+
+  const items = Array.isArray(value.edges)
+    ? value.edges.map(edge => edge.node)
+    : value.nodes || [];
+
+  return { items, pageInfo: value.pageInfo || {} };
+}
+
+/**
+ * Validate a hand-written query for extraction: against the schema, for a
+ * connection to page through, and for values of the variables it requires
+ * @param {Array} schemaTypes Schema types
+ * @param {string} query GraphQL query
+ * @param {Object} variables Variable values
+ * @param {Object} options Options
+ * @param {string} options.connectionPath Dotted response keys of the connection to page through (optional)
+ * @returns {Object} { valid, errors, warnings, connection, variables } where errors and
+ *   warnings are { kind, message, path, line, column } and variables lists the
+ *   declared ones as { name, type, required }
+ */
+function validateCustomQuery(schemaTypes, query, variables = {}, options = {}) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    return { valid: false, errors: [{ kind: 'syntax', message: 'The query is empty', path: [] }], warnings: [], connection: null, variables: [] };
+  }
+
+  const result = validateQuery(schemaTypes, query);
+  const errors = [...result.errors];
+  const warnings = [...result.warnings];
+
+  // A syntax error already says all there is to say
+  if (errors.some(error => error.kind === 'syntax')) {
+    return { valid: false, errors, warnings, connection: null, variables: [] };
+  }
+
+  // Mutations have no connection to look for
+  const { connection, errors: connectionErrors } = errors.some(error => error.kind === 'operation')
+    ? { connection: null, errors: [] }
+    : findPaginatedConnection(query, options);
+  connectionErrors.forEach(message => errors.push({ kind: 'pagination', message, path: [] }));
+
+  const isObject = variables && typeof variables === 'object' && !Array.isArray(variables);
+  if (!isObject) {
+    errors.push({ kind: 'variable', message: 'Variables must be a JSON object', path: [] });
+  }
+  const values = isObject ? variables : {};
+
+  // The page size and cursor are filled in while paging
+  const { operation } = getOperation(parse(query));
+  const declared = ((operation && operation.variableDefinitions) || []).map(definition => ({
+    name: definition.variable.name.value,
+    type: print(definition.type),
+    required: definition.type.kind === Kind.NON_NULL_TYPE && !definition.defaultValue,
+    loc: definition.loc
+  }));
+  const pagingVariables = connection ? [connection.afterVariable, connection.firstVariable] : [];
+  const position = variable => ({ line: variable.loc.startToken.line, column: variable.loc.startToken.column });
+
+  // The first page is fetched without a cursor
+  declared
+    .filter(variable => connection && variable.name === connection.afterVariable && variable.type.endsWith('!'))
+    .forEach(variable => errors.push({
+      kind: 'variable',
+      message: `Variable $${variable.name} holds the page cursor and must be nullable (${variable.type.slice(0, -1)})`,
+      path: [],
+      ...position(variable)
+    }));
+
+  declared
+    .filter(variable => variable.required && !pagingVariables.includes(variable.name) && values[variable.name] == null)
+    .forEach(variable => errors.push({
+      kind: 'variable',
+      message: `Variable $${variable.name} of type ${variable.type} needs a value`,
+      path: [],
+      ...position(variable)
+    }));
+
+  Object.keys(values)
+    .filter(name => !declared.some(variable => variable.name === name))
+    .forEach(name => warnings.push({ kind: 'variable', message: `Variable $${name} is not declared by the query and is ignored`, path: [] }));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    connection,
+    variables: declared.map(({ name, type, required }) => ({ name, type, required }))
+  };
+}
+
+module.exports = {
+  findPaginatedConnection,
+  getConnectionPage,
+  getDeclaredVariables,
+  validateCustomQuery
+};
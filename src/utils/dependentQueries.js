@@ -1,56 +1,340 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { getThrottle, isThrottledPayload } = require('./throttle');
+const { getJobSignal, waitIfPaused, isCancelledError } = require('./jobManager');
+const {
+  findTruncatedConnections,
+  findTruncatedItemConnections,
+  buildConnectionPageQuery,
+  buildItemConnectionPageQuery,
+  getAtPath,
+  appendConnectionPage
+} = require('./nestedConnections');
+
+// Shopify accepts at most 250 IDs in one nodes(ids:) query
+const MAX_NODES_PER_QUERY = 250;
+
+/**
+ * Plan the secondary requests: one request per ID, or with a batched query
+ * one nodes(ids:) request per chunk of IDs
+ * @param {Array} idList IDs to look up
+ * @param {Function} secondaryQueryBuilder Builds the single-ID query
+ * @param {Object} batchSecondaryQuery Batched query of the template (optional)
+ * @returns {Array} Requests ({ ids, query, variables })
+ */
+function planSecondaryRequests(idList, secondaryQueryBuilder, batchSecondaryQuery) {
+  if (!batchSecondaryQuery) {
+    return idList.map(id => ({ ids: [id], ...secondaryQueryBuilder(id) }));
+  }
+  
+  const chunkSize = Math.min(MAX_NODES_PER_QUERY, batchSecondaryQuery.batchSize || MAX_NODES_PER_QUERY);
+  const requests = [];
+  
+  for (let i = 0; i < idList.length; i += chunkSize) {
+    const ids = idList.slice(i, i + chunkSize);
+    requests.push({ ids, query: batchSecondaryQuery.query, variables: { ...batchSecondaryQuery.variables, ids } });
+  }
+  
+  return requests;
+}
 
 /**
- * Execute dependent queries against Shopify API
+ * Split a nodes(ids:) response into one result per ID, shaped like the
+ * single-ID query returns it (e.g. { productVariant: {...} }), so result
+ * mergers work the same for both
+ * @param {Object} data Response data
+ * @param {string} resultKey Root field of the single-ID query
+ * @param {Array} ids IDs of the request, in the order the nodes come back
+ * @returns {Object} { results, missing } where results are { id, data } and
+ *   missing counts IDs that returned null
+ */
+function splitBatchedResults(data, resultKey, ids) {
+  const nodes = (data && data.nodes) || [];
+  const results = [];
+  let missing = 0;
+  
+  nodes.forEach((node, index) => {
+    if (node) {
+      results.push({ id: ids[index], data: { [resultKey]: node } });
+    } else {
+      missing++;
+    }
+  });
+  
+  return { results, missing };
+}
+
+/**
+ * Describe a template as pipeline stages. Templates with `stages` are used as
+ * they are; primary + secondary templates become a two-stage pipeline.
+ * @param {Object} template Dependent query template
+ * @returns {Array<Object>} Stages for executeDependentPipeline
+ */
+function getTemplateStages(template) {
+  if (template.stages) {
+    return template.stages;
+  }
+  
+  return [
+    {
+      name: 'primary',
+      query: template.primaryQuery
+    },
+    {
+      name: 'secondary',
+      idExtractor: template.idExtractor,
+      buildQuery: template.buildSecondaryQuery,
+      batchQuery: template.batchSecondaryQuery,
+      resultMerger: template.resultMerger
+    }
+  ];
+}
+
+/**
+ * Nest the results of every stage into the stage before it, starting from the
+ * last one, so the primary records end up holding everything
+ * @param {Array<Object>} stages Pipeline stages
+ * @param {Array<Array>} stageResults Results of each stage
+ * @returns {Array} Merged primary records
+ */
+function mergeStageResults(stages, stageResults) {
+  let merged = stageResults[stages.length - 1];
+  
+  for (let i = stages.length - 1; i >= 1; i--) {
+    merged = stages[i].resultMerger(stageResults[i - 1], merged);
+  }
+  
+  return merged;
+}
+
+/**
+ * Execute a chain of dependent queries against Shopify API, e.g.
+ * collections → products → variants → inventory levels.
+ *
+ * The first stage is a paginated query taking `$first` and `$after`; its
+ * results are the nodes of the connection it returns, or the one object a
+ * query like `shop { ... }` returns. Every later stage looks
+ * up the IDs its `idExtractor` takes from the results of the stage before it
+ * and returns the response data of each lookup. When all stages are done,
+ * each stage's `resultMerger(parentResults, results)` nests its results into
+ * the stage before it, from the last stage back to the first.
  * @param {Object} options Configuration options
- * @returns {Promise<Array>} Combined results
+ * @param {Object} options.credentials Shopify credentials
+ * @param {Array<Object>} options.stages Stages: the first is { name, query, variables },
+ *   the others { name, idExtractor, buildQuery, batchQuery, resultMerger }. buildQuery(id)
+ *   returns { query, variables } for one ID; batchQuery is optional:
+ *   { query, resultKey, batchSize, variables }. The query takes `$ids: [ID!]!` and selects
+ *   the fields through `nodes(ids: $ids)` with an inline fragment; resultKey is
+ *   the root field of the single-ID query; variables are sent along with the
+ *   IDs. When set, up to batchSize IDs (at most 250) are fetched per request
+ *   instead of one request per ID.
+ * @param {number} options.batchSize Single-ID requests sent in parallel
+ * @param {Function} options.progressCallback Progress callback (optional)
+ * @param {Object} options.extractionState Job to report progress to (optional);
+ *   its `stages` list gets the status and counts of each stage
+ * @returns {Promise<Array>} Merged results
  */
-async function executeDependentQueries(options) {
+async function executeDependentPipeline(options) {
   const {
     credentials,
-    primaryQuery,
-    primaryVariables = { first: 50, after: null },
-    secondaryQueryBuilder,
-    idExtractor,
-    resultMerger,
+    stages,
     batchSize = 5,
-    delay = 500,
     progressCallback,
     extractionState
   } = options;
+  
+  if (!stages || stages.length === 0 || !stages[0].query) {
+    throw new Error('A pipeline needs a first stage with a query');
+  }
+  stages.slice(1).forEach((stage, index) => {
+    if (!stage.idExtractor || !stage.buildQuery || !stage.resultMerger) {
+      throw new Error(`Stage ${index + 2} (${stage.name}) needs an idExtractor, buildQuery and resultMerger`);
+    }
+  });
 
   // Configure endpoint
   const endpoint = `https://${credentials.storeName}.myshopify.com/admin/api/${credentials.apiVersion}/graphql.json`;
   
-  try {
-    // Step 1: Execute primary query with pagination
-    let hasNextPage = true;
-    let cursor = null;
-    let primaryResults = [];
-    let idList = [];
-    let pageCount = 0;
+  // Shared cost-aware throttle for this store
+  const throttle = getThrottle(credentials.storeName);
+  const onWait = (ms, reason) => {
+    if (!extractionState) return;
+    const seconds = (ms / 1000).toFixed(1);
+    extractionState.logs.push(reason === 'cost'
+      ? `Waiting ${seconds}s for API rate limit capacity...`
+      : `Rate limited by Shopify, retrying in ${seconds}s...`);
+  };
+  
+  // Aborts in-flight requests when the job is cancelled
+  const signal = getJobSignal(extractionState);
+  
+  const sendQuery = (query, variables) => throttle.run(() => axios({
+    url: endpoint,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': credentials.accessToken
+    },
+    data: { query, variables },
+    signal
+  }), { key: query, onWait, signal });
+  
+  // Fetch the pages of a connection after its first one and append them.
+  // buildPage(cursor) returns the { query, variables } of the next page and
+  // the path of the page in its response. Returns the number of extra pages.
+  const fetchConnectionPages = async (connection, name, owner, buildPage) => {
+    let cursor = connection.pageInfo.endCursor;
+    let pages = 0;
+    
+    while (cursor) {
+      await waitIfPaused(extractionState);
+      
+      const { query, variables, pagePath } = buildPage(cursor);
+      const response = await sendQuery(query, variables);
+      
+      if (isThrottledPayload(response.data)) {
+        throw new Error(`Next page of ${name} for ${owner} was still throttled by Shopify after repeated retries`);
+      }
+      if (response.data.errors) {
+        throw new Error(`Next page of ${name} for ${owner} failed: ${response.data.errors[0].message}`);
+      }
+      
+      const page = getAtPath(response.data.data, pagePath);
+      if (!page) break;
+      
+      appendConnectionPage(connection, page);
+      pages++;
+      
+      cursor = page.pageInfo && page.pageInfo.hasNextPage && page.pageInfo.endCursor
+        ? page.pageInfo.endCursor
+        : null;
+    }
+    
+    return pages;
+  };
+  
+  // Follow the inner connections of a response that have more pages (e.g. an
+  // order with more line items than lineItems(first:) returns, or a product
+  // on a page of products with more variants than variants(first:) returns)
+  // and append the pages to the response. Connections inside list items are
+  // paged with node(id:) lookups of their item. With itemsOnly, connections
+  // reached through plain objects are left alone; on a primary page that is
+  // the paginated connection itself. Returns the extra page count per connection.
+  const fetchRemainingPages = async (data, query, variables, owner, itemsOnly = false) => {
+    const extraPages = {};
+    const addPages = (name, pages) => {
+      extraPages[name] = (extraPages[name] || 0) + pages;
+    };
+    
+    const truncated = itemsOnly ? [] : findTruncatedConnections(data);
+    for (const { path } of truncated) {
+      const name = path.join('.');
+      addPages(name, await fetchConnectionPages(getAtPath(data, path), name, owner, cursor => ({
+        query: buildConnectionPageQuery(query, path, cursor),
+        variables,
+        pagePath: path
+      })));
+    }
+    
+    // Pages appended above may hold truncated connections of their own, so
+    // look again until every connection found has been followed
+    const followed = new Set();
+    const getKey = ({ item, itemPath, path }) => `${item.id} ${[...itemPath, ...path].join('.')}`;
+    let itemConnections = findTruncatedItemConnections(data);
+    
+    while (itemConnections.length > 0) {
+      for (const connection of itemConnections) {
+        followed.add(getKey(connection));
+        
+        const name = [...connection.itemPath, ...connection.path]
+          .filter(key => key !== 'edges' && key !== 'node' && key !== 'nodes')
+          .join('.');
+        addPages(name, await fetchConnectionPages(getAtPath(connection.item, connection.path), name, `ID ${connection.item.id}`, cursor => ({
+          ...buildItemConnectionPageQuery(query, variables, connection, cursor),
+          pagePath: ['node', ...connection.path]
+        })));
+      }
+      
+      itemConnections = findTruncatedItemConnections(data).filter(connection => !followed.has(getKey(connection)));
+    }
+    
+    return extraPages;
+  };
+  
+  // Describe the extra pages fetchRemainingPages found for the logs
+  const describeExtraPages = (extraPages) => Object.keys(extraPages)
+    .filter(name => extraPages[name] > 0)
+    .map(name => `${name} +${extraPages[name]} page${extraPages[name] === 1 ? '' : 's'}`)
+    .join(', ');
+  
+  // Each stage gets an equal share of the progress bar
+  const stageSpan = 100 / stages.length;
+  const stageStates = stages.map(stage => ({
+    name: stage.name,
+    status: 'pending',
+    requests: 0,
+    completedRequests: 0,
+    records: 0
+  }));
+  
+  if (extractionState) {
+    extractionState.stages = stageStates;
+  }
+  
+  const reportProgress = (stageIndex, fraction, message) => {
+    const progress = Math.min(100, Math.floor(stageIndex * stageSpan + fraction * stageSpan));
     
-    // Report initial progress
     if (progressCallback) {
       progressCallback({
-        stage: 'primary',
-        progress: 0,
-        message: 'Starting primary query execution...'
+        stage: stages[stageIndex].name,
+        stageIndex,
+        progress,
+        message
       });
     }
     
     if (extractionState) {
-      extractionState.status = 'fetching-primary';
-      extractionState.logs.push('Starting primary query execution...');
+      // Explicitly set numeric progress to ensure it's a number
+      extractionState.progress = Number(progress);
     }
     
+    return progress;
+  };
+  
+  const startStage = (stageIndex, message) => {
+    stageStates[stageIndex].status = 'running';
+    
+    if (extractionState) {
+      extractionState.status = stageIndex === 0 ? 'fetching-primary' : 'fetching-secondary';
+      extractionState.logs.push(message);
+    }
+    reportProgress(stageIndex, 0, message);
+  };
+  
+  // Kept outside the try block so a cancelled run can still merge what it has
+  const stageResults = stages.map(() => []);
+  
+  // Step 1: Execute the first query with pagination
+  const runPrimaryStage = async () => {
+    const stage = stages[0];
+    const primaryVariables = stage.variables || { first: 50, after: null };
+    let hasNextPage = true;
+    let cursor = null;
+    let pageCount = 0;
+    
+    startStage(0, stages.length > 2
+      ? `Starting stage 1/${stages.length} (${stage.name}) query execution...`
+      : 'Starting primary query execution...');
+    
     // Execute paginated primary query
     while (hasNextPage) {
       pageCount++;
       
       try {
+        // Stop here if the job was paused or cancelled
+        await waitIfPaused(extractionState);
+        
         // Update variables for pagination
         const variables = { ...primaryVariables, after: cursor };
         
@@ -60,15 +344,9 @@ async function executeDependentQueries(options) {
         }
         
         // Execute query
-        const response = await axios({
-          url: endpoint,
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': credentials.accessToken
-          },
-          data: { query: primaryQuery, variables }
-        });
+        const response = await sendQuery(stage.query, variables);
+        stageStates[0].requests++;
+        stageStates[0].completedRequests++;
         
         // Handle errors
         if (response.data.errors) {
@@ -100,43 +378,36 @@ async function executeDependentQueries(options) {
         const resourceKey = Object.keys(data)[0];
         const resource = data[resourceKey];
         
-        // Add results to collection
-        const pageResults = resource.edges.map(edge => edge.node);
-        primaryResults = [...primaryResults, ...pageResults];
+        // Add results to collection. A query for a single object (e.g. shop)
+        // is one record without pages.
+        const pageResults = resource.edges ? resource.edges.map(edge => edge.node) : [resource];
         
-        // Extract IDs using the provided extractor function
-        const pageIds = idExtractor(pageResults);
-        idList = [...idList, ...pageIds];
+        // Fetch the rest of truncated inner connections of the records (e.g.
+        // products with more variants than the query asks for)
+        const details = describeExtraPages(await fetchRemainingPages(data, stage.query, variables, `primary page ${pageCount}`, Boolean(resource.edges)));
+        if (details && extractionState) {
+          extractionState.logs.push(`Fetched extra pages for primary page ${pageCount}: ${details}`);
+        }
+        
+        stageResults[0].push(...pageResults);
+        stageStates[0].records = stageResults[0].length;
         
         // Update pagination state
         hasNextPage = resource.pageInfo && resource.pageInfo.hasNextPage ? resource.pageInfo.hasNextPage : false;
         cursor = resource.pageInfo && resource.pageInfo.endCursor ? resource.pageInfo.endCursor : null;
         
-        // Report progress for primary query (0-50% range)
-        // Each page contributes up to 10% progress, capped at 50% for primary phase
-        const primaryProgress = Math.min(50, Math.floor((pageCount * 10)));
-        
-        if (progressCallback) {
-          progressCallback({
-            stage: 'primary',
-            progress: primaryProgress,
-            message: `Fetched primary page ${pageCount} (${pageResults.length} items)`
-          });
-        }
+        // Each page contributes up to a tenth of the stage, the page count isn't known up front
+        const primaryProgress = reportProgress(0, Math.min(1, pageCount / 5),
+          `Fetched primary page ${pageCount} (${pageResults.length} items)`);
         
         if (extractionState) {
-          // Explicitly set numeric progress to ensure it's a number
-          extractionState.progress = Number(primaryProgress);
-          extractionState.recordsProcessed = primaryResults.length;
-          extractionState.logs.push(`Retrieved ${pageResults.length} primary records (total: ${primaryResults.length}) - Progress: ${primaryProgress}%`);
-          console.log(`Primary extraction progress: ${primaryProgress}% (page ${pageCount}, ${primaryResults.length} total records)`);
-        }
-        
-        // Add delay before next request
-        if (hasNextPage) {
-          await new Promise(resolve => setTimeout(resolve, delay));
+          extractionState.recordsProcessed = stageResults[0].length;
+          extractionState.logs.push(`Retrieved ${pageResults.length} primary records (total: ${stageResults[0].length}) - Progress: ${primaryProgress}%`);
+          console.log(`Primary extraction progress: ${primaryProgress}% (page ${pageCount}, ${stageResults[0].length} total records)`);
         }
       } catch (error) {
+        if (isCancelledError(error)) throw error;
+        
         const errorMessage = `Primary query failed on page ${pageCount}: ${error.message}`;
         if (extractionState) {
           extractionState.logs.push(`Error: ${errorMessage}`);
@@ -145,99 +416,112 @@ async function executeDependentQueries(options) {
       }
     }
     
-    // Step 2: Execute secondary queries in batches
-    const secondaryResults = [];
+    stageStates[0].status = 'completed';
+  };
+  
+  // Step 2: Look up the IDs of a later stage in batches
+  const runLookupStage = async (stageIndex) => {
+    const stage = stages[stageIndex];
+    const stageState = stageStates[stageIndex];
+    const results = stageResults[stageIndex];
+    const stageLabel = stages.length > 2 ? `stage ${stageIndex + 1}/${stages.length} (${stage.name})` : 'dependent queries';
+    const idList = [...new Set(stage.idExtractor(stageResults[stageIndex - 1]))];
+    const requests = planSecondaryRequests(idList, stage.buildQuery, stage.batchQuery);
     const batches = [];
+    let pagedParentCount = 0;
     
-    // Create batches of IDs
-    for (let i = 0; i < idList.length; i += batchSize) {
-      batches.push(idList.slice(i, i + batchSize));
+    // Create batches of requests that run in parallel. Batched queries are
+    // heavy already, so those run one at a time.
+    const parallelRequests = stage.batchQuery ? 1 : batchSize;
+    for (let i = 0; i < requests.length; i += parallelRequests) {
+      batches.push(requests.slice(i, i + parallelRequests));
     }
     
-    // Report progress update
-    if (progressCallback) {
-      progressCallback({
-        stage: 'secondary',
-        progress: 50,
-        message: `Starting dependent queries for ${idList.length} items in ${batches.length} batches...`
-      });
-    }
-    
-    if (extractionState) {
-      extractionState.status = 'fetching-secondary';
-      extractionState.logs.push(`Starting dependent queries for ${idList.length} items in ${batches.length} batches...`);
-    }
+    stageState.requests = requests.length;
+    startStage(stageIndex, stage.batchQuery
+      ? `Starting ${stageLabel} for ${idList.length} items in ${batches.length} batched requests (up to ${requests.length > 0 ? requests[0].ids.length : 0} IDs each)...`
+      : `Starting ${stageLabel} for ${idList.length} items in ${batches.length} batches...`);
     
     // Process each batch
     for (let i = 0; i < batches.length; i++) {
       const batch = batches[i];
+      const batchIdCount = batch.reduce((count, request) => count + request.ids.length, 0);
       
       try {
+        // Stop here if the job was paused or cancelled
+        await waitIfPaused(extractionState);
+        
         // Create queries for this batch
-        const batchPromises = batch.map(id => {
-          // Build secondary query using the provided function
-          const { query, variables } = secondaryQueryBuilder(id);
-          
-          return axios({
-            url: endpoint,
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Shopify-Access-Token': credentials.accessToken
-            },
-            data: { query, variables }
-          });
-        });
+        const batchPromises = batch.map(({ query, variables }) => sendQuery(query, variables));
         
         if (extractionState) {
-          extractionState.logs.push(`Processing batch ${i + 1}/${batches.length} (${batch.length} items)`);
+          extractionState.logs.push(`Processing batch ${i + 1}/${batches.length} (${batchIdCount} items)`);
         }
         
         // Execute batch in parallel
         const batchResponses = await Promise.all(batchPromises);
+        stageState.completedRequests += batch.length;
         
         // Process batch responses
+        const batchResults = [];
         batchResponses.forEach((response, index) => {
+          const { ids } = batch[index];
+          const label = ids.length === 1 ? `ID ${ids[0]}` : `${ids.length} IDs starting at ${ids[0]}`;
+          
+          if (isThrottledPayload(response.data)) {
+            throw new Error(`Request for ${label} was still throttled by Shopify after repeated retries`);
+          }
+          
           if (response.data.errors) {
-            const warning = `Secondary query warning for ID ${batch[index]}: ${response.data.errors[0].message}`;
+            const warning = `Secondary query warning for ${label}: ${response.data.errors[0].message}`;
             console.warn(warning);
             if (extractionState) {
               extractionState.logs.push(`Warning: ${warning}`);
             }
+          }
+          
+          // Still include partial data even if there are errors
+          if (!response.data.data) return;
+          
+          if (stage.batchQuery) {
+            const { results: nodeResults, missing } = splitBatchedResults(response.data.data, stage.batchQuery.resultKey, ids);
+            batchResults.push(...nodeResults);
             
-            // Still include partial data even if there are errors
-            if (response.data.data) {
-              secondaryResults.push(response.data.data);
+            if (missing > 0 && extractionState) {
+              extractionState.logs.push(`Warning: ${missing} of ${ids.length} IDs starting at ${ids[0]} were not found`);
             }
           } else {
-            secondaryResults.push(response.data.data);
+            batchResults.push({ id: ids[0], data: response.data.data });
           }
         });
         
-        // Report progress for secondary queries (50-100% range)
-        // Calculate exact percentage from 50% to 100% based on batch progress
-        const batchProgress = 50 + Math.floor(((i + 1) / batches.length) * 50);
-        
-        if (progressCallback) {
-          progressCallback({
-            stage: 'secondary',
-            progress: batchProgress,
-            message: `Processed batch ${i + 1}/${batches.length} (${batch.length} items)`
-          });
+        // Fetch the rest of truncated inner connections before keeping the results
+        for (const result of batchResults) {
+          const { query, variables } = stage.buildQuery(result.id);
+          const details = describeExtraPages(await fetchRemainingPages(result.data, query, variables, `ID ${result.id}`));
+          
+          if (details) {
+            pagedParentCount++;
+            if (extractionState) {
+              extractionState.logs.push(`Fetched extra pages for ${result.id}: ${details}`);
+            }
+          }
+          
+          results.push(result.data);
         }
+        stageState.records = results.length;
         
-        if (extractionState) {
-          // Explicitly set numeric progress to ensure it's a number
-          extractionState.progress = Number(batchProgress);
-          extractionState.logs.push(`Completed batch ${i + 1}/${batches.length} (${secondaryResults.length} secondary records retrieved) - Progress: ${batchProgress}%`);
-          console.log(`Secondary extraction progress: ${batchProgress}% (batch ${i + 1}/${batches.length}, ${secondaryResults.length} total secondary records)`);
-        }
+        // Report progress for this stage based on batch progress
+        const batchProgress = reportProgress(stageIndex, (i + 1) / batches.length,
+          `Processed batch ${i + 1}/${batches.length} (${batchIdCount} items)`);
         
-        // Add delay before next batch
-        if (i < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, delay));
+        if (extractionState) {
+          extractionState.logs.push(`Completed batch ${i + 1}/${batches.length} (${results.length} secondary records retrieved) - Progress: ${batchProgress}%`);
+          console.log(`Secondary extraction progress: ${batchProgress}% (batch ${i + 1}/${batches.length}, ${results.length} total secondary records)`);
         }
       } catch (error) {
+        if (isCancelledError(error)) throw error;
+        
         const errorMessage = `Secondary query batch ${i + 1} failed: ${error.message}`;
         if (extractionState) {
           extractionState.logs.push(`Error: ${errorMessage}`);
@@ -246,15 +530,44 @@ async function executeDependentQueries(options) {
       }
     }
     
-    // Step 3: Merge results using the provided merger function
-    const mergedResults = resultMerger(primaryResults, secondaryResults);
+    if (pagedParentCount > 0 && extractionState) {
+      extractionState.logs.push(`${pagedParentCount} records needed extra pages of nested connections`);
+    }
+    
+    // A stage without IDs still completes its share of the progress
+    if (batches.length === 0) {
+      reportProgress(stageIndex, 1, `No IDs to look up for ${stageLabel}`);
+    }
+    stageState.status = 'completed';
+  };
+  
+  try {
+    await runPrimaryStage();
+    
+    for (let i = 1; i < stages.length; i++) {
+      await runLookupStage(i);
+    }
+    
+    // Step 3: Merge results using the stages' merger functions
+    const mergedResults = mergeStageResults(stages, stageResults);
     
     if (extractionState) {
-      extractionState.logs.push(`Successfully merged ${primaryResults.length} primary records with ${secondaryResults.length} secondary records`);
+      const lookupCount = stageResults.slice(1).reduce((count, results) => count + results.length, 0);
+      extractionState.logs.push(`Successfully merged ${stageResults[0].length} primary records with ${lookupCount} secondary records`);
     }
     
     return mergedResults;
   } catch (error) {
+    const runningStage = stageStates.find(stageState => stageState.status === 'running');
+    
+    if (isCancelledError(error)) {
+      if (runningStage) runningStage.status = 'cancelled';
+      // Hand back what was fetched so far so the caller can keep it
+      error.partialResults = mergeStageResults(stages, stageResults);
+      throw error;
+    }
+    
+    if (runningStage) runningStage.status = 'failed';
     if (extractionState) {
       extractionState.status = 'failed';
       extractionState.logs.push(`Error in dependent query execution: ${error.message}`);
@@ -263,6 +576,44 @@ async function executeDependentQueries(options) {
   }
 }
 
+/**
+ * Execute dependent queries against Shopify API: a primary query and one
+ * lookup per ID it returns. This is a two-stage executeDependentPipeline.
+ * @param {Object} options Configuration options
+ * @param {Object} options.batchSecondaryQuery Batched secondary query (optional),
+ *   see the batchQuery of executeDependentPipeline stages
+ * @returns {Promise<Array>} Combined results
+ */
+async function executeDependentQueries(options) {
+  const {
+    primaryQuery,
+    primaryVariables = { first: 50, after: null },
+    secondaryQueryBuilder,
+    batchSecondaryQuery = null,
+    idExtractor,
+    resultMerger,
+    ...rest
+  } = options;
+  
+  return executeDependentPipeline({
+    ...rest,
+    stages: [
+      {
+        name: 'primary',
+        query: primaryQuery,
+        variables: primaryVariables
+      },
+      {
+        name: 'secondary',
+        idExtractor,
+        buildQuery: secondaryQueryBuilder,
+        batchQuery: batchSecondaryQuery,
+        resultMerger
+      }
+    ]
+  });
+}
+
 /**
  * Save extracted data to file
  * @param {string} queryType Type of query
@@ -285,6 +636,8 @@ function saveResultsToFile(queryType, data) {
 }
 
 module.exports = {
+  executeDependentPipeline,
   executeDependentQueries,
+  getTemplateStages,
   saveResultsToFile
 };
\ No newline at end of file
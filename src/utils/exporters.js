@@ -0,0 +1,591 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const ExcelJS = require('exceljs');
+const parquet = require('parquetjs-lite');
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet' }
+};
+
+// Excel limits
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Replace GraphQL connections ({ edges: [{ node }] } or { nodes: [] }) with
+ * plain arrays of nodes, recursively. pageInfo is dropped along the way.
+ * @param {*} value Record or value
+ * @returns {*} Value without connection wrappers
+ */
+function unwrapConnections(value) {
+  if (Array.isArray(value)) {
+    return value.map(unwrapConnections);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value.edges)) {
+    return value.edges.map(edge => unwrapConnections(edge && edge.node));
+  }
+  if (Array.isArray(value.nodes)) {
+    return value.nodes.map(unwrapConnections);
+  }
+
+  return Object.keys(value).reduce((acc, key) => {
+    acc[key] = unwrapConnections(value[key]);
+    return acc;
+  }, {});
+}
+
+/**
+ * Check whether an array holds nested records rather than scalars
+ * @param {*} value Value to check
+ * @returns {boolean} Whether the value is a nested collection
+ */
+function isCollection(value) {
+  return Array.isArray(value) && value.some(item => item && typeof item === 'object');
+}
+
+/**
+ * Flatten a record into one row with dotted column names. Scalar arrays are
+ * joined with a pipe, like the browser CSV export did.
+ * @param {Object} record Record without connection wrappers
+ * @param {Function} onCollection Called with (columnName, items) for nested collections;
+ *   without it collections are written to the cell as JSON
+ * @param {string} prefix Column name prefix
+ * @param {Object} row Row to fill
+ * @returns {Object} Flat row
+ */
+function flattenRecord(record, onCollection = null, prefix = '', row = {}) {
+  Object.keys(record || {}).forEach(key => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    const value = record[key];
+
+    if (isCollection(value) || (onCollection && Array.isArray(value) && value.length === 0)) {
+      // Empty lists can't be told apart from empty collections, they just add no rows
+      if (onCollection) {
+        onCollection(column, value);
+      } else {
+        row[column] = JSON.stringify(value);
+      }
+    } else if (Array.isArray(value)) {
+      row[column] = value.map(item => (item === null || item === undefined ? '' : String(item))).join('|');
+    } else if (value && typeof value === 'object') {
+      flattenRecord(value, onCollection, column, row);
+    } else {
+      row[column] = value === undefined ? null : value;
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Convert a camelCase or dotted name to snake_case
+ * @param {string} name Name to convert
+ * @returns {string} snake_case name
+ */
+function toSnakeCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * Naive English singular of a snake_case table name (orders -> order, addresses -> address)
+ * @param {string} name Plural name
+ * @returns {string} Singular name
+ */
+function singularize(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+  if (/(ss|x|ch|sh)es$/.test(name)) return name.replace(/es$/, '');
+  if (/[^s]s$/.test(name)) return name.slice(0, -1);
+  return name;
+}
+
+/**
+ * Name of the table holding a nested collection, e.g. lineItems of orders -> order_line_items
+ * @param {string} parentTable Table of the parent records
+ * @param {string} column Column of the collection in the parent
+ * @returns {string} Table name
+ */
+function getChildTableName(parentTable, column) {
+  return `${singularize(parentTable)}_${toSnakeCase(column)}`;
+}
+
+/**
+ * Name of the foreign key column pointing at a parent table, e.g. orders -> order_id
+ * @param {string} parentTable Table of the parent records
+ * @returns {string} Column name
+ */
+function getForeignKeyName(parentTable) {
+  return `${singularize(parentTable)}_id`;
+}
+
+/**
+ * Split a record into a row of its own table and rows of one table per nested
+ * collection. Child rows carry the id of their parent as a foreign key; rows
+ * whose parent has no id get a null key.
+ * @param {Object} record Record without connection wrappers
+ * @param {string} table Table of the record
+ * @param {Object|null} parent Parent table and id ({ table, id }), null for top-level records
+ * @param {Function} emit Called with (table, row) for every row
+ */
+function splitRecord(record, table, parent, emit) {
+  const children = [];
+  const row = flattenRecord(record, (column, items) => children.push({ column, items }));
+
+  emit(table, parent ? { [getForeignKeyName(parent.table)]: parent.id, ...row } : row);
+
+  const id = record.id === undefined ? null : record.id;
+  children.forEach(({ column, items }) => {
+    const childTable = getChildTableName(table, column);
+    items.forEach(item => {
+      if (item && typeof item === 'object') {
+        splitRecord(item, childTable, { table, id }, emit);
+      }
+    });
+  });
+}
+
+/**
+ * Remember the columns of a row and the type of their values
+ * @param {Map} columns Column name to type ('number', 'boolean', 'string' or null)
+ * @param {Object} row Flat row
+ */
+function collectColumns(columns, row) {
+  Object.keys(row).forEach(column => {
+    const value = row[column];
+    const type = value === null || value === '' ? null : typeof value;
+    const known = columns.get(column);
+
+    if (!columns.has(column) || known === null) {
+      columns.set(column, type);
+    } else if (type !== null && type !== known) {
+      // Mixed values fall back to text
+      columns.set(column, 'string');
+    }
+  });
+}
+
+/**
+ * Format a cell of an RFC 4180 CSV file
+ * @param {*} value Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+
+  return stringValue;
+}
+
+/**
+ * Open a file stream for writing. Its first error is kept on the stream from
+ * the start, so a failed open or write is reported by the next writeChunk or
+ * closeStream instead of crashing the process as an unhandled 'error' event.
+ * @param {string} filePath Output file
+ * @returns {stream.Writable} Stream
+ */
+function createOutputStream(filePath) {
+  const output = fs.createWriteStream(filePath);
+  output.on('error', error => {
+    output.failure = output.failure || error;
+  });
+  return output;
+}
+
+/**
+ * Write to a stream, waiting when its buffer is full
+ * @param {stream.Writable} output Stream from createOutputStream
+ * @param {string} chunk Data
+ * @returns {Promise<void>} Rejects when the stream fails
+ */
+function writeChunk(output, chunk) {
+  if (output.failure) return Promise.reject(output.failure);
+  if (output.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off('error', onError);
+      resolve();
+    };
+    const onError = error => {
+      output.off('drain', onDrain);
+      reject(error);
+    };
+    output.once('drain', onDrain);
+    output.once('error', onError);
+  });
+}
+
+/**
+ * Close a file stream
+ * @param {stream.Writable} output Stream from createOutputStream
+ * @returns {Promise<void>} Rejects when the stream failed or fails to flush
+ */
+function closeStream(output) {
+  if (output.failure) return Promise.reject(output.failure);
+
+  return new Promise((resolve, reject) => {
+    output.once('error', reject);
+    output.end(() => {
+      output.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Read the records once to find the columns of every table
+ * @param {Function} getRecords Returns a new iterable of the records
+ * @param {string} rootTable Table of the top-level records
+ * @param {boolean} split Split nested collections into tables of their own
+ * @returns {Promise<Object>} { tables: Map of table name to column Map, recordCount }
+ */
+async function scanRecords(getRecords, rootTable, split) {
+  // The top-level table comes first and exists even without records, so empty exports still get a file
+  const tables = new Map([[rootTable, new Map()]]);
+  let recordCount = 0;
+
+  const emit = (table, row) => {
+    if (!tables.has(table)) tables.set(table, new Map());
+    collectColumns(tables.get(table), row);
+  };
+
+  for await (const record of getRecords()) {
+    const unwrapped = unwrapConnections(record);
+    if (split) {
+      splitRecord(unwrapped, rootTable, null, emit);
+    } else {
+      emit(rootTable, flattenRecord(unwrapped));
+    }
+    recordCount++;
+  }
+
+  return { tables, recordCount };
+}
+
+/**
+ * Write records as NDJSON
+ * @param {Function} getRecords Returns a new iterable of the records
+ * @param {string} filePath Output file
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeNdjson(getRecords, filePath) {
+  const output = createOutputStream(filePath);
+  let recordCount = 0;
+
+  try {
+    for await (const record of getRecords()) {
+      await writeChunk(output, `${JSON.stringify(record)}\n`);
+      recordCount++;
+    }
+
+    await closeStream(output);
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+
+  return recordCount;
+}
+
+/**
+ * Write records as RFC 4180 CSV: a header row, CRLF line breaks and quoted
+ * cells where needed. Nested collections are written to their cell as JSON.
+ * @param {Function} getRecords Returns a new iterable of the records
+ * @param {string} filePath Output file
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeCsv(getRecords, filePath) {
+  // Every record can add columns, so the header is only known after a first pass
+  const { tables, recordCount } = await scanRecords(getRecords, 'records', false);
+  const columns = Array.from(tables.get('records').keys());
+
+  const output = createOutputStream(filePath);
+
+  try {
+    await writeChunk(output, `${columns.map(escapeCsvValue).join(',')}\r\n`);
+
+    for await (const record of getRecords()) {
+      const row = flattenRecord(unwrapConnections(record));
+      await writeChunk(output, `${columns.map(column => escapeCsvValue(row[column])).join(',')}\r\n`);
+    }
+
+    await closeStream(output);
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+
+  return recordCount;
+}
+
+/**
+ * Write records as one RFC 4180 CSV file per table: the records themselves
+ * and every nested collection (e.g. orders.csv, order_line_items.csv), so
+ * they can be joined on their foreign keys instead of parsing JSON cells.
+ * @param {Function} getRecords Returns a new iterable of the records
+ * @param {string} dirPath Directory to write the CSV files to
+ * @param {Object} options Options
+ * @param {string} options.tableName Table name of the top-level records (e.g. orders)
+ * @returns {Promise<Object>} { recordCount, files }
+ */
+async function writeCsvTables(getRecords, dirPath, options = {}) {
+  const rootTable = toSnakeCase(options.tableName || 'records');
+  const { tables, recordCount } = await scanRecords(getRecords, rootTable, true);
+
+  fs.mkdirSync(dirPath, { recursive: true });
+
+  const outputs = new Map();
+  try {
+    for (const [table, columns] of tables) {
+      const output = createOutputStream(path.join(dirPath, `${table}.csv`));
+      outputs.set(table, { output, columns: Array.from(columns.keys()) });
+      await writeChunk(output, `${Array.from(columns.keys()).map(escapeCsvValue).join(',')}\r\n`);
+    }
+
+    for await (const record of getRecords()) {
+      const rows = [];
+      splitRecord(unwrapConnections(record), rootTable, null, (table, row) => rows.push({ table, row }));
+
+      for (const { table, row } of rows) {
+        const { output, columns } = outputs.get(table);
+        await writeChunk(output, `${columns.map(column => escapeCsvValue(row[column])).join(',')}\r\n`);
+      }
+    }
+
+    await Promise.all(Array.from(outputs.values()).map(({ output }) => closeStream(output)));
+  } catch (error) {
+    // One failed table stops the export, the other files are closed too
+    outputs.forEach(({ output }) => output.destroy());
+    throw error;
+  }
+
+  return {
+    recordCount,
+    files: Array.from(tables.keys()).map(table => `${table}.csv`)
+  };
+}
+
+/**
+ * Pack the files of a directory into a zip archive
+ * @param {string} dirPath Directory to pack
+ * @param {string} filePath Zip file to write
+ * @returns {Promise<void>}
+ */
+function zipDirectory(dirPath, filePath) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    output.on('error', error => {
+      archive.abort();
+      reject(error);
+    });
+    archive.on('error', error => {
+      output.destroy();
+      reject(error);
+    });
+
+    archive.pipe(output);
+    archive.directory(dirPath, false);
+    archive.finalize();
+  });
+}
+
+/**
+ * Build unique Excel sheet names for the tables, which are snake_case already
+ * but can be longer than Excel allows
+ * @param {Array} tables Table names
+ * @returns {Map} Table name to sheet name
+ */
+function getSheetNames(tables) {
+  const names = new Map();
+  const used = new Set();
+
+  tables.forEach(table => {
+    const base = table.slice(0, MAX_SHEET_NAME_LENGTH);
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+
+    used.add(name.toLowerCase());
+    names.set(table, name);
+  });
+
+  return names;
+}
+
+/**
+ * Write records as an XLSX workbook with one sheet for the records and one
+ * per nested collection. Sheets are streamed one after another, reading the
+ * records once per sheet, so the workbook is never held in memory.
+ * @param {Function} getRecords Returns a new iterable of the records
+ * @param {string} filePath Output file
+ * @param {Object} options Options
+ * @param {string} options.tableName Table name of the top-level records (e.g. orders)
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeXlsx(getRecords, filePath, options = {}) {
+  const rootTable = toSnakeCase(options.tableName || 'records');
+  const { tables, recordCount } = await scanRecords(getRecords, rootTable, true);
+  const sheetNames = getSheetNames(Array.from(tables.keys()));
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    filename: filePath,
+    useStyles: false,
+    useSharedStrings: false
+  });
+
+  for (const [table, columns] of tables) {
+    const worksheet = workbook.addWorksheet(sheetNames.get(table));
+    worksheet.columns = Array.from(columns.keys()).map(column => ({ header: column, key: column }));
+
+    for await (const record of getRecords()) {
+      splitRecord(unwrapConnections(record), rootTable, null, (rowTable, row) => {
+        if (rowTable !== table) return;
+
+        Object.keys(row).forEach(column => {
+          // Excel refuses cells longer than its limit
+          if (typeof row[column] === 'string' && row[column].length > MAX_CELL_LENGTH) {
+            row[column] = row[column].slice(0, MAX_CELL_LENGTH);
+          }
+        });
+        worksheet.addRow(row).commit();
+      });
+    }
+
+    worksheet.commit();
+  }
+
+  await workbook.commit();
+  return recordCount;
+}
+
+/**
+ * Write records as a Parquet file. Columns are typed from their values
+ * (numbers, booleans, everything else as text) and nested collections are
+ * stored as JSON text, like in the CSV export.
+ * @param {Function} getRecords Returns a new iterable of the records
+ * @param {string} filePath Output file
+ * @returns {Promise<number>} Number of records written
+ */
+async function writeParquet(getRecords, filePath) {
+  const { tables, recordCount } = await scanRecords(getRecords, 'records', false);
+  const columns = tables.get('records');
+
+  const fields = {};
+  columns.forEach((type, column) => {
+    fields[column] = {
+      type: type === 'number' ? 'DOUBLE' : type === 'boolean' ? 'BOOLEAN' : 'UTF8',
+      optional: true
+    };
+  });
+
+  // Parquet needs at least one column, so an empty result gets a schema with just an id
+  if (Object.keys(fields).length === 0) {
+    fields.id = { type: 'UTF8', optional: true };
+  }
+
+  const writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), filePath);
+
+  try {
+    for await (const record of getRecords()) {
+      const row = flattenRecord(unwrapConnections(record));
+
+      // Values that don't match the column type are written as text
+      Object.keys(row).forEach(column => {
+        const value = row[column];
+        if (value === null || value === '') {
+          row[column] = null;
+        } else if (fields[column].type === 'UTF8' && typeof value !== 'string') {
+          row[column] = String(value);
+        }
+      });
+
+      await writer.appendRow(row);
+    }
+  } finally {
+    await writer.close();
+  }
+
+  return recordCount;
+}
+
+/**
+ * Export records to a file. The file is written under a temporary name and
+ * renamed when complete, so a failed export never leaves a truncated file.
+ * @param {Function} getRecords Returns a new (async) iterable of the records;
+ *   CSV, XLSX and Parquet read the records more than once
+ * @param {string} format Export format (ndjson, csv, xlsx, parquet)
+ * @param {string} filePath Output file
+ * @param {Object} options Options
+ * @param {string} options.tableName Table name of the top-level records, used for
+ *   XLSX sheets and exploded CSV files (e.g. orders)
+ * @param {boolean} options.explode Write CSV as a zip with one file per table (see writeCsvTables)
+ * @returns {Promise<Object>} { format, filePath, recordCount }
+ */
+async function exportRecords(getRecords, format, filePath, options = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+
+  try {
+    let recordCount;
+    if (format === 'ndjson') {
+      recordCount = await writeNdjson(getRecords, tempPath);
+    } else if (format === 'csv' && options.explode) {
+      const tablesDir = `${filePath}.tables`;
+      try {
+        ({ recordCount } = await writeCsvTables(getRecords, tablesDir, options));
+        await zipDirectory(tablesDir, tempPath);
+      } finally {
+        fs.rmSync(tablesDir, { recursive: true, force: true });
+      }
+    } else if (format === 'csv') {
+      recordCount = await writeCsv(getRecords, tempPath);
+    } else if (format === 'xlsx') {
+      recordCount = await writeXlsx(getRecords, tempPath, options);
+    } else {
+      recordCount = await writeParquet(getRecords, tempPath);
+    }
+
+    fs.renameSync(tempPath, filePath);
+    return { format, filePath, recordCount };
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  unwrapConnections,
+  flattenRecord,
+  writeCsvTables,
+  exportRecords
+};
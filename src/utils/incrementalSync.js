@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { readLines } = require('./recordStream');
+
+const SYNC_DIR = path.join(__dirname, '../../data/sync');
+
+// Records are written to the snapshot in batches of this many lines
+const WRITE_BATCH_SIZE = 1000;
+
+/**
+ * Directory holding the sync state and snapshots of a store
+ * @param {string} storeName Shopify store name
+ * @returns {string} Directory path
+ */
+function getStoreDir(storeName) {
+  // Store names end up in paths, keep them to a safe character set
+  const safeName = String(storeName || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(SYNC_DIR, safeName);
+}
+
+/**
+ * Write a JSON file through a temporary file so readers never see a partial write
+ * @param {string} filePath Target path
+ * @param {*} data Data to write
+ */
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Load the sync state of every resource of a store
+ * @param {string} storeName Shopify store name
+ * @returns {Object} State keyed by resource
+ */
+function loadSyncState(storeName) {
+  const statePath = path.join(getStoreDir(storeName), 'state.json');
+  if (!fs.existsSync(statePath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Error loading sync state for ${storeName}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Get the sync state of one resource
+ * @param {string} storeName Shopify store name
+ * @param {string} resource Resource name
+ * @returns {Object|null} State with highWaterMark, lastSyncAt and recordCount, or null before the first sync
+ */
+function getSyncState(storeName, resource) {
+  return loadSyncState(storeName)[resource] || null;
+}
+
+/**
+ * Forget the sync state and snapshot of a resource, so the next
+ * incremental run downloads everything again
+ * @param {string} storeName Shopify store name
+ * @param {string} resource Resource name
+ * @returns {boolean} Whether there was anything to reset
+ */
+function resetSyncState(storeName, resource) {
+  const state = loadSyncState(storeName);
+  if (!state[resource]) return false;
+
+  delete state[resource];
+  writeJsonAtomic(path.join(getStoreDir(storeName), 'state.json'), state);
+
+  const snapshotPath = getSnapshotPath(storeName, resource);
+  if (fs.existsSync(snapshotPath)) {
+    fs.unlinkSync(snapshotPath);
+  }
+
+  return true;
+}
+
+/**
+ * Path of the merged snapshot of a resource
+ * @param {string} storeName Shopify store name
+ * @param {string} resource Resource name
+ * @returns {string} File path
+ */
+function getSnapshotPath(storeName, resource) {
+  return path.join(getStoreDir(storeName), `${resource}.ndjson`);
+}
+
+/**
+ * Build the search filter that only matches records changed since the last sync.
+ * Records updated in the same second as the mark are fetched again on purpose;
+ * merging by id makes that harmless, while `>` alone could miss them.
+ * @param {string} storeName Shopify store name
+ * @param {string} resource Resource name
+ * @returns {string|null} Search query, or null when there is no earlier sync
+ */
+function getIncrementalFilter(storeName, resource) {
+  const state = getSyncState(storeName, resource);
+  if (!state || !state.highWaterMark) return null;
+
+  return `updated_at:>='${state.highWaterMark}'`;
+}
+
+/**
+ * Latest updatedAt of a list of records
+ * @param {Array} records Records to scan
+ * @returns {string|null} ISO timestamp, or null if no record has updatedAt
+ */
+function getHighWaterMark(records) {
+  return records.reduce((latest, record) => {
+    if (!record || !record.updatedAt) return latest;
+    return !latest || new Date(record.updatedAt) > new Date(latest) ? record.updatedAt : latest;
+  }, null);
+}
+
+/**
+ * Merge changed records into the snapshot of a resource by id and move the
+ * high-water mark forward. Both files are read line by line: the fetched
+ * records are written first, then the snapshot records whose id wasn't
+ * fetched, into a temporary file that replaces the snapshot at the end.
+ * Records without an id can't be merged and are skipped.
+ * @param {string} storeName Shopify store name
+ * @param {string} resource Resource name
+ * @param {string} resultPath NDJSON file with the records fetched by this run
+ * @returns {Promise<Object>} { added, updated, total, highWaterMark, snapshotPath }
+ */
+async function mergeIntoSnapshot(storeName, resource, resultPath) {
+  const snapshotPath = getSnapshotPath(storeName, resource);
+  const tempPath = `${snapshotPath}.tmp`;
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(tempPath, '');
+
+  const fetchedIds = new Set();
+  let fetchedMark = null;
+  let updated = 0;
+  let total = 0;
+  let batch = [];
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    fs.appendFileSync(tempPath, batch.join('\n') + '\n');
+    batch = [];
+  };
+  const keep = (line) => {
+    batch.push(line);
+    total++;
+    if (batch.length >= WRITE_BATCH_SIZE) flush();
+  };
+
+  try {
+    for await (const line of readLines(resultPath)) {
+      const record = JSON.parse(line);
+      if (!record || !record.id || fetchedIds.has(record.id)) continue;
+
+      fetchedIds.add(record.id);
+      fetchedMark = getHighWaterMark([{ updatedAt: fetchedMark }, record]);
+      keep(line);
+    }
+
+    if (fs.existsSync(snapshotPath)) {
+      for await (const line of readLines(snapshotPath)) {
+        if (fetchedIds.has(JSON.parse(line).id)) {
+          updated++;
+        } else {
+          keep(line);
+        }
+      }
+    }
+
+    flush();
+    fs.renameSync(tempPath, snapshotPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  // Never move the mark backwards, e.g. when a run fetched nothing
+  const state = loadSyncState(storeName);
+  const previous = state[resource] || {};
+  const highWaterMark = getHighWaterMark([
+    { updatedAt: previous.highWaterMark },
+    { updatedAt: fetchedMark }
+  ]);
+
+  state[resource] = {
+    highWaterMark,
+    lastSyncAt: new Date().toISOString(),
+    recordCount: total
+  };
+  writeJsonAtomic(path.join(getStoreDir(storeName), 'state.json'), state);
+
+  return {
+    added: fetchedIds.size - updated,
+    updated,
+    total,
+    highWaterMark,
+    snapshotPath
+  };
+}
+
+module.exports = {
+  loadSyncState,
+  getSyncState,
+  resetSyncState,
+  getSnapshotPath,
+  getIncrementalFilter,
+  getHighWaterMark,
+  mergeIntoSnapshot
+};
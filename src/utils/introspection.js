@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { getIntrospectionQuery } = require('graphql');
+
+// The standard full introspection: every type with its fields (deprecated
+// ones included), arguments, input fields, interfaces, enum values and
+// possible types, with type references unwrapped nine levels deep
+const INTROSPECTION_QUERY = getIntrospectionQuery({ descriptions: true });
+
+/**
+ * Introspect the Admin API schema of a store
+ * @param {Object} credentials { storeName, accessToken, apiVersion }
+ * @returns {Promise<Object>} Schema ({ queryType, mutationType, types, directives })
+ */
+async function introspectSchema(credentials) {
+  const { storeName, accessToken, apiVersion } = credentials;
+
+  const response = await axios({
+    url: `https://${storeName}.myshopify.com/admin/api/${apiVersion}/graphql.json`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': accessToken
+    },
+    data: {
+      query: INTROSPECTION_QUERY
+    }
+  });
+
+  if (response.data && response.data.errors) {
+    throw new Error(`Schema introspection failed: ${response.data.errors[0].message}`);
+  }
+
+  if (!response.data || !response.data.data || !response.data.data.__schema) {
+    throw new Error('Invalid schema response structure');
+  }
+
+  return response.data.data.__schema;
+}
+
+/**
+ * Check whether a schema came from the full introspection. Schemas saved by
+ * older versions lack arguments, interfaces and possible types.
+ * @param {Object} schema Schema from introspectSchema
+ * @returns {boolean} Whether the schema is complete
+ */
+function isCompleteSchema(schema) {
+  return Boolean(schema && schema.queryType && Array.isArray(schema.types)) &&
+    schema.types.every(type => 'possibleTypes' in type && 'interfaces' in type && 'enumValues' in type);
+}
+
+module.exports = {
+  INTROSPECTION_QUERY,
+  introspectSchema,
+  isCompleteSchema
+};
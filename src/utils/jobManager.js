@@ -0,0 +1,479 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createRecordWriter, readRecords } = require('./recordStream');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const EXPORTS_DIR = path.join(DATA_DIR, 'exports');
+
+// Statuses after which a job does not change anymore
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+// How often running jobs are written to disk
+const AUTOSAVE_INTERVAL = 2000;
+
+// In-memory registry of all known jobs, keyed by job ID
+const jobs = new Map();
+
+// Cancel and pause controls of running jobs, keyed by job ID. Not persisted:
+// a job that outlives its process is interrupted anyway.
+const controls = new Map();
+
+/**
+ * Ensure the jobs directory exists
+ */
+function ensureJobsDir() {
+  if (!fs.existsSync(JOBS_DIR)) {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Path of a job file
+ * @param {string} id Job ID
+ * @returns {string} File path
+ */
+function getJobPath(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+/**
+ * Check whether a job has reached a final status
+ * @param {Object} job Job
+ * @returns {boolean} Whether the job is finished
+ */
+function isFinished(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Write a job to disk
+ * @param {Object} job Job to save
+ */
+function saveJob(job) {
+  ensureJobsDir();
+
+  job.updatedAt = new Date().toISOString();
+  if (isFinished(job) && !job.finishedAt) {
+    job.finishedAt = job.updatedAt;
+  }
+
+  const filePath = getJobPath(job.id);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(job, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Keep a running job persisted until it finishes
+ * @param {Object} job Job to watch
+ */
+function startAutosave(job) {
+  const timer = setInterval(() => {
+    try {
+      saveJob(job);
+    } catch (error) {
+      console.error(`Error saving job ${job.id}:`, error.message);
+    }
+
+    if (isFinished(job)) {
+      clearInterval(timer);
+    }
+  }, AUTOSAVE_INTERVAL);
+
+  // Don't keep the process alive just to save jobs
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Create and register a new job
+ * @param {Object} options Job options
+ * @param {string} options.type Job type (extract, dependent)
+ * @param {string} options.resource Resource or template name
+ * @param {string} options.query GraphQL query (optional)
+ * @param {string} options.mode Extraction mode (optional)
+ * @param {Object} options.parameters Template parameters of a dependent job (optional)
+ * @param {string} options.profile Connection profile the job runs against (optional)
+ * @param {string} options.message First log message
+ * @returns {Object} The new job
+ */
+function createJob({ type, resource, query = null, mode = null, parameters = null, profile = null, message }) {
+  const job = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+    type,
+    resource,
+    mode,
+    parameters,
+    profile,
+    status: 'initializing',
+    progress: 0,
+    recordsProcessed: 0,
+    totalRecords: 0,
+    logs: message ? [message] : [],
+    query,
+    checkpointId: null,
+    resultFile: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  controls.set(job.id, {
+    abortController: new AbortController(),
+    paused: false,
+    cancelled: false,
+    onContinue: null
+  });
+  saveJob(job);
+  startAutosave(job);
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id Job ID
+ * @returns {Object|null} Job or null if not found
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * List all jobs, newest first
+ * @returns {Array} Job summaries without logs or query text
+ */
+function listJobs() {
+  return [...jobs.values()]
+    .map(getJobSummary)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get the most recently created job
+ * @returns {Object|null} Job or null if there are none
+ */
+function getLatestJob() {
+  const [latest] = listJobs();
+  return latest ? jobs.get(latest.id) : null;
+}
+
+/**
+ * Public view of a job for status responses
+ * @param {Object} job Job
+ * @returns {Object} Job summary
+ */
+function getJobSummary(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    resource: job.resource,
+    mode: job.mode,
+    parameters: job.parameters || null,
+    profile: job.profile || null,
+    status: job.status,
+    paused: Boolean(controls.has(job.id) && controls.get(job.id).paused),
+    progress: job.progress,
+    recordsProcessed: job.recordsProcessed,
+    totalRecords: job.totalRecords,
+    stages: job.stages || null,
+    incomplete: job.incomplete || false,
+    log: job.logs.length > 0 ? job.logs[job.logs.length - 1] : null,
+    logCount: job.logs.length,
+    checkpointId: job.checkpointId,
+    resultFile: job.resultFile,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Name of the result file of a job
+ * @param {Object} job Job
+ * @param {boolean} incomplete Whether the job stopped before fetching everything
+ * @returns {string} File name
+ */
+function getResultFileName(job, incomplete) {
+  // Partial output gets its own suffix so it can't be mistaken for a full export
+  const suffix = incomplete ? '_incomplete' : '';
+  return `${job.resource}_${job.createdAt.split('T')[0]}_${job.id}${suffix}.ndjson`;
+}
+
+/**
+ * Start writing the results of a job. Records are appended to an NDJSON file
+ * in the data directory as they are written, instead of being kept in memory.
+ * @param {Object} job Job the results belong to
+ * @returns {Object} Record writer (see recordStream.createRecordWriter)
+ */
+function createResultWriter(job) {
+  const filename = getResultFileName(job, false);
+  const writer = createRecordWriter(path.join(DATA_DIR, filename));
+
+  job.resultFile = filename;
+  job.incomplete = false;
+  saveJob(job);
+
+  return writer;
+}
+
+/**
+ * Finish the results of a job once it has stopped writing them
+ * @param {Object} job Job
+ * @param {Object} options Options
+ * @param {boolean} options.incomplete Whether the job stopped before fetching everything
+ * @returns {string} Result file name
+ */
+function finalizeJobResults(job, options = {}) {
+  const { incomplete = false } = options;
+
+  if (incomplete) {
+    const filename = getResultFileName(job, true);
+    fs.renameSync(path.join(DATA_DIR, job.resultFile), path.join(DATA_DIR, filename));
+    job.resultFile = filename;
+  }
+
+  job.incomplete = incomplete;
+  saveJob(job);
+
+  return job.resultFile;
+}
+
+/**
+ * Delete the result file of a job that failed, its records live on in the checkpoint
+ * @param {Object} job Job
+ */
+function discardJobResults(job) {
+  const filePath = getJobResultPath(job);
+  if (filePath) {
+    fs.unlinkSync(filePath);
+  }
+
+  job.resultFile = null;
+  saveJob(job);
+}
+
+/**
+ * Save results that are already in memory, e.g. from a bulk or dependent extraction
+ * @param {Object} job Job the results belong to
+ * @param {Array|Object} data Results to save
+ * @param {Object} options Save options
+ * @param {boolean} options.incomplete Whether the job stopped before fetching everything
+ * @returns {string} Result file name
+ */
+function saveJobResults(job, data, options = {}) {
+  const writer = createResultWriter(job);
+  writer.write([].concat(data));
+
+  return finalizeJobResults(job, options);
+}
+
+/**
+ * Path of the result file of a job
+ * @param {Object} job Job
+ * @returns {string|null} File path, or null if the job has no results on disk
+ */
+function getJobResultPath(job) {
+  if (!job.resultFile) return null;
+
+  const filePath = path.join(DATA_DIR, job.resultFile);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Path of an export of the results of a job
+ * @param {Object} job Job with results
+ * @param {string} extension File extension of the export format
+ * @returns {string} File path
+ */
+function getJobExportPath(job, extension) {
+  const baseName = path.basename(job.resultFile, path.extname(job.resultFile));
+  return path.join(EXPORTS_DIR, `${baseName}.${extension}`);
+}
+
+/**
+ * Read a slice of the results of a job
+ * @param {Object} job Job
+ * @param {Object} options Read options
+ * @param {number} options.offset Number of records to skip
+ * @param {number} options.limit Maximum number of records to return
+ * @returns {Promise<Array|null>} Records, or null if the job has no results
+ */
+async function readJobResults(job, options = {}) {
+  const filePath = getJobResultPath(job);
+  if (!filePath) return null;
+
+  return readRecords(filePath, options);
+}
+
+/**
+ * Check whether an error comes from cancelling a job. Aborted axios
+ * requests and aborted waits both use the ERR_CANCELED code.
+ * @param {Error} error Error to check
+ * @returns {boolean} Whether the job was cancelled
+ */
+function isCancelledError(error) {
+  return Boolean(error) && error.code === 'ERR_CANCELED';
+}
+
+/**
+ * Create the error thrown when a job notices it has been cancelled
+ * @returns {Error} Cancellation error
+ */
+function createCancelledError() {
+  const error = new Error('Extraction cancelled');
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+/**
+ * Abort signal of a job, to pass to axios and the throttle
+ * @param {Object} job Job
+ * @returns {AbortSignal|undefined} Signal, or undefined for jobs without controls
+ */
+function getJobSignal(job) {
+  const control = job && controls.get(job.id);
+  return control ? control.abortController.signal : undefined;
+}
+
+/**
+ * Called by extraction loops between pages and batches. Throws if the job
+ * was cancelled and waits while it is paused.
+ * @param {Object} job Job
+ * @returns {Promise<void>}
+ */
+async function waitIfPaused(job) {
+  const control = job && controls.get(job.id);
+  if (!control) return;
+
+  if (control.cancelled) throw createCancelledError();
+  if (!control.paused) return;
+
+  const previousStatus = job.status;
+  job.status = 'paused';
+  job.logs.push('Extraction paused');
+
+  await new Promise(resolve => {
+    control.onContinue = resolve;
+  });
+  control.onContinue = null;
+
+  if (control.cancelled) throw createCancelledError();
+
+  job.status = previousStatus;
+  job.logs.push('Extraction resumed');
+}
+
+/**
+ * Request a running job to pause at its next page or batch
+ * @param {Object} job Job
+ * @returns {boolean} Whether the job can be paused
+ */
+function pauseJob(job) {
+  const control = controls.get(job.id);
+  if (!control || isFinished(job) || control.cancelled) return false;
+
+  if (!control.paused) {
+    control.paused = true;
+    job.logs.push('Pause requested, stopping after the current request...');
+  }
+  return true;
+}
+
+/**
+ * Continue a paused job
+ * @param {Object} job Job
+ * @returns {boolean} Whether the job was paused
+ */
+function continueJob(job) {
+  const control = controls.get(job.id);
+  if (!control || !control.paused || isFinished(job)) return false;
+
+  control.paused = false;
+  if (control.onContinue) {
+    control.onContinue();
+  }
+  return true;
+}
+
+/**
+ * Cancel a running job. In-flight requests are aborted and the job stops at
+ * its next page or batch, keeping whatever it has fetched so far.
+ * @param {Object} job Job
+ * @returns {boolean} Whether the job could be cancelled
+ */
+function cancelJob(job) {
+  const control = controls.get(job.id);
+  if (!control || isFinished(job)) return false;
+
+  if (!control.cancelled) {
+    control.cancelled = true;
+    job.logs.push('Cancellation requested...');
+    control.abortController.abort();
+
+    // Wake up a paused job so it can stop
+    if (control.onContinue) {
+      control.onContinue();
+    }
+  }
+  return true;
+}
+
+/**
+ * Load persisted jobs into the registry. Jobs that were still running
+ * when the server stopped are marked as interrupted.
+ * @returns {number} Number of jobs loaded
+ */
+function loadJobs() {
+  if (!fs.existsSync(JOBS_DIR)) return 0;
+
+  let count = 0;
+  fs.readdirSync(JOBS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, file), 'utf8'));
+
+        if (!isFinished(job)) {
+          job.status = 'interrupted';
+          job.logs.push(job.checkpointId
+            ? `Server restarted while the job was running. Resume with checkpoint ${job.checkpointId}`
+            : 'Server restarted while the job was running');
+          saveJob(job);
+        }
+
+        jobs.set(job.id, job);
+        count++;
+      } catch (error) {
+        console.warn(`Error loading job file ${file}:`, error.message);
+      }
+    });
+
+  return count;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  getLatestJob,
+  listJobs,
+  getJobSummary,
+  saveJob,
+  createResultWriter,
+  finalizeJobResults,
+  discardJobResults,
+  saveJobResults,
+  getJobResultPath,
+  getJobExportPath,
+  readJobResults,
+  loadJobs,
+  isFinished,
+  isCancelledError,
+  getJobSignal,
+  waitIfPaused,
+  pauseJob,
+  continueJob,
+  cancelJob
+};
@@ -0,0 +1,279 @@
+const { Kind, parse, print, visit } = require('graphql');
+
+/**
+ * Check whether a value of a response looks like a connection
+ * @param {*} value Response value
+ * @returns {boolean} True for objects with pageInfo and edges or nodes
+ */
+function isConnection(value) {
+  return Boolean(value) &&
+    typeof value === 'object' &&
+    Boolean(value.pageInfo) &&
+    (Array.isArray(value.edges) || Array.isArray(value.nodes));
+}
+
+/**
+ * Find the connections of a response that have more pages. Only connections
+ * reached through plain objects are returned; findTruncatedItemConnections
+ * finds those inside lists (e.g. the variants of each product of a collection).
+ * @param {Object} data Response data of a single-ID query
+ * @returns {Array} Truncated connections ({ path, cursor })
+ */
+function findTruncatedConnections(data) {
+  const found = [];
+
+  const walk = (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+
+    if (isConnection(value)) {
+      if (value.pageInfo.hasNextPage && value.pageInfo.endCursor) {
+        found.push({ path, cursor: value.pageInfo.endCursor });
+      }
+      return;
+    }
+
+    Object.keys(value).forEach(key => walk(value[key], [...path, key]));
+  };
+
+  walk(data, []);
+  return found;
+}
+
+/**
+ * Get the type of a Shopify global ID (gid://shopify/Product/1 is a Product)
+ * @param {*} id ID of a response object
+ * @returns {string|null} Type name, or null if it isn't a global ID
+ */
+function getGlobalIdType(id) {
+  const match = typeof id === 'string' && id.match(/^gid:\/\/shopify\/([A-Za-z]+)\//);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find the connections with more pages inside list items, e.g. the variants
+ * of each product on a page of products or the line items of each refund of
+ * an order. Each belongs to the closest object with a global ID around it,
+ * which can be looked up again with node(id:) to page through the connection.
+ * @param {Object} data Response data
+ * @returns {Array} Truncated connections ({ item, itemPath, path, cursor }):
+ *   the object they belong to, the response keys leading to it (without list
+ *   indexes), the response keys from it to the connection and the cursor
+ */
+function findTruncatedItemConnections(data) {
+  const found = [];
+
+  const walk = (value, keys, owner, inList) => {
+    if (!value || typeof value !== 'object') return;
+
+    if (Array.isArray(value)) {
+      value.forEach(element => walk(element, keys, null, true));
+      return;
+    }
+
+    if (inList && getGlobalIdType(value.id)) {
+      owner = { item: value, itemPath: keys };
+    }
+
+    if (owner && isConnection(value) && value.pageInfo.hasNextPage && value.pageInfo.endCursor) {
+      found.push({
+        item: owner.item,
+        itemPath: owner.itemPath,
+        path: keys.slice(owner.itemPath.length),
+        cursor: value.pageInfo.endCursor
+      });
+    }
+
+    Object.keys(value).forEach(key => walk(value[key], [...keys, key], owner, inList));
+  };
+
+  walk(data, [], null, false);
+  return found;
+}
+
+/**
+ * Get the key a field is returned under (its alias, if it has one)
+ * @param {Object} field Field node
+ * @returns {string} Response key
+ */
+function getResponseKey(field) {
+  return field.alias ? field.alias.value : field.name.value;
+}
+
+/**
+ * Keep only the selections on the way to the connection at the path and
+ * point the connection at the given cursor
+ * @param {Object} selectionSet Selection set node
+ * @param {Array<string>} path Response keys leading to the connection
+ * @param {string} cursor Cursor to continue after
+ * @returns {Object|null} Narrowed selection set, or null if the path isn't selected
+ */
+function narrowSelectionSet(selectionSet, path, cursor) {
+  if (!selectionSet) return null;
+
+  const [key, ...rest] = path;
+  const selections = [];
+
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const narrowed = narrowSelectionSet(selection.selectionSet, path, cursor);
+      if (narrowed) selections.push({ ...selection, selectionSet: narrowed });
+      return;
+    }
+
+    if (selection.kind !== Kind.FIELD || getResponseKey(selection) !== key) return;
+
+    if (rest.length > 0) {
+      const narrowed = narrowSelectionSet(selection.selectionSet, rest, cursor);
+      if (narrowed) selections.push({ ...selection, selectionSet: narrowed });
+      return;
+    }
+
+    const args = (selection.arguments || []).filter(arg => arg.name.value !== 'after');
+    args.push({
+      kind: Kind.ARGUMENT,
+      name: { kind: Kind.NAME, value: 'after' },
+      value: { kind: Kind.STRING, value: cursor }
+    });
+    selections.push({ ...selection, arguments: args });
+  });
+
+  return selections.length > 0 ? { ...selectionSet, selections } : null;
+}
+
+/**
+ * Build the query for the next page of a nested connection. The query keeps
+ * only the fields leading to the connection, so the parent's other fields
+ * and connections aren't fetched again.
+ * @param {string} query Single-ID query the connection came from
+ * @param {Array<string>} path Response keys leading to the connection
+ * @param {string} cursor endCursor of the last page
+ * @returns {string} Query for the next page
+ */
+function buildConnectionPageQuery(query, path, cursor) {
+  const document = parse(query);
+  const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  const selectionSet = narrowSelectionSet(operation.selectionSet, path, cursor);
+
+  if (!selectionSet) {
+    throw new Error(`Connection ${path.join('.')} is not selected by the query`);
+  }
+
+  // Drop variables only the removed fields used, GraphQL rejects unused ones
+  const narrowed = { ...operation, selectionSet };
+  const usedVariables = new Set();
+  visit(narrowed.selectionSet, {
+    Variable(node) {
+      usedVariables.add(node.name.value);
+    }
+  });
+
+  narrowed.variableDefinitions = (operation.variableDefinitions || [])
+    .filter(definition => usedVariables.has(definition.variable.name.value));
+
+  return print({ ...document, definitions: [narrowed] });
+}
+
+/**
+ * Get the selections of the objects at a path of response keys, merged
+ * across the fields and inline fragments that select them
+ * @param {Object} selectionSet Selection set node
+ * @param {Array<string>} path Response keys
+ * @returns {Object|null} Selection set, or null if the path isn't selected
+ */
+function getSelectionSetAtPath(selectionSet, path) {
+  return path.reduce((current, key) => {
+    if (!current) return null;
+
+    const selections = [];
+    const collect = set => set.selections.forEach(selection => {
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        collect(selection.selectionSet);
+      } else if (selection.kind === Kind.FIELD && getResponseKey(selection) === key && selection.selectionSet) {
+        selections.push(...selection.selectionSet.selections);
+      }
+    });
+    collect(current);
+
+    return selections.length > 0 ? { kind: Kind.SELECTION_SET, selections } : null;
+  }, selectionSet);
+}
+
+/**
+ * Build the query for the next page of a connection inside a list item
+ * (see findTruncatedItemConnections). The item is looked up again with
+ * node(id:), keeping only the fields leading to the connection, so the page
+ * comes back at node followed by the path.
+ * @param {string} query Query the item came from
+ * @param {Object} variables Variables of that query
+ * @param {Object} connection Truncated connection ({ item, itemPath, path })
+ * @param {string} cursor endCursor of the last page
+ * @returns {Object} { query, variables } for the next page
+ */
+function buildItemConnectionPageQuery(query, variables, { item, itemPath, path }, cursor) {
+  const document = parse(query);
+  const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  const selectionSet = narrowSelectionSet(getSelectionSetAtPath(operation.selectionSet, itemPath), path, cursor);
+
+  if (!selectionSet) {
+    throw new Error(`Connection ${[...itemPath, ...path].join('.')} is not selected by the query`);
+  }
+
+  const usedVariables = new Set();
+  visit(selectionSet, {
+    Variable(node) {
+      usedVariables.add(node.name.value);
+    }
+  });
+
+  const variableDefinitions = (operation.variableDefinitions || [])
+    .filter(definition => usedVariables.has(definition.variable.name.value));
+  const pageVariables = { itemId: item.id };
+  usedVariables.forEach(name => {
+    if (variables && name in variables) pageVariables[name] = variables[name];
+  });
+
+  return {
+    query: print(parse(`
+      query GetNextItemConnectionPage($itemId: ID!${variableDefinitions.map(definition => `, ${print(definition)}`).join('')}) {
+        node(id: $itemId) {
+          ... on ${getGlobalIdType(item.id)} ${print(selectionSet)}
+        }
+      }
+    `)),
+    variables: pageVariables
+  };
+}
+
+/**
+ * Get the value at a path of response keys
+ * @param {Object} data Response data
+ * @param {Array<string>} path Response keys
+ * @returns {*} Value, or undefined
+ */
+function getAtPath(data, path) {
+  return path.reduce((value, key) => (value ? value[key] : undefined), data);
+}
+
+/**
+ * Append a page of a connection to the connection it continues
+ * @param {Object} connection Connection collected so far (modified)
+ * @param {Object} page Next page of the same connection
+ */
+function appendConnectionPage(connection, page) {
+  if (Array.isArray(connection.edges) && Array.isArray(page.edges)) {
+    connection.edges.push(...page.edges);
+  }
+  if (Array.isArray(connection.nodes) && Array.isArray(page.nodes)) {
+    connection.nodes.push(...page.nodes);
+  }
+  connection.pageInfo = { ...connection.pageInfo, ...page.pageInfo };
+}
+
+module.exports = {
+  findTruncatedConnections,
+  findTruncatedItemConnections,
+  buildConnectionPageQuery,
+  buildItemConnectionPageQuery,
+  getAtPath,
+  appendConnectionPage
+};
@@ -1,16 +1,36 @@
 const fs = require('fs');
 const path = require('path');
 const { executeQuery } = require('../graphql');
+const { getConnectionPage } = require('./customQueries');
+const { createRecordWriter } = require('./recordStream');
+const {
+  createCheckpoint,
+  findCheckpoint,
+  deleteCheckpoint,
+  recordPage,
+  failCheckpoint,
+  keepCheckpointRecords,
+  keepRecordsOfFile,
+  resumeCheckpoint
+} = require('./checkpoints');
 
 /**
  * Handles paginated data extraction from Shopify GraphQL API
  * @param {string} queryName - Name of the query for file naming
  * @param {string} query - GraphQL query
  * @param {Object} variables - Query variables
- * @param {string} dataPath - Path in response to access edges (e.g., 'products')
- * @returns {Promise<Array>} - Array of all fetched items
+ * @param {string|Array<string>} dataPath - Path in response to the connection (e.g., 'products' or ['shop', 'products'])
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.resume - Continue from a saved checkpoint if one exists
+ * @param {string} options.cursorVariable - Variable holding the page cursor (default: after)
+ * @param {boolean} options.custom - The query was written by hand, recorded in the checkpoint
+ * @param {string} options.profile - Connection profile the query runs against, checkpoints are kept per profile
+ * @returns {Promise<Object>} - { filePath, count }: NDJSON file with all fetched items and their number
  */
-async function fetchAllPages(queryName, query, variables, dataPath) {
+async function fetchAllPages(queryName, query, variables, dataPath, options = {}) {
+  const { cursorVariable = 'after', custom = false, profile = null } = options;
+  const connectionPath = Array.isArray(dataPath) ? dataPath : [dataPath];
+  
   const dataDir = path.join(__dirname, '../../data');
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir);
@@ -20,26 +40,57 @@ async function fetchAllPages(queryName, query, variables, dataPath) {
   
   let hasNextPage = true;
   let cursor = null;
-  let allItems = [];
   let pageCount = 0;
   
+  const filePath = path.join(dataDir, `${queryName}_all.ndjson`);
+  let checkpoint = options.resume ? findCheckpoint(queryName, query, variables, profile) : null;
+  
+  // A run that was killed left its records in the file the writer is about to start over
+  keepRecordsOfFile(filePath);
+  
+  // Pages are appended to the file as they arrive instead of piling up in memory
+  const writer = createRecordWriter(filePath);
+  
+  if (checkpoint) {
+    // Continue after the last page that was written
+    await resumeCheckpoint(checkpoint, writer);
+    cursor = checkpoint.endCursor;
+    pageCount = checkpoint.pageCount;
+    console.log(`Resuming ${queryName} from page ${pageCount + 1} (${writer.count} items already fetched)`);
+  } else {
+    if (options.resume) {
+      console.log(`No checkpoint found for ${queryName}, starting from the first page`);
+    } else if (findCheckpoint(queryName, query, variables, profile)) {
+      console.log(`An earlier run of ${queryName} left a checkpoint, it is kept. Run with --resume to continue that run instead`);
+    }
+    checkpoint = createCheckpoint({
+      resource: queryName,
+      query,
+      variables,
+      custom,
+      connectionPath: custom ? connectionPath.join('.') : null,
+      profile,
+      recordsPath: writer.filePath
+    });
+  }
+  
   while (hasNextPage) {
     pageCount++;
     console.log(`Fetching page ${pageCount} of ${queryName}...`);
     
     // Update cursor for pagination
-    const pageVariables = { ...variables, after: cursor };
+    const pageVariables = { ...variables, [cursorVariable]: cursor };
     
     try {
       const response = await executeQuery(query, pageVariables);
       
-      // Extract data from response using the provided path
-      const data = response.data[dataPath];
-      const edges = data.edges || [];
+      if (response.errors && !response.data) {
+        throw new Error(`GraphQL Error: ${response.errors[0].message}`);
+      }
       
-      // Extract items from edges and add to collection
-      const pageItems = edges.map(edge => edge.node);
-      allItems = [...allItems, ...pageItems];
+      // Extract items from the connection at the provided path and append them to the file
+      const { items: pageItems, pageInfo } = getConnectionPage(response.data, connectionPath);
+      writer.write(pageItems);
       
       // Save each page as we go for fault tolerance
       fs.writeFileSync(
@@ -48,30 +99,32 @@ async function fetchAllPages(queryName, query, variables, dataPath) {
       );
       
       // Check if there are more pages
-      hasNextPage = data.pageInfo.hasNextPage;
-      cursor = data.pageInfo.endCursor;
+      hasNextPage = pageInfo.hasNextPage;
+      cursor = pageInfo.endCursor;
       
-      console.log(`Extracted ${edges.length} items from page ${pageCount}`);
+      // Persist the cursor so a failure later on can resume from here
+      recordPage(checkpoint, pageItems, cursor);
       
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
+      console.log(`Extracted ${pageItems.length} items from page ${pageCount}`);
     } catch (error) {
       console.error(`Error fetching page ${pageCount} of ${queryName}:`, error.message);
       if (error.response && error.response.data) {
         console.error('API Error:', error.response.data);
       }
-      break;
+      
+      // Keep the checkpoint and fail loudly instead of returning partial data as complete
+      failCheckpoint(checkpoint, error);
+      keepCheckpointRecords(checkpoint, writer.filePath);
+      console.error(`Progress saved after page ${checkpoint.pageCount} (${checkpoint.recordsWritten} items). Run again with --resume to continue.`);
+      throw error;
     }
   }
   
-  // Save all items to a consolidated file
-  fs.writeFileSync(
-    path.join(dataDir, `${queryName}_all.json`),
-    JSON.stringify(allItems, null, 2)
-  );
+  // The extraction is complete, the checkpoint is no longer needed
+  deleteCheckpoint(checkpoint.id);
   
-  console.log(`Completed extraction for ${queryName}. Total items: ${allItems.length}`);
-  return allItems;
+  console.log(`Completed extraction for ${queryName}. Total items: ${writer.count}`);
+  return { filePath: writer.filePath, count: writer.count };
 }
 
 module.exports = {
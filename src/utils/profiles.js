@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE = path.join(__dirname, '../../data/profiles.json');
+
+// Names are shown in the UI and used on the command line
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,63}$/;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_CHECK = 'shopify-data-extractor-profiles';
+const DEFAULT_API_VERSION = '2025-01';
+
+// Deriving the key is deliberately slow, so it is done once per master key and salt
+let derivedKey = null;
+
+/**
+ * ID of a profile, its name in lower case with other characters turned
+ * into dashes. Profiles can be addressed by name or ID.
+ * @param {string} name Profile name
+ * @returns {string} ID
+ */
+function getProfileId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Whether a master key is set to encrypt and decrypt profiles with
+ * @returns {boolean} True when PROFILES_MASTER_KEY is set
+ */
+function hasMasterKey() {
+  return Boolean(process.env.PROFILES_MASTER_KEY);
+}
+
+/**
+ * Derive the encryption key from the master key
+ * @param {string} salt Base64 salt of the profiles file
+ * @returns {Buffer} 256-bit key
+ */
+function getKey(salt) {
+  const masterKey = process.env.PROFILES_MASTER_KEY;
+  if (!masterKey) {
+    throw new Error('Set PROFILES_MASTER_KEY to store and use connection profiles');
+  }
+
+  if (!derivedKey || derivedKey.masterKey !== masterKey || derivedKey.salt !== salt) {
+    derivedKey = { masterKey, salt, key: crypto.scryptSync(masterKey, Buffer.from(salt, 'base64'), 32) };
+  }
+  return derivedKey.key;
+}
+
+/**
+ * Encrypt a value with AES-256-GCM. The associated data ties the result to
+ * its profile, so encrypted secrets can't be swapped between profiles.
+ * @param {*} value JSON serializable value
+ * @param {string} salt Base64 salt of the profiles file
+ * @param {string} associatedData Profile ID
+ * @returns {Object} { iv, tag, data } in base64
+ */
+function encrypt(value, salt, associatedData) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getKey(salt), iv);
+  cipher.setAAD(Buffer.from(associatedData));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a value from encrypt
+ * @param {Object} encrypted { iv, tag, data }
+ * @param {string} salt Base64 salt of the profiles file
+ * @param {string} associatedData Profile ID
+ * @returns {*} Decrypted value
+ */
+function decrypt(encrypted, salt, associatedData) {
+  const decipher = crypto.createDecipheriv(CIPHER, getKey(salt), Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAAD(Buffer.from(associatedData));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error('Could not decrypt the connection profiles, PROFILES_MASTER_KEY is not the key they were saved with');
+  }
+}
+
+/**
+ * Load the profiles file
+ * @returns {Object} { version, salt, keyCheck, profiles }, empty when there is no file yet
+ */
+function loadProfilesFile() {
+  const file = fs.existsSync(PROFILES_FILE)
+    ? JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'))
+    : { version: 1, salt: null, keyCheck: null, profiles: {} };
+
+  // Without a prototype, IDs such as constructor or tostring are only ever profiles
+  file.profiles = Object.assign(Object.create(null), file.profiles);
+  return file;
+}
+
+/**
+ * Save the profiles file, readable by the owner only. Written to a temporary
+ * file first so a crash mid-write never loses the profiles.
+ * @param {Object} file Profiles file
+ */
+function saveProfilesFile(file) {
+  fs.mkdirSync(path.dirname(PROFILES_FILE), { recursive: true });
+
+  const tempPath = `${PROFILES_FILE}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, PROFILES_FILE);
+}
+
+/**
+ * Check a profile before it is saved
+ * @param {Object} profile { name, storeName, clientId, accessToken, apiVersion }
+ * @param {Object} options Options
+ * @param {boolean} options.isNew Whether the profile doesn't exist yet, so its secrets are required
+ * @returns {Array<string>} Error messages, empty when it can be saved
+ */
+function validateProfile({ name, storeName, clientId, accessToken, apiVersion }, options = {}) {
+  const { isNew = true } = options;
+  const errors = [];
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || !getProfileId(name)) {
+    errors.push('Name must be 1-64 letters, digits, spaces, dots, dashes or underscores, starting with a letter or digit');
+  }
+  if (typeof storeName !== 'string' || !/^[a-z0-9][a-z0-9-]*$/i.test(storeName)) {
+    errors.push('Store name is required, without .myshopify.com');
+  }
+  if (isNew && !clientId) {
+    errors.push('Client ID is required');
+  }
+  if (isNew && !accessToken) {
+    errors.push('Access token is required');
+  }
+  if (apiVersion && !/^\d{4}-\d{2}$|^unstable$/.test(apiVersion)) {
+    errors.push('API version must look like 2025-01');
+  }
+
+  return errors;
+}
+
+/**
+ * Summary of a stored profile, without its secrets
+ * @param {Object} stored Stored profile
+ * @returns {Object} { id, name, storeName, apiVersion, createdAt, updatedAt }
+ */
+function summarize({ id, name, storeName, apiVersion, createdAt, updatedAt }) {
+  return { id, name, storeName, apiVersion, createdAt, updatedAt };
+}
+
+/**
+ * Save a profile under its name, replacing an earlier version. The client
+ * ID and access token are encrypted with the master key; when they are left
+ * out, those of the earlier version are kept.
+ * @param {Object} profile Profile to save
+ * @param {string} profile.name Name
+ * @param {string} profile.storeName Store name, without .myshopify.com
+ * @param {string} profile.clientId Client ID (optional when updating)
+ * @param {string} profile.accessToken Admin API access token (optional when updating)
+ * @param {string} profile.apiVersion API version (optional)
+ * @returns {Object} Saved profile, without its secrets
+ */
+function saveProfile({ name, storeName, clientId, accessToken, apiVersion }) {
+  const file = loadProfilesFile();
+
+  // New files get their own salt and a value to recognize the master key by
+  if (!file.salt) {
+    file.salt = crypto.randomBytes(16).toString('base64');
+    file.keyCheck = encrypt(KEY_CHECK, file.salt, 'key-check');
+  } else {
+    // Refuse to mix profiles encrypted with different keys in one file
+    decrypt(file.keyCheck, file.salt, 'key-check');
+  }
+
+  const id = getProfileId(name);
+  const existing = file.profiles[id];
+  const secrets = existing ? decrypt(existing.secrets, file.salt, id) : {};
+  const now = new Date().toISOString();
+
+  file.profiles[id] = {
+    id,
+    name,
+    storeName,
+    apiVersion: apiVersion || (existing && existing.apiVersion) || DEFAULT_API_VERSION,
+    secrets: encrypt({
+      clientId: clientId || secrets.clientId,
+      accessToken: accessToken || secrets.accessToken
+    }, file.salt, id),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  saveProfilesFile(file);
+  return summarize(file.profiles[id]);
+}
+
+/**
+ * Load a profile with its decrypted credentials
+ * @param {string} name Profile name or ID
+ * @returns {Object|null} { id, name, storeName, clientId, accessToken, apiVersion }, or null if there is none
+ */
+function getProfile(name) {
+  const id = getProfileId(name);
+  const file = loadProfilesFile();
+  const stored = id ? file.profiles[id] : null;
+  if (!stored) return null;
+
+  const { clientId, accessToken } = decrypt(stored.secrets, file.salt, id);
+  return {
+    id,
+    name: stored.name,
+    storeName: stored.storeName,
+    clientId,
+    accessToken,
+    apiVersion: stored.apiVersion
+  };
+}
+
+/**
+ * Whether a profile exists. Doesn't need the master key.
+ * @param {string} name Profile name or ID
+ * @returns {boolean} True when there is a profile by that name
+ */
+function profileExists(name) {
+  const id = getProfileId(name);
+  return Boolean(id && loadProfilesFile().profiles[id]);
+}
+
+/**
+ * List the profiles, without their secrets. Doesn't need the master key.
+ * @returns {Array<Object>} { id, name, storeName, apiVersion, createdAt, updatedAt }, sorted by name
+ */
+function listProfiles() {
+  return Object.values(loadProfilesFile().profiles)
+    .map(summarize)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete a profile
+ * @param {string} name Profile name or ID
+ * @returns {boolean} Whether there was a profile to delete
+ */
+function deleteProfile(name) {
+  const id = getProfileId(name);
+  const file = loadProfilesFile();
+  if (!id || !file.profiles[id]) return false;
+
+  delete file.profiles[id];
+
+  // Once the last profile is gone, the next one may be saved with another master key
+  if (Object.keys(file.profiles).length === 0) {
+    file.salt = null;
+    file.keyCheck = null;
+  }
+
+  saveProfilesFile(file);
+  return true;
+}
+
+module.exports = {
+  getProfileId,
+  hasMasterKey,
+  validateProfile,
+  saveProfile,
+  getProfile,
+  profileExists,
+  listProfiles,
+  deleteProfile
+};
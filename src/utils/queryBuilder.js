@@ -6,185 +6,552 @@ const {
   isScalarType,
   isEnumType,
   isObjectType,
-  getResourceTypeName
+  isAbstractType,
+  getResourceTypeName,
+  getConnectionArguments,
+  getFullTypeName
 } = require('./schema');
+const { FILTER_ARGUMENTS } = require('./searchFilters');
+const { Kind, parse } = require('graphql');
+const { validateQuery, pruneInvalidSelections } = require('./queryValidation');
+
+// İç içe bağlantılardan varsayılan olarak çekilen kayıt sayısı
+const NESTED_CONNECTION_SIZE = 10;
+
+// Shopify bir bağlantı sayfasında en fazla 250 kayıt döndürür
+const MAX_CONNECTION_SIZE = 250;
+
+// Kayıt düğümünün altındaki seçim derinliği: kayıt alanları 1. seviyedir,
+// priceRangeV2.minVariantPrice.amount gibi bir yol 3 seviye iner. Varsayılan
+// seçim derinlik sınırında durur, adıyla istenen yollar en fazla MAX_SELECTION_DEPTH iner.
+const DEFAULT_SELECTION_DEPTH = 3;
+const MAX_SELECTION_DEPTH = 6;
+
+// Bu sayıdan fazla tipi olan union ve interface'ler için inline fragment yazılmaz
+const MAX_FRAGMENT_TYPES = 10;
 
 /**
- * Dinamik GraphQL sorgusu oluşturur
- * @param {Array} schemaTypes Şema tipleri listesi
- * @param {string} resourceType Kaynak tipi (products, orders, customers)
- * @param {Array} selectedFields Seçilen alanlar (opsiyonel)
- * @returns {string} GraphQL sorgusu
+ * Alanın değeri verilmesi gereken (varsayılanı olmayan, non-null) argümanlarını döndürür
+ * @param {Object} field Şema alanı
+ * @returns {Array} Zorunlu argümanlar
  */
-function buildDynamicQuery(schemaTypes, resourceType, selectedFields = []) {
-  const resourceTypeName = getResourceTypeName(resourceType);
-  let resourceFields = getTypeFields(schemaTypes, resourceTypeName);
+function getRequiredArguments(field) {
+  return (field.args || []).filter(arg => arg.type && arg.type.kind === 'NON_NULL' && arg.defaultValue == null);
+}
+
+/**
+ * Alanın argümanlarını oluşturur. Bağlantılar ilk sayfayı `first` ile ister,
+ * sayfa boyutu dışındaki zorunlu argümanlar için bir değer tahmin edilemez.
+ * @param {Object} field Şema alanı
+ * @param {Object} fieldType Alanın gerçek tipi
+ * @param {number} pageSize Bağlantının sayfa boyutu
+ * @returns {Object} { text, missing } - text "(first: 10)" gibi, missing verilemeyen zorunlu argümanlar
+ */
+function buildFieldArguments(field, fieldType, pageSize = NESTED_CONNECTION_SIZE) {
+  const args = field.args || [];
+  const values = {};
   
-  // Belirli alanlar seçilmişse onları kullan, yoksa tüm alanları al
-  if (selectedFields && selectedFields.length > 0) {
-    resourceFields = resourceFields.filter(field => 
-      selectedFields.includes(field.name));
+  // Argüman bilgisi olmayan şemalarda bağlantılar yine de first alır
+  if (isConnectionType(fieldType) && (args.length === 0 || args.some(arg => arg.name === 'first'))) {
+    values.first = pageSize;
   }
   
-  // Sorgu başlangıcı
-  let query = `
-query Get${resourceTypeName}s($first: Int!, $after: String) {
-  ${resourceType}(first: $first, after: $after) {
-    pageInfo {
-      hasNextPage
-      endCursor
+  const missing = [];
+  getRequiredArguments(field)
+    .filter(arg => values[arg.name] === undefined)
+    .forEach(arg => {
+      if (arg.name === 'first' || arg.name === 'last') {
+        values[arg.name] = pageSize;
+      } else {
+        missing.push(arg.name);
+      }
+    });
+  
+  const entries = Object.entries(values);
+  return {
+    text: entries.length > 0 ? `(${entries.map(([name, value]) => `${name}: ${value}`).join(', ')})` : '',
+    missing
+  };
+}
+
+/**
+ * Bağlantı tipinin düğüm (node) tipini bulur
+ * @param {Array} schemaTypes Şema tipleri listesi
+ * @param {Object} connectionType Bağlantı tipi
+ * @returns {string} Düğüm tipi adı
+ */
+function getConnectionNodeTypeName(schemaTypes, connectionType) {
+  const edgeType = getFieldType(schemaTypes, connectionType.name, 'edges');
+  const nodeType = edgeType && getFieldType(schemaTypes, edgeType.name, 'node');
+  return nodeType ? nodeType.name : connectionType.name.replace('Connection', '');
+}
+
+/**
+ * Bir tipin alan yollarında seçilebilecek alanlarını, seçim arayüzü için
+ * açıklamalarıyla döndürür. Her alan, altına inilebiliyorsa inilecek tipi
+ * (bağlantılarda düğüm tipi) ve değeri verilemeyen zorunlu argümanlarını taşır.
+ * Soyut tiplerde olası tiplerin eklediği alanlar da, tanımlandıkları tiple listelenir.
+ * @param {Array} schemaTypes Şema tipleri listesi
+ * @param {string} typeName Tip adı
+ * @returns {Array<Object>|null} Alanlar ({ ...alan, expandsTo, requiredArguments, onType }), tip yoksa null
+ */
+function getSelectableFields(schemaTypes, typeName) {
+  const type = schemaTypes.find(t => t.name === typeName);
+  if (!type || !(type.fields || isAbstractType(type))) return null;
+  
+  const describe = (field, parentName) => {
+    const fieldType = getFieldType(schemaTypes, parentName, field.name);
+    let expandsTo = null;
+    if (fieldType && isConnectionType(fieldType)) {
+      expandsTo = getConnectionNodeTypeName(schemaTypes, fieldType);
+    } else if (fieldType && (isObjectType(fieldType) || isAbstractType(fieldType))) {
+      expandsTo = fieldType.name;
     }
-    edges {
-      node {`;
+    
+    return {
+      ...field,
+      expandsTo,
+      requiredArguments: fieldType ? buildFieldArguments(field, fieldType).missing : [],
+      onType: parentName === typeName ? null : parentName
+    };
+  };
   
-  // Her alan için sorgu oluştur
-  resourceFields.forEach(field => {
-    // Dahili alanları atla
-    if (field.name.startsWith('__')) return;
+  const isSelectable = field => !field.name.startsWith('__') && !field.isDeprecated;
+  const fields = getTypeFields(schemaTypes, typeName).filter(isSelectable).map(field => describe(field, typeName));
+  
+  const possibleTypes = isAbstractType(type) ? type.possibleTypes || [] : [];
+  if (possibleTypes.length <= MAX_FRAGMENT_TYPES) {
+    possibleTypes.forEach(possibleType => {
+      getTypeFields(schemaTypes, possibleType.name)
+        .filter(field => isSelectable(field) && !fields.some(existing => existing.name === field.name))
+        .forEach(field => fields.push(describe(field, possibleType.name)));
+    });
+  }
+  
+  return fields;
+}
+
+/**
+ * Seçilen alan yollarını bir ağaca çevirir. "variants.inventoryItem.unitCost.amount"
+ * gibi yollar bağlantıların edges/node katmanını atlar; sonu bir nesnede biten
+ * yol ("priceRangeV2") o nesnenin varsayılan seçimini ister.
+ * @param {Array<string>} selectedFields Alan yolları
+ * @returns {Object} Kök düğüm ({ whole, children: Map })
+ */
+function parseFieldPaths(selectedFields) {
+  const root = { whole: false, children: new Map() };
+  
+  selectedFields.forEach(fieldPath => {
+    let node = root;
+    String(fieldPath).split('.').map(name => name.trim()).filter(Boolean).forEach(name => {
+      if (!node.children.has(name)) {
+        node.children.set(name, { whole: false, children: new Map() });
+      }
+      node = node.children.get(name);
+    });
+    if (node !== root) node.whole = true;
+  });
+  
+  return root;
+}
+
+/**
+ * Bir tipin seçimini oluşturur. İstenmeyen (ya da sonu bu tipte biten) yollar
+ * için varsayılan seçim yapılır: eskimemiş ve argüman istemeyen tüm skalar
+ * alanlar, derinlik sınırına kadar iç içe nesneler. Bağlantılar varsayılan
+ * seçimde yalnızca kayıt düzeyinde izlenir, daha derindekiler adıyla istenmelidir.
+ * Varsayılan seçim yoldaki bir tipe geri dönen alanları döngü olarak atlar.
+ * Union tipler her olası tip için bir inline fragment alır; interface'ler kendi
+ * alanlarına ek olarak olası tiplerin diğer alanlarını fragment'larla seçer.
+ * @param {Object} context { schemaTypes, maxDepth, connectionSizes, usedSizes, warnings }
+ * @param {string} typeName Tip adı
+ * @param {Object|null} request Yol ağacı düğümü, null ise varsayılan seçim
+ * @param {Object} position { depth, path, ancestors } - seçilen alanların seviyesi, alan yolu ve üst tipler
+ * @returns {Array<Object>} Seçim öğeleri
+ */
+function buildSelection(context, typeName, request, position) {
+  const { schemaTypes, maxDepth, warnings } = context;
+  const { depth, path, ancestors } = position;
+  const type = schemaTypes.find(t => t.name === typeName);
+  if (!type) return [];
+  
+  const items = new Map();
+  const abstract = isAbstractType(type);
+  const fields = getTypeFields(schemaTypes, typeName).filter(field => !field.name.startsWith('__'));
+  const next = name => ({ depth: depth + 1, path: [...path, name], ancestors: [...ancestors, typeName] });
+  
+  /**
+   * Bir alanın seçim öğesini oluşturur
+   * @param {Object} field Şema alanı
+   * @param {string} parentName Alanın tanımlandığı tip
+   * @param {Object|null} child Alanın yol ağacı düğümü, null ise varsayılan seçim
+   * @returns {Object|null} Seçim öğesi, alan seçilemiyorsa null
+   */
+  const buildItem = (field, parentName, child) => {
+    const fieldType = getFieldType(schemaTypes, parentName, field.name);
+    if (!fieldType) return null;
     
-    const fieldType = getFieldType(schemaTypes, resourceTypeName, field.name);
-    if (!fieldType) return;
+    const fieldPath = [...path, field.name].join('.');
+    const explicit = child !== null;
+    const connection = isConnectionType(fieldType);
+    
+    let pageSize = NESTED_CONNECTION_SIZE;
+    if (connection && context.connectionSizes[fieldPath] !== undefined) {
+      pageSize = context.connectionSizes[fieldPath];
+      context.usedSizes.add(fieldPath);
+    }
+    
+    // Değeri bilinmeyen zorunlu argümanı olan alanlar sorgulanamaz
+    const args = buildFieldArguments(field, fieldType, pageSize);
+    if (args.missing.length > 0) {
+      if (explicit) {
+        warnings.push(`Skipped ${fieldPath}: it needs the ${args.missing.join(', ')} argument${args.missing.length > 1 ? 's' : ''}`);
+      }
+      return null;
+    }
+    
+    const item = { name: field.name, args: args.text, responseType: getFullTypeName(field.type), connection, selection: null };
     
     if (isScalarType(fieldType) || isEnumType(fieldType)) {
-      // Basit tip (string, int, enum vs.)
-      query += `
-        ${field.name}`;
-    } 
-    else if (isObjectType(fieldType)) {
-      // Karmaşık nesne alanları
-      if (isConnectionType(fieldType)) {
-        // Bağlantı tipi (edges/node yapısı)
-        const connectionNodeType = fieldType.name.replace('Connection', '');
-        const nodeFields = getTypeFields(schemaTypes, connectionNodeType);
-        
-        if (nodeFields.length > 0) {
-          query += `
-        ${field.name}(first: 10) {
-          edges {
-            node {
-              id`;
-          
-          // Bağlantı tipinin ilk 5 alanını ekle (ID zaten eklendi)
-          nodeFields
-            .filter(f => f.name !== 'id' && !f.name.startsWith('__'))
-            .slice(0, 5)
-            .forEach(subField => {
-              const subFieldType = getFieldType(schemaTypes, connectionNodeType, subField.name);
-              if (isScalarType(subFieldType) || isEnumType(subFieldType)) {
-                query += `
-              ${subField.name}`;
-              }
-            });
-          
-          query += `
-            }
+      if (explicit && child.children.size > 0) {
+        warnings.push(`Ignored ${fieldPath}.${[...child.children.keys()].join(', ')}: ${fieldPath} is a ${fieldType.name} and has no subfields`);
+      }
+    } else if (connection || isObjectType(fieldType) || isAbstractType(fieldType)) {
+      const targetName = connection ? getConnectionNodeTypeName(schemaTypes, fieldType) : fieldType.name;
+      
+      // Adıyla istenen yollar derinlik sınırını aşabilir, ama en fazla MAX_SELECTION_DEPTH seviye iner
+      if (depth >= (explicit ? MAX_SELECTION_DEPTH : maxDepth)) {
+        if (explicit) warnings.push(`Skipped ${fieldPath}: its fields are deeper than the maximum depth of ${MAX_SELECTION_DEPTH}`);
+        return null;
+      }
+      
+      if (!explicit && (ancestors.includes(targetName) || targetName === typeName)) return null;
+      
+      // Alt yollar atlandıysa nedenleri zaten uyarılarda
+      const warningCount = warnings.length;
+      item.selection = buildSelection(context, targetName, child, next(field.name));
+      if (item.selection.length === 0) {
+        if (explicit && warnings.length === warningCount) warnings.push(`Skipped ${fieldPath}: none of its fields can be selected`);
+        return null;
+      }
+    } else {
+      return null;
+    }
+    
+    if (field.isDeprecated && explicit) {
+      warnings.push(`${fieldPath} is deprecated${field.deprecationReason ? `: ${field.deprecationReason}` : ''}`);
+    }
+    
+    return item;
+  };
+  
+  // Varsayılan seçim
+  if (!request || request.whole) {
+    const candidates = type.kind === 'UNION' ? [] : fields.filter(field => {
+      if (field.isDeprecated) return false;
+      
+      // Bağlantılar varsayılan seçimde yalnızca kayıt düzeyinde izlenir
+      const fieldType = getFieldType(schemaTypes, typeName, field.name);
+      return !(fieldType && isConnectionType(fieldType) && depth > 1);
+    });
+    
+    // Varsa id önce gelir
+    candidates.sort((a, b) => (b.name === 'id') - (a.name === 'id'));
+    candidates.forEach(field => {
+      const item = buildItem(field, typeName, null);
+      if (item) items.set(item.name, item);
+    });
+    
+    if (abstract) {
+      // Aynı adla farklı tipte dönen alanlar fragment'lar arasında birleştirilemez
+      const responseTypes = {};
+      items.forEach(item => { responseTypes[item.name] = item.responseType; });
+      
+      const possibleTypes = type.possibleTypes || [];
+      if (possibleTypes.length <= MAX_FRAGMENT_TYPES) {
+        possibleTypes.forEach(possibleType => {
+          const selection = buildSelection(context, possibleType.name, null, position).filter(item => {
+            if (items.has(item.name)) return false;
+            if (responseTypes[item.name] && responseTypes[item.name] !== item.responseType) return false;
+            responseTypes[item.name] = item.responseType;
+            return true;
+          });
+          if (selection.length > 0) {
+            items.set(`... on ${possibleType.name}`, { fragment: possibleType.name, selection });
           }
-        }`;
+        });
+      }
+    }
+  }
+  
+  // Adıyla istenen alanlar varsayılan seçimdeki aynı adlı alanın yerini alır
+  if (request) {
+    request.children.forEach((child, name) => {
+      let parentName = typeName;
+      let field = fields.find(f => f.name === name);
+      
+      // Soyut tiplerde alan olası tiplerden birinde olabilir, fragment ile seçilir
+      if (!field && abstract) {
+        const owner = (type.possibleTypes || [])
+          .find(possibleType => getTypeFields(schemaTypes, possibleType.name).some(f => f.name === name));
+        if (owner) {
+          parentName = owner.name;
+          field = getTypeFields(schemaTypes, owner.name).find(f => f.name === name);
         }
+      }
+      
+      if (!field) {
+        warnings.push(`Skipped ${[...path, name].join('.')}: ${typeName} has no ${name} field`);
+        return;
+      }
+      
+      const item = buildItem(field, parentName, child);
+      if (!item) return;
+      
+      if (parentName === typeName) {
+        items.set(name, item);
       } else {
-        // Normal obje tipi
-        const subFields = getTypeFields(schemaTypes, fieldType.name);
-        
-        if (subFields.length > 0) {
-          query += `
-        ${field.name} {
-          id`;
-          
-          // Objenin ilk 5 alanını ekle (ID zaten eklendi)
-          subFields
-            .filter(f => f.name !== 'id' && !f.name.startsWith('__') && (
-              isScalarType(getFieldType(schemaTypes, fieldType.name, f.name)) || 
-              isEnumType(getFieldType(schemaTypes, fieldType.name, f.name))
-            ))
-            .slice(0, 5)
-            .forEach(subField => {
-              query += `
-          ${subField.name}`;
-            });
-          
-          query += `
-        }`;
-        }
+        const key = `... on ${parentName}`;
+        if (!items.has(key)) items.set(key, { fragment: parentName, selection: [] });
+        const fragment = items.get(key);
+        fragment.selection = fragment.selection.filter(existing => existing.name !== name).concat(item);
       }
+    });
+  }
+  
+  // Sadece __typename seçilebilecekse alan atlanır
+  if (items.size === 0) return [];
+  
+  // Soyut tiplerde dönen nesnenin tipi __typename ile belli olur
+  const selection = [...items.values()];
+  return abstract ? [{ name: '__typename', args: '', responseType: 'String!', selection: null }, ...selection] : selection;
+}
+
+/**
+ * Seçim öğelerini sorgu satırlarına çevirir
+ * @param {Array<Object>} selection Seçim öğeleri
+ * @param {string} indent Satır girintisi
+ * @returns {Array<string>} Satırlar
+ */
+function renderSelection(selection, indent) {
+  const lines = [];
+  
+  selection.forEach(item => {
+    if (item.fragment) {
+      lines.push(`${indent}... on ${item.fragment} {`, ...renderSelection(item.selection, `${indent}  `), `${indent}}`);
+    } else if (!item.selection) {
+      lines.push(`${indent}${item.name}${item.args}`);
+    } else if (item.connection) {
+      lines.push(
+        `${indent}${item.name}${item.args} {`,
+        `${indent}  edges {`,
+        `${indent}    node {`,
+        ...renderSelection(item.selection, `${indent}      `),
+        `${indent}    }`,
+        `${indent}  }`,
+        `${indent}}`
+      );
+    } else {
+      lines.push(`${indent}${item.name}${item.args} {`, ...renderSelection(item.selection, `${indent}  `), `${indent}}`);
     }
   });
   
-  // Sorguyu kapat
-  query += `
+  return lines;
+}
+
+/**
+ * Dinamik sorgu seçeneklerini doğrular
+ * @param {Object} options { depth, connectionSizes }
+ * @returns {Array<string>} Hata mesajları, geçerliyse boş
+ */
+function validateSelectionOptions(options = {}) {
+  const { depth, connectionSizes } = options;
+  const errors = [];
+  
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 1 || depth > MAX_SELECTION_DEPTH)) {
+    errors.push(`depth must be an integer between 1 and ${MAX_SELECTION_DEPTH}`);
+  }
+  
+  if (connectionSizes !== undefined) {
+    if (!connectionSizes || typeof connectionSizes !== 'object' || Array.isArray(connectionSizes)) {
+      errors.push('connectionSizes must be an object of field paths and page sizes');
+    } else {
+      Object.entries(connectionSizes).forEach(([fieldPath, size]) => {
+        if (!Number.isInteger(size) || size < 1 || size > MAX_CONNECTION_SIZE) {
+          errors.push(`connectionSizes.${fieldPath} must be an integer between 1 and ${MAX_CONNECTION_SIZE}`);
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Dinamik GraphQL sorgusu oluşturur, atlanan ve eskimiş alanlar için uyarılarla.
+ * Seçilen alanlar kayıt alanları ("title") ya da iç içe yollar
+ * ("variants.inventoryItem.unitCost.amount") olabilir.
+ * @param {Array} schemaTypes Şema tipleri listesi
+ * @param {string} resourceType Kaynak tipi (products, orders, customers)
+ * @param {Array} selectedFields Seçilen alanlar ve alan yolları (opsiyonel)
+ * @param {Object} options Seçenekler (opsiyonel)
+ * @param {number} options.depth Varsayılan seçimin kayıt düğümünün altına inebileceği derinlik (varsayılan 3)
+ * @param {Object} options.connectionSizes Alan yoluna göre iç içe bağlantıların sayfa boyutları, örn. { variants: 50 }
+ * @returns {Object} { query, warnings }
+ */
+function buildDynamicQueryWithWarnings(schemaTypes, resourceType, selectedFields = [], options = {}) {
+  const resourceTypeName = getResourceTypeName(resourceType);
+  const { depth = DEFAULT_SELECTION_DEPTH, connectionSizes = {} } = options;
+  const context = {
+    schemaTypes,
+    maxDepth: Math.min(Math.max(depth, 1), MAX_SELECTION_DEPTH),
+    connectionSizes,
+    usedSizes: new Set(),
+    warnings: []
+  };
+  
+  // Belirli alanlar seçilmişse onları kullan, yoksa eskimemiş tüm alanları al
+  const request = selectedFields && selectedFields.length > 0 ? parseFieldPaths(selectedFields) : null;
+  const position = { depth: 1, path: [], ancestors: [] };
+  let selection = buildSelection(context, resourceTypeName, request, position);
+  
+  // Boş seçim geçerli bir sorgu değildir
+  if (selection.length === 0 && request) {
+    context.warnings.push('None of the selected fields can be queried, using the default selection');
+    selection = buildSelection(context, resourceTypeName, null, position);
+  }
+  
+  Object.keys(connectionSizes)
+    .filter(fieldPath => !context.usedSizes.has(fieldPath))
+    .forEach(fieldPath => context.warnings.push(`Ignored the page size of ${fieldPath}: it is not a selected connection`));
+  
+  // Expose the filter arguments (query, sortKey, reverse) the connection accepts
+  const filterArgs = getConnectionArguments(schemaTypes, resourceType)
+    .filter(arg => FILTER_ARGUMENTS.includes(arg.name));
+  const variableDefinitions = ['$first: Int!', '$after: String']
+    .concat(filterArgs.map(arg => `$${arg.name}: ${getFullTypeName(arg.type).replace(/!$/, '')}`))
+    .join(', ');
+  const connectionArguments = ['first: $first', 'after: $after']
+    .concat(filterArgs.map(arg => `${arg.name}: $${arg.name}`))
+    .join(', ');
+  
+  const query = `
+query Get${resourceTypeName}s(${variableDefinitions}) {
+  ${resourceType}(${connectionArguments}) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+${renderSelection(selection, '        ').join('\n')}
       }
     }
   }
 }`;
   
+  return { query, warnings: context.warnings };
+}
+
+/**
+ * Dinamik GraphQL sorgusu oluşturur
+ * @param {Array} schemaTypes Şema tipleri listesi
+ * @param {string} resourceType Kaynak tipi (products, orders, customers)
+ * @param {Array} selectedFields Seçilen alanlar ve alan yolları (opsiyonel)
+ * @param {Object} options Seçenekler, bkz. buildDynamicQueryWithWarnings (opsiyonel)
+ * @returns {string} GraphQL sorgusu
+ */
+function buildDynamicQuery(schemaTypes, resourceType, selectedFields = [], options = {}) {
+  const { query, warnings } = buildDynamicQueryWithWarnings(schemaTypes, resourceType, selectedFields, options);
+  warnings.forEach(warning => console.warn(`Dynamic ${resourceType} query: ${warning}`));
   return query;
 }
 
 /**
- * Önceden tanımlı sorguları güncellemek için alan doğrulama
+ * Bağlantı sorgusunun kayıt düzeyindeki (edges.node altındaki) alan adlarını döndürür
+ * @param {string} queryString GraphQL sorgu metni
+ * @returns {Array<string>} Alan adları
+ */
+function getRecordFieldNames(queryString) {
+  const operation = parse(queryString).definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  const findField = (selectionSet, name) => (selectionSet ? selectionSet.selections : [])
+    .find(selection => selection.kind === Kind.FIELD && selection.name.value === name);
+  
+  const [connection] = operation.selectionSet.selections;
+  const node = findField(findField(connection.selectionSet, 'edges')?.selectionSet, 'node');
+  
+  return node && node.selectionSet
+    ? node.selectionSet.selections.filter(selection => selection.kind === Kind.FIELD).map(selection => selection.name.value)
+    : [];
+}
+
+/**
+ * Sorguyu şemaya göre doğrular: sorgu AST'ye çevrilir ve her alan, argüman,
+ * fragment ve değişken introspection ile karşılaştırılır
  * @param {Array} schemaTypes Şema tipleri listesi
  * @param {string} queryString GraphQL sorgu metni
- * @returns {boolean} Sorgu güncel ve güvenli mi?
+ * @returns {Object} { valid, errors, warnings } - her hata { kind, message, path, line, column }
  */
 function validateQueryAgainstSchema(schemaTypes, queryString) {
-  // Basit bir doğrulama: GraphQL sorgu içindeki alan adlarını çıkar
-  // ve şemada var mı kontrol et
-  
-  // Örneğin "fields" satırlarını bul
-  const fieldLines = queryString.split('\n')
-    .map(line => line.trim())
-    .filter(line => 
-      line.length > 0 && 
-      !line.startsWith('#') && 
-      !line.includes('{') && 
-      !line.includes('}') &&
-      !line.includes('query') &&
-      !line.includes('(') &&
-      !line.includes('pageInfo') &&
-      !line.includes('edges') &&
-      !line.includes('node')
-    );
-  
-  // Her alanın türünü belirle (basit alan, bağlantı vs.)
-  // Bu kod gerçek bir uygulama için geliştirilmeli
-  // Şu anki haliyle basit bir kontrol
-  return true;
+  return validateQuery(schemaTypes, queryString);
 }
 
 /**
- * Önceden tanımlı sorguyu şema ile doğrulayıp gerekirse günceller
+ * Önceden tanımlı sorguyu şema ile doğrulayıp gerekirse günceller. Şemada
+ * olmayan alanlar sorgudan çıkarılır, sorgunun geri kalanı korunur. Sorgu bu
+ * şekilde düzeltilemiyorsa dinamik sorgu oluşturulur.
  * @param {Array} schemaTypes Şema tipleri listesi
  * @param {string} resourceType Kaynak tipi
  * @param {Object} predefinedData Önceden tanımlı sorgu ve alanlar
- * @returns {Object} Doğrulanmış sorgu ve alanlar
+ * @returns {Object} Doğrulanmış sorgu ve alanlar ({ query, fields, removedFields, errors })
  */
 function validateAndUpdatePredefinedQuery(schemaTypes, resourceType, predefinedData) {
+  const fallback = (errors) => ({
+    query: buildDynamicQuery(schemaTypes, resourceType),
+    fields: predefinedData.fields,
+    removedFields: [],
+    errors
+  });
+
   try {
-    const isValid = validateQueryAgainstSchema(schemaTypes, predefinedData.query);
+    const validation = validateQueryAgainstSchema(schemaTypes, predefinedData.query);
     
-    if (isValid) {
+    if (validation.valid) {
       return predefinedData;
     }
     
-    // Sorgu geçerli değilse, dinamik sorgu oluştur
-    console.warn(`Predefined query for ${resourceType} validation failed, generating dynamic query instead`);
-    const newQuery = buildDynamicQuery(schemaTypes, resourceType);
+    // Sadece geçersiz alanları çıkar
+    const pruned = pruneInvalidSelections(schemaTypes, predefinedData.query);
+    
+    if (!pruned.query) {
+      // Sorgu düzeltilemiyorsa, dinamik sorgu oluştur
+      console.warn(`Predefined query for ${resourceType} validation failed, generating dynamic query instead: ${pruned.errors.map(error => error.message).join('; ')}`);
+      return fallback(validation.errors);
+    }
+    
+    const removedFields = [...new Set(pruned.removed.map(problem => problem.path.join('.')))];
+    console.warn(`Removed from the predefined ${resourceType} query: ${pruned.removed.map(problem => `${problem.path.join('.')} (${problem.message})`).join('; ')}`);
+    
+    // Sorgudan tamamen çıkan kayıt alanlarını alan listesinden de çıkar
+    const recordFields = getRecordFieldNames(pruned.query);
     
     return {
-      query: newQuery,
-      fields: predefinedData.fields
+      query: pruned.query,
+      fields: predefinedData.fields.filter(field => recordFields.includes(field)),
+      removedFields,
+      errors: validation.errors
     };
   } catch (error) {
     console.warn(`Error validating predefined query: ${error.message}`);
-    const newQuery = buildDynamicQuery(schemaTypes, resourceType);
-    return {
-      query: newQuery,
-      fields: predefinedData.fields 
-    };
+    return fallback([{ kind: 'internal', message: error.message, path: [] }]);
   }
 }
 
 module.exports = {
   buildDynamicQuery,
+  buildDynamicQueryWithWarnings,
+  validateSelectionOptions,
+  getSelectableFields,
   validateQueryAgainstSchema,
   validateAndUpdatePredefinedQuery
 };
\ No newline at end of file
@@ -0,0 +1,588 @@
+const {
+  GraphQLSchema,
+  Kind,
+  buildClientSchema,
+  doTypesOverlap,
+  parse,
+  print,
+  specifiedDirectives,
+  validate,
+  visit
+} = require('graphql');
+
+// Input types a variable can be declared with
+const INPUT_KINDS = ['SCALAR', 'ENUM', 'INPUT_OBJECT'];
+
+// Kind of problem a validation error is, by the first node it reports
+const ERROR_KINDS = {
+  [Kind.VARIABLE_DEFINITION]: 'variable',
+  [Kind.VARIABLE]: 'variable',
+  [Kind.ARGUMENT]: 'argument',
+  [Kind.FIELD]: 'field',
+  [Kind.FRAGMENT_DEFINITION]: 'fragment',
+  [Kind.FRAGMENT_SPREAD]: 'fragment',
+  [Kind.INLINE_FRAGMENT]: 'fragment'
+};
+
+// Schema type maps, built once per types list
+const typeMaps = new WeakMap();
+
+// Executable schemas for graphql-js, built once per types list and query type
+const clientSchemas = new WeakMap();
+
+/**
+ * Index a list of schema types by name
+ * @param {Array} schemaTypes Schema types from an introspection
+ * @returns {Map<string, Object>} Types by name
+ */
+function getTypeMap(schemaTypes) {
+  if (!typeMaps.has(schemaTypes)) {
+    typeMaps.set(schemaTypes, new Map(schemaTypes.map(type => [type.name, type])));
+  }
+  return typeMaps.get(schemaTypes);
+}
+
+/**
+ * Build an executable schema from a list of introspected types, so queries
+ * can be validated by graphql-js
+ * @param {Array} schemaTypes Schema types from a full introspection
+ * @param {string} queryTypeName Name of the query root type
+ * @returns {GraphQLSchema} Schema
+ */
+function getClientSchema(schemaTypes, queryTypeName) {
+  if (!clientSchemas.has(schemaTypes)) {
+    clientSchemas.set(schemaTypes, new Map());
+  }
+
+  const schemas = clientSchemas.get(schemaTypes);
+  if (!schemas.has(queryTypeName)) {
+    const schema = buildClientSchema({
+      __schema: { queryType: { name: queryTypeName }, types: schemaTypes, directives: [] }
+    }, { assumeValid: true });
+
+    // Only the types are passed around, so @include and @skip have to be added back
+    schemas.set(queryTypeName, new GraphQLSchema({ ...schema.toConfig(), directives: specifiedDirectives, assumeValid: true }));
+  }
+  return schemas.get(queryTypeName);
+}
+
+/**
+ * Unwrap NON_NULL and LIST wrappers of an introspection type
+ * @param {Object} type Introspection type
+ * @returns {Object} Named type
+ */
+function unwrapType(type) {
+  let current = type;
+  while (current && current.ofType && (current.kind === 'NON_NULL' || current.kind === 'LIST')) {
+    current = current.ofType;
+  }
+  return current;
+}
+
+/**
+ * Get the named type of a type node of a variable definition
+ * @param {Object} typeNode Type node
+ * @returns {string} Type name
+ */
+function getNamedTypeNode(typeNode) {
+  let current = typeNode;
+  while (current.kind !== Kind.NAMED_TYPE) {
+    current = current.type;
+  }
+  return current.name.value;
+}
+
+/**
+ * Walk a parsed query against the schema and collect its problems. Each
+ * problem keeps the AST node it is about and, when dropping that node makes
+ * the query valid again, a `prune` flag. Whether a query is valid is up to
+ * graphql-js; the walk gives its errors a field path and finds what to prune.
+ * @param {Map<string, Object>} types Types by name
+ * @param {GraphQLSchema} schema Schema from getClientSchema
+ * @param {string} queryTypeName Name of the query root type
+ * @param {Object} document Parsed query
+ * @returns {Object} { problems, paths } with the problems ({ kind, severity,
+ *   message, path, node, prune }) and the field path of every node walked
+ */
+function collectProblems(types, schema, queryTypeName, document) {
+  const problems = [];
+  const seen = new Set();
+  const paths = new Map();
+
+  // Every node below this one is about the same field
+  const setPath = (node, path) => {
+    visit(node, {
+      enter(child) {
+        paths.set(child, path);
+      }
+    });
+  };
+
+  const report = (problem) => {
+    const key = `${problem.severity}|${(problem.path || []).join('.')}|${problem.message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    problems.push({ severity: 'error', prune: false, path: [], ...problem });
+  };
+
+  const fragments = new Map();
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(definition => fragments.set(definition.name.value, definition));
+
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(definition => {
+      const typeName = definition.typeCondition.name.value;
+      paths.set(definition, [`fragment ${definition.name.value}`]);
+      paths.set(definition.typeCondition, [`fragment ${definition.name.value}`]);
+      if (!types.has(typeName)) {
+        report({
+          kind: 'fragment',
+          message: `Unknown type '${typeName}' in fragment '${definition.name.value}'`,
+          path: [`fragment ${definition.name.value}`],
+          node: definition,
+          prune: true
+        });
+      }
+    });
+
+  const usedFragments = new Set();
+  visit(document, {
+    FragmentSpread(node) {
+      usedFragments.add(node.name.value);
+    }
+  });
+
+  const walk = (selectionSet, typeName, path, context) => {
+    const type = types.get(typeName);
+
+    // A fragment on a type that doesn't overlap with the parent can never match
+    const canApply = fragmentType => doTypesOverlap(schema, schema.getType(typeName), schema.getType(fragmentType));
+
+    selectionSet.selections.forEach(selection => {
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const fragmentType = selection.typeCondition ? selection.typeCondition.name.value : typeName;
+        paths.set(selection, path);
+        if (selection.typeCondition) {
+          paths.set(selection.typeCondition, path);
+        }
+
+        if (!types.has(fragmentType)) {
+          report({
+            kind: 'fragment',
+            message: `Unknown type '${fragmentType}' in inline fragment`,
+            path,
+            node: selection,
+            prune: true
+          });
+          return;
+        }
+        if (!canApply(fragmentType)) {
+          report({
+            kind: 'fragment',
+            message: `Inline fragment on '${fragmentType}' can never apply to type '${typeName}'`,
+            path,
+            node: selection,
+            prune: true
+          });
+          return;
+        }
+        walk(selection.selectionSet, fragmentType, path, context);
+        return;
+      }
+
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const name = selection.name.value;
+        const fragment = fragments.get(name);
+        setPath(selection, path);
+
+        if (!fragment) {
+          report({ kind: 'fragment', message: `Unknown fragment '${name}'`, path, node: selection, prune: true });
+          return;
+        }
+        if (context.fragmentStack.includes(name)) {
+          report({ kind: 'fragment', message: `Fragment '${name}' spreads itself`, path, node: selection, prune: true });
+          return;
+        }
+
+        const fragmentType = fragment.typeCondition.name.value;
+        if (types.has(fragmentType) && !canApply(fragmentType)) {
+          report({
+            kind: 'fragment',
+            message: `Fragment '${name}' on '${fragmentType}' can never apply to type '${typeName}'`,
+            path,
+            node: selection,
+            prune: true
+          });
+        } else if (types.has(fragmentType)) {
+          walk(fragment.selectionSet, fragmentType, path, {
+            ...context,
+            fragmentStack: [...context.fragmentStack, name]
+          });
+        }
+        return;
+      }
+
+      const fieldName = selection.name.value;
+      if (fieldName.startsWith('__')) return;
+
+      const fieldPath = [...path, fieldName];
+      paths.set(selection, fieldPath);
+      paths.set(selection.name, fieldPath);
+      (selection.arguments || []).forEach(argument => setPath(argument, fieldPath));
+      if (selection.selectionSet) {
+        paths.set(selection.selectionSet, fieldPath);
+      }
+
+      const field = type && type.fields ? type.fields.find(candidate => candidate.name === fieldName) : null;
+
+      if (!field) {
+        report({
+          kind: 'field',
+          message: `Field '${fieldName}' doesn't exist on type '${typeName}'`,
+          path: fieldPath,
+          node: selection,
+          prune: true
+        });
+        return;
+      }
+
+      if (field.isDeprecated) {
+        report({
+          kind: 'deprecation',
+          severity: 'warning',
+          message: `Field '${fieldName}' is deprecated${field.deprecationReason ? ` (${field.deprecationReason})` : ''}`,
+          path: fieldPath,
+          node: selection
+        });
+      }
+
+      // Schemas introspected without argument details can't have their arguments checked
+      if (Array.isArray(field.args)) {
+        const given = selection.arguments || [];
+
+        given.forEach(argument => {
+          const argName = argument.name.value;
+          const definition = field.args.find(arg => arg.name === argName);
+
+          if (!definition) {
+            report({
+              kind: 'argument',
+              message: `Unknown argument '${argName}' on field '${typeName}.${fieldName}'`,
+              path: fieldPath,
+              node: argument,
+              prune: true
+            });
+          }
+        });
+
+        field.args
+          .filter(arg => arg.type && arg.type.kind === 'NON_NULL' && arg.defaultValue == null)
+          .filter(arg => !given.some(argument => argument.name.value === arg.name))
+          .forEach(arg => {
+            report({
+              kind: 'argument',
+              message: `Missing required argument '${arg.name}' on field '${typeName}.${fieldName}'`,
+              path: fieldPath,
+              node: selection,
+              prune: true
+            });
+          });
+      }
+
+      const fieldType = unwrapType(field.type);
+      const isLeaf = fieldType.kind === 'SCALAR' || fieldType.kind === 'ENUM';
+
+      if (selection.selectionSet) {
+        if (isLeaf) {
+          report({
+            kind: 'selection',
+            message: `Field '${fieldName}' is a ${fieldType.name} and can't have a selection`,
+            path: fieldPath,
+            node: selection,
+            prune: true
+          });
+        } else {
+          walk(selection.selectionSet, fieldType.name, fieldPath, context);
+        }
+      } else if (!isLeaf) {
+        report({
+          kind: 'selection',
+          message: `Field '${fieldName}' of type '${fieldType.name}' needs a selection of subfields`,
+          path: fieldPath,
+          node: selection,
+          prune: true
+        });
+      }
+    });
+  };
+
+  document.definitions
+    .filter(definition => definition.kind === Kind.OPERATION_DEFINITION)
+    .forEach(operation => {
+      if (operation.operation !== 'query') {
+        report({ kind: 'operation', message: `Only queries are supported, found a ${operation.operation}`, node: operation });
+        return;
+      }
+
+      const variables = new Map();
+      (operation.variableDefinitions || []).forEach(definition => {
+        const name = definition.variable.name.value;
+        const typeName = getNamedTypeNode(definition.type);
+        const type = types.get(typeName);
+        variables.set(name, definition);
+
+        if (!type || !INPUT_KINDS.includes(type.kind)) {
+          report({
+            kind: 'variable',
+            message: type
+              ? `Variable '$${name}' can't be of type '${typeName}', it isn't an input type`
+              : `Variable '$${name}' has an unknown type '${typeName}'`,
+            node: definition
+          });
+        }
+      });
+
+      walk(operation.selectionSet, queryTypeName, [], { fragmentStack: [] });
+
+      // Every variable has to be declared, and every declared one used
+      const used = new Map();
+      const collectVariables = (node, visited) => {
+        visit(node, {
+          VariableDefinition: () => false,
+          Variable(variable) {
+            if (!used.has(variable.name.value)) used.set(variable.name.value, variable);
+          },
+          FragmentSpread(spread) {
+            const name = spread.name.value;
+            if (fragments.has(name) && !visited.has(name)) {
+              visited.add(name);
+              collectVariables(fragments.get(name), visited);
+            }
+          }
+        });
+      };
+      collectVariables(operation, new Set());
+
+      used.forEach((variable, name) => {
+        if (!variables.has(name)) {
+          report({ kind: 'variable', message: `Variable '$${name}' is not declared`, node: variable });
+        }
+      });
+      variables.forEach((definition, name) => {
+        if (!used.has(name)) {
+          report({ kind: 'variable', message: `Variable '$${name}' is declared but never used`, node: definition, prune: true });
+        }
+      });
+    });
+
+  fragments.forEach((definition, name) => {
+    if (!usedFragments.has(name)) {
+      report({
+        kind: 'fragment',
+        message: `Fragment '${name}' is never used`,
+        path: [`fragment ${name}`],
+        node: definition,
+        prune: true
+      });
+    }
+  });
+
+  return { problems, paths };
+}
+
+/**
+ * Turn a problem into its public shape, with the position in the query
+ * @param {Object} problem Problem from collectProblems
+ * @returns {Object} { kind, message, path, line, column }
+ */
+function toResult(problem) {
+  const { kind, message, path } = problem;
+  const result = { kind, message, path };
+  if (problem.node && problem.node.loc) {
+    const { line, column } = problem.node.loc.startToken;
+    result.line = line;
+    result.column = column;
+  }
+  return result;
+}
+
+/**
+ * Turn a graphql-js validation error into its public shape. When the walk
+ * found a problem with the same node, that problem is used instead, since
+ * its message names the field path.
+ * @param {GraphQLError} error Validation error
+ * @param {Array<Object>} problems Problems from collectProblems
+ * @param {Map<Object, Array<string>>} paths Field paths of the nodes from collectProblems
+ * @returns {Object} { kind, message, path, line, column }
+ */
+function fromValidationError(error, problems, paths) {
+  const nodes = error.nodes || [];
+  const isAbout = node => Boolean(node) && nodes.includes(node);
+
+  const problem = problems.find(candidate => candidate.severity === 'error' &&
+    ['', 'name', 'type', 'typeCondition', 'selectionSet'].some(key => isAbout(key ? candidate.node[key] : candidate.node)));
+  if (problem) return toResult(problem);
+
+  const node = nodes.find(candidate => paths.has(candidate));
+  const [location] = error.locations || [];
+  return { kind: ERROR_KINDS[nodes.length > 0 ? nodes[0].kind : null] || 'validation', message: error.message, path: node ? paths.get(node) : [], ...location };
+}
+
+/**
+ * Validate a GraphQL query against the introspected schema. Whether the
+ * query is valid is decided by graphql-js, with all the rules of the spec:
+ * fields must exist on their type, arguments must be known and required ones
+ * given, objects need a selection while scalars can't have one, fragments
+ * must be defined on known types that can apply where they are spread, and
+ * variables must be declared, used, and of a type (lists and non-null
+ * included) that fits every argument they're passed to. Only queries are
+ * accepted, and deprecated fields are reported as warnings.
+ * @param {Array} schemaTypes Schema types from an introspection
+ * @param {string} query GraphQL query
+ * @param {Object} options { queryTypeName } (defaults to QueryRoot)
+ * @returns {Object} { valid, errors, warnings } where each problem is
+ *   { kind, message, path, line, column } and path lists the field names
+ *   from the query root
+ */
+function validateQuery(schemaTypes, query, options = {}) {
+  const { queryTypeName = 'QueryRoot' } = options;
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    const [location] = error.locations || [];
+    return {
+      valid: false,
+      errors: [{ kind: 'syntax', message: `Syntax error: ${error.message}`, path: [], ...location }],
+      warnings: []
+    };
+  }
+
+  const schema = getClientSchema(schemaTypes, queryTypeName);
+  const { problems, paths } = collectProblems(getTypeMap(schemaTypes), schema, queryTypeName, document);
+
+  // Several rules can report the same node, it is listed once
+  const errors = [];
+  const seen = new Set();
+  const addError = result => {
+    const key = `${result.path.join('.')}|${result.message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    errors.push(result);
+  };
+
+  validate(schema, document).forEach(error => addError(fromValidationError(error, problems, paths)));
+
+  // Mutations are valid GraphQL, but an extraction only ever reads
+  problems.filter(problem => problem.kind === 'operation').forEach(problem => addError(toResult(problem)));
+
+  const warnings = problems.filter(problem => problem.severity === 'warning').map(toResult);
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Remove the parts of a query that don't match the schema: unknown fields,
+ * arguments and fragments, fields missing a required argument or with a
+ * wrong selection. Fields and fragments left without a selection go with
+ * them, as do the variables and fragments nothing uses anymore.
+ * @param {Array} schemaTypes Schema types from an introspection
+ * @param {string} query GraphQL query
+ * @param {Object} options { queryTypeName } (defaults to QueryRoot)
+ * @returns {Object} { query, removed, errors } where query is null when the
+ *   query can't be fixed by removing parts of it, removed lists the problems
+ *   that were pruned and errors the ones left
+ */
+function pruneInvalidSelections(schemaTypes, query, options = {}) {
+  const { queryTypeName = 'QueryRoot' } = options;
+  const types = getTypeMap(schemaTypes);
+  const schema = getClientSchema(schemaTypes, queryTypeName);
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { query: null, removed: [], errors: validateQuery(schemaTypes, query, options).errors };
+  }
+
+  const problems = collectProblems(types, schema, queryTypeName, document).problems.filter(problem => problem.severity === 'error');
+  const removable = new Set(problems.filter(problem => problem.prune).map(problem => problem.node));
+
+  let pruned = visit(document, {
+    enter(node) {
+      return removable.has(node) ? null : undefined;
+    }
+  });
+
+  // Removing a field can empty its parent, which then has to go too. Repeat
+  // until nothing changes, since emptied fragments empty their spreads.
+  let printed = null;
+  while (printed !== print(pruned)) {
+    printed = print(pruned);
+
+    const fragmentNames = new Set(pruned.definitions
+      .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION && definition.selectionSet.selections.length > 0)
+      .map(definition => definition.name.value));
+
+    pruned = visit(pruned, {
+      FragmentSpread(node) {
+        return fragmentNames.has(node.name.value) ? undefined : null;
+      },
+      leave(node) {
+        if ((node.kind === Kind.FIELD || node.kind === Kind.INLINE_FRAGMENT) &&
+            node.selectionSet && node.selectionSet.selections.length === 0) {
+          return null;
+        }
+        return undefined;
+      }
+    });
+
+    const spreads = new Set();
+    visit(pruned, {
+      FragmentSpread(node) {
+        spreads.add(node.name.value);
+      }
+    });
+
+    pruned = {
+      ...pruned,
+      definitions: pruned.definitions
+        .filter(definition => definition.kind !== Kind.FRAGMENT_DEFINITION || spreads.has(definition.name.value))
+        .map(definition => {
+          if (definition.kind !== Kind.OPERATION_DEFINITION) return definition;
+
+          const used = new Set();
+          visit(pruned, {
+            VariableDefinition: () => false,
+            Variable(node) {
+              used.add(node.name.value);
+            }
+          });
+          return {
+            ...definition,
+            variableDefinitions: (definition.variableDefinitions || [])
+              .filter(variable => used.has(variable.variable.name.value))
+          };
+        })
+    };
+  }
+
+  const operation = pruned.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  const result = operation && operation.selectionSet.selections.length > 0 ? print(pruned) : null;
+  const remaining = result ? validateQuery(schemaTypes, result, options).errors : problems.map(toResult);
+
+  return {
+    query: result && remaining.length === 0 ? result : null,
+    removed: problems.filter(problem => problem.prune).map(toResult),
+    errors: remaining
+  };
+}
+
+module.exports = {
+  getTypeMap,
+  validateQuery,
+  pruneInvalidSelections
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Create a writer that appends records to an NDJSON file, one record per line.
+ * Each call only serializes the records it is given, so memory use stays flat
+ * however many pages are written.
+ * @param {string} filePath File to write, truncated if it exists
+ * @returns {Object} Writer with write(records) and the number of records written
+ */
+function createRecordWriter(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '');
+
+  const writer = {
+    filePath,
+    count: 0,
+    write(records) {
+      if (!records || records.length === 0) return;
+
+      const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+      fs.appendFileSync(filePath, lines);
+      writer.count += records.length;
+    }
+  };
+
+  return writer;
+}
+
+/**
+ * Iterate over the lines of an NDJSON file without loading it
+ * @param {string} filePath NDJSON file
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+async function* readLines(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      if (line.trim().length > 0) {
+        yield line;
+      }
+    }
+  } finally {
+    // Stop reading when the caller breaks out early
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Read a slice of the records of a file. NDJSON files are read line by line
+ * and reading stops after the slice; JSON array files written before the
+ * streaming writer existed are parsed whole.
+ * @param {string} filePath NDJSON or JSON file
+ * @param {Object} options Read options
+ * @param {number} options.offset Number of records to skip
+ * @param {number} options.limit Maximum number of records to return
+ * @returns {Promise<Array>} Records
+ */
+async function readRecords(filePath, options = {}) {
+  const { offset = 0, limit = Infinity } = options;
+
+  if (filePath.endsWith('.json')) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return [].concat(data).slice(offset, offset + limit);
+  }
+
+  const records = [];
+  let index = 0;
+
+  for await (const line of readLines(filePath)) {
+    if (records.length >= limit) break;
+    if (index >= offset) {
+      records.push(JSON.parse(line));
+    }
+    index++;
+  }
+
+  return records;
+}
+
+/**
+ * Iterate over the records of a file. NDJSON files are read line by line;
+ * JSON array files are parsed whole.
+ * @param {string} filePath NDJSON or JSON file
+ * @returns {AsyncGenerator<Object>} Records
+ */
+async function* iterateRecords(filePath) {
+  if (filePath.endsWith('.json')) {
+    yield* [].concat(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    return;
+  }
+
+  for await (const line of readLines(filePath)) {
+    yield JSON.parse(line);
+  }
+}
+
+/**
+ * Write the records of an NDJSON file to a stream as one JSON array,
+ * respecting backpressure so large files never sit in memory. When the
+ * output closes early (e.g. the client disconnects), reading stops, the
+ * file is closed and the promise rejects with ERR_STREAM_PREMATURE_CLOSE.
+ * @param {string} filePath NDJSON file
+ * @param {stream.Writable} output Stream to write to (e.g. an HTTP response)
+ * @returns {Promise<void>}
+ */
+async function pipeAsJsonArray(filePath, output) {
+  async function* toJsonArray() {
+    let first = true;
+    yield '[';
+
+    for await (const line of readLines(filePath)) {
+      yield first ? `\n${line}` : `,\n${line}`;
+      first = false;
+    }
+
+    yield first ? ']\n' : '\n]\n';
+  }
+
+  await pipeline(Readable.from(toJsonArray()), output);
+}
+
+module.exports = {
+  createRecordWriter,
+  readLines,
+  readRecords,
+  iterateRecords,
+  pipeAsJsonArray
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+const SAVED_QUERIES_DIR = path.join(__dirname, '../../data/saved-queries');
+
+// Names are shown in the UI and used on the command line
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,63}$/;
+
+/**
+ * ID of a saved query, its name in lower case with other characters
+ * turned into dashes. Used as the file name and for file names of extractions.
+ * @param {string} name Query name
+ * @returns {string} ID
+ */
+function getSavedQueryId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Path of a saved query file
+ * @param {string} name Query name or ID
+ * @returns {string} File path
+ */
+function getSavedQueryPath(name) {
+  return path.join(SAVED_QUERIES_DIR, `${getSavedQueryId(name)}.json`);
+}
+
+/**
+ * Check a query before it is saved
+ * @param {Object} entry { name, query, variables, connectionPath }
+ * @returns {Array<string>} Error messages, empty when it can be saved
+ */
+function validateSavedQuery({ name, query, variables = {}, connectionPath = null }) {
+  const errors = [];
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || !getSavedQueryId(name)) {
+    errors.push('Name must be 1-64 letters, digits, spaces, dots, dashes or underscores, starting with a letter or digit');
+  }
+  if (typeof query !== 'string' || query.trim() === '') {
+    errors.push('Query is required');
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    errors.push('Variables must be a JSON object');
+  }
+  if (connectionPath !== null && typeof connectionPath !== 'string') {
+    errors.push('Connection path must be a string such as shop.products');
+  }
+
+  return errors;
+}
+
+/**
+ * Save a query under its name, replacing an earlier version
+ * @param {Object} entry Query to save
+ * @param {string} entry.name Name
+ * @param {string} entry.query GraphQL query
+ * @param {Object} entry.variables Variable values (optional)
+ * @param {string} entry.description Description (optional)
+ * @param {string} entry.connectionPath Connection to page through, when the query has several (optional)
+ * @returns {Object} Saved query
+ */
+function saveQuery({ name, query, variables = {}, description = '', connectionPath = null }) {
+  const filePath = getSavedQueryPath(name);
+  const existing = loadSavedQuery(name);
+  const now = new Date().toISOString();
+
+  const saved = {
+    id: getSavedQueryId(name),
+    name,
+    description,
+    query,
+    variables,
+    connectionPath: connectionPath || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  fs.mkdirSync(SAVED_QUERIES_DIR, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(saved, null, 2));
+  return saved;
+}
+
+/**
+ * Load a saved query
+ * @param {string} name Query name or ID
+ * @returns {Object|null} Saved query, or null if there is none
+ */
+function loadSavedQuery(name) {
+  if (!getSavedQueryId(name)) return null;
+
+  try {
+    const filePath = getSavedQueryPath(name);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Error loading saved query ${name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List the saved queries, without their query text
+ * @returns {Array<Object>} { id, name, description, connectionPath, updatedAt }, sorted by name
+ */
+function listSavedQueries() {
+  if (!fs.existsSync(SAVED_QUERIES_DIR)) return [];
+
+  return fs.readdirSync(SAVED_QUERIES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadSavedQuery(path.basename(file, '.json')))
+    .filter(Boolean)
+    .map(({ id, name, description, connectionPath, updatedAt }) => ({ id, name, description, connectionPath, updatedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete a saved query
+ * @param {string} name Query name or ID
+ * @returns {boolean} Whether there was a query to delete
+ */
+function deleteSavedQuery(name) {
+  if (!loadSavedQuery(name)) return false;
+  fs.rmSync(getSavedQueryPath(name), { force: true });
+  return true;
+}
+
+module.exports = {
+  getSavedQueryId,
+  validateSavedQuery,
+  saveQuery,
+  loadSavedQuery,
+  listSavedQueries,
+  deleteSavedQuery
+};
@@ -1,9 +1,9 @@
 // src/utils/schema.js
-const axios = require('axios');
+const { getCachedSchema } = require('./schemaCache');
 require('dotenv').config();
 
 /**
- * Shopify GraphQL API şemasını çeker
+ * Shopify GraphQL API şemasını çeker (şema önbelleği üzerinden)
  * @param {Object} credentials Shopify API kimlik bilgileri
  * @returns {Promise<Array>} Şema tipleri listesi
  */
@@ -17,61 +17,9 @@ async function fetchSchema(credentials) {
     throw new Error('Missing Shopify API credentials');
   }
 
-  const endpoint = `https://${storeName}.myshopify.com/admin/api/${apiVersion}/graphql.json`;
-
-  const introspectionQuery = `
-    query IntrospectionQuery {
-      __schema {
-        types {
-          name
-          kind
-          description
-          fields {
-            name
-            description
-            type {
-              name
-              kind
-              ofType {
-                name
-                kind
-                ofType {
-                  name
-                  kind
-                  ofType {
-                    name
-                    kind
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  `;
-
   try {
-    const response = await axios({
-      url: endpoint,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': accessToken
-      },
-      data: {
-        query: introspectionQuery
-      }
-    });
-
-    if (response.data.errors) {
-      throw new Error(`Schema fetch failed: ${response.data.errors[0].message}`);
-    }
-
-    if (response.data && response.data.data && response.data.data.__schema) {
-      return response.data.data.__schema.types;
-    }
-    throw new Error('Invalid schema response structure');
+    const schema = await getCachedSchema({ storeName, accessToken, apiVersion });
+    return schema.types;
   } catch (error) {
     console.error('Error fetching schema:', error.message);
     throw error;
@@ -114,6 +62,32 @@ function getFieldType(schemaTypes, typeName, fieldName) {
   return fieldType;
 }
 
+/**
+ * Returns the arguments a root query connection accepts (e.g. `products`)
+ * @param {Array} schemaTypes Şema tipleri listesi
+ * @param {string} resourceName Root query field name
+ * @returns {Array} Arguments with name, type and defaultValue, empty if unknown
+ */
+function getConnectionArguments(schemaTypes, resourceName) {
+  const queryRoot = schemaTypes.find(t => t.name === 'QueryRoot');
+  if (!queryRoot || !queryRoot.fields) return [];
+
+  const field = queryRoot.fields.find(f => f.name === resourceName);
+  return field && field.args ? field.args : [];
+}
+
+/**
+ * Returns the values of an enum type
+ * @param {Array} schemaTypes Şema tipleri listesi
+ * @param {string} typeName Enum type name
+ * @returns {Array} Enum value names
+ */
+function getEnumValues(schemaTypes, typeName) {
+  const type = schemaTypes.find(t => t.name === typeName);
+  if (!type || !type.enumValues) return [];
+  return type.enumValues.map(value => value.name);
+}
+
 /**
  * Bir tipin bağlantı (connection) tipi olup olmadığını kontrol eder
  * @param {Object} fieldType Alan tipi
@@ -150,6 +124,15 @@ function isObjectType(fieldType) {
   return fieldType && fieldType.kind === 'OBJECT';
 }
 
+/**
+ * Bir tipin union veya interface olup olmadığını kontrol eder
+ * @param {Object} fieldType Alan tipi
+ * @returns {boolean} Soyut tip mi
+ */
+function isAbstractType(fieldType) {
+  return Boolean(fieldType) && (fieldType.kind === 'UNION' || fieldType.kind === 'INTERFACE');
+}
+
 /**
  * Bir kaynağın API'deki tip adını belirler
  * @param {string} resourceName Kaynak adı (çoğul)
@@ -213,10 +196,13 @@ module.exports = {
   fetchSchema,
   getTypeFields,
   getFieldType,
+  getConnectionArguments,
+  getEnumValues,
   isConnectionType,
   isScalarType,
   isEnumType,
   isObjectType,
+  isAbstractType,
   getResourceTypeName,
   isFieldSafe,
   getFullTypeName
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { introspectSchema, isCompleteSchema } = require('./introspection');
+
+const CACHE_DIR = path.join(__dirname, '../../cache/schemas');
+
+// How long a cached schema is used before it is introspected again
+const DEFAULT_TTL_HOURS = 24;
+
+// Parsed entries, keyed by file path, reused while the file is unchanged
+const memoryCache = new Map();
+
+// Introspections in progress, so concurrent requests for one schema share a fetch
+const pendingFetches = new Map();
+
+/**
+ * Time to live of cache entries, from SCHEMA_CACHE_TTL_HOURS
+ * @returns {number} TTL in milliseconds
+ */
+function getTtlMs() {
+  const hours = Number(process.env.SCHEMA_CACHE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Cache file of a store's schema for an API version
+ * @param {string} storeName Shopify store name
+ * @param {string} apiVersion API version
+ * @returns {string} File path
+ */
+function getEntryPath(storeName, apiVersion) {
+  // Store names and versions end up in paths, keep them to a safe character set
+  const safe = value => String(value || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+  return path.join(CACHE_DIR, safe(storeName), `${safe(apiVersion)}.json`);
+}
+
+/**
+ * Checksum of a schema, stored with the entry to detect damaged files
+ * @param {Object} schema Schema
+ * @returns {string} SHA-256 hex digest
+ */
+function getChecksum(schema) {
+  return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex');
+}
+
+/**
+ * Read a cache entry, verifying its checksum
+ * @param {string} filePath Entry file
+ * @returns {Object|null} Entry, or null when missing or damaged
+ */
+function readEntry(filePath) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    memoryCache.delete(filePath);
+    return null;
+  }
+
+  const cached = memoryCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.entry;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!entry.schema || entry.checksum !== getChecksum(entry.schema)) {
+      console.warn(`Ignoring schema cache ${filePath}: checksum mismatch`);
+      return null;
+    }
+
+    memoryCache.set(filePath, { mtimeMs: stat.mtimeMs, entry });
+    return entry;
+  } catch (error) {
+    console.warn(`Ignoring schema cache ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a cache entry through a temporary file of its own, so concurrent
+ * writers and readers never see a partial file
+ * @param {string} filePath Entry file
+ * @param {Object} entry Entry to write
+ */
+function writeEntry(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  memoryCache.set(filePath, { mtimeMs: fs.statSync(filePath).mtimeMs, entry });
+}
+
+/**
+ * Check whether an entry can still be used
+ * @param {Object} entry Cache entry
+ * @returns {boolean} Whether it is within the TTL and complete
+ */
+function isFresh(entry) {
+  return Date.now() - new Date(entry.timestamp).getTime() < getTtlMs() && isCompleteSchema(entry.schema);
+}
+
+/**
+ * Save a schema to the cache
+ * @param {Object} schema Schema from introspectSchema
+ * @param {string} storeName Shopify store name
+ * @param {string} apiVersion API version
+ * @returns {Object} Written entry
+ */
+function saveSchemaToCache(schema, storeName, apiVersion) {
+  const entry = {
+    storeName,
+    apiVersion,
+    timestamp: new Date().toISOString(),
+    checksum: getChecksum(schema),
+    schema
+  };
+
+  writeEntry(getEntryPath(storeName, apiVersion), entry);
+  return entry;
+}
+
+/**
+ * Load a store's schema for an API version from the cache
+ * @param {string} storeName Shopify store name
+ * @param {string} apiVersion API version
+ * @returns {Object|null} Entry ({ storeName, apiVersion, timestamp, checksum, schema }), or null
+ */
+function loadSchemaFromCache(storeName, apiVersion) {
+  return readEntry(getEntryPath(storeName, apiVersion));
+}
+
+/**
+ * Get a store's schema, reading through the cache. Entries older than the
+ * TTL are introspected again, and concurrent calls for the same store and
+ * version share one introspection. When the introspection fails, an expired
+ * entry is used instead.
+ * @param {Object} credentials { storeName, accessToken, apiVersion }
+ * @param {Object} options Options
+ * @param {boolean} options.refresh Introspect even when the cache is fresh
+ * @param {Function} options.log Called with progress messages (optional)
+ * @returns {Promise<Object>} Schema
+ */
+async function getCachedSchema(credentials, options = {}) {
+  const { refresh = false, log = () => {} } = options;
+  const { storeName, apiVersion } = credentials;
+  const filePath = getEntryPath(storeName, apiVersion);
+
+  const entry = readEntry(filePath);
+  if (!refresh && entry && isFresh(entry)) {
+    log('Using cached schema');
+    return entry.schema;
+  }
+
+  if (!pendingFetches.has(filePath)) {
+    const fetch = introspectSchema(credentials)
+      .then(schema => {
+        saveSchemaToCache(schema, storeName, apiVersion);
+        return schema;
+      })
+      .finally(() => pendingFetches.delete(filePath));
+    pendingFetches.set(filePath, fetch);
+  }
+
+  log('Fetching current schema from Shopify...');
+  try {
+    const schema = await pendingFetches.get(filePath);
+    log('Schema fetched and cached');
+    return schema;
+  } catch (error) {
+    // An expired schema is better than none while Shopify can't be reached
+    if (entry && isCompleteSchema(entry.schema)) {
+      log(`Could not refresh the schema (${error.message}), using the one cached at ${entry.timestamp}`);
+      return entry.schema;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the cached schemas, without the schemas themselves
+ * @returns {Array<Object>} Entries ({ storeName, apiVersion, timestamp, expiresAt, expired })
+ */
+function listSchemaCache() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+
+  const entries = [];
+  fs.readdirSync(CACHE_DIR).forEach(storeDir => {
+    const dirPath = path.join(CACHE_DIR, storeDir);
+    if (!fs.statSync(dirPath).isDirectory()) return;
+
+    fs.readdirSync(dirPath)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const entry = readEntry(path.join(dirPath, file));
+        if (!entry) return;
+
+        const expiresAt = new Date(new Date(entry.timestamp).getTime() + getTtlMs());
+        entries.push({
+          storeName: entry.storeName,
+          apiVersion: entry.apiVersion,
+          timestamp: entry.timestamp,
+          expiresAt: expiresAt.toISOString(),
+          expired: !isFresh(entry)
+        });
+      });
+  });
+
+  return entries;
+}
+
+/**
+ * Clear cached schemas: one entry, every version of a store, or everything
+ * @param {string} storeName Store to clear (optional)
+ * @param {string} apiVersion API version to clear (optional, needs storeName)
+ */
+function clearSchemaCache(storeName, apiVersion) {
+  let target = CACHE_DIR;
+  if (storeName && apiVersion) {
+    target = getEntryPath(storeName, apiVersion);
+  } else if (storeName) {
+    target = path.dirname(getEntryPath(storeName, 'any'));
+  }
+
+  fs.rmSync(target, { recursive: true, force: true });
+  [...memoryCache.keys()]
+    .filter(filePath => filePath === target || filePath.startsWith(`${target}${path.sep}`))
+    .forEach(filePath => memoryCache.delete(filePath));
+}
+
+module.exports = {
+  getCachedSchema,
+  saveSchemaToCache,
+  loadSchemaFromCache,
+  listSchemaCache,
+  clearSchemaCache
+};
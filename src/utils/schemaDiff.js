@@ -0,0 +1,165 @@
+const { getFullTypeName } = require('./schema');
+
+/**
+ * Index the named types of a schema, without the introspection types
+ * @param {Object} schema Schema from the full introspection
+ * @returns {Map<string, Object>} Types by name
+ */
+function indexTypes(schema) {
+  return new Map(schema.types
+    .filter(type => !type.name.startsWith('__'))
+    .map(type => [type.name, type]));
+}
+
+/**
+ * Index a list of fields, arguments or enum values by name
+ * @param {Array} items Items with a name (may be null)
+ * @returns {Map<string, Object>} Items by name
+ */
+function indexByName(items) {
+  return new Map((items || []).map(item => [item.name, item]));
+}
+
+/**
+ * Check whether an argument or input field has to be given
+ * @param {Object} input Argument or input field
+ * @returns {boolean} True for non-null inputs without a default
+ */
+function isRequired(input) {
+  return Boolean(input.type) && input.type.kind === 'NON_NULL' && input.defaultValue == null;
+}
+
+/**
+ * Compare two introspected schemas. Lists added, removed and changed types,
+ * fields (input fields included), arguments and enum values, and the fields
+ * and enum values deprecated since the older schema.
+ * @param {Object} fromSchema Schema of the older API version
+ * @param {Object} toSchema Schema of the newer API version
+ * @returns {Object} { types, fields, arguments, enumValues, deprecated }
+ */
+function diffSchemas(fromSchema, toSchema) {
+  const diff = {
+    types: { added: [], removed: [], changed: [] },
+    fields: { added: [], removed: [], changed: [] },
+    arguments: { added: [], removed: [], changed: [] },
+    enumValues: { added: [], removed: [] },
+    deprecated: []
+  };
+
+  const fromTypes = indexTypes(fromSchema);
+  const toTypes = indexTypes(toSchema);
+
+  fromTypes.forEach((type, name) => {
+    if (!toTypes.has(name)) {
+      diff.types.removed.push({ name, kind: type.kind });
+    }
+  });
+
+  toTypes.forEach((toType, typeName) => {
+    const fromType = fromTypes.get(typeName);
+
+    if (!fromType) {
+      diff.types.added.push({ name: typeName, kind: toType.kind });
+      return;
+    }
+
+    if (fromType.kind !== toType.kind) {
+      diff.types.changed.push({ name: typeName, from: fromType.kind, to: toType.kind });
+      return;
+    }
+
+    const fromFields = indexByName(fromType.fields || fromType.inputFields);
+    const toFields = indexByName(toType.fields || toType.inputFields);
+
+    fromFields.forEach((field, fieldName) => {
+      if (!toFields.has(fieldName)) {
+        diff.fields.removed.push({ path: `${typeName}.${fieldName}`, type: getFullTypeName(field.type) });
+      }
+    });
+
+    toFields.forEach((toField, fieldName) => {
+      const path = `${typeName}.${fieldName}`;
+      const fromField = fromFields.get(fieldName);
+
+      if (!fromField) {
+        diff.fields.added.push({ path, type: getFullTypeName(toField.type) });
+        return;
+      }
+
+      const fromTypeName = getFullTypeName(fromField.type);
+      const toTypeName = getFullTypeName(toField.type);
+      if (fromTypeName !== toTypeName) {
+        diff.fields.changed.push({ path, from: fromTypeName, to: toTypeName });
+      }
+
+      if (toField.isDeprecated && !fromField.isDeprecated) {
+        diff.deprecated.push({ path, reason: toField.deprecationReason || null });
+      }
+
+      const fromArgs = indexByName(fromField.args);
+      const toArgs = indexByName(toField.args);
+
+      fromArgs.forEach((arg, argName) => {
+        if (!toArgs.has(argName)) {
+          diff.arguments.removed.push({ path: `${path}(${argName})`, type: getFullTypeName(arg.type) });
+        }
+      });
+
+      toArgs.forEach((toArg, argName) => {
+        const argPath = `${path}(${argName})`;
+        const fromArg = fromArgs.get(argName);
+
+        if (!fromArg) {
+          diff.arguments.added.push({ path: argPath, type: getFullTypeName(toArg.type), required: isRequired(toArg) });
+          return;
+        }
+
+        const fromArgType = getFullTypeName(fromArg.type);
+        const toArgType = getFullTypeName(toArg.type);
+        if (fromArgType !== toArgType) {
+          diff.arguments.changed.push({ path: argPath, from: fromArgType, to: toArgType });
+        }
+      });
+    });
+
+    const fromValues = indexByName(fromType.enumValues);
+    const toValues = indexByName(toType.enumValues);
+
+    fromValues.forEach((value, valueName) => {
+      if (!toValues.has(valueName)) {
+        diff.enumValues.removed.push({ path: `${typeName}.${valueName}` });
+      }
+    });
+
+    toValues.forEach((toValue, valueName) => {
+      const fromValue = fromValues.get(valueName);
+      if (!fromValue) {
+        diff.enumValues.added.push({ path: `${typeName}.${valueName}` });
+      } else if (toValue.isDeprecated && !fromValue.isDeprecated) {
+        diff.deprecated.push({ path: `${typeName}.${valueName}`, reason: toValue.deprecationReason || null });
+      }
+    });
+  });
+
+  return diff;
+}
+
+/**
+ * Count the entries of each section of a diff
+ * @param {Object} diff Diff from diffSchemas
+ * @returns {Object} Counts by section, e.g. { types: { added: 2, removed: 0, changed: 1 }, ... }
+ */
+function summarizeDiff(diff) {
+  const summary = {};
+  Object.entries(diff).forEach(([section, value]) => {
+    summary[section] = Array.isArray(value)
+      ? value.length
+      : Object.fromEntries(Object.entries(value).map(([change, entries]) => [change, entries.length]));
+  });
+  return summary;
+}
+
+module.exports = {
+  diffSchemas,
+  summarizeDiff
+};
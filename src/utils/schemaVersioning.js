@@ -1,65 +1,25 @@
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const { getCachedSchema } = require('./schemaCache');
+const { diffSchemas, summarizeDiff } = require('./schemaDiff');
+const { validateQuery } = require('./queryValidation');
+const { validateTemplate } = require('./templateValidation');
+const { getTemplateStages } = require('./dependentQueries');
+const { getQueryTemplate, getTemplateList, applyTemplateParameters } = require('../queries/dependentQueryTemplates');
+const predefinedQueries = require('../queries/predefinedQueries');
+const { productQuery } = require('../queries/products');
+const { orderQuery } = require('../queries/orders');
+const { customerQuery } = require('../queries/customers');
 
-const CACHE_DIR = path.join(__dirname, '../../cache');
-const SCHEMA_CACHE_FILE = path.join(CACHE_DIR, 'schema-cache.json');
+// Stable API versions look like 2025-01
+const VERSION_PATTERN = /^\d{4}-\d{2}$/;
 
 /**
- * Get current Shopify API schema
+ * Get current Shopify API schema from the full introspection, through the schema cache
  * @param {Object} credentials Shopify API credentials
+ * @param {Object} options Options for getCachedSchema (refresh, log)
  * @returns {Promise<Object>} GraphQL schema
  */
-async function getApiSchema(credentials) {
-  // Basic introspection query to get type information
-  const introspectionQuery = `
-    query {
-      __schema {
-        types {
-          name
-          kind
-          fields {
-            name
-            description
-            type {
-              name
-              kind
-              ofType {
-                name
-                kind
-                ofType {
-                  name
-                  kind
-                  ofType {
-                    name
-                    kind
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  `;
-  
-  const response = await axios({
-    url: `https://${credentials.storeName}.myshopify.com/admin/api/${credentials.apiVersion}/graphql.json`,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': credentials.accessToken
-    },
-    data: {
-      query: introspectionQuery
-    }
-  });
-  
-  if (response.data.errors) {
-    throw new Error(`Schema introspection failed: ${response.data.errors[0].message}`);
-  }
-  
-  return response.data.data.__schema;
+async function getApiSchema(credentials, options = {}) {
+  return getCachedSchema(credentials, options);
 }
 
 /**
@@ -94,67 +54,129 @@ function getAvailableFields(schema, typeName) {
 }
 
 /**
- * Save schema to cache
- * @param {Object} schema GraphQL schema
- * @param {string} apiVersion API version
+ * Compare API versions
+ * @param {string} version1 First version (e.g., "2023-10")
+ * @param {string} version2 Second version (e.g., "2024-01")
+ * @returns {number} -1 if version1 < version2, 0 if equal, 1 if version1 > version2
  */
-function saveSchemaToCache(schema, apiVersion) {
-  // Create cache directory if it doesn't exist
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-  
-  // Save schema with version information
-  const cacheData = {
-    apiVersion,
-    timestamp: new Date().toISOString(),
-    schema
-  };
+function compareVersions(version1, version2) {
+  const [year1, month1] = version1.split('-').map(Number);
+  const [year2, month2] = version2.split('-').map(Number);
   
-  fs.writeFileSync(
-    SCHEMA_CACHE_FILE,
-    JSON.stringify(cacheData, null, 2)
-  );
+  if (year1 !== year2) return year1 - year2;
+  return month1 - month2;
 }
 
 /**
- * Load schema from cache
- * @returns {Object|null} Cached schema or null if not found
+ * Check the versions of a schema diff
+ * @param {string} fromVersion Older API version
+ * @param {string} toVersion Newer API version
+ * @returns {Array<string>} Problems, empty when the range is usable
  */
-function loadSchemaFromCache() {
-  try {
-    if (fs.existsSync(SCHEMA_CACHE_FILE)) {
-      const cacheData = JSON.parse(fs.readFileSync(SCHEMA_CACHE_FILE, 'utf8'));
-      return cacheData;
+function validateVersionRange(fromVersion, toVersion) {
+  const errors = [];
+
+  [['from', fromVersion], ['to', toVersion]].forEach(([name, version]) => {
+    if (!version) {
+      errors.push(`${name} is required`);
+    } else if (!VERSION_PATTERN.test(version)) {
+      errors.push(`${name} must be an API version like 2025-01, got ${version}`);
     }
-    return null;
-  } catch (error) {
-    console.warn('Error loading schema cache:', error.message);
-    return null;
+  });
+
+  if (errors.length === 0 && compareVersions(fromVersion, toVersion) >= 0) {
+    errors.push(`from (${fromVersion}) must be older than to (${toVersion})`);
   }
+
+  return errors;
 }
 
 /**
- * Clear schema cache
+ * Check the queries the extractor ships with against a schema: the predefined
+ * queries of the web interface and the CLI, and every dependent template
+ * (with its default parameters)
+ * @param {Object} schema Schema from getApiSchema
+ * @returns {Array<Object>} Results ({ kind, name, label, errors })
  */
-function clearSchemaCache() {
-  if (fs.existsSync(SCHEMA_CACHE_FILE)) {
-    fs.unlinkSync(SCHEMA_CACHE_FILE);
-  }
+function checkShippedQueries(schema) {
+  const queryTypeName = schema.queryType ? schema.queryType.name : 'QueryRoot';
+  const checkQuery = query => validateQuery(schema.types, query, { queryTypeName }).errors
+    .map(error => (error.path.length > 0 ? `${error.path.join('.')}: ${error.message}` : error.message));
+
+  const queries = [
+    { kind: 'predefined', name: 'products', query: predefinedQueries.getPredefinedProductsQuery().query },
+    { kind: 'predefined', name: 'orders', query: predefinedQueries.getPredefinedOrdersQuery().query },
+    { kind: 'predefined', name: 'customers', query: predefinedQueries.getPredefinedCustomersQuery().query },
+    { kind: 'cli', name: 'products', query: productQuery },
+    { kind: 'cli', name: 'orders', query: orderQuery },
+    { kind: 'cli', name: 'customers', query: customerQuery }
+  ];
+
+  const results = queries.map(({ kind, name, query }) => ({
+    kind,
+    name,
+    label: `${kind === 'cli' ? 'CLI' : 'Predefined'} ${name} query`,
+    errors: checkQuery(query)
+  }));
+
+  getTemplateList().forEach(({ name, label }) => {
+    const { template } = applyTemplateParameters(getQueryTemplate(name));
+    results.push({
+      kind: 'template',
+      name,
+      label: `${label} template`,
+      errors: validateTemplate(schema, getTemplateStages(template)).errors
+    });
+  });
+
+  return results;
 }
 
 /**
- * Compare API versions
- * @param {string} version1 First version (e.g., "2023-10")
- * @param {string} version2 Second version (e.g., "2024-01")
- * @returns {number} -1 if version1 < version2, 0 if equal, 1 if version1 > version2
+ * Compare the schemas of two API versions of a store and list what the
+ * upgrade would break. Both schemas are read through the schema cache.
+ * @param {Object} credentials Shopify API credentials (apiVersion is ignored)
+ * @param {string} fromVersion Older API version, e.g. 2024-10
+ * @param {string} toVersion Newer API version, e.g. 2025-01
+ * @param {Object} options Options
+ * @param {Function} options.log Called with progress messages (optional)
+ * @returns {Promise<Object>} Report ({ storeName, from, to, summary, types, fields,
+ *   arguments, enumValues, deprecated, breaking }) where breaking lists the
+ *   shipped queries and templates with errors against the newer schema, and
+ *   alreadyBroken tells whether they failed against the older one as well
  */
-function compareVersions(version1, version2) {
-  const [year1, month1] = version1.split('-').map(Number);
-  const [year2, month2] = version2.split('-').map(Number);
-  
-  if (year1 !== year2) return year1 - year2;
-  return month1 - month2;
+async function getSchemaDiffReport(credentials, fromVersion, toVersion, options = {}) {
+  const { log = () => {} } = options;
+
+  const errors = validateVersionRange(fromVersion, toVersion);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  log(`Loading the ${fromVersion} schema...`);
+  const fromSchema = await getApiSchema({ ...credentials, apiVersion: fromVersion }, { log });
+  log(`Loading the ${toVersion} schema...`);
+  const toSchema = await getApiSchema({ ...credentials, apiVersion: toVersion }, { log });
+
+  const diff = diffSchemas(fromSchema, toSchema);
+  const before = checkShippedQueries(fromSchema);
+  const breaking = checkShippedQueries(toSchema)
+    .filter(result => result.errors.length > 0)
+    .map(result => ({
+      ...result,
+      alreadyBroken: before.some(old => old.kind === result.kind && old.name === result.name && old.errors.length > 0)
+    }))
+    // What the upgrade itself breaks comes first
+    .sort((a, b) => Number(a.alreadyBroken) - Number(b.alreadyBroken));
+
+  return {
+    storeName: credentials.storeName,
+    from: fromVersion,
+    to: toVersion,
+    summary: { ...summarizeDiff(diff), breaking: breaking.length },
+    ...diff,
+    breaking
+  };
 }
 
 /**
@@ -172,9 +194,8 @@ module.exports = {
   getApiSchema,
   fieldExists,
   getAvailableFields,
-  saveSchemaToCache,
-  loadSchemaFromCache,
-  clearSchemaCache,
   compareVersions,
+  validateVersionRange,
+  getSchemaDiffReport,
   validateQueryFields
 };
\ No newline at end of file
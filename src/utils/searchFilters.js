@@ -0,0 +1,190 @@
+const {
+  getConnectionArguments,
+  getEnumValues,
+  getFieldType,
+  getResourceTypeName,
+  isEnumType,
+  isFieldSafe
+} = require('./schema');
+
+// Connection arguments the filter builder can set
+const FILTER_ARGUMENTS = ['query', 'sortKey', 'reverse'];
+
+// Filter keys that turn into terms of the Shopify search query
+const SEARCH_FILTER_KEYS = [
+  'status',
+  'tag',
+  'vendor',
+  'createdAfter',
+  'createdBefore',
+  'updatedAfter',
+  'updatedBefore',
+  'raw'
+];
+
+/**
+ * Unwrap NON_NULL and LIST wrappers of an introspection type
+ * @param {Object} type Introspection type
+ * @returns {Object} Named type
+ */
+function unwrapType(type) {
+  let current = type;
+  while (current && current.ofType && (current.kind === 'NON_NULL' || current.kind === 'LIST')) {
+    current = current.ofType;
+  }
+  return current;
+}
+
+/**
+ * Quote a value for the Shopify search syntax
+ * @param {string} value Value to quote
+ * @returns {string} Quoted value
+ */
+function quoteSearchValue(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Describe which filters a resource supports, for the filter builder UI
+ * @param {Array} schemaTypes Schema types from fetchSchema
+ * @param {string} resource Root query connection (e.g. products)
+ * @returns {Object} Supported filters
+ */
+function getFilterOptions(schemaTypes, resource) {
+  const args = getConnectionArguments(schemaTypes, resource);
+  const argNames = args.map(arg => arg.name);
+  const typeName = getResourceTypeName(resource);
+
+  const sortKeyArg = args.find(arg => arg.name === 'sortKey');
+  const sortKeys = sortKeyArg ? getEnumValues(schemaTypes, unwrapType(sortKeyArg.type).name) : [];
+
+  // Status values come from the node's own status enum, if it has one
+  const statusType = getFieldType(schemaTypes, typeName, 'status');
+  const statusValues = isEnumType(statusType) ? getEnumValues(schemaTypes, statusType.name) : [];
+
+  return {
+    resource,
+    supportsQuery: argNames.includes('query'),
+    supportsReverse: argNames.includes('reverse'),
+    sortKeys,
+    statusValues,
+    hasTags: isFieldSafe(schemaTypes, typeName, 'tags'),
+    hasVendor: isFieldSafe(schemaTypes, typeName, 'vendor'),
+    hasCreatedAt: isFieldSafe(schemaTypes, typeName, 'createdAt'),
+    hasUpdatedAt: isFieldSafe(schemaTypes, typeName, 'updatedAt')
+  };
+}
+
+/**
+ * Build a Shopify search query from filter builder values
+ * @param {Object} filters Filter values
+ * @returns {string|null} Search query, or null if no search filter is set
+ */
+function buildSearchQuery(filters = {}) {
+  const terms = [];
+
+  const statuses = [].concat(filters.status || []).filter(Boolean);
+  if (statuses.length > 0) {
+    terms.push(`status:${statuses.map(status => String(status).toLowerCase()).join(',')}`);
+  }
+
+  const tags = [].concat(filters.tag || []).filter(Boolean);
+  if (tags.length === 1) {
+    terms.push(`tag:${quoteSearchValue(tags[0])}`);
+  } else if (tags.length > 1) {
+    terms.push(`(${tags.map(tag => `tag:${quoteSearchValue(tag)}`).join(' OR ')})`);
+  }
+
+  if (filters.vendor) terms.push(`vendor:${quoteSearchValue(filters.vendor)}`);
+
+  if (filters.createdAfter) terms.push(`created_at:>=${quoteSearchValue(filters.createdAfter)}`);
+  if (filters.createdBefore) terms.push(`created_at:<=${quoteSearchValue(filters.createdBefore)}`);
+  if (filters.updatedAfter) terms.push(`updated_at:>=${quoteSearchValue(filters.updatedAfter)}`);
+  if (filters.updatedBefore) terms.push(`updated_at:<=${quoteSearchValue(filters.updatedBefore)}`);
+
+  // Free-form search syntax is grouped so an OR inside it can't leak into the other terms
+  if (filters.raw && String(filters.raw).trim()) terms.push(`(${String(filters.raw).trim()})`);
+
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Validate filter builder values against the connection's arguments and
+ * turn them into query variables
+ * @param {Array} schemaTypes Schema types from fetchSchema
+ * @param {string} resource Root query connection (e.g. products)
+ * @param {Object} filters Filter values (status, tag, vendor, createdAfter, createdBefore,
+ *   updatedAfter, updatedBefore, raw, sortKey, reverse)
+ * @returns {Object} { variables, errors }
+ */
+function resolveFilters(schemaTypes, resource, filters = {}) {
+  const options = getFilterOptions(schemaTypes, resource);
+  const errors = [];
+  const variables = {};
+
+  const unknown = Object.keys(filters).filter(key =>
+    !SEARCH_FILTER_KEYS.includes(key) && !FILTER_ARGUMENTS.includes(key)
+  );
+  if (unknown.length > 0) {
+    errors.push(`Unknown filters: ${unknown.join(', ')}`);
+  }
+
+  const usesSearch = SEARCH_FILTER_KEYS.some(key => {
+    const value = filters[key];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+
+  if (usesSearch && !options.supportsQuery) {
+    errors.push(`${resource} does not accept a search query`);
+  }
+
+  ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'].forEach(key => {
+    if (filters[key] && isNaN(Date.parse(filters[key]))) {
+      errors.push(`${key} is not a valid date: ${filters[key]}`);
+    }
+  });
+
+  const statuses = [].concat(filters.status || []).filter(Boolean);
+  if (statuses.length > 0 && options.statusValues.length > 0) {
+    const invalid = statuses.filter(status => !options.statusValues.includes(String(status).toUpperCase()));
+    if (invalid.length > 0) {
+      errors.push(`Unknown status for ${resource}: ${invalid.join(', ')} (expected one of ${options.statusValues.join(', ')})`);
+    }
+  }
+
+  if (filters.vendor && !options.hasVendor) {
+    errors.push(`${resource} have no vendor to filter on`);
+  }
+
+  if (filters.sortKey) {
+    if (options.sortKeys.length === 0) {
+      errors.push(`${resource} does not accept a sortKey`);
+    } else if (!options.sortKeys.includes(filters.sortKey)) {
+      errors.push(`Unknown sortKey for ${resource}: ${filters.sortKey} (expected one of ${options.sortKeys.join(', ')})`);
+    } else {
+      variables.sortKey = filters.sortKey;
+    }
+  }
+
+  if (filters.reverse !== undefined && filters.reverse !== null && filters.reverse !== '') {
+    if (!options.supportsReverse) {
+      errors.push(`${resource} does not accept reverse`);
+    } else {
+      variables.reverse = filters.reverse === true || filters.reverse === 'true';
+    }
+  }
+
+  const searchQuery = buildSearchQuery(filters);
+  if (searchQuery) {
+    variables.query = searchQuery;
+  }
+
+  return { variables, errors };
+}
+
+module.exports = {
+  FILTER_ARGUMENTS,
+  getFilterOptions,
+  buildSearchQuery,
+  resolveFilters
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { unwrapConnections } = require('./exporters');
+
+// Directory analysts drop declarative templates into
+const TEMPLATES_DIR = path.join(__dirname, '../../templates');
+
+// File extensions read from the templates directory
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Parsed files, keyed by file path, reused while the file is unchanged
+const fileCache = {};
+
+/**
+ * Split a JSON path such as "$.variants.edges[*].node.id" into keys.
+ * Array markers are optional: lists are walked wherever they occur.
+ * @param {string} jsonPath JSON path
+ * @returns {Array<string>} Keys
+ */
+function parseJsonPath(jsonPath) {
+  return String(jsonPath)
+    .replace(/^\$\.?/, '')
+    .replace(/\[\*?\]/g, '')
+    .split('.')
+    .filter(Boolean);
+}
+
+/**
+ * Collect the values at a path, walking into every item of the lists on the way
+ * @param {*} value Value to start from
+ * @param {Array<string>} keys Keys from parseJsonPath
+ * @returns {Object} { values, fromList } where fromList tells whether a list was walked
+ */
+function collectValues(value, keys) {
+  let values = [value];
+  let fromList = false;
+
+  const flatten = items => items.reduce((acc, item) => {
+    if (Array.isArray(item)) {
+      fromList = true;
+      return acc.concat(item);
+    }
+    return acc.concat([item]);
+  }, []);
+
+  keys.forEach(key => {
+    values = flatten(values)
+      .filter(item => item && typeof item === 'object')
+      .map(item => item[key]);
+  });
+
+  values = flatten(values).filter(item => item !== undefined && item !== null);
+  return { values, fromList };
+}
+
+/**
+ * Check a declarative template and list what is wrong with it
+ * @param {Object} definition Parsed template file
+ * @returns {Array<string>} Problems, empty when the template is usable
+ */
+function validateDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['Template must be an object'];
+  }
+
+  ['name', 'label', 'primaryQuery', 'secondaryQuery', 'ids'].forEach(key => {
+    if (typeof definition[key] !== 'string' || definition[key].trim() === '') {
+      errors.push(`${key} is required`);
+    }
+  });
+
+  if (definition.name && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(definition.name)) {
+    errors.push('name must be lowercase words separated by dashes (e.g. order-refunds)');
+  }
+
+  if (!definition.attach || typeof definition.attach.as !== 'string' || !definition.attach.as) {
+    errors.push('attach.as is required');
+  }
+
+  if (definition.secondaryQuery && !/\$id\b/.test(definition.secondaryQuery)) {
+    errors.push('secondaryQuery must take the ID as $id');
+  }
+
+  if (definition.batchSecondaryQuery && !/\$ids\b/.test(definition.batchSecondaryQuery.query || '')) {
+    errors.push('batchSecondaryQuery.query must take the IDs as $ids');
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a declarative template into the shape of the built-in templates, with
+ * an ID extractor and result merger generated from its paths.
+ *
+ * The secondary result is looked up under attach.from (by default the root
+ * field of the secondary query) and matched to primary records by its id, so
+ * the secondary query has to select `id` on that object. When the ID path of
+ * a record walks a list, the record gets a list of results; otherwise it gets
+ * the single result.
+ * @param {Object} definition Parsed, valid template file
+ * @param {string} filePath File the template came from
+ * @returns {Object} Template
+ */
+function compileTemplate(definition, filePath) {
+  const idKeys = parseJsonPath(definition.ids);
+  const fromKeys = definition.attach.from ? parseJsonPath(definition.attach.from) : [];
+  const rootMatch = definition.secondaryQuery.match(/{\s*(?:(\w+)\s*:\s*)?(\w+)\s*\(/);
+  const resultKey = fromKeys[0] || (rootMatch && (rootMatch[1] || rootMatch[2]));
+  const valueKeys = fromKeys.slice(1);
+  const attachAs = definition.attach.as;
+
+  const template = {
+    name: definition.name,
+    label: definition.label,
+    description: definition.description || '',
+    help: definition.help || '',
+    source: path.relative(path.join(__dirname, '../..'), filePath),
+    primaryQuery: definition.primaryQuery,
+    buildSecondaryQuery: (id) => ({
+      query: definition.secondaryQuery,
+      variables: { id }
+    }),
+    idExtractor: (records) => {
+      const ids = [];
+      records.forEach(record => {
+        ids.push(...collectValues(record, idKeys).values);
+      });
+      // The same ID can sit under several records, it only needs fetching once
+      return [...new Set(ids)];
+    },
+    resultMerger: (records, secondaryResults) => {
+      const resultMap = {};
+      secondaryResults.forEach(result => {
+        const node = result && result[resultKey];
+        if (node && node.id) {
+          const { values, fromList } = collectValues(node, valueKeys);
+          resultMap[node.id] = unwrapConnections(fromList ? values : values[0]);
+        }
+      });
+
+      return records.map(record => {
+        const { values: ids, fromList } = collectValues(record, idKeys);
+        const results = ids.map(id => resultMap[id]).filter(value => value !== undefined);
+
+        return {
+          ...record,
+          [attachAs]: fromList ? [].concat(...results) : (results[0] !== undefined ? results[0] : null)
+        };
+      });
+    }
+  };
+
+  if (definition.batchSecondaryQuery) {
+    template.batchSecondaryQuery = {
+      query: definition.batchSecondaryQuery.query,
+      batchSize: definition.batchSecondaryQuery.batchSize,
+      resultKey
+    };
+  }
+
+  return template;
+}
+
+/**
+ * Read one template file, reusing the parsed template while its mtime is unchanged
+ * @param {string} filePath Template file
+ * @returns {Object} { template, errors }
+ */
+function loadTemplateFile(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = fileCache[filePath];
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.result;
+  }
+
+  let result;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const definition = filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    const errors = validateDefinition(definition);
+    result = errors.length > 0
+      ? { template: null, errors }
+      : { template: compileTemplate(definition, filePath), errors: [] };
+  } catch (error) {
+    result = { template: null, errors: [`Could not parse file: ${error.message}`] };
+  }
+
+  if (result.errors.length > 0) {
+    console.warn(`Skipping dependent query template ${filePath}: ${result.errors.join('; ')}`);
+  }
+
+  fileCache[filePath] = { mtimeMs, result };
+  return result;
+}
+
+/**
+ * Load the declarative templates of the templates directory. Files are read
+ * on every call (parsed only when they change), so added or edited templates
+ * are picked up without a restart. Invalid files are skipped with a warning.
+ * @param {string} dirPath Directory to read (defaults to templates/)
+ * @returns {Array<Object>} Templates
+ */
+function loadTemplates(dirPath = TEMPLATES_DIR) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  return fs.readdirSync(dirPath)
+    .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => loadTemplateFile(path.join(dirPath, file)).template)
+    .filter(Boolean);
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  loadTemplates
+};
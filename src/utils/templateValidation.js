@@ -0,0 +1,86 @@
+const { validateQuery: validateQueryAgainstTypes } = require('./queryValidation');
+
+// Stand-in ID used to build the query of a lookup stage for validation
+const SAMPLE_ID = 'gid://shopify/Node/0';
+
+/**
+ * Get the name of the query root type of a schema
+ * @param {Object} schema Schema from getApiSchema
+ * @returns {string} Type name
+ */
+function getQueryTypeName(schema) {
+  return schema.queryType ? schema.queryType.name : 'QueryRoot';
+}
+
+/**
+ * Validate one GraphQL query against the schema and describe each problem
+ * with the path to the field it is about
+ * @param {Object} schema Schema from getApiSchema
+ * @param {string} query GraphQL query
+ * @returns {Object} { errors, warnings } as messages
+ */
+function validateQuery(schema, query) {
+  const result = validateQueryAgainstTypes(schema.types, query, { queryTypeName: getQueryTypeName(schema) });
+  const operationName = (query.match(/^\s*query\s+(\w+)/) || [])[1] || 'query';
+
+  const describe = problem => (problem.path.length > 0
+    ? `${[operationName, ...problem.path].join('.')}: ${problem.message}`
+    : problem.message);
+
+  return {
+    errors: result.errors.map(describe),
+    warnings: result.warnings.map(describe)
+  };
+}
+
+/**
+ * Validate every query of a dependent template (all pipeline stages,
+ * including batched lookups) against the schema
+ * @param {Object} schema Schema from getApiSchema
+ * @param {Array<Object>} stages Template stages from getTemplateStages
+ * @returns {Object} { status, errors, warnings } where status is compatible,
+ *   warnings or incompatible
+ */
+function validateTemplate(schema, stages) {
+  const errors = [];
+  const warnings = [];
+
+  const check = (label, query) => {
+    const result = validateQuery(schema, query);
+    errors.push(...result.errors.map(message => `${label}: ${message}`));
+    warnings.push(...result.warnings.map(message => `${label}: ${message}`));
+  };
+
+  stages.forEach((stage, index) => {
+    const label = `Stage ${index + 1} (${stage.name})`;
+
+    if (index === 0) {
+      check(label, stage.query);
+      return;
+    }
+
+    try {
+      check(label, stage.buildQuery(SAMPLE_ID).query);
+    } catch (error) {
+      errors.push(`${label}: Could not build the query: ${error.message}`);
+    }
+
+    if (stage.batchQuery) {
+      check(`${label} batched`, stage.batchQuery.query);
+    }
+  });
+
+  let status = 'compatible';
+  if (errors.length > 0) {
+    status = 'incompatible';
+  } else if (warnings.length > 0) {
+    status = 'warnings';
+  }
+
+  return { status, errors, warnings };
+}
+
+module.exports = {
+  validateQuery,
+  validateTemplate
+};
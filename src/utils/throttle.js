@@ -0,0 +1,251 @@
+/**
+ * Cost-aware throttling for the Shopify GraphQL Admin API.
+ *
+ * Shopify returns an `extensions.cost` block with every GraphQL response that
+ * describes the leaky bucket used for rate limiting. The throttle keeps track of
+ * that bucket and waits just long enough before each request for the bucket to
+ * hold the expected query cost, instead of sleeping a fixed delay between pages.
+ */
+
+// Shopify's standard bucket, used until the first response tells us otherwise
+const DEFAULT_MAXIMUM_AVAILABLE = 1000;
+const DEFAULT_RESTORE_RATE = 50;
+
+const throttles = {};
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms Milliseconds to wait
+ * @param {AbortSignal} signal Ends the wait early with an ERR_CANCELED error (optional)
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () => {
+      const error = new Error('Extraction cancelled');
+      error.code = 'ERR_CANCELED';
+      return error;
+    };
+
+    if (signal && signal.aborted) {
+      reject(cancelled());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Check whether a GraphQL payload contains a THROTTLED error
+ * @param {Object} payload GraphQL response body
+ * @returns {boolean} Whether the request was throttled
+ */
+function isThrottledPayload(payload) {
+  if (!payload || !Array.isArray(payload.errors)) return false;
+
+  return payload.errors.some(error =>
+    (error.extensions && error.extensions.code === 'THROTTLED') ||
+    (typeof error.message === 'string' && error.message.toLowerCase() === 'throttled')
+  );
+}
+
+/**
+ * Create a throttle that follows Shopify's query cost bucket
+ * @param {Object} options Throttle options
+ * @param {number} options.maxRetries Retries on THROTTLED errors or HTTP 429 before giving up
+ * @param {number} options.baseBackoff Backoff in ms when Shopify gives no hint on how long to wait
+ * @returns {Object} Throttle with `run`, `getWaitTime` and `update` methods
+ */
+function createThrottle(options = {}) {
+  const {
+    maxRetries = 5,
+    baseBackoff = 1000
+  } = options;
+
+  const state = {
+    maximumAvailable: DEFAULT_MAXIMUM_AVAILABLE,
+    currentlyAvailable: null,
+    restoreRate: DEFAULT_RESTORE_RATE,
+    updatedAt: null,
+    // Last requestedQueryCost seen per query, used to predict the next request
+    costs: {}
+  };
+
+  /**
+   * Points in the bucket right now, accounting for what has been restored
+   * since the last response
+   * @returns {number} Available points
+   */
+  function getAvailable() {
+    if (state.currentlyAvailable === null) return state.maximumAvailable;
+
+    const elapsedSeconds = (Date.now() - state.updatedAt) / 1000;
+    return Math.min(
+      state.maximumAvailable,
+      state.currentlyAvailable + elapsedSeconds * state.restoreRate
+    );
+  }
+
+  /**
+   * Milliseconds to wait before a request of the given cost can run
+   * @param {number} cost Expected query cost
+   * @returns {number} Wait time in ms
+   */
+  function getWaitTime(cost) {
+    if (!cost) return 0;
+
+    const available = getAvailable();
+    if (available >= cost) return 0;
+
+    return Math.ceil(((cost - available) / state.restoreRate) * 1000);
+  }
+
+  /**
+   * Take the expected cost out of the bucket so parallel requests
+   * don't all assume the same points are available
+   * @param {number} cost Expected query cost
+   */
+  function reserve(cost) {
+    if (!cost || state.currentlyAvailable === null) return;
+
+    state.currentlyAvailable = getAvailable() - cost;
+    state.updatedAt = Date.now();
+  }
+
+  /**
+   * Update the bucket from a GraphQL response body
+   * @param {Object} payload GraphQL response body
+   * @param {string} key Query key the cost belongs to
+   */
+  function update(payload, key) {
+    const cost = payload && payload.extensions && payload.extensions.cost;
+    if (!cost) return;
+
+    if (key && typeof cost.requestedQueryCost === 'number') {
+      state.costs[key] = cost.requestedQueryCost;
+    }
+
+    const throttleStatus = cost.throttleStatus;
+    if (throttleStatus) {
+      state.maximumAvailable = throttleStatus.maximumAvailable || state.maximumAvailable;
+      state.restoreRate = throttleStatus.restoreRate || state.restoreRate;
+      state.currentlyAvailable = throttleStatus.currentlyAvailable;
+      state.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * How long to back off after a throttled request
+   * @param {Object} payload GraphQL response body (if any)
+   * @param {Object} response HTTP response (if any)
+   * @param {number} attempt Retry attempt, starting at 0
+   * @returns {number} Wait time in ms
+   */
+  function getBackoffTime(payload, response, attempt) {
+    const retryAfter = response && response.headers && response.headers['retry-after'];
+    if (retryAfter && !isNaN(Number(retryAfter))) {
+      return Number(retryAfter) * 1000;
+    }
+
+    const cost = payload && payload.extensions && payload.extensions.cost;
+    if (cost && cost.throttleStatus && typeof cost.requestedQueryCost === 'number') {
+      const missing = cost.requestedQueryCost - cost.throttleStatus.currentlyAvailable;
+      if (missing > 0) {
+        return Math.ceil((missing / cost.throttleStatus.restoreRate) * 1000);
+      }
+    }
+
+    return baseBackoff * Math.pow(2, attempt);
+  }
+
+  /**
+   * Run a request through the throttle. Waits for enough capacity before
+   * sending and retries THROTTLED errors and HTTP 429 responses.
+   * @param {Function} sendRequest Function returning an axios response promise
+   * @param {Object} runOptions Run options
+   * @param {string} runOptions.key Key identifying the query (usually the query text)
+   * @param {Function} runOptions.onWait Called with (ms, reason) before each wait
+   * @param {AbortSignal} runOptions.signal Cancels the waits between attempts (optional)
+   * @returns {Promise<Object>} The axios response
+   */
+  async function run(sendRequest, runOptions = {}) {
+    const { key, onWait, signal } = runOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      // Wait until the bucket can hold the expected cost of this query
+      const expectedCost = key ? state.costs[key] : null;
+      let waitTime = getWaitTime(expectedCost);
+      while (waitTime > 0) {
+        if (onWait) onWait(waitTime, 'cost');
+        await sleep(waitTime, signal);
+        waitTime = getWaitTime(expectedCost);
+      }
+      reserve(expectedCost);
+
+      let response;
+      try {
+        response = await sendRequest();
+      } catch (error) {
+        // The request never ran, so give back the points we reserved for it
+        reserve(-expectedCost);
+
+        if (error.response && error.response.status === 429 && attempt < maxRetries) {
+          const backoff = getBackoffTime(error.response.data, error.response, attempt);
+          if (onWait) onWait(backoff, 'http-429');
+          await sleep(backoff, signal);
+          continue;
+        }
+        throw error;
+      }
+
+      update(response.data, key);
+
+      if (isThrottledPayload(response.data) && attempt < maxRetries) {
+        const backoff = getBackoffTime(response.data, response, attempt);
+        if (onWait) onWait(backoff, 'throttled');
+        await sleep(backoff, signal);
+        continue;
+      }
+
+      return response;
+    }
+  }
+
+  return {
+    state,
+    getWaitTime,
+    update,
+    run
+  };
+}
+
+/**
+ * Get the shared throttle for a store, so that every extraction loop running
+ * against the same store draws from the same bucket
+ * @param {string} storeName Shopify store name
+ * @returns {Object} Throttle
+ */
+function getThrottle(storeName) {
+  const key = storeName || 'default';
+  if (!throttles[key]) {
+    throttles[key] = createThrottle();
+  }
+  return throttles[key];
+}
+
+module.exports = {
+  createThrottle,
+  getThrottle,
+  isThrottledPayload,
+  sleep
+};
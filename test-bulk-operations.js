@@ -0,0 +1,127 @@
+// Test the bulk operation query conversion and the JSONL rebuild against a
+// local HTTP server standing in for Shopify's result file
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { toBulkQuery, downloadBulkResults, rebuildNestedRecords } = require('./src/utils/bulkOperations');
+const { createRecordWriter, readRecords } = require('./src/utils/recordStream');
+
+const paginatedQuery = `
+  query GetOrders($first: Int!, $after: String, $query: String, $sortKey: OrderSortKeys) {
+    # Comments (with, commas) are dropped
+    orders(first: $first, after: $after, query: $query, sortKey: $sortKey) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          name
+          lineItems(first: 10) {
+            pageInfo { hasNextPage endCursor }
+            edges { node { id title } }
+          }
+          metafields(first: 5, namespace: "custom, legacy") {
+            edges { node { id key } }
+          }
+          shippingLines(first: 5) {
+            edges { node { title } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Just enough of the schema to resolve the node type of each connection
+const connectionType = (name, nodeType) => [
+  { name: `${name}Connection`, kind: 'OBJECT', fields: [{ name: 'edges', type: { kind: 'LIST', ofType: { kind: 'OBJECT', name: `${name}Edge` } } }] },
+  { name: `${name}Edge`, kind: 'OBJECT', fields: [{ name: 'node', type: { kind: 'OBJECT', name: nodeType } }] }
+];
+const field = (name, typeName) => ({ name, type: { kind: 'NON_NULL', ofType: { kind: 'OBJECT', name: typeName } } });
+const schemaTypes = [
+  { name: 'QueryRoot', kind: 'OBJECT', fields: [field('orders', 'OrderConnection')] },
+  { name: 'Order', kind: 'OBJECT', fields: [field('lineItems', 'LineItemConnection'), field('metafields', 'MetafieldConnection'), field('shippingLines', 'ShippingLineConnection')] },
+  ...connectionType('Order', 'Order'),
+  ...connectionType('LineItem', 'LineItem'),
+  ...connectionType('Metafield', 'Metafield'),
+  ...connectionType('ShippingLine', 'ShippingLine')
+];
+
+// Two orders, the first with line items, a metafield and a shipping line without an id, the second without children
+const jsonl = [
+  { id: 'gid://shopify/Order/1', name: '#1001', __typename: 'Order' },
+  { id: 'gid://shopify/LineItem/11', title: 'Shirt, blue', __typename: 'LineItem', __parentId: 'gid://shopify/Order/1' },
+  { id: 'gid://shopify/LineItem/12', title: 'Hat', __typename: 'LineItem', __parentId: 'gid://shopify/Order/1' },
+  { id: 'gid://shopify/Metafield/13', key: 'gift', __typename: 'Metafield', __parentId: 'gid://shopify/Order/1' },
+  { title: 'Standard', __typename: 'ShippingLine', __parentId: 'gid://shopify/Order/1' },
+  { id: 'gid://shopify/Order/2', name: '#1002', __typename: 'Order' }
+].map(line => JSON.stringify(line)).join('\n') + '\n';
+
+async function main() {
+  const bulkQuery = toBulkQuery(paginatedQuery, { first: 250, query: "tag:'a, b'", sortKey: 'CREATED_AT' });
+  console.log(bulkQuery);
+
+  assert(!bulkQuery.includes('pageInfo'), 'pageInfo is stripped');
+  assert(!/\b(first|after):/.test(bulkQuery), 'pagination arguments are stripped');
+  assert(!bulkQuery.includes('$'), 'variables are inlined');
+  assert(bulkQuery.includes('orders(query: "tag:\'a, b\'", sortKey: CREATED_AT)'), 'strings with commas survive, enums stay bare');
+  assert(bulkQuery.includes('metafields(namespace: "custom, legacy")'), 'literal arguments with commas are kept');
+  assert.strictEqual(bulkQuery.match(/__typename/g).length, 4, 'every connection node names its type');
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+    res.end(jsonl);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/result.jsonl`;
+
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-test-')), 'orders.ndjson');
+  const writer = createRecordWriter(filePath);
+
+  try {
+    for await (const record of rebuildNestedRecords(downloadBulkResults(url), paginatedQuery, schemaTypes)) {
+      writer.write([record]);
+    }
+  } finally {
+    server.close();
+  }
+
+  const records = await readRecords(filePath);
+  console.log(JSON.stringify(records, null, 2));
+
+  assert.strictEqual(records.length, 2, 'one record per order');
+  assert.deepStrictEqual(records[0].lineItems.edges.map(edge => edge.node.title), ['Shirt, blue', 'Hat']);
+  assert.deepStrictEqual(records[0].metafields.edges.map(edge => edge.node.key), ['gift']);
+  assert.deepStrictEqual(records[0].shippingLines.edges.map(edge => edge.node.title), ['Standard'], 'nodes without an id are matched by type');
+  assert.deepStrictEqual(records[1].lineItems, { edges: [] }, 'connections without children are empty');
+  assert(records.every(record => !('__parentId' in record)), '__parentId is removed');
+  assert(!JSON.stringify(records).includes('__typename'), '__typename the query did not select is removed');
+
+  // Connections selected through a named fragment get their children too
+  const fragmentQuery = `
+    query {
+      products { edges { node { ...ProductFields } } }
+    }
+    fragment ProductFields on Product {
+      id
+      variants { edges { node { id } } }
+    }
+  `;
+  const fragmentRecords = [];
+  for await (const record of rebuildNestedRecords([
+    { id: 'gid://shopify/Product/1' },
+    { id: 'gid://shopify/ProductVariant/11', __parentId: 'gid://shopify/Product/1' }
+  ], fragmentQuery)) {
+    fragmentRecords.push(record);
+  }
+  assert.deepStrictEqual(fragmentRecords[0].variants.edges.map(edge => edge.node.id), ['gid://shopify/ProductVariant/11']);
+
+  fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  console.log('Bulk operation tests passed');
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});